@@ -1,5 +1,4 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { resolveSessionFromToken } = require('../utils/authTokens');
 
 module.exports = async function(req, res, next) {
   // Get token from header
@@ -11,38 +10,21 @@ module.exports = async function(req, res, next) {
   }
 
   try {
-    // First try JWT verification
-    let userData;
-    let user;
-    
-    try {
-      // Verify token with JWT
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userData = decoded.user;
-      
-      // Find the user by id from JWT
-      user = await User.findById(userData.id);
-    } catch (jwtError) {
-      // If JWT verification fails, try finding by userToken
-      // This is our fallback for development or if using the userToken directly
-      user = await User.findOne({ userToken: token });
-      
-      if (!user) {
-        // If we still can't find a user, throw original error
-        throw jwtError;
-      }
-    }
-    
+    // Verify the JWT and that its session hasn't been revoked
+    const resolved = await resolveSessionFromToken(token);
+
     // If user not found
-    if (!user) {
-      return res.status(401).json({ msg: 'User not found' });
+    if (!resolved) {
+      return res.status(401).json({ msg: 'Token is not valid' });
     }
     
     // Set user data on request
-    req.user = user;
+    req.user = resolved.user;
+    req.sessionId = resolved.session.id;
+    req.emailVerified = resolved.session.emailVerified !== false;
     next();
   } catch (err) {
     console.error('Auth error:', err);
     res.status(401).json({ msg: 'Token is not valid' });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,123 @@
+const Bracket = require('../models/Bracket');
+const Pool = require('../models/Pool');
+const { resolveSessionFromToken } = require('../utils/authTokens');
+const { isPoolAdmin } = require('../utils/pools');
+
+// Signed in from a magic link. Sessions from check-create never proved the
+// user owns the email, so they don't get admin or owner rights
+const isVerifiedUser = (req) => !!req.user && req.emailVerified === true;
+
+/**
+ * Access policies routes can combine with authorize()
+ * Each gets the request (with req.user when signed in, and req.bracket on
+ * bracket routes) and resolves whether the policy lets it through.
+ * Roles always come from the user record, never from the token's payload.
+ */
+const POLICIES = {
+  // Site admins (User.role 'admin')
+  siteAdmin: (req) => isVerifiedUser(req) && req.user.role === 'admin',
+
+  // Admins of the pool the bracket is entered in
+  poolAdmin: async (req) => {
+    if (!isVerifiedUser(req) || !req.bracket || !req.bracket.pool) return false;
+    return isPoolAdmin(await Pool.findById(req.bracket.pool), req.user);
+  },
+
+  // The account that owns the bracket; unclaimed brackets belong to whoever
+  // signs in with their email, once any pending confirmation is done
+  owner: (req) => {
+    if (!isVerifiedUser(req) || !req.bracket) return false;
+    if (req.bracket.user) return req.bracket.user.toString() === req.user._id.toString();
+    return req.bracket.ownership !== 'pending' && req.bracket.userEmail === req.user.email;
+  },
+
+  // Whoever holds the bracket's edit token (?editToken= or editToken in the body)
+  editToken: (req) => {
+    const token = req.query.editToken || (req.body && req.body.editToken);
+    return !!token && !!req.bracket && token === req.bracket.editToken;
+  },
+
+  // Anyone, once the bracket is locked
+  lockedBracket: (req) => !!req.bracket && req.bracket.isLocked
+};
+
+/**
+ * Load the bracket named by :id onto req.bracket, or respond 404
+ */
+const loadBracket = async (req, res, next) => {
+  try {
+    const bracket = await Bracket.findById(req.params.id);
+    if (!bracket) {
+      return res.status(404).json({ msg: 'Bracket not found' });
+    }
+
+    req.bracket = bracket;
+    next();
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Bracket not found' });
+    }
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Create middleware that lets a request through if any of the policies allow it
+ * Signs the request in from x-auth-token when it has one, the way the auth
+ * middleware does (an invalid token just leaves it anonymous). Anonymous
+ * requests that are refused get a 401, signed-in ones a 403.
+ * @param {Array} policies - Policy names from POLICIES
+ * @param {Object} options
+ * @param {string} options.action - What is being authorized, for the error message (e.g. 'view this bracket')
+ * @returns {Function} Express middleware
+ */
+const authorize = (policies, { action = 'access this resource' } = {}) => {
+  policies.forEach(name => {
+    if (!POLICIES[name]) throw new Error(`Unknown authorization policy: ${name}`);
+  });
+
+  return async function(req, res, next) {
+    try {
+      if (!req.user) {
+        const resolved = await resolveSessionFromToken(req.header('x-auth-token'));
+        if (resolved) {
+          req.user = resolved.user;
+          req.sessionId = resolved.session.id;
+          req.emailVerified = resolved.session.emailVerified !== false;
+        }
+      }
+
+      for (const name of policies) {
+        if (await POLICIES[name](req)) return next();
+      }
+
+      res.status(req.user ? 403 : 401).json({ msg: `Not authorized to ${action}` });
+    } catch (err) {
+      console.error('Authorization error:', err.message);
+      res.status(500).send('Server error');
+    }
+  };
+};
+
+/**
+ * Create middleware that refuses sessions which didn't prove the user owns
+ * their email (sessions from check-create). Used after auth.
+ * @param {string} action - What needs a verified session, for the error message
+ *   (e.g. 'manage your sessions')
+ * @returns {Function} Express middleware
+ */
+const requireVerifiedSession = (action) => (req, res, next) => {
+  if (!isVerifiedUser(req)) {
+    return res.status(403).json({ msg: `Sign in with the link emailed to you to ${action}` });
+  }
+  next();
+};
+
+module.exports = {
+  POLICIES,
+  isVerifiedUser,
+  requireVerifiedSession,
+  loadBracket,
+  authorize
+};
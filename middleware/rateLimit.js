@@ -0,0 +1,60 @@
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Count a request against a fixed window and return the window's count
+ * @param {string} key - Counter key for this limiter, client and window
+ * @param {Date} expiresAt - End of the window
+ * @returns {Promise<Number>}
+ */
+const incrementCounter = async (key, expiresAt) => {
+  const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt } };
+  const options = { upsert: true, new: true };
+
+  try {
+    return (await RateLimit.findOneAndUpdate({ key }, update, options)).count;
+  } catch (err) {
+    // Two requests raced to create the counter; the other one won
+    if (err.code !== 11000) throw err;
+    return (await RateLimit.findOneAndUpdate({ key }, update, options)).count;
+  }
+};
+
+/**
+ * Create middleware that limits requests per client to `max` per `windowMs`
+ * Counts are kept in Mongo so limits hold across restarts and instances. If
+ * the counter can't be updated the request is let through rather than
+ * locking everyone out.
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used in counter keys
+ * @param {Number} options.windowMs - Window length in milliseconds
+ * @param {Number} options.max - Requests allowed per client per window
+ * @param {Function} options.keyFor - Gets the client key from a request (null to skip limiting)
+ * @param {string} options.message - Message sent with the 429 response
+ * @returns {Function} Express middleware
+ */
+module.exports = function rateLimit({ name, windowMs, max, keyFor, message }) {
+  return async function(req, res, next) {
+    const clientKey = keyFor(req);
+    if (!clientKey) return next();
+
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const windowEnd = windowStart + windowMs;
+
+    try {
+      const count = await incrementCounter(
+        `${name}:${clientKey}:${windowStart}`,
+        new Date(windowEnd)
+      );
+
+      if (count > max) {
+        res.set('Retry-After', String(Math.ceil((windowEnd - now) / 1000)));
+        return res.status(429).json({ msg: message });
+      }
+    } catch (err) {
+      console.error(`Rate limit error (${name}):`, err.message);
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,124 @@
+/**
+ * Entry Number Migration
+ *
+ * Entry numbers used to be the count of a participant's entries plus one, so
+ * deleting an entry and making another could repeat a number. This repairs
+ * brackets that share an entry number with another entry by the same
+ * participant and email in the same pool and season: the earliest entry keeps
+ * the number and the later ones get the lowest numbers not in use. Then it
+ * builds the unique entry number index, which can't be built while duplicates
+ * exist. Groups without duplicates are left alone, so the script is safe to
+ * run more than once.
+ *
+ * Usage:
+ *   node migrate-entry-numbers.js
+ *
+ * Options:
+ *   --dry-run                  (Report the renumbering without saving it)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const Bracket = require('./models/Bracket');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Find the groups of entries in which an entry number is repeated
+ * Brackets from before pools or seasons existed lack those fields; the unique
+ * index treats that the same as null, so they're grouped as null here too
+ * @returns {Promise<Array>} [{ _id: group, brackets: [{ _id, entryNumber }] }], earliest entry first
+ */
+function findDuplicateGroups() {
+  return Bracket.aggregate([
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: {
+          year: { $ifNull: ['$year', null] },
+          pool: { $ifNull: ['$pool', null] },
+          userEmail: '$userEmail',
+          participantName: '$participantName'
+        },
+        brackets: { $push: { _id: '$_id', entryNumber: '$entryNumber' } },
+        entryNumbers: { $addToSet: '$entryNumber' }
+      }
+    },
+    { $match: { $expr: { $lt: [{ $size: '$entryNumbers' }, { $size: '$brackets' }] } } }
+  ]);
+}
+
+/**
+ * Work out new entry numbers for a group's repeated entries
+ * @param {Array} brackets - [{ _id, entryNumber }], earliest entry first
+ * @returns {Array} [{ _id, from, to }]
+ */
+function renumberGroup(brackets) {
+  const kept = new Set();
+  const repeats = [];
+
+  for (const bracket of brackets) {
+    const entryNumber = bracket.entryNumber;
+    if (Number.isInteger(entryNumber) && entryNumber >= 1 && !kept.has(entryNumber)) {
+      kept.add(entryNumber);
+    } else {
+      repeats.push(bracket);
+    }
+  }
+
+  let next = 1;
+  return repeats.map(bracket => {
+    while (kept.has(next)) next++;
+    kept.add(next);
+    return { _id: bracket._id, from: bracket.entryNumber, to: next };
+  });
+}
+
+async function run() {
+  await connectDB();
+
+  try {
+    const groups = await findDuplicateGroups();
+    let renumbered = 0;
+
+    for (const group of groups) {
+      const { year, userEmail, participantName } = group._id;
+      const changes = renumberGroup(group.brackets);
+
+      for (const change of changes) {
+        console.log(
+          `${year || 'no season'} ${userEmail} "${participantName}": ` +
+          `bracket ${change._id} entry #${change.from ?? 'none'} -> #${change.to}`
+        );
+        if (!dryRun) {
+          await Bracket.updateOne({ _id: change._id }, { $set: { entryNumber: change.to } });
+        }
+      }
+      renumbered += changes.length;
+    }
+
+    console.log(
+      `\n${groups.length} groups with repeated entry numbers, ` +
+      `${renumbered} brackets ${dryRun ? 'would be renumbered' : 'renumbered'}`
+    );
+
+    if (dryRun) {
+      console.log('\nDry run complete');
+      return;
+    }
+
+    await Bracket.createIndexes();
+    console.log('Unique entry number index is in place');
+    console.log('\nEntry number migration complete');
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('Error running entry number migration:', err);
+    process.exit(1);
+  });
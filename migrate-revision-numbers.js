@@ -0,0 +1,106 @@
+/**
+ * Revision Number Migration
+ *
+ * Revision numbers used to be taken as the bracket's latest number plus one
+ * without a unique index, so two saves of a bracket at the same moment could
+ * record the same number. This renumbers the revisions of brackets with a
+ * repeated number, 1 upwards in the order they were recorded, then replaces
+ * the old non-unique { bracket, revisionNumber } index with the unique one.
+ * Brackets without repeats are left alone, so the script is safe to run more
+ * than once.
+ *
+ * Usage:
+ *   node migrate-revision-numbers.js
+ *
+ * Options:
+ *   --dry-run                  (Report the renumbering without saving it)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const BracketRevision = require('./models/BracketRevision');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Find the brackets with a revision number recorded more than once
+ * @returns {Promise<Array>} Bracket IDs
+ */
+async function findBracketsWithRepeats() {
+  const repeats = await BracketRevision.aggregate([
+    { $group: { _id: { bracket: '$bracket', revisionNumber: '$revisionNumber' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $group: { _id: '$_id.bracket' } }
+  ]);
+
+  return repeats.map(repeat => repeat._id);
+}
+
+/**
+ * Renumber a bracket's revisions in the order they were recorded
+ * Numbers are moved out of the way first so no step repeats a number
+ * @param {ObjectId} bracketId
+ * @returns {Promise<Number>} Number of revisions whose number changed
+ */
+async function renumberBracket(bracketId) {
+  const revisions = await BracketRevision.find({ bracket: bracketId })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('revisionNumber');
+
+  const changes = revisions
+    .map((revision, index) => ({ _id: revision._id, from: revision.revisionNumber, to: index + 1 }))
+    .filter(change => change.from !== change.to);
+
+  changes.forEach(change => {
+    console.log(`bracket ${bracketId}: revision ${change._id} #${change.from} -> #${change.to}`);
+  });
+
+  if (!dryRun) {
+    for (const change of changes) {
+      await BracketRevision.updateOne({ _id: change._id }, { $set: { revisionNumber: -change.to } });
+    }
+    for (const change of changes) {
+      await BracketRevision.updateOne({ _id: change._id }, { $set: { revisionNumber: change.to } });
+    }
+  }
+
+  return changes.length;
+}
+
+async function run() {
+  await connectDB();
+
+  try {
+    const bracketIds = await findBracketsWithRepeats();
+    let renumbered = 0;
+
+    for (const bracketId of bracketIds) {
+      renumbered += await renumberBracket(bracketId);
+    }
+
+    console.log(
+      `\n${bracketIds.length} brackets with repeated revision numbers, ` +
+      `${renumbered} revisions ${dryRun ? 'would be renumbered' : 'renumbered'}`
+    );
+
+    if (dryRun) {
+      console.log('\nDry run complete');
+      return;
+    }
+
+    // Drops the old non-unique index (same keys, different options) and builds the unique one
+    await BracketRevision.syncIndexes();
+    console.log('Unique revision number index is in place');
+    console.log('\nRevision number migration complete');
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('Error running revision number migration:', err);
+    process.exit(1);
+  });
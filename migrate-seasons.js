@@ -0,0 +1,66 @@
+/**
+ * Season Migration
+ *
+ * Tags brackets, tournament analyses and NCAA update logs created before
+ * multi-season support with the tournament year they belong to. The year is
+ * taken from each document's own date (bracket createdAt, analysis timestamp,
+ * update log runDate). Documents that already have a year are left alone, so
+ * the script is safe to run more than once.
+ *
+ * Usage:
+ *   node migrate-seasons.js
+ *
+ * Options:
+ *   --dry-run                  (Report how many documents would change)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const Bracket = require('./models/Bracket');
+const TournamentAnalysis = require('./models/TournamentAnalysis');
+const NcaaUpdateLog = require('./models/NcaaUpdateLog');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Collections to backfill, with the date field each one's season comes from
+const targets = [
+  { name: 'brackets', model: Bracket, dateField: 'createdAt' },
+  { name: 'tournament analyses', model: TournamentAnalysis, dateField: 'timestamp' },
+  { name: 'NCAA update logs', model: NcaaUpdateLog, dateField: 'runDate' }
+];
+
+async function backfillYear({ name, model, dateField }) {
+  const filter = { year: { $exists: false } };
+
+  if (dryRun) {
+    const count = await model.countDocuments(filter);
+    console.log(`${name}: ${count} documents would be tagged with a season`);
+    return;
+  }
+
+  const result = await model.updateMany(filter, [
+    { $set: { year: { $year: `$${dateField}` } } }
+  ]);
+  console.log(`${name}: tagged ${result.modifiedCount} documents with a season`);
+}
+
+async function run() {
+  await connectDB();
+
+  try {
+    for (const target of targets) {
+      await backfillYear(target);
+    }
+    console.log(dryRun ? '\nDry run complete' : '\nSeason migration complete');
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('Error running season migration:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const AnalysisJobSchema = new mongoose.Schema({
+  // Tournament year (season) being analyzed (set once the run starts)
+  year: {
+    type: Number,
+    default: null
+  },
+  // Pool being analyzed (null = default pool)
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pool',
+    default: null
+  },
+  // 'exhaustive' or 'sampled' (set once the run starts)
+  mode: {
+    type: String,
+    default: null
+  },
+  // What started the run
+  trigger: {
+    type: String,
+    enum: ['admin', 'game-update', 'updater', 'cli', 'manual'],
+    default: 'manual'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Step the run is on: 'generating', 'scoring', 'statistics' or 'saving'
+  phase: {
+    type: String,
+    default: null
+  },
+  // Outcomes scored so far, out of the total
+  progress: {
+    processed: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  workerCount: Number,
+  // Set by an admin to stop the run; checked while it runs
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  error: String,
+  // Saved analysis, once completed
+  analysis: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TournamentAnalysis',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  finishedAt: Date
+});
+
+AnalysisJobSchema.index({ createdAt: -1 });
+AnalysisJobSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AnalysisJob', AnalysisJobSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const AuditEventSchema = new mongoose.Schema({
+  // Admin (or pool admin) who performed the action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Dotted action name, e.g. 'bracket.score.update'
+  action: {
+    type: String,
+    required: true
+  },
+  // What the action was applied to
+  target: {
+    type: {
+      type: String
+    },
+    id: String
+  },
+  // State before and after the change (shape depends on the action)
+  before: {
+    type: Object,
+    default: null
+  },
+  after: {
+    type: Object,
+    default: null
+  },
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
@@ -17,11 +17,61 @@ const BracketSchema = new mongoose.Schema({
     required: false,
     trim: true
   },
+  // Account that owns the bracket. Null until the owner of userEmail confirms
+  // or claims it (brackets from before accounts existed are unclaimed too)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // Brackets entered without signing in as userEmail stay 'pending', and out
+  // of scoring and standings, until the link emailed to userEmail confirms them
+  ownership: {
+    type: String,
+    enum: ['pending', 'confirmed'],
+    default: 'confirmed'
+  },
+  ownershipToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Transfer to another account, waiting for the recipient to accept
+  transfer: {
+    toEmail: {
+      type: String,
+      default: null,
+      lowercase: true,
+      trim: true
+    },
+    token: {
+      type: String,
+      default: null,
+      select: false
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    }
+  },
   editToken: {
     type: String,
     required: true,
     unique: true
   },
+  // Tournament year (season) this bracket was entered for
+  year: {
+    type: Number,
+    index: true
+  },
+  // Pool this bracket is entered in (null = default pool)
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pool',
+    default: null,
+    index: true
+  },
   entryNumber: {
     type: Number,
     default: 1
@@ -30,6 +80,12 @@ const BracketSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Drafts may be incomplete and are left out of scoring and standings
+  status: {
+    type: String,
+    enum: ['draft', 'submitted'],
+    default: 'submitted'
+  },
   isLocked: {
     type: Boolean,
     default: false
@@ -41,7 +97,20 @@ const BracketSchema = new mongoose.Schema({
   score: {
     type: Number,
     default: 0
+  },
+  // Guess at the combined final score of the championship game, used to break ties
+  tiebreaker: {
+    type: Number,
+    default: null,
+    min: 0
   }
 });
 
+// Entry numbers are unique per participant and email within a pool and season.
+// Run migrate-entry-numbers.js to repair duplicates before this index can build
+BracketSchema.index(
+  { year: 1, pool: 1, userEmail: 1, participantName: 1, entryNumber: 1 },
+  { unique: true, name: 'entry_number_unique' }
+);
+
 module.exports = mongoose.model('Bracket', BracketSchema);
\ No newline at end of file
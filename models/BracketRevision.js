@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const BracketRevisionSchema = new mongoose.Schema({
+  bracket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bracket',
+    required: true
+  },
+  // 1 for the bracket as first submitted, counting up with each save
+  revisionNumber: {
+    type: Number,
+    required: true
+  },
+  // Full picks as saved in this revision
+  picks: {
+    type: Object,
+    required: true
+  },
+  tiebreaker: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted'],
+    default: 'submitted'
+  },
+  // Matchups whose picked winner changed from the previous revision
+  diff: [{
+    round: Number,
+    matchupId: Number,
+    before: {
+      name: String,
+      seed: Number
+    },
+    after: {
+      name: String,
+      seed: Number
+    }
+  }],
+  // Who made the change
+  source: {
+    type: {
+      type: String,
+      enum: ['editToken', 'user', 'admin', 'system'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: String
+  },
+  // The picks as they were when brackets locked - the version used for scoring
+  isLockSnapshot: {
+    type: Boolean,
+    default: false
+  },
+  // Revision these picks were restored from, if this was an admin restore
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BracketRevision',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Revision numbers are unique per bracket. Databases from before this was
+// unique need migrate-revision-numbers.js to repair duplicates and replace the old index
+BracketRevisionSchema.index({ bracket: 1, revisionNumber: -1 }, { unique: true });
+
+module.exports = mongoose.model('BracketRevision', BracketRevisionSchema);
@@ -6,9 +6,14 @@ const NcaaUpdateLogSchema = new mongoose.Schema({
     default: Date.now,
     required: true
   },
+  // Tournament year (season) the update ran against
+  year: {
+    type: Number,
+    index: true
+  },
   status: {
     type: String,
-    enum: ['pending', 'success', 'error', 'no_updates', 'complete_for_day'],
+    enum: ['pending', 'success', 'error', 'no_updates', 'complete_for_day', 'complete_for_yesterday'],
     required: true
   },
   trackedGames: [{
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const PoolSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Code participants enter to submit a bracket into this pool
+  joinCode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  // Users who can manage this pool (in addition to site admins)
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Maximum number of brackets a single email can enter (null = unlimited)
+  maxEntries: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // Points per round for this pool. Falls back to the tournament's scoringConfig when null
+  scoringConfig: {
+    type: Object,
+    default: null
+  },
+  // Named scoring strategy for this pool. Falls back to the tournament's strategy when null
+  scoringStrategy: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Pool', PoolSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Request counter for one rate limit window (see middleware/rateLimit.js)
+const RateLimitSchema = new mongoose.Schema({
+  // '<limiter>:<client key>:<window start>', e.g. 'login-email:fan@example.com:1742493600000'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the window; Mongo removes the counter once it passes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
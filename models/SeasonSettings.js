@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const SeasonSettingsSchema = new mongoose.Schema({
+  // Tournament year that new brackets, updates and analyses belong to
+  activeYear: {
+    type: Number,
+    required: true
+  },
+  // Most brackets one email can enter in a season, across all pools (null = unlimited).
+  // Pools can set a lower limit of their own (Pool.maxEntries)
+  maxEntriesPerEmail: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('SeasonSettings', SeasonSettingsSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Every JWT names its session, and the auth middleware
+// rejects tokens whose session was revoked or has expired
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed back each time the session's token is refreshed
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Started from a magic link, so the user has shown they own the email.
+  // Sessions from check-create haven't, and can't confirm or take ownership of brackets
+  emailVerified: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Mongo removes sessions once they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const TeamAliasSchema = new mongoose.Schema({
+  // Team name as it appears in our bracket
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Another name a score feed uses for the same team
+  alias: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Standardized, lowercased alias used for lookups (see utils/teamAliases.js)
+  aliasKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('TeamAlias', TeamAliasSchema);
@@ -8,9 +8,20 @@ const TournamentAnalysisSchema = new mongoose.Schema({
   },
   stage: {
     type: String,
-    enum: ['sweet16', 'elite8', 'final4', 'championship'],
+    enum: ['round1', 'round2', 'sweet16', 'elite8', 'final4', 'championship'],
     required: true
   },
+  // Tournament year (season) the analysis was run for
+  year: {
+    type: Number,
+    index: true
+  },
+  // Pool the analysis was run for (null = default pool)
+  pool: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pool',
+    default: null
+  },
   totalBrackets: {
     type: Number,
     required: true
@@ -19,6 +30,27 @@ const TournamentAnalysisSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // 'exhaustive' analyses every possible outcome; 'sampled' (before the Sweet 16)
+  // analyzes sampleCount random completions, so its percentages are estimates
+  analysisMode: {
+    type: String,
+    enum: ['exhaustive', 'sampled'],
+    default: 'exhaustive'
+  },
+  sampleCount: {
+    type: Number,
+    default: null
+  },
+  // Confidence level (percent) of the intervals on sampled percentages
+  confidenceLevel: {
+    type: Number,
+    default: null
+  },
+  // How outcomes were weighted: { ratingScale, ratedTeams } (see utils/winProbability.js)
+  probabilityModel: {
+    type: Object,
+    default: null
+  },
   roundName: {
     type: String,
     required: true
@@ -39,6 +71,20 @@ const TournamentAnalysisSchema = new mongoose.Schema({
       3: Number,
       podium: Number
     },
+    // Probability-weighted chance of winning the pool (placePercentages are weighted too)
+    winPercentage: Number,
+    // The same chances with every outcome counted equally, for comparison
+    equalWeight: {
+      winPercentage: Number,
+      placePercentages: {
+        1: Number,
+        2: Number,
+        3: Number,
+        podium: Number
+      }
+    },
+    // Sampled analyses only: { win, 1, 2, 3, podium } as { low, high } percentages
+    confidenceIntervals: Object,
     minPlace: Number,
     maxPlace: Number
   }],
@@ -138,14 +184,31 @@ const TournamentAnalysisSchema = new mongoose.Schema({
       percentage: Number
     }]
   },
+  // Outcome weight behind each possible winner of the current round's undecided
+  // matchups ({ matchupId: { teamName: { weight, seed, round } } }), for rooting guides
+  matchupResultWeights: {
+    type: Object,
+    select: false
+  },
   // Store complete results for all brackets
   bracketResults: {
     type: Object,
     select: false // Don't return this by default as it could be large
+  },
+  // Set when a game result the analysis was based on is corrected; invalidated
+  // analyses are kept for the record but no longer served
+  invalidatedAt: {
+    type: Date,
+    default: null
+  },
+  invalidationReason: {
+    type: String,
+    default: null
   }
 });
 
 // Create indexes for efficient querying
 TournamentAnalysisSchema.index({ stage: 1, timestamp: -1 });
+TournamentAnalysisSchema.index({ pool: 1, timestamp: -1 });
 
 module.exports = mongoose.model('TournamentAnalysis', TournamentAnalysisSchema);
\ No newline at end of file
@@ -40,7 +40,18 @@ const TournamentResultsSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    playedAt: Date
+    playedAt: Date,
+    // In-progress state from the score feed (score holds the live score while status is 'live')
+    status: {
+      type: String,
+      enum: ['scheduled', 'live', 'final'],
+      default: 'scheduled'
+    },
+    period: String,
+    clock: String,
+    startTime: Date,
+    network: String,
+    liveUpdatedAt: Date
   }],
   teams: {
     type: Object,
@@ -67,6 +78,27 @@ const TournamentResultsSchema = new mongoose.Schema({
       6: 32  // Championship: 32 points
     }
   },
+  // When brackets lock for the season (the scheduler locks them at this instant)
+  lockDeadline: {
+    type: Date,
+    default: null
+  },
+  // When the season's brackets were actually locked (null = not locked yet)
+  bracketsLockedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin-entered team strength ratings used to weight analysis outcomes,
+  // by team name (teams without one are rated by seed, see utils/winProbability.js)
+  teamRatings: {
+    type: Object,
+    default: {}
+  },
+  // Named scoring strategy (see utils/scoring.js)
+  scoringStrategy: {
+    type: String,
+    default: 'standard'
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const UnmappedGameSchema = new mongoose.Schema({
+  // Tournament year (season) the game belongs to
+  year: {
+    type: Number,
+    required: true
+  },
+  // Score provider's game ID
+  gameId: {
+    type: String,
+    required: true
+  },
+  // Normalized provider game as last seen (see providers/index.js)
+  game: {
+    type: Object,
+    required: true
+  },
+  reason: String,
+  status: {
+    type: String,
+    enum: ['pending', 'resolved', 'ignored'],
+    default: 'pending'
+  },
+  // Matchup an admin resolved the game to; used on every later update run
+  matchupId: {
+    type: Number,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+UnmappedGameSchema.index({ year: 1, gameId: 1 }, { unique: true });
+UnmappedGameSchema.index({ status: 1, lastSeenAt: -1 });
+
+module.exports = mongoose.model('UnmappedGame', UnmappedGameSchema);
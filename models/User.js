@@ -8,9 +8,15 @@ const UserSchema = new mongoose.Schema({
       trim: true,
       lowercase: true
     },
+    // Magic-link token; cleared once it's used to sign in
     authToken: {
       type: String,
-      required: true
+      default: null
+    },
+    // When the magic-link token was issued (links expire MAGIC_LINK_TTL_MINUTES later)
+    authTokenIssuedAt: {
+      type: Date,
+      default: null
     },
     userToken: {
       type: String,
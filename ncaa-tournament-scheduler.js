@@ -10,6 +10,9 @@ const {
   markYesterdayAsComplete, // New utility function we'll add
 } = require("./ncaa-tournament-updater");
 const NcaaUpdateLog = require("./models/NcaaUpdateLog");
+const { lockBracketsIfDeadlinePassed } = require("./utils/bracketLock");
+const { recordAuditEvent } = require("./utils/audit");
+const { getScoreProvider } = require("./providers");
 
 // Connect to database
 connectDB();
@@ -34,6 +37,27 @@ cron.schedule("*/30 8-13 * 3 *", async () => {
   await runUpdate();
 });
 
+// Check every minute whether the bracket lock deadline has passed
+cron.schedule("* * * * *", async () => {
+  await runBracketLock();
+});
+
+/**
+ * Lock the active season's brackets once its lock deadline passes
+ */
+async function runBracketLock() {
+  try {
+    const { locked, count } = await lockBracketsIfDeadlinePassed();
+    if (locked) {
+      console.log(
+        `[${new Date().toISOString()}] Lock deadline passed - locked ${count} brackets`
+      );
+    }
+  } catch (error) {
+    console.error("Error running scheduled bracket lock:", error);
+  }
+}
+
 /**
  * Run the update process, but only if needed and enabled
  */
@@ -277,6 +301,12 @@ function setupRoutes(app, auth, admin) {
       // Run the update
       const result = await updateTournamentResults(forceYesterday);
 
+      await recordAuditEvent(req, {
+        action: "tournament.update.trigger",
+        targetType: "TournamentResults",
+        after: { forceYesterday, status: result && result.status },
+      });
+
       res.json({
         success: true,
         message: "Tournament update completed",
@@ -318,6 +348,12 @@ function setupRoutes(app, auth, admin) {
     async (req, res) => {
       try {
         const result = await markYesterdayAsComplete();
+
+        await recordAuditEvent(req, {
+          action: "tournament.markYesterdayComplete",
+          targetType: "TournamentResults",
+        });
+
         res.json({
           success: true,
           message: "Marked yesterday as complete",
@@ -442,6 +478,7 @@ module.exports = function (app) {
   // If running standalone
   console.log("NCAA Tournament updater scheduler started");
   console.log("Scheduled for tournament period in March");
+  console.log(`Using ${getScoreProvider().name} score provider`);
   console.log("Press Ctrl+C to exit");
 
   // Run an initial update
@@ -452,6 +489,7 @@ module.exports = function (app) {
 if (require.main === module) {
   console.log("NCAA Tournament updater scheduler started");
   console.log("Scheduled for tournament period in March");
+  console.log(`Using ${getScoreProvider().name} score provider`);
   console.log("Press Ctrl+C to exit");
 
   // Run an initial update
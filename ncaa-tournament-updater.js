@@ -1,28 +1,51 @@
 require("dotenv").config();
-const axios = require("axios");
 const mongoose = require("mongoose");
 const connectDB = require("./config/db");
 const TournamentResults = require("./models/TournamentResults");
 const Bracket = require("./models/Bracket");
 const NcaaUpdateLog = require("./models/NcaaUpdateLog");
+const UnmappedGame = require("./models/UnmappedGame");
+const { loadPoolsById, getBracketPool } = require("./utils/pools");
+const { getScoringRules, calculateBracketScore } = require("./utils/scoring");
+const { submittedFilter } = require("./utils/bracketValidation");
+const { getActiveSeason, seasonFilter } = require("./utils/season");
+const { getScoreProvider } = require("./providers");
+const { publishGameUpdate, publishBracketScores } = require("./utils/eventStream");
+const {
+  PLAY_IN_ROUND,
+  advancePlayInWinner,
+  applyPlayInWinnerToBrackets,
+} = require("./utils/playIn");
+const { applyResultCorrection } = require("./utils/resultCorrection");
+const {
+  standardizeTeamName,
+  loadTeamAliases,
+} = require("./utils/teamAliases");
 
 // Connect to database
 connectDB();
 
-// NCAA API endpoint format
-const NCAA_API_BASE =
-  "https://data.ncaa.com/casablanca/scoreboard/basketball-men/d1";
+// Team aliases from the TeamAlias collection, reloaded at the start of each update
+let teamAliases = {};
 
 /**
- * Main function to fetch NCAA data and update the tournament
+ * Main function to fetch live scores and update the tournament
+ * @param {boolean} forceYesterday - Fetch yesterday's games instead of today's
+ * @param {Object} options
+ * @param {Object} options.provider - Score provider (defaults to the configured one, see providers/)
+ * @param {Date} options.now - Time the update runs at (replays pass a simulated clock)
  */
-async function updateTournamentResults(forceYesterday = false) {
+async function updateTournamentResults(
+  forceYesterday = false,
+  { provider = getScoreProvider(), now = new Date() } = {}
+) {
   let updateLog;
   try {
     console.log("Starting NCAA tournament update...");
 
     // Create a new log entry for this update run
     updateLog = new NcaaUpdateLog({
+      runDate: now,
       status: "pending",
       trackedGames: [],
       logs: [],
@@ -33,22 +56,26 @@ async function updateTournamentResults(forceYesterday = false) {
 
     updateLog.addLog("Starting NCAA tournament update");
 
-    // 1. Get current tournament data from our database
-    const tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
-    });
+    // 1. Get the active season's tournament data from our database
+    const year = await getActiveSeason();
+    updateLog.year = year;
+    const tournament = await TournamentResults.findOne({ year });
 
     if (!tournament) {
       updateLog.status = "error";
       updateLog.addLog("No tournament found in database");
       await updateLog.save();
       console.error("No tournament found in database");
-      process.exit(1);
+      return {
+        status: "error",
+        error: "No tournament found in database",
+      };
     }
 
+    teamAliases = await loadTeamAliases();
+    const resolvedMatchups = await loadResolvedMatchups(year);
+
     // 2. Get today's date in YYYY/MM/DD format
-    // Current time
-    const now = new Date();
     const currentHour = now.getHours();
 
     // If we're between midnight and 3am, we should use yesterday's date
@@ -81,7 +108,7 @@ async function updateTournamentResults(forceYesterday = false) {
       forceYesterday || (currentHour >= 0 && currentHour < 4);
 
     // Check if we already have a log entry saying all games are complete for the day we're checking
-    const checkDate = new Date();
+    const checkDate = new Date(now);
     if (checkYesterday) {
       checkDate.setDate(checkDate.getDate() - 1);
     }
@@ -119,13 +146,13 @@ async function updateTournamentResults(forceYesterday = false) {
     }
 
     // 3. Fetch games using the determined date
-    updateLog.addLog(`Fetching NCAA data for ${formattedDate}`);
-    const todayGames = await fetchNcaaResults(formattedDate);
-
-    // Filter for tournament games only (games with bracketRound property)
-    const tournamentGames = todayGames.filter(
-      (game) => game.bracketRound && game.bracketRound !== ""
+    updateLog.addLog(
+      `Fetching games for ${formattedDate} from ${provider.name} provider`
     );
+    const todayGames = await provider.fetchGames(dateToUse);
+
+    // Filter for tournament games only (games with a bracket round)
+    const tournamentGames = todayGames.filter((game) => game.roundName);
 
     if (tournamentGames.length === 0) {
       updateLog.status = "no_updates";
@@ -146,19 +173,19 @@ async function updateTournamentResults(forceYesterday = false) {
     // Map games to our format for tracking
     tournamentGames.forEach((game) => {
       // Find corresponding matchup in our database
-      const matchupId = mapNcaaGameToMatchupId(game, tournament);
+      const matchupId = mapGameToMatchupId(game, tournament, resolvedMatchups);
 
       updateLog.trackedGames.push({
-        gameId: game.gameID,
+        gameId: game.gameId,
         matchupId: matchupId,
-        homeTeam: game.home.names.short,
-        awayTeam: game.away.names.short,
-        region: game.bracketRegion,
-        round: game.bracketRound,
-        completed: game.gameState === "final",
+        homeTeam: game.home.name,
+        awayTeam: game.away.name,
+        region: game.region,
+        round: game.roundName,
+        completed: game.status === "final",
         score: {
-          homeScore: game.home.score ? parseInt(game.home.score) : 0,
-          awayScore: game.away.score ? parseInt(game.away.score) : 0,
+          homeScore: game.home.score || 0,
+          awayScore: game.away.score || 0,
         },
         updatedInDb: false,
       });
@@ -169,9 +196,35 @@ async function updateTournamentResults(forceYesterday = false) {
       (game) => game.completed
     ).length;
 
+    // Record the live state (score, clock, tip time) of games that haven't finished
+    const liveMatchupIds = [];
+    for (const game of tournamentGames) {
+      if (game.status === "final") continue;
+
+      const matchupId = mapGameToMatchupId(game, tournament, resolvedMatchups);
+      if (matchupId && recordLiveGameState(game, matchupId, tournament, now)) {
+        liveMatchupIds.push(matchupId);
+      }
+    }
+
+    if (liveMatchupIds.length > 0) {
+      tournament.markModified("games");
+      await tournament.save();
+
+      liveMatchupIds.forEach((matchupId) =>
+        publishGameUpdate(
+          tournament.year,
+          tournament.games.find((g) => g.matchupId === matchupId)
+        )
+      );
+      updateLog.addLog(
+        `Recorded live state for ${liveMatchupIds.length} unfinished games`
+      );
+    }
+
     // Check if any games are complete
     const completedGames = tournamentGames.filter(
-      (game) => game.gameState === "final"
+      (game) => game.status === "final"
     );
 
     if (completedGames.length === 0) {
@@ -193,16 +246,19 @@ async function updateTournamentResults(forceYesterday = false) {
 
     for (const game of completedGames) {
       // Find corresponding matchup in our database
-      const matchupId = mapNcaaGameToMatchupId(game, tournament);
+      const matchupId = mapGameToMatchupId(game, tournament, resolvedMatchups);
 
       if (!matchupId) {
-        const errorMsg = `Could not map NCAA game ID ${game.gameID} to our matchup ID. Teams: ${game.away.names.short} vs ${game.home.names.short}`;
+        const errorMsg = `Could not map game ID ${game.gameId} to our matchup ID. Teams: ${game.away.name} vs ${game.home.name}`;
         updateLog.addLog(errorMsg);
         updateLog.errorDetails.push({
           // Changed from errors.push to errorDetails.push
           message: errorMsg,
-          gameId: game.gameID,
+          gameId: game.gameId,
         });
+
+        // Queue the game for an admin to resolve to a matchup
+        await queueUnmappedGame(year, game, errorMsg, now);
         continue;
       }
 
@@ -213,11 +269,11 @@ async function updateTournamentResults(forceYesterday = false) {
 
       if (existingGame && existingGame.completed) {
         updateLog.addLog(
-          `Game ${matchupId} (${game.away.names.short} vs ${game.home.names.short}) already processed`
+          `Game ${matchupId} (${game.away.name} vs ${game.home.name}) already processed`
         );
 
         // Update tracking info
-        updateLog.updateTrackedGame(game.gameID, {
+        updateLog.updateTrackedGame(game.gameId, {
           completed: true,
           updatedInDb: true,
         });
@@ -227,24 +283,29 @@ async function updateTournamentResults(forceYesterday = false) {
 
       // Update the game
       try {
-        const updated = await updateGameInDatabase(game, matchupId, tournament);
+        const updated = await updateGameInDatabase(
+          game,
+          matchupId,
+          tournament,
+          now
+        );
 
         if (updated) {
           updatedCount++;
 
           // Update tracking info
-          updateLog.updateTrackedGame(game.gameID, {
+          updateLog.updateTrackedGame(game.gameId, {
             completed: true,
             updatedInDb: true,
             score: {
-              homeScore: game.home.score ? parseInt(game.home.score) : 0,
-              awayScore: game.away.score ? parseInt(game.away.score) : 0,
+              homeScore: game.home.score || 0,
+              awayScore: game.away.score || 0,
             },
           });
 
           // Track round completion status
-          const round = mapRoundNameToNumber(game.bracketRound);
-          if (round && !newlyCompletedRounds.has(round)) {
+          const round = game.round;
+          if (round != null && !newlyCompletedRounds.has(round)) {
             const isRoundComplete = checkIfRoundIsComplete(round, tournament);
             if (isRoundComplete) {
               updateLog.addLog(`Round ${round} is now complete!`);
@@ -258,7 +319,7 @@ async function updateTournamentResults(forceYesterday = false) {
         updateLog.errorDetails.push({
           // Changed from errors.push to errorDetails.push
           message: errorMsg,
-          gameId: game.gameID,
+          gameId: game.gameId,
         });
       }
     }
@@ -269,7 +330,7 @@ async function updateTournamentResults(forceYesterday = false) {
       tournament.completedRounds = [...newlyCompletedRounds].sort(
         (a, b) => a - b
       );
-      tournament.lastUpdated = new Date();
+      tournament.lastUpdated = now;
       tournament.markModified("completedRounds");
       await tournament.save();
 
@@ -285,7 +346,7 @@ async function updateTournamentResults(forceYesterday = false) {
         try {
           // Import the tournament analysis functions
           const {
-            analyzeTournamentPossibilities,
+            analyzeAllPools,
             getActiveTeams,
           } = require("./tournament-possibilities-analyzer");
 
@@ -303,19 +364,22 @@ async function updateTournamentResults(forceYesterday = false) {
             console.log("Running tournament analysis synchronously...");
 
             try {
-              // Run analysis synchronously with database save enabled
-              const analysisResult = await analyzeTournamentPossibilities(true);
+              // Run analysis for every pool synchronously with database save enabled
+              const analysisResults = await analyzeAllPools(true, {
+                trigger: "updater",
+              });
+              const skipped = analysisResults.filter((result) => result.error);
 
-              if (analysisResult.error) {
+              if (skipped.length > 0) {
                 updateLog.addLog(
-                  `Tournament analysis skipped: ${analysisResult.message}`
+                  `Tournament analysis skipped: ${skipped[0].message}`
                 );
                 console.log(
-                  `Tournament analysis skipped: ${analysisResult.message}`
+                  `Tournament analysis skipped: ${skipped[0].message}`
                 );
               } else {
                 updateLog.addLog(
-                  "Tournament analysis completed and saved to database"
+                  `Tournament analysis completed and saved to database for ${analysisResults.length} pool(s)`
                 );
                 console.log("Tournament analysis completed successfully");
               }
@@ -389,82 +453,62 @@ async function updateTournamentResults(forceYesterday = false) {
 }
 
 /**
- * Fetch results from NCAA API for a specific date
- * @param {string} dateStr - Date in YYYY/MM/DD format
+ * Load the matchups admins have resolved unmapped games to
+ * @param {number} year - Tournament year
+ * @returns {Promise<Object>} Map of provider game ID to matchup ID
  */
-async function fetchNcaaResults(dateStr) {
-  try {
-    const url = `${NCAA_API_BASE}/${dateStr}/scoreboard.json`;
-    console.log(`Fetching NCAA data from: ${url}`);
-
-    const response = await axios.get(url);
+async function loadResolvedMatchups(year) {
+  const resolved = await UnmappedGame.find({ year, status: "resolved" });
 
-    if (response.data && response.data.games) {
-      return response.data.games.map((gameWrapper) => gameWrapper.game);
-    }
-
-    return [];
-  } catch (error) {
-    console.error(`Error fetching NCAA results for ${dateStr}:`, error.message);
-    return [];
-  }
+  return resolved.reduce((map, unmappedGame) => {
+    map[unmappedGame.gameId] = unmappedGame.matchupId;
+    return map;
+  }, {});
 }
 
 /**
- * Map NCAA bracket round names to our round numbers
+ * Add a game that couldn't be mapped to the unmapped games queue (or refresh it)
  */
-function mapRoundNameToNumber(roundName) {
-  const roundMap = {
-    "First Four": 0,
-    "First Round": 1,
-    "Second Round": 2,
-    "Sweet 16": 3,
-    "Elite Eight": 4,
-    "Final Four": 5,
-    Championship: 6,
-  };
-
-  return roundMap[roundName] || null;
+async function queueUnmappedGame(year, game, reason, now = new Date()) {
+  try {
+    await UnmappedGame.findOneAndUpdate(
+      { year, gameId: game.gameId },
+      {
+        $set: { game, reason, lastSeenAt: now },
+        $setOnInsert: { status: "pending", firstSeenAt: now },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Error queueing unmapped game ${game.gameId}:`, error);
+  }
 }
 
 /**
- * Map NCAA region names to our region names
+ * Map a provider game to our matchup ID
+ * An admin's resolution for the game wins over name and seed matching
  */
-function mapRegionName(regionName) {
-  // Handle any inconsistencies between NCAA region names and ours
-  const regionMap = {
-    East: "East",
-    West: "West",
-    South: "South",
-    Midwest: "Midwest",
-    "Final Four": "Final Four",
-    Championship: "Championship",
-  };
-
-  return regionMap[regionName] || regionName;
-}
+function mapGameToMatchupId(game, tournament, resolvedMatchups = {}) {
+  if (resolvedMatchups[game.gameId]) {
+    return resolvedMatchups[game.gameId];
+  }
 
-/**
- * Map NCAA game to our matchup ID
- */
-function mapNcaaGameToMatchupId(ncaaGame, tournament) {
-  // Determine round number
-  const round = mapRoundNameToNumber(ncaaGame.bracketRound);
-  if (!round || !tournament.results[round]) {
+  const round = game.round;
+  if (round == null || !tournament.results[round]) {
     return null;
   }
 
   // Get team names and region
-  const region = mapRegionName(ncaaGame.bracketRegion);
-  const awayTeamName = cleanTeamName(ncaaGame.away.names.short);
-  const homeTeamName = cleanTeamName(ncaaGame.home.names.short);
-  const awaySeed = parseInt(ncaaGame.away.seed) || 0;
-  const homeSeed = parseInt(ncaaGame.home.seed) || 0;
+  const region = game.region;
+  const awayTeamName = cleanTeamName(game.away.name);
+  const homeTeamName = cleanTeamName(game.home.name);
+  const awaySeed = game.away.seed || 0;
+  const homeSeed = game.home.seed || 0;
 
   // Find the matchup in our database by matching teams
   for (const matchup of tournament.results[round]) {
-    // Skip if region doesn't match (except for Final Four/Championship)
-    if (round < 5 && matchup.region !== region) {
+    // Skip if region doesn't match (except for the First Four, Final Four and Championship)
+    if (round !== PLAY_IN_ROUND && round < 5 && matchup.region !== region) {
       continue;
     }
 
@@ -490,30 +534,16 @@ function mapNcaaGameToMatchupId(ncaaGame, tournament) {
     }
   }
 
-  // If no match found, try a more aggressive approach with a manual mapping table
-  return manualMatchupMapping(ncaaGame, tournament, round);
+  // No match - the caller queues the game for an admin to resolve
+  return null;
 }
 
 /**
- * Clean team name to standardize format
+ * Clean team name to standardize format, resolving known aliases to our name
  */
 function cleanTeamName(name) {
-  // Handle specific team name transformations
-  // Examples: "St. John's (NY)" -> "St. John's", "NC-Wilmington" -> "NC Wilmington"
-
-  // Remove parentheses and contents
-  name = name.replace(/\s*\([^)]*\)/g, "");
-
-  // Remove "University", "State University", etc.
-  name = name.replace(/\s*University\s*/g, "");
-
-  // Standardize St./Saint
-  name = name.replace(/^Saint\s+/i, "St. ");
-
-  // Replace hyphens with spaces
-  name = name.replace(/-/g, " ");
-
-  return name.trim();
+  const standardized = standardizeTeamName(name);
+  return teamAliases[standardized.toLowerCase()] || standardized;
 }
 
 /**
@@ -525,31 +555,9 @@ function matchTeamNames(ourName, ncaaName) {
   const our = cleanTeamName(ourName).toLowerCase();
   const ncaa = cleanTeamName(ncaaName).toLowerCase();
 
-  // Direct match
+  // Direct match (aliases have already been resolved by cleanTeamName)
   if (our === ncaa) return true;
 
-  // Common abbreviated teams
-  const aliases = {
-    uconn: ["connecticut"],
-    "nc wilmington": ["unc wilmington", "unc-wilmington"],
-    "texas a&m": ["texas a m", "tx a&m"],
-    "siu edwardsville": ["siue"],
-    mississippi: ["ole miss"],
-    "st mary's": ["saint mary's"],
-    "a&m": ["a m"],
-    "st. john's": ["st johns", "saint johns"],
-  };
-
-  // Check aliases
-  for (const [alias, variants] of Object.entries(aliases)) {
-    if (
-      (our.includes(alias) && variants.some((v) => ncaa.includes(v))) ||
-      (variants.some((v) => our.includes(v)) && ncaa.includes(alias))
-    ) {
-      return true;
-    }
-  }
-
   // Handle challenging cases with a more fuzzy matching approach
   // Get the first word of each name (often the most distinctive part)
   const ourFirstWord = our.split(" ")[0];
@@ -567,49 +575,64 @@ function matchTeamNames(ourName, ncaaName) {
 }
 
 /**
- * Manual mapping for hard-to-match teams
+ * Check whether a provider team is our teamA in a game
+ * Falls back to seeds when the name matches neither team, as with games an
+ * admin resolved by hand because their names couldn't be matched
  */
-function manualMatchupMapping(ncaaGame, tournament, round) {
-  // Check for specific edge cases that might need direct mapping
-  const teamPair = `${ncaaGame.away.names.short}-${ncaaGame.home.names.short}`;
-  const reversePair = `${ncaaGame.home.names.short}-${ncaaGame.away.names.short}`;
-
-  // This would be populated with specific mappings based on issues encountered
-  const manualMappings = {
-    // Add mappings for problematic teams here
-    "UConn-Florida": 36,
-    "Florida-UConn": 36,
-    "Baylor-Duke": 40,
-    "Duke-Baylor": 40,
-    "Saint Mary's (CA)-Alabama": 43,
-    "Alabama-Saint Mary's (CA)": 43,
-    "Colorado St.-Maryland": 37,
-    "Maryland-Colorado St.": 37,
-    "Ole Miss-Iowa St.": 34,
-    "Iowa St.-Ole Miss": 34,
-    "New Mexico-Michigan St.": 35,
-    "Michigan St.-New Mexico": 35,
-    "Oregon-Arizona": 41,
-    "Arizona-Oregon": 41,
-    "Illinois-Kentucky": 46,
-    "Kentucky-Illinois": 46,
+function isTeamA(ourGame, providerTeam) {
+  if (matchTeamNames(ourGame.teamA.name, providerTeam.name)) return true;
+  if (matchTeamNames(ourGame.teamB.name, providerTeam.name)) return false;
+  return !!providerTeam.seed && ourGame.teamA.seed === providerTeam.seed;
+}
+
+/**
+ * Copy a provider game's in-progress state onto our game
+ * Games already completed in our database are left alone, so a late or
+ * stale feed can't reopen them
+ * @returns {Boolean} Whether anything changed
+ */
+function recordLiveGameState(game, matchupId, tournament, now = new Date()) {
+  const ourGame = tournament.games.find((g) => g.matchupId === matchupId);
+  if (!ourGame || ourGame.completed || !ourGame.teamA || !ourGame.teamB) {
+    return false;
+  }
+
+  const isLive = game.status === "live";
+  const awayIsTeamA = isTeamA(ourGame, game.away);
+  const teamAScore = awayIsTeamA ? game.away.score : game.home.score;
+  const teamBScore = awayIsTeamA ? game.home.score : game.away.score;
+
+  const liveState = {
+    status: isLive ? "live" : "scheduled",
+    period: isLive ? game.period || null : null,
+    clock: isLive ? game.clock || null : null,
+    startTime: game.startTime ? new Date(game.startTime) : ourGame.startTime || null,
+    network: game.network || ourGame.network || null,
+    score: isLive
+      ? { teamA: teamAScore ?? 0, teamB: teamBScore ?? 0 }
+      : ourGame.score,
   };
 
-  // Check manual mappings first
-  if (manualMappings[teamPair]) return manualMappings[teamPair];
-  if (manualMappings[reversePair]) return manualMappings[reversePair];
+  const unchanged =
+    ourGame.status === liveState.status &&
+    (ourGame.period || null) === liveState.period &&
+    (ourGame.clock || null) === liveState.clock &&
+    (ourGame.network || null) === liveState.network &&
+    (ourGame.startTime ? ourGame.startTime.getTime() : null) ===
+      (liveState.startTime ? liveState.startTime.getTime() : null) &&
+    ourGame.score?.teamA === liveState.score?.teamA &&
+    ourGame.score?.teamB === liveState.score?.teamB;
 
-  // If no manual mapping, log the issue for later resolution
-  console.log(
-    `Manual mapping needed for game: ${teamPair} (Round ${round}, Region ${ncaaGame.bracketRegion})`
-  );
-  return null;
+  if (unchanged) return false;
+
+  Object.assign(ourGame, liveState, { liveUpdatedAt: now });
+  return true;
 }
 
 /**
  * Update a specific game in the database
  */
-async function updateGameInDatabase(ncaaGame, matchupId, tournament) {
+async function updateGameInDatabase(game, matchupId, tournament, now = new Date()) {
   try {
     // Find the game in our database
     const gameIndex = tournament.games.findIndex(
@@ -626,11 +649,11 @@ async function updateGameInDatabase(ncaaGame, matchupId, tournament) {
     // Skip if the game is already marked as completed with same winner
     if (tournament.games[gameIndex].completed) {
       const existingWinner = tournament.games[gameIndex].winner?.name;
-      const ncaaWinner = ncaaGame.away.winner
-        ? ncaaGame.away.names.short
-        : ncaaGame.home.names.short;
+      const providerWinner = game.away.winner
+        ? game.away.name
+        : game.home.name;
 
-      if (matchTeamNames(existingWinner, ncaaWinner)) {
+      if (matchTeamNames(existingWinner, providerWinner)) {
         console.log(`Game ${matchupId} already updated with same winner`);
         return false;
       }
@@ -639,32 +662,32 @@ async function updateGameInDatabase(ncaaGame, matchupId, tournament) {
     // Get current game object
     const currentGame = tournament.games[gameIndex];
 
-    // Determine winner based on NCAA data
+    // Determine winner based on the provider's data
     let winner;
-    if (ncaaGame.away.winner) {
+    if (game.away.winner) {
       // Away team won, match to our teamA or teamB
-      if (matchTeamNames(currentGame.teamA.name, ncaaGame.away.names.short)) {
+      if (isTeamA(currentGame, game.away)) {
         winner = { ...currentGame.teamA };
       } else {
         winner = { ...currentGame.teamB };
       }
-    } else if (ncaaGame.home.winner) {
+    } else if (game.home.winner) {
       // Home team won, match to our teamA or teamB
-      if (matchTeamNames(currentGame.teamA.name, ncaaGame.home.names.short)) {
+      if (isTeamA(currentGame, game.home)) {
         winner = { ...currentGame.teamA };
       } else {
         winner = { ...currentGame.teamB };
       }
     } else {
       // If neither team is marked as winner but game is final, determine by score
-      if (parseInt(ncaaGame.away.score) > parseInt(ncaaGame.home.score)) {
-        if (matchTeamNames(currentGame.teamA.name, ncaaGame.away.names.short)) {
+      if (game.away.score > game.home.score) {
+        if (isTeamA(currentGame, game.away)) {
           winner = { ...currentGame.teamA };
         } else {
           winner = { ...currentGame.teamB };
         }
       } else {
-        if (matchTeamNames(currentGame.teamA.name, ncaaGame.home.names.short)) {
+        if (isTeamA(currentGame, game.home)) {
           winner = { ...currentGame.teamA };
         } else {
           winner = { ...currentGame.teamB };
@@ -679,18 +702,41 @@ async function updateGameInDatabase(ncaaGame, matchupId, tournament) {
 
     // Map the scores correctly
     let scoreA, scoreB;
-    if (matchTeamNames(currentGame.teamA.name, ncaaGame.away.names.short)) {
-      scoreA = parseInt(ncaaGame.away.score);
-      scoreB = parseInt(ncaaGame.home.score);
+    if (isTeamA(currentGame, game.away)) {
+      scoreA = game.away.score;
+      scoreB = game.home.score;
     } else {
-      scoreA = parseInt(ncaaGame.home.score);
-      scoreB = parseInt(ncaaGame.away.score);
+      scoreA = game.home.score;
+      scoreB = game.away.score;
+    }
+
+    // The feed disagrees with a result we already recorded - correct it,
+    // unwinding everything built on the old winner
+    if (currentGame.completed) {
+      const correction = await applyResultCorrection(
+        tournament,
+        matchupId,
+        winner,
+        { score: { teamA: scoreA, teamB: scoreB }, now }
+      );
+      if (correction.error) {
+        console.log(`Could not correct game ${matchupId}: ${correction.error}`);
+        return false;
+      }
+
+      console.log(
+        `Corrected game ${matchupId}: winner ${correction.previousWinner.name} -> ${correction.winner.name}, ` +
+          `${correction.matchups.length} later matchups and ${correction.brackets.length} bracket scores changed`
+      );
+      return true;
     }
 
     // Update the game in our database
     tournament.games[gameIndex].winner = winner;
     tournament.games[gameIndex].completed = true;
-    tournament.games[gameIndex].playedAt = new Date();
+    tournament.games[gameIndex].status = "final";
+    tournament.games[gameIndex].clock = null;
+    tournament.games[gameIndex].playedAt = now;
     tournament.games[gameIndex].score = {
       teamA: scoreA,
       teamB: scoreB,
@@ -698,6 +744,8 @@ async function updateGameInDatabase(ncaaGame, matchupId, tournament) {
 
     // Update the tournament results bracket structure too
     let matchupUpdated = false;
+    let matchupRound = null;
+    let replacedByPlayInWinner = null;
     for (const round in tournament.results) {
       const matchupIndex = tournament.results[round].findIndex(
         (m) => m.id === matchupId
@@ -707,10 +755,18 @@ async function updateGameInDatabase(ncaaGame, matchupId, tournament) {
         // Update this matchup's winner
         tournament.results[round][matchupIndex].winner = winner;
         matchupUpdated = true;
+        matchupRound = parseInt(round);
 
         // Also update any subsequent rounds where this team appears
         const updatedMatchup = tournament.results[round][matchupIndex];
-        if (updatedMatchup.nextMatchupId !== null) {
+        if (matchupRound === PLAY_IN_ROUND) {
+          // Play-in winners replace a placeholder in their first round slot
+          replacedByPlayInWinner = advancePlayInWinner(
+            tournament,
+            updatedMatchup,
+            winner
+          );
+        } else if (updatedMatchup.nextMatchupId !== null) {
           // Determine if this team is teamA or teamB in the next matchup based on position
           const isTeamA = updatedMatchup.position % 2 === 0;
 
@@ -759,38 +815,14 @@ async function updateGameInDatabase(ncaaGame, matchupId, tournament) {
       tournament.teams[loser.name] = {
         ...tournament.teams[loser.name],
         eliminated: true,
-        eliminationRound: parseInt(
-          matchupId < 32
-            ? 1
-            : matchupId < 48
-            ? 2
-            : matchupId < 56
-            ? 3
-            : matchupId < 60
-            ? 4
-            : matchupId < 62
-            ? 5
-            : 6
-        ),
+        eliminationRound: matchupRound,
         eliminationMatchupId: matchupId,
       };
     } else {
       tournament.teams[loser.name] = {
         seed: loser.seed,
         eliminated: true,
-        eliminationRound: parseInt(
-          matchupId < 32
-            ? 1
-            : matchupId < 48
-            ? 2
-            : matchupId < 56
-            ? 3
-            : matchupId < 60
-            ? 4
-            : matchupId < 62
-            ? 5
-            : 6
-        ),
+        eliminationRound: matchupRound,
         eliminationMatchupId: matchupId,
       };
     }
@@ -811,12 +843,25 @@ async function updateGameInDatabase(ncaaGame, matchupId, tournament) {
     }
 
     // Save the tournament updates
-    tournament.lastUpdated = new Date();
+    tournament.lastUpdated = now;
     tournament.markModified("results");
     tournament.markModified("games");
     tournament.markModified("teams");
     await tournament.save();
 
+    if (replacedByPlayInWinner) {
+      const updatedBrackets = await applyPlayInWinnerToBrackets(
+        tournament.year,
+        replacedByPlayInWinner,
+        winner
+      );
+      console.log(
+        `Replaced ${replacedByPlayInWinner.name} with ${winner.name} in ${updatedBrackets} brackets`
+      );
+    }
+
+    publishGameUpdate(tournament.year, tournament.games[gameIndex]);
+
     console.log(
       `Successfully updated game ${matchupId}: ${currentGame.teamA.name} ${scoreA}-${scoreB} ${currentGame.teamB.name}. Winner: ${winner.name}`
     );
@@ -842,66 +887,106 @@ function checkIfRoundIsComplete(round, tournament) {
  */
 async function recalculateAllBracketScores(tournament) {
   try {
-    // Get all brackets
-    const brackets = await Bracket.find();
-    let updatedBrackets = 0;
+    // Get the season's submitted brackets, along with their pools' scoring rules
+    const brackets = await Bracket.find({
+      ...seasonFilter(tournament.year),
+      ...submittedFilter(),
+    });
+    const poolsById = await loadPoolsById();
+    const rescored = [];
 
     console.log(`Recalculating scores for ${brackets.length} brackets...`);
 
     for (const bracket of brackets) {
-      let score = 0;
-
-      // Process each round
-      for (let round = 1; round <= 6; round++) {
-        // Get matchups for this round from tournament results
-        const tournamentMatchups = tournament.results[round];
-
-        // Get matchups for this round from bracket
-        const bracketMatchups = bracket.picks[round];
-
-        if (!tournamentMatchups || !bracketMatchups) continue;
-
-        // Check each matchup in the round
-        for (const tournamentMatchup of tournamentMatchups) {
-          // Skip if tournament matchup doesn't have a winner yet
-          if (!tournamentMatchup.winner) continue;
-
-          // Find corresponding bracket matchup
-          const bracketMatchup = bracketMatchups.find(
-            (m) => m.id === tournamentMatchup.id
-          );
-
-          if (!bracketMatchup || !bracketMatchup.winner) {
-            continue;
-          }
-
-          // Check if the winner matches
-          if (
-            bracketMatchup.winner.name === tournamentMatchup.winner.name &&
-            bracketMatchup.winner.seed === tournamentMatchup.winner.seed
-          ) {
-            // Add points based on the round
-            score += tournament.scoringConfig[round];
-          }
-        }
-      }
+      const scoringRules = getScoringRules(
+        tournament,
+        getBracketPool(bracket, poolsById)
+      );
+      const score = calculateBracketScore(
+        bracket,
+        tournament.results,
+        scoringRules
+      );
 
       // Only update if the score changed
       if (score !== bracket.score) {
         bracket.score = score;
         await bracket.save();
-        updatedBrackets++;
+        rescored.push(bracket);
       }
     }
 
-    console.log(`Updated scores for ${updatedBrackets} brackets`);
-    return updatedBrackets;
+    publishBracketScores(tournament.year, rescored);
+
+    console.log(`Updated scores for ${rescored.length} brackets`);
+    return rescored.length;
   } catch (error) {
     console.error("Error recalculating bracket scores:", error);
     return 0;
   }
 }
 
+/**
+ * Apply a queued game once an admin has resolved it to a matchup, then rescore brackets
+ * Later update runs pick the resolution up by game ID, so this only has to run once
+ * @param {Object} unmappedGame - UnmappedGame document with a matchupId
+ * @param {Date} now - Time the game is applied at
+ */
+async function applyResolvedGame(unmappedGame, now = new Date()) {
+  try {
+    const tournament = await TournamentResults.findOne({
+      year: unmappedGame.year,
+    });
+
+    if (!tournament) {
+      return { status: "error", error: "No tournament found in database" };
+    }
+
+    if (unmappedGame.game.status !== "final") {
+      return { status: "no_updates", message: "Game is not final yet" };
+    }
+
+    teamAliases = await loadTeamAliases();
+    const updated = await updateGameInDatabase(
+      unmappedGame.game,
+      unmappedGame.matchupId,
+      tournament,
+      now
+    );
+
+    if (!updated) {
+      return { status: "no_updates", message: "Game was already up to date" };
+    }
+
+    // Mark the matchup's round complete if this was its last game
+    const round = Object.keys(tournament.results).find((r) =>
+      tournament.results[r].some((m) => m.id === unmappedGame.matchupId)
+    );
+    const completedRounds = tournament.completedRounds || [];
+    if (
+      round &&
+      !completedRounds.includes(parseInt(round)) &&
+      checkIfRoundIsComplete(round, tournament)
+    ) {
+      tournament.completedRounds = [...completedRounds, parseInt(round)].sort(
+        (a, b) => a - b
+      );
+      tournament.markModified("completedRounds");
+      await tournament.save();
+    }
+
+    const updatedBrackets = await recalculateAllBracketScores(tournament);
+
+    return { status: "success", updated: 1, updatedBrackets };
+  } catch (error) {
+    console.error(
+      `Error applying resolved game ${unmappedGame.gameId}:`,
+      error
+    );
+    return { status: "error", error: error.message };
+  }
+}
+
 /**
  * Check if there was a recent update log
  */
@@ -1038,6 +1123,7 @@ module.exports = {
   checkRecentUpdateLog,
   areAllGamesCompleteForToday,
   markYesterdayAsComplete,
+  applyResolvedGame,
 };
 
 // Execute directly if called as a script
@@ -1045,7 +1131,7 @@ if (require.main === module) {
   updateTournamentResults()
     .then((result) => {
       console.log("NCAA tournament update completed:", result);
-      process.exit(0);
+      process.exit(result.status === "error" ? 1 : 0);
     })
     .catch((err) => {
       console.error("Error in tournament update:", err);
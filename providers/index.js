@@ -0,0 +1,66 @@
+/**
+ * Live score providers for the tournament updater
+ *
+ * A provider is an object with a `name` and an async `fetchGames(date)` that
+ * returns every game on that day in the normalized shape below. The updater
+ * only ever sees normalized games, so a feed changing shape means fixing its
+ * provider rather than the update pipeline.
+ *
+ * Normalized game:
+ *   {
+ *     gameId: '6309473',
+ *     roundName: 'Sweet 16',      // null for games that aren't in the tournament
+ *     round: 3,                   // our round number, null if it can't be mapped
+ *     region: 'East',
+ *     status: 'live',             // 'scheduled', 'live' or 'final'
+ *     period: '2nd',              // current period, null before tip-off
+ *     clock: '12:41',             // game clock in the current period, null if unknown
+ *     startTime: '2025-03-27T23:09:00.000Z', // tip time, null if not announced
+ *     network: 'CBS',             // TV network, null if unknown
+ *     away: { name: 'Duke', seed: 1, score: 52, winner: false },
+ *     home: { name: 'Arizona', seed: 4, score: 47, winner: false }
+ *   }
+ *
+ * The provider is chosen with SCORE_PROVIDER ('ncaa' by default, or 'file'
+ * with SCORE_PROVIDER_PATH pointing at a JSON file or directory).
+ */
+
+const { createNcaaScoreboardProvider } = require('./ncaaScoreboard');
+const { createLocalFileProvider } = require('./localFile');
+
+const PROVIDERS = {
+  ncaa: createNcaaScoreboardProvider,
+  file: createLocalFileProvider
+};
+
+const DEFAULT_PROVIDER = 'ncaa';
+
+/**
+ * Check whether a provider name is one the updater knows
+ * @param {string} name - Provider name
+ * @returns {Boolean}
+ */
+const isValidProvider = (name) => Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+
+/**
+ * Create a score provider
+ * @param {string} name - Provider name (defaults to SCORE_PROVIDER, then 'ncaa')
+ * @param {Object} options - Provider options (the file provider's path defaults to SCORE_PROVIDER_PATH)
+ * @returns {Object} Score provider
+ */
+const getScoreProvider = (name = process.env.SCORE_PROVIDER || DEFAULT_PROVIDER, options = {}) => {
+  if (!isValidProvider(name)) {
+    throw new Error(`Unknown score provider: ${name}`);
+  }
+
+  return PROVIDERS[name]({
+    path: process.env.SCORE_PROVIDER_PATH,
+    ...options
+  });
+};
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  isValidProvider,
+  getScoreProvider
+};
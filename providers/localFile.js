@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { parseScoreboard } = require('./ncaaScoreboard');
+
+/**
+ * Format a date as a per-day file name (YYYY-MM-DD.json)
+ * @param {Date} date
+ * @returns {string}
+ */
+const dayFileName = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}.json`;
+
+/**
+ * Turn the contents of a local scores file into normalized games
+ * Files can hold a captured NCAA scoreboard payload, a list of normalized
+ * games, or { games: [...] } with normalized games
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {Array} Normalized games
+ */
+const parseScoresFile = (data) => {
+  const games = Array.isArray(data) ? data : (data && data.games) || [];
+
+  // NCAA payloads wrap each game as { game: {...} }
+  if (games.length > 0 && games[0].game) {
+    return parseScoreboard({ games });
+  }
+
+  return games;
+};
+
+/**
+ * Score provider that reads games from JSON on disk
+ * `sourcePath` is either one file used for every date, or a directory of
+ * per-day files named YYYY-MM-DD.json
+ * @param {Object} options
+ * @param {string} options.path - File or directory to read
+ * @returns {Object} Score provider
+ */
+const createLocalFileProvider = ({ path: sourcePath } = {}) => {
+  if (!sourcePath) {
+    throw new Error('The local file score provider needs a path (SCORE_PROVIDER_PATH)');
+  }
+
+  return {
+    name: 'file',
+
+    async fetchGames(date) {
+      let file = path.resolve(sourcePath);
+
+      try {
+        if ((await fs.promises.stat(file)).isDirectory()) {
+          file = path.join(file, dayFileName(date));
+        }
+
+        console.log(`Reading scores from: ${file}`);
+        const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        return parseScoresFile(data);
+      } catch (error) {
+        console.error(`Error reading scores from ${file}:`, error.message);
+        return [];
+      }
+    }
+  };
+};
+
+module.exports = {
+  createLocalFileProvider,
+  parseScoresFile
+};
@@ -0,0 +1,128 @@
+const axios = require('axios');
+
+// NCAA API endpoint format
+const NCAA_API_BASE = 'https://data.ncaa.com/casablanca/scoreboard/basketball-men/d1';
+
+// NCAA bracket round names to our round numbers
+const ROUND_NUMBERS = {
+  'First Four': 0,
+  'First Round': 1,
+  'Second Round': 2,
+  'Sweet 16': 3,
+  'Elite Eight': 4,
+  'Final Four': 5,
+  Championship: 6
+};
+
+// NCAA region names to ours, for any inconsistencies between the two
+const REGION_NAMES = {
+  East: 'East',
+  West: 'West',
+  South: 'South',
+  Midwest: 'Midwest',
+  'Final Four': 'Final Four',
+  Championship: 'Championship'
+};
+
+// NCAA gameState values to normalized game statuses
+const GAME_STATUSES = {
+  pre: 'scheduled',
+  live: 'live',
+  final: 'final'
+};
+
+/**
+ * Map an NCAA bracket round name to our round number
+ * @param {string} roundName - e.g. 'Sweet 16'
+ * @returns {Number|null}
+ */
+const mapRoundNameToNumber = (roundName) => ROUND_NUMBERS[roundName] ?? null;
+
+const parseScore = (score) => {
+  const value = parseInt(score);
+  return isNaN(value) ? null : value;
+};
+
+/**
+ * Convert the feed's tip time (seconds since the epoch, as a string) to an ISO date
+ * @param {string} epoch - e.g. '1742493600'
+ * @returns {string|null}
+ */
+const parseStartTime = (epoch) => {
+  const seconds = parseInt(epoch);
+  return isNaN(seconds) || seconds <= 0 ? null : new Date(seconds * 1000).toISOString();
+};
+
+const normalizeTeam = (team) => ({
+  name: team.names.short,
+  seed: parseInt(team.seed) || null,
+  score: parseScore(team.score),
+  winner: !!team.winner
+});
+
+/**
+ * Convert a game from the NCAA scoreboard feed to the normalized game shape
+ * @param {Object} game - NCAA scoreboard game
+ * @returns {Object} Normalized game (see providers/index.js)
+ */
+const normalizeGame = (game) => ({
+  gameId: String(game.gameID),
+  roundName: game.bracketRound || null,
+  round: mapRoundNameToNumber(game.bracketRound),
+  region: REGION_NAMES[game.bracketRegion] || game.bracketRegion || null,
+  status: GAME_STATUSES[game.gameState] || 'scheduled',
+  period: game.currentPeriod || null,
+  clock: game.contestClock || null,
+  startTime: parseStartTime(game.startTimeEpoch),
+  network: game.network || null,
+  away: normalizeTeam(game.away),
+  home: normalizeTeam(game.home)
+});
+
+/**
+ * Pull the normalized games out of an NCAA scoreboard payload
+ * @param {Object} data - Scoreboard JSON ({ games: [{ game }] })
+ * @returns {Array} Normalized games
+ */
+const parseScoreboard = (data) => {
+  if (!data || !Array.isArray(data.games)) return [];
+  return data.games.map(gameWrapper => normalizeGame(gameWrapper.game));
+};
+
+/**
+ * Format a date the way scoreboard URLs expect (YYYY/MM/DD)
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatScoreboardDate = (date) =>
+  `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Score provider backed by the live NCAA scoreboard feed
+ * @param {Object} options
+ * @param {string} options.baseUrl - Scoreboard base URL (defaults to data.ncaa.com)
+ * @returns {Object} Score provider
+ */
+const createNcaaScoreboardProvider = ({ baseUrl = NCAA_API_BASE } = {}) => ({
+  name: 'ncaa',
+
+  async fetchGames(date) {
+    const url = `${baseUrl}/${formatScoreboardDate(date)}/scoreboard.json`;
+
+    try {
+      console.log(`Fetching NCAA data from: ${url}`);
+      const response = await axios.get(url);
+      return parseScoreboard(response.data);
+    } catch (error) {
+      console.error(`Error fetching NCAA results from ${url}:`, error.message);
+      return [];
+    }
+  }
+});
+
+module.exports = {
+  createNcaaScoreboardProvider,
+  mapRoundNameToNumber,
+  normalizeGame,
+  parseScoreboard
+};
@@ -0,0 +1,227 @@
+/**
+ * Tournament Replay
+ *
+ * Rehearses the live updater offline. Reads a directory of captured
+ * scoreboard JSON files named by the local date and time they were captured
+ * (e.g. 2025-03-20T14-15.json), then runs the full update, logging and
+ * scoring pipeline once per file, in time order, with the clock set to that
+ * file's time. Files can hold a raw NCAA scoreboard payload or normalized
+ * games (see providers/).
+ *
+ * Everything runs against a scratch database, never MONGO_URI. Passing a seed
+ * file wipes the scratch database first and loads the tournament, pools and
+ * brackets to replay against.
+ *
+ * Usage:
+ *   node replay-tournament.js --fixtures=./fixtures/2025-first-weekend --db=mongodb://localhost/bracket-replay
+ *
+ * Options:
+ *   --fixtures=./path/to/dir   (Directory of captured scoreboard files, required)
+ *   --db=<uri>                 (Scratch database; default REPLAY_MONGO_URI)
+ *   --seed=./path/to/seed.json (Reset the scratch database and load { tournament, pools, brackets })
+ *   --year=<year>              (Season to replay; default the first fixture's year)
+ *
+ * Exits with status 1 if any update step ends in an error.
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const TournamentResults = require('./models/TournamentResults');
+const Bracket = require('./models/Bracket');
+const Pool = require('./models/Pool');
+const SeasonSettings = require('./models/SeasonSettings');
+const { createLocalFileProvider } = require('./providers/localFile');
+
+// 2025-03-20T14-15.json, 2025-03-20T1415.json or 2025-03-20T14-15-30.json
+const FIXTURE_NAME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2})-?(\d{2})(?:-?(\d{2}))?\.json$/;
+
+/**
+ * List the fixture files in a directory with the time each was captured, oldest first
+ * @param {string} dir - Fixtures directory
+ * @returns {Promise<Array>} [{ file, time }]
+ */
+async function loadFixtures(dir) {
+  const fixtures = [];
+
+  for (const name of await fs.readdir(dir)) {
+    const match = name.match(FIXTURE_NAME);
+    if (!match) {
+      console.log(`Skipping ${name} (not named YYYY-MM-DDTHH-mm.json)`);
+      continue;
+    }
+
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    fixtures.push({
+      file: path.join(dir, name),
+      time: new Date(year, month - 1, day, hour, minute, second || 0)
+    });
+  }
+
+  return fixtures.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Wipe the scratch database and load a seed file into it
+ * @param {string} file - Seed JSON with { tournament, pools, brackets }
+ */
+async function seedDatabase(file) {
+  const seed = JSON.parse(await fs.readFile(file, 'utf8'));
+
+  await mongoose.connection.dropDatabase();
+
+  if (seed.pools && seed.pools.length > 0) {
+    await Pool.insertMany(seed.pools);
+  }
+  if (seed.tournament) {
+    await new TournamentResults(seed.tournament).save();
+  }
+  if (seed.brackets && seed.brackets.length > 0) {
+    await Bracket.insertMany(seed.brackets);
+  }
+
+  console.log(
+    `Seeded scratch database: ${seed.tournament ? 1 : 0} tournament, ` +
+    `${(seed.pools || []).length} pools, ${(seed.brackets || []).length} brackets`
+  );
+}
+
+/**
+ * Run the update pipeline once per fixture, in order, with the clock set to
+ * each fixture's time
+ * The updater connects to MONGO_URI when it's loaded, so it's only loaded
+ * here, once the caller has pointed MONGO_URI at the scratch database
+ * @param {Array} fixtures - [{ file, time }] from loadFixtures
+ * @param {Object} options
+ * @param {Function} options.onStep - Called with ({ file, time }, result) after each update
+ * @returns {Promise<Object>} { results, errors } with each update's result
+ */
+async function replayFixtures(fixtures, { onStep } = {}) {
+  const { updateTournamentResults } = require('./ncaa-tournament-updater');
+
+  const results = [];
+  let errors = 0;
+  for (const fixture of fixtures) {
+    const result = await updateTournamentResults(false, {
+      provider: createLocalFileProvider({ path: fixture.file }),
+      now: fixture.time
+    });
+
+    if (result.status === 'error') errors++;
+    results.push(result);
+    if (onStep) onStep(fixture, result);
+  }
+
+  return { results, errors };
+}
+
+async function printSummary(year) {
+  const tournament = await TournamentResults.findOne({ year });
+  if (!tournament) return;
+
+  const completedGames = tournament.games.filter(game => game.completed).length;
+  console.log(`\nReplay Summary (${year}):`);
+  console.log(`- Completed games: ${completedGames} of ${tournament.games.length}`);
+  console.log(`- Completed rounds: ${(tournament.completedRounds || []).join(', ') || 'none'}`);
+
+  const leaders = await Bracket.find({ year })
+    .sort({ score: -1 })
+    .limit(10);
+
+  if (leaders.length > 0) {
+    console.log('- Leaders:');
+    leaders.forEach((bracket, index) => {
+      console.log(`  ${index + 1}. ${bracket.participantName} (${bracket.score})`);
+    });
+  }
+}
+
+async function run(options) {
+  await connectDB();
+
+  try {
+    const fixtures = await loadFixtures(path.resolve(process.cwd(), options.fixtures));
+    if (fixtures.length === 0) {
+      throw new Error(`No fixture files found in ${options.fixtures}`);
+    }
+
+    if (options.seed) {
+      await seedDatabase(path.resolve(process.cwd(), options.seed));
+    }
+
+    const year = options.year ? parseInt(options.year) : fixtures[0].time.getFullYear();
+    await SeasonSettings.findOneAndUpdate(
+      {},
+      { activeYear: year, lastUpdated: new Date() },
+      { upsert: true }
+    );
+
+    console.log(`Replaying ${fixtures.length} snapshots for the ${year} season\n`);
+
+    const { errors } = await replayFixtures(fixtures, {
+      onStep: ({ file, time }, result) => {
+        const detail = result.error || result.message ||
+          `${result.updated} updated, ${result.completedGames} of ${result.totalGames} complete`;
+        console.log(`[${time.toLocaleString()}] ${path.basename(file)}: ${result.status} - ${detail}`);
+      }
+    });
+
+    await printSummary(year);
+
+    if (errors > 0) {
+      throw new Error(`${errors} update steps ended in an error`);
+    }
+
+    console.log('\nReplay complete!');
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+module.exports = {
+  loadFixtures,
+  replayFixtures
+};
+
+// Execute directly if called as a script
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const options = {};
+
+  args.forEach(arg => {
+    const [key, value] = arg.split('=');
+    if (key.startsWith('--')) {
+      options[key.slice(2)] = value || true;
+    }
+  });
+
+  const scratchUri = options.db || process.env.REPLAY_MONGO_URI;
+
+  if (!options.fixtures) {
+    console.error('A fixtures directory is required (--fixtures=./path/to/dir)');
+    process.exit(1);
+  }
+
+  if (!scratchUri) {
+    console.error('A scratch database is required (--db=<uri> or REPLAY_MONGO_URI)');
+    process.exit(1);
+  }
+
+  if (scratchUri === process.env.MONGO_URI) {
+    console.error('The scratch database must not be the live database (MONGO_URI)');
+    process.exit(1);
+  }
+
+  // The updater connects when it's loaded, so point it at the scratch database first
+  process.env.MONGO_URI = scratchUri;
+
+  run(options)
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Error running replay:', err.message);
+      process.exit(1);
+    });
+}
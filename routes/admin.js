@@ -1,13 +1,42 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 const User = require('../models/User');
 const Bracket = require('../models/Bracket');
+const SeasonSettings = require('../models/SeasonSettings');
+const AuditEvent = require('../models/AuditEvent');
+const { poolFilter, resolveRequestPool } = require('../utils/pools');
+const { getActiveSeason, parseSeason, seasonFilter } = require('../utils/season');
+const { recordAuditEvent } = require('../utils/audit');
 const { Parser } = require('json2csv');
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Build the bracket filter for admin listings from ?poolId= and ?year=
+ * Returns { filter } or { status, msg } when a parameter is invalid
+ */
+const buildBracketFilter = async (req) => {
+  const { poolId, notFound } = await resolveRequestPool(req);
+  if (notFound) {
+    return { status: 404, msg: 'Pool not found' };
+  }
+
+  const filter = req.query.poolId ? poolFilter(poolId) : {};
+
+  if (req.query.year !== undefined) {
+    const year = parseSeason(req.query.year);
+    if (!year) {
+      return { status: 400, msg: 'Invalid year' };
+    }
+    Object.assign(filter, seasonFilter(year));
+  }
+
+  return { filter };
+};
+
 // @route   GET api/admin/users
 // @desc    Get all users with bracket counts
 // @access  Private (admin only)
@@ -88,11 +117,16 @@ router.get('/users/:id/brackets', [auth, admin], async (req, res) => {
 });
 
 // @route   GET api/admin/brackets
-// @desc    Get all brackets
+// @desc    Get all brackets (optionally only those in ?poolId= and/or ?year=)
 // @access  Private (admin only)
 router.get('/brackets', [auth, admin], async (req, res) => {
   try {
-    const brackets = await Bracket.find().sort({ createdAt: -1 });
+    const { filter, status, msg } = await buildBracketFilter(req);
+    if (!filter) {
+      return res.status(status).json({ msg });
+    }
+
+    const brackets = await Bracket.find(filter).sort({ createdAt: -1 });
     res.json(brackets);
   } catch (err) {
     console.error(err.message);
@@ -101,10 +135,16 @@ router.get('/brackets', [auth, admin], async (req, res) => {
 });
 
 // @route   GET api/admin/brackets/export/csv
-// @desc    Export all brackets as CSV
+// @desc    Export all brackets as CSV (optionally only those in ?poolId= and/or ?year=)
 // @access  Private (admin only)
 router.get('/brackets/export/csv', [auth, admin], async (req, res) => {
   try {
+    // Scope to a pool and/or season when ?poolId= or ?year= is given
+    const { filter, status, msg } = await buildBracketFilter(req);
+    if (!filter) {
+      return res.status(status).json({ msg });
+    }
+
     let brackets;
     
     if (req.query.userId) {
@@ -112,9 +152,9 @@ router.get('/brackets/export/csv', [auth, admin], async (req, res) => {
       if (!user) {
         return res.status(404).json({ msg: 'User not found' });
       }
-      brackets = await Bracket.find({ userEmail: user.email });
+      brackets = await Bracket.find({ ...filter, userEmail: user.email });
     } else {
-      brackets = await Bracket.find();
+      brackets = await Bracket.find(filter);
     }
     
     // Prepare data for CSV
@@ -139,10 +179,13 @@ router.get('/brackets/export/csv', [auth, admin], async (req, res) => {
         participantName: bracket.participantName,
         entryNumber: bracket.entryNumber || 1,
         userEmail: bracket.userEmail,
+        year: bracket.year || '',
+        pool: bracket.pool ? bracket.pool.toString() : '',
         contact: bracket.contact || '',
         createdAt: new Date(bracket.createdAt).toLocaleString(),
         isLocked: bracket.isLocked ? 'Yes' : 'No',
         score: bracket.score,
+        tiebreaker: bracket.tiebreaker === null || bracket.tiebreaker === undefined ? '' : bracket.tiebreaker,
         champion,
         finalFourTeams,
         editLink: `${process.env.FRONTEND_URL}/bracket/edit/${bracket._id}?token=${bracket.editToken}`,
@@ -156,10 +199,13 @@ router.get('/brackets/export/csv', [auth, admin], async (req, res) => {
       'participantName',
       'entryNumber',
       'userEmail',
+      'year',
+      'pool',
       'contact',
       'createdAt',
       'isLocked',
       'score',
+      'tiebreaker',
       'champion',
       'finalFourTeams',
       'editLink',
@@ -182,10 +228,16 @@ router.get('/brackets/export/csv', [auth, admin], async (req, res) => {
 });
 
 // @route   GET api/admin/brackets/export/json
-// @desc    Export all brackets as JSON
+// @desc    Export all brackets as JSON (optionally only those in ?poolId= and/or ?year=)
 // @access  Private (admin only)
 router.get('/brackets/export/json', [auth, admin], async (req, res) => {
   try {
+    // Scope to a pool and/or season when ?poolId= or ?year= is given
+    const { filter, status, msg } = await buildBracketFilter(req);
+    if (!filter) {
+      return res.status(status).json({ msg });
+    }
+
     let brackets;
     
     if (req.query.userId) {
@@ -193,9 +245,9 @@ router.get('/brackets/export/json', [auth, admin], async (req, res) => {
       if (!user) {
         return res.status(404).json({ msg: 'User not found' });
       }
-      brackets = await Bracket.find({ userEmail: user.email });
+      brackets = await Bracket.find({ ...filter, userEmail: user.email });
     } else {
-      brackets = await Bracket.find();
+      brackets = await Bracket.find(filter);
     }
     
     // Set headers for JSON download
@@ -226,8 +278,17 @@ router.put('/brackets/:id/score', [auth, admin], async (req, res) => {
       return res.status(404).json({ msg: 'Bracket not found' });
     }
     
+    const previousScore = bracket.score;
     bracket.score = score;
     await bracket.save();
+
+    await recordAuditEvent(req, {
+      action: 'bracket.score.update',
+      targetType: 'Bracket',
+      targetId: bracket._id,
+      before: { score: previousScore },
+      after: { score: bracket.score }
+    });
     
     res.json(bracket);
   } catch (err) {
@@ -239,4 +300,146 @@ router.put('/brackets/:id/score', [auth, admin], async (req, res) => {
   }
 });
 
+// @route   GET api/admin/season
+// @desc    Get the active season
+// @access  Private (admin only)
+router.get('/season', [auth, admin], async (req, res) => {
+  try {
+    const activeYear = await getActiveSeason();
+    const settings = await SeasonSettings.findOne({});
+
+    res.json({
+      activeYear,
+      isDefault: !settings,
+      maxEntriesPerEmail: settings ? settings.maxEntriesPerEmail : null,
+      lastUpdated: settings ? settings.lastUpdated : null
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/season
+// @desc    Set the active season (new brackets, updates and analyses use this year)
+// @access  Private (admin only)
+router.put('/season', [auth, admin], async (req, res) => {
+  const activeYear = parseSeason(req.body.activeYear);
+
+  if (!activeYear) {
+    return res.status(400).json({ msg: 'Valid activeYear is required' });
+  }
+
+  try {
+    let settings = await SeasonSettings.findOne({});
+    const previousYear = await getActiveSeason();
+
+    if (!settings) {
+      settings = new SeasonSettings({ activeYear });
+    } else {
+      settings.activeYear = activeYear;
+      settings.lastUpdated = Date.now();
+    }
+
+    await settings.save();
+
+    await recordAuditEvent(req, {
+      action: 'season.update',
+      targetType: 'SeasonSettings',
+      targetId: settings._id,
+      before: { activeYear: previousYear },
+      after: { activeYear }
+    });
+
+    res.json(settings);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/entry-limit
+// @desc    Set the most brackets one email can enter per season, across all pools (null = unlimited)
+// @access  Private (admin only)
+router.put('/entry-limit', [auth, admin], async (req, res) => {
+  const { maxEntriesPerEmail } = req.body;
+
+  if (maxEntriesPerEmail !== null && !(Number.isInteger(maxEntriesPerEmail) && maxEntriesPerEmail >= 1)) {
+    return res.status(400).json({ msg: 'maxEntriesPerEmail must be a positive whole number, or null for no limit' });
+  }
+
+  try {
+    let settings = await SeasonSettings.findOne({});
+    const previousLimit = settings ? settings.maxEntriesPerEmail : null;
+
+    if (!settings) {
+      settings = new SeasonSettings({ activeYear: await getActiveSeason() });
+    }
+    settings.maxEntriesPerEmail = maxEntriesPerEmail;
+    settings.lastUpdated = Date.now();
+
+    await settings.save();
+
+    await recordAuditEvent(req, {
+      action: 'season.entryLimit.update',
+      targetType: 'SeasonSettings',
+      targetId: settings._id,
+      before: { maxEntriesPerEmail: previousLimit },
+      after: { maxEntriesPerEmail }
+    });
+
+    res.json(settings);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/audit
+// @desc    Get audit log events, newest first. Filters: ?actor= (user ID or email),
+//          ?action= (exact, or a prefix ending in '.' such as 'bracket.'), ?from=, ?to=, ?limit=
+// @access  Private (admin only)
+router.get('/audit', [auth, admin], async (req, res) => {
+  try {
+    const { actor, action, from, to } = req.query;
+    const filter = {};
+
+    if (actor) {
+      if (mongoose.Types.ObjectId.isValid(actor)) {
+        filter.actor = actor;
+      } else {
+        filter.actorEmail = actor.trim().toLowerCase();
+      }
+    }
+
+    if (action) {
+      // A trailing '.' matches every action in that group
+      filter.action = action.endsWith('.')
+        ? { $regex: '^' + action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
+        : action;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+
+      if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ msg: 'Invalid date range' });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const events = await AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json(events);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,16 +1,53 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
-const jwt = require('jsonwebtoken');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const rateLimit = require('../middleware/rateLimit');
+const { requireVerifiedSession } = require('../middleware/authorize');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { sendMagicLink } = require('../utils/email');
+const { recordAuditEvent } = require('../utils/audit');
+const {
+  getMagicLinkTtlMs,
+  issueMagicLinkToken,
+  consumeMagicLinkToken
+} = require('../utils/authTokens');
+const {
+  createSession,
+  signSessionToken,
+  extendSession,
+  listActiveSessions,
+  revokeAllSessions
+} = require('../utils/sessions');
+
+// Sessions from check-create can't see or change the account's sign-ins or tokens
+const requireVerifiedAccount = requireVerifiedSession('manage your account');
+
+// Magic-link requests allowed per 15 minutes, per network and per address
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+const loginLimitByIp = rateLimit({
+  name: 'login-ip',
+  windowMs: LOGIN_WINDOW_MS,
+  max: parseInt(process.env.LOGIN_IP_LIMIT) || 20,
+  keyFor: req => req.ip,
+  message: 'Too many sign-in requests from this network. Please try again later.'
+});
+
+const loginLimitByEmail = rateLimit({
+  name: 'login-email',
+  windowMs: LOGIN_WINDOW_MS,
+  max: parseInt(process.env.LOGIN_EMAIL_LIMIT) || 5,
+  keyFor: req => (typeof req.body.email === 'string' && req.body.email.trim().toLowerCase()) || null,
+  message: 'Too many sign-in links requested for this email. Please try again later.'
+});
 
 // @route   POST api/auth/login
-// @desc    Login user & get token
+// @desc    Login user & get token (rate limited per IP and per email)
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', [loginLimitByIp, loginLimitByEmail], async (req, res) => {
   const { email } = req.body;
 
   if (!email) {
@@ -22,20 +59,19 @@ router.post('/login', async (req, res) => {
 
     if (!user) {
       // Create new user with magic link token
-      const authToken = uuidv4();
       const userToken = uuidv4();
       
       user = new User({
         email,
-        authToken,
         userToken,
         lastLoginAt: Date.now()
       });
+      issueMagicLinkToken(user);
 
       await user.save();
     } else {
       // Update existing user's token
-      user.authToken = uuidv4();
+      issueMagicLinkToken(user);
       user.lastLoginAt = Date.now();
       
       // Make sure user has a userToken (for older users)
@@ -51,7 +87,7 @@ router.post('/login', async (req, res) => {
     const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
     
     try {
-      await sendMagicLink(email, user.authToken, baseUrl);
+      await sendMagicLink(email, user.authToken, baseUrl, getMagicLinkTtlMs());
       
       // For development, we can still return the token in response
       if (process.env.NODE_ENV === 'development') {
@@ -81,7 +117,7 @@ router.post('/login', async (req, res) => {
 });
 
 // @route   GET api/auth/verify
-// @desc    Verify magic link token
+// @desc    Verify magic link token (each link signs in once, until it expires)
 // @access  Public
 router.get('/verify', async (req, res) => {
   const { token, email } = req.query;
@@ -91,30 +127,15 @@ router.get('/verify', async (req, res) => {
   }
 
   try {
-    const user = await User.findOne({ email, authToken: token });
+    const { user, error } = await consumeMagicLinkToken(email, token);
 
-    if (!user) {
-      return res.status(400).json({ msg: 'Invalid token' });
+    if (error) {
+      return res.status(400).json({ msg: error });
     }
 
-    // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role || 'user'
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' },
-      (err, jwtToken) => {
-        if (err) throw err;
-        res.json({ token: jwtToken });
-      }
-    );
+    // Start a session for this device and sign a token for it
+    const session = await createSession(user, req);
+    res.json({ token: signSessionToken(user, session) });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -126,7 +147,7 @@ router.get('/verify', async (req, res) => {
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-authToken');
+    const user = await User.findById(req.user.id).select('-authToken -authTokenIssuedAt');
     res.json(user);
   } catch (err) {
     console.error(err.message);
@@ -139,7 +160,8 @@ router.get('/me', auth, async (req, res) => {
 // @access  Private
 router.get('/is-admin', auth, async (req, res) => {
   try {
-    const isAdmin = req.user.role === 'admin';
+    // Matches the admin middleware, which doesn't accept check-create sessions
+    const isAdmin = req.user.role === 'admin' && req.emailVerified;
     res.json({ isAdmin });
   } catch (err) {
     console.error(err.message);
@@ -165,8 +187,17 @@ router.post('/make-admin', [auth, admin], async (req, res) => {
     }
     
     // Set user role to admin
+    const previousRole = user.role;
     user.role = 'admin';
     await user.save();
+
+    await recordAuditEvent(req, {
+      action: 'user.role.update',
+      targetType: 'User',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role: user.role }
+    });
     
     res.json({ msg: 'User promoted to admin' });
   } catch (err) {
@@ -195,7 +226,6 @@ router.post('/check-create', async (req, res) => {
       
       user = new User({
         email,
-        authToken: uuidv4(), // Auth token for login
         userToken, // User token for accessing brackets
         lastLoginAt: Date.now()
       });
@@ -210,24 +240,13 @@ router.post('/check-create', async (req, res) => {
       await user.save();
     }
     
-    // Create JWT token for automatic login
-    const payload = {
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role || 'user'
-      }
-    };
-
-    // Sign and return JWT token
-    const jwtToken = jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session and sign a JWT for automatic login. Nothing here proves
+    // the caller owns the email, so the session can't claim brackets
+    const session = await createSession(user, req, { emailVerified: false });
+    const jwtToken = signSessionToken(user, session);
     
+    // The userToken isn't returned: the caller hasn't proved they own the email
     res.json({ 
-      token: user.userToken,
       jwtToken, // Add JWT token to response
       isNewUser
     });
@@ -238,7 +257,7 @@ router.post('/check-create', async (req, res) => {
 });
 
 // @route   POST api/auth/refresh
-// @desc    Refresh JWT token
+// @desc    Refresh JWT token (keeps the same session, pushing its expiry back)
 // @access  Private
 router.post('/refresh', auth, async (req, res) => {
   try {
@@ -253,21 +272,9 @@ router.post('/refresh', auth, async (req, res) => {
     user.lastLoginAt = Date.now();
     await user.save();
     
-    // Create new JWT payload
-    const payload = {
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role || 'user'
-      }
-    };
-
-    // Sign and return new JWT token
-    const token = jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Sign a new token for the same session
+    const session = await extendSession(await Session.findById(req.sessionId));
+    const token = signSessionToken(user, session);
     
     res.json({ token });
   } catch (err) {
@@ -276,4 +283,82 @@ router.post('/refresh', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/auth/sessions
+// @desc    List the current user's active sessions (signed-in devices)
+// @access  Private (verified sessions only)
+router.get('/sessions', [auth, requireVerifiedAccount], async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json(sessions.map(session => ({
+      id: session.id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: session.id === req.sessionId
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/auth/sessions
+// @desc    Log out everywhere (revoke all of the current user's sessions, this one included)
+// @access  Private (verified sessions only)
+router.delete('/sessions', [auth, requireVerifiedAccount], async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id);
+    res.json({ msg: 'Logged out everywhere', revoked });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private (verified sessions only)
+router.delete('/sessions/:id', [auth, requireVerifiedAccount], async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+
+    session.revokedAt = new Date();
+    await session.save();
+
+    res.json({ msg: 'Session revoked' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/user-token/rotate
+// @desc    Replace the current user's userToken (invalidating links that carry the old one)
+// @access  Private (verified sessions only)
+router.post('/user-token/rotate', [auth, requireVerifiedAccount], async (req, res) => {
+  try {
+    req.user.userToken = uuidv4();
+    await req.user.save();
+
+    res.json({ userToken: req.user.userToken });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
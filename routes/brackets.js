@@ -2,45 +2,195 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { authorize, isVerifiedUser, loadBracket, requireVerifiedSession } = require('../middleware/authorize');
 const Bracket = require('../models/Bracket');
 const User = require('../models/User');
-const { sendBracketConfirmation } = require('../utils/email');
+const Pool = require('../models/Pool');
+const TournamentResults = require('../models/TournamentResults');
+const BracketRevision = require('../models/BracketRevision');
+const { poolFilter } = require('../utils/pools');
+const { getActiveSeason, seasonFilter } = require('../utils/season');
+const { parseTiebreaker } = require('../utils/tiebreaker');
+const { validatePicks } = require('../utils/bracketValidation');
+const { areSubmissionsClosed, lockSeasonBrackets } = require('../utils/bracketLock');
+const { getRevisionSource, recordRevision } = require('../utils/bracketRevisions');
+const { recordAuditEvent } = require('../utils/audit');
+const { getScoringRules, calculateBracketScore } = require('../utils/scoring');
+const { resolveSessionFromToken } = require('../utils/authTokens');
+const { sendBracketConfirmation, sendBracketTransferRequest } = require('../utils/email');
+const {
+  entryGroupFilter,
+  saveWithEntryNumber,
+  checkEntryLimits,
+  checkSavedEntryLimits
+} = require('../utils/entries');
+
+const BRACKET_STATUSES = ['draft', 'submitted'];
+
+// Who may see a bracket's picks: anyone once it's locked, otherwise whoever
+// can edit it or manage it
+const canView = authorize(
+  ['lockedBracket', 'owner', 'editToken', 'poolAdmin', 'siteAdmin'],
+  { action: 'view this bracket' }
+);
+
+/**
+ * Validate picks against the season's tournament structure
+ * Drafts may leave matchups unpicked; submitted brackets must be complete
+ * @returns {Promise<Array>} List of per-matchup errors (empty when valid)
+ */
+const validateBracketPicks = async (picks, tournament, status) => {
+  if (!tournament || !tournament.results) {
+    return [{
+      matchupId: null,
+      round: null,
+      field: 'tournament',
+      message: 'The tournament field has not been set yet'
+    }];
+  }
+
+  return validatePicks(picks, tournament, { requireComplete: status === 'submitted' });
+};
+
+/**
+ * Make an account the owner of a bracket, confirming it if it was pending
+ * Pending brackets are left out of scoring, so one that's confirmed after
+ * games have been played is scored straight away
+ * @param {Object} bracket - Bracket document
+ * @param {Object} user - User document taking ownership
+ * @returns {Promise<Object>} Saved bracket
+ */
+const assignBracketOwner = async (bracket, user) => {
+  const wasPending = bracket.ownership === 'pending';
+
+  bracket.user = user._id;
+  bracket.userEmail = user.email;
+  bracket.ownership = 'confirmed';
+  bracket.ownershipToken = null;
+  bracket.transfer = { toEmail: null, token: null, requestedAt: null };
+
+  if (wasPending && bracket.status !== 'draft') {
+    const tournament = await TournamentResults.findOne({
+      year: bracket.year || (await getActiveSeason())
+    });
+    if (tournament && tournament.results) {
+      const pool = bracket.pool ? await Pool.findById(bracket.pool) : null;
+      bracket.score = calculateBracketScore(
+        bracket,
+        tournament.results,
+        getScoringRules(tournament, pool)
+      );
+    }
+  }
+
+  // A transfer moves the bracket among the new owner's entries
+  return bracket.isModified('userEmail') ? saveWithEntryNumber(bracket) : bracket.save();
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Routes that hand over bracket ownership need a session that proved the email
+const requireVerifiedEmail = requireVerifiedSession('take ownership of brackets');
+
+/**
+ * Leave edit tokens out of a bracket query's results unless the session proved
+ * the user owns their email (check-create sessions only get to see the brackets)
+ * @param {Object} query - Bracket query
+ * @param {Object} req - Express request, after auth
+ * @returns {Object} The query
+ */
+const withEditTokensForVerified = (query, req) =>
+  isVerifiedUser(req) ? query : query.select('-editToken');
 
 // @route   POST api/brackets
-// @desc    Create a new bracket
+// @desc    Create a new bracket (status 'draft' saves an incomplete bracket)
 // @access  Public
 router.post('/', async (req, res) => {
-  const { userEmail, participantName, contact, picks } = req.body;
+  const { userEmail, participantName, contact, picks, joinCode } = req.body;
+  const status = req.body.status || 'submitted';
+
+  if (!isNonEmptyString(userEmail) || !isNonEmptyString(participantName)) {
+    return res.status(400).json({ msg: 'Email and participant name are required' });
+  }
+
+  const tiebreaker = parseTiebreaker(req.body.tiebreaker);
+  if (tiebreaker.invalid) {
+    return res.status(400).json({ msg: 'Tiebreaker must be a non-negative whole number' });
+  }
+
+  if (!BRACKET_STATUSES.includes(status)) {
+    return res.status(400).json({ msg: 'Status must be draft or submitted' });
+  }
 
   try {
+    // New brackets are entered for the active season
+    const year = await getActiveSeason();
+    const tournament = await TournamentResults.findOne({ year });
+
+    // Reject submissions once the deadline passes, even before the lock job runs
+    if (areSubmissionsClosed(tournament)) {
+      return res.status(400).json({ msg: 'Bracket submissions are closed' });
+    }
+
+    const errors = await validateBracketPicks(picks, tournament, status);
+    if (errors.length > 0) {
+      return res.status(400).json({ msg: 'Bracket picks are invalid', errors });
+    }
+
+    // Resolve the pool from its join code (no code = default pool)
+    let pool = null;
+    if (joinCode) {
+      pool = await Pool.findOne({ joinCode: joinCode.trim().toUpperCase() });
+      if (!pool) {
+        return res.status(400).json({ msg: 'Invalid pool join code' });
+      }
+    }
+
+    // Enforce the per-email entry limits (site-wide and the pool's)
+    const limitError = await checkEntryLimits(pool, year, userEmail.trim().toLowerCase());
+    if (limitError) {
+      return res.status(400).json({ msg: limitError });
+    }
+
+    // Entering a bracket while signed in (from a magic link) as its email
+    // confirms it; anyone else's entry waits for the email's owner to confirm it
+    const requester = await resolveSessionFromToken(req.header('x-auth-token')).catch(() => null);
+    const owner = requester && requester.session.emailVerified !== false &&
+      requester.user.email === userEmail.trim().toLowerCase() ? requester.user : null;
+
     // Create unique edit token
     const editToken = uuidv4();
 
-    // Calculate the entry number by counting existing entries with the same name and email
-    const firstName = participantName.split(' ')[0] || '';
-    const lastName = participantName.split(' ').slice(1).join(' ') || '';
-    
-    // Count existing brackets with the same name and email
-    const existingBrackets = await Bracket.find({ 
-      userEmail: userEmail,
-      participantName: participantName
-    }).sort({ entryNumber: 1 });
-    
-    // Calculate the next entry number
-    const entryNumber = existingBrackets.length > 0 ? existingBrackets.length + 1 : 1;
-
     const newBracket = new Bracket({
       userEmail,
       participantName,
       contact,
       editToken,
-      entryNumber,
+      year,
+      pool: pool ? pool._id : null,
       picks,
+      tiebreaker: tiebreaker.value,
+      status,
       score: 0,
-      isLocked: false
+      isLocked: false,
+      user: owner ? owner._id : null,
+      ownership: owner ? 'confirmed' : 'pending',
+      ownershipToken: owner ? null : uuidv4()
     });
 
-    const bracket = await newBracket.save();
+    // Takes the lowest entry number free for this participant and email
+    const bracket = await saveWithEntryNumber(newBracket);
+
+    // Entries made at the same moment can all pass the limit check; the later ones are turned away
+    const exceededError = await checkSavedEntryLimits(bracket, pool);
+    if (exceededError) {
+      await bracket.deleteOne();
+      return res.status(400).json({ msg: exceededError });
+    }
+
+    await recordRevision(bracket, null, await getRevisionSource(req));
+    const totalEntries = await Bracket.countDocuments(entryGroupFilter(bracket));
     
     // Get user data to include userToken in email
     const user = await User.findOne({ email: userEmail });
@@ -54,15 +204,20 @@ router.post('/', async (req, res) => {
         editToken: bracket.editToken,
         participantName: bracket.participantName,
         userToken,
+        ownershipToken: bracket.ownershipToken,
         entryNumber: bracket.entryNumber,
-        totalEntries: entryNumber
+        totalEntries
       }, baseUrl);
     } catch (emailError) {
       console.error('Error sending confirmation email:', emailError);
       // Don't fail the request if email sending fails
     }
     
-    res.json(bracket);
+    // The confirmation token only goes to the email
+    const bracketResponse = bracket.toObject();
+    delete bracketResponse.ownershipToken;
+
+    res.json(bracketResponse);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -71,10 +226,32 @@ router.post('/', async (req, res) => {
 
 // @route   GET api/brackets
 // @desc    Get all brackets for the authenticated user
-// @access  Private
+// @access  Private (edit tokens for verified sessions only)
 router.get('/', auth, async (req, res) => {
   try {
-    const brackets = await Bracket.find({ userEmail: req.user.email });
+    // Brackets linked to the account, plus unclaimed ones entered under its email
+    const brackets = await withEditTokensForVerified(Bracket.find({
+      $or: [
+        { user: req.user._id },
+        { user: null, userEmail: req.user.email }
+      ]
+    }), req);
+    res.json(brackets);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/brackets/claimable
+// @desc    Get brackets entered under the user's email that aren't linked to an account yet
+// @access  Private (edit tokens for verified sessions only)
+router.get('/claimable', auth, async (req, res) => {
+  try {
+    const brackets = await withEditTokensForVerified(
+      Bracket.find({ user: null, userEmail: req.user.email }),
+      req
+    );
     res.json(brackets);
   } catch (err) {
     console.error(err.message);
@@ -84,40 +261,15 @@ router.get('/', auth, async (req, res) => {
 
 // @route   GET api/brackets/:id
 // @desc    Get bracket by ID
-// @access  Public (with edit token), or fully public if bracket is locked
-router.get('/:id', async (req, res) => {
+// @access  Owner, edit token holder, pool admin or site admin; public once locked
+router.get('/:id', [loadBracket, canView], async (req, res) => {
   try {
-    const bracket = await Bracket.findById(req.params.id);
-    
-    if (!bracket) {
-      return res.status(404).json({ msg: 'Bracket not found' });
-    }
-
-    // If bracket is locked (tournament has started), allow public access
-    if (bracket.isLocked) {
-      // Count total entries for this user with same name
-      const totalEntries = await Bracket.countDocuments({
-        userEmail: bracket.userEmail,
-        participantName: bracket.participantName
-      });
-
-      // Add totalEntries to the response
-      const bracketResponse = bracket.toObject();
-      bracketResponse.totalEntries = totalEntries;
-      
-      return res.json(bracketResponse);
-    }
-
-    // If bracket is not locked, verify edit token or admin access
-    const { editToken } = req.query;
-    const isAdmin = req.headers['x-auth-token'] ? true : false;
-    
-    if (!isAdmin && (!editToken || editToken !== bracket.editToken)) {
-      return res.status(401).json({ msg: 'Not authorized to view this bracket' });
-    }
+    const { bracket } = req;
 
     // Count total entries for this user with same name
     const totalEntries = await Bracket.countDocuments({
+      ...poolFilter(bracket.pool),
+      ...seasonFilter(bracket.year),
       userEmail: bracket.userEmail,
       participantName: bracket.participantName
     });
@@ -138,46 +290,122 @@ router.get('/:id', async (req, res) => {
 
 // @route   PUT api/brackets/:id
 // @desc    Update a bracket
-// @access  Public (with edit token)
-router.put('/:id', async (req, res) => {
-  const { userEmail, participantName, contact, picks, editToken } = req.body;
+// @access  Owner, edit token holder, pool admin or site admin
+router.put('/:id', [
+  loadBracket,
+  authorize(['owner', 'editToken', 'poolAdmin', 'siteAdmin'], { action: 'update this bracket' })
+], async (req, res) => {
+  const { userEmail, participantName, contact, picks, status } = req.body;
+
+  const tiebreaker = parseTiebreaker(req.body.tiebreaker);
+  if (tiebreaker.invalid) {
+    return res.status(400).json({ msg: 'Tiebreaker must be a non-negative whole number' });
+  }
+
+  if (status !== undefined && !BRACKET_STATUSES.includes(status)) {
+    return res.status(400).json({ msg: 'Status must be draft or submitted' });
+  }
 
   try {
-    let bracket = await Bracket.findById(req.params.id);
-    
-    if (!bracket) {
-      return res.status(404).json({ msg: 'Bracket not found' });
+    const { bracket } = req;
+
+    // Check if bracket is locked (tournament started), or the lock deadline has passed
+    const tournament = await TournamentResults.findOne({
+      year: bracket.year || (await getActiveSeason())
+    });
+    if (bracket.isLocked || areSubmissionsClosed(tournament)) {
+      return res.status(400).json({ msg: 'Cannot update bracket after tournament has started' });
     }
 
-    // Verify edit token or admin access
-    const isAdmin = req.headers['x-auth-token'] ? true : false;
-    
-    if (!isAdmin && (!editToken || editToken !== bracket.editToken)) {
-      return res.status(401).json({ msg: 'Not authorized to update this bracket' });
+    // The email decides who owns the bracket, so brackets linked to an account
+    // only move by transfer
+    const emailChanged = !!userEmail && userEmail.trim().toLowerCase() !== bracket.userEmail;
+    if (emailChanged && bracket.user) {
+      return res.status(400).json({
+        msg: 'This bracket belongs to an account. Transfer it to move it to another email'
+      });
     }
 
-    // Check if bracket is locked (tournament started)
-    if (bracket.isLocked) {
-      return res.status(400).json({ msg: 'Cannot update bracket after tournament has started' });
+    // Validate the picks the bracket will end up with (submitting a draft checks it's complete)
+    if (picks || status) {
+      const errors = await validateBracketPicks(
+        picks || bracket.picks,
+        tournament,
+        status || bracket.status
+      );
+      if (errors.length > 0) {
+        return res.status(400).json({ msg: 'Bracket picks are invalid', errors });
+      }
     }
 
+    const previousPicks = bracket.picks;
+
     // Update bracket fields
     if (userEmail) bracket.userEmail = userEmail;
     if (participantName) bracket.participantName = participantName;
     if (contact) bracket.contact = contact;
     if (picks) bracket.picks = picks;
+    if (req.body.tiebreaker !== undefined) bracket.tiebreaker = tiebreaker.value;
+    if (status) bracket.status = status;
 
-    await bracket.save();
+    // A new email has to have room for the entry, and a new email or name
+    // numbers it among that participant's other entries
+    if (bracket.isModified('userEmail')) {
+      const pool = bracket.pool ? await Pool.findById(bracket.pool) : null;
+      const limitError = await checkEntryLimits(pool, bracket.year, bracket.userEmail);
+      if (limitError) {
+        return res.status(400).json({ msg: limitError });
+      }
+    }
+
+    // An unlinked bracket given a new email waits for that email's owner to confirm it
+    if (emailChanged) {
+      bracket.ownership = 'pending';
+      bracket.ownershipToken = uuidv4();
+      bracket.transfer = { toEmail: null, token: null, requestedAt: null };
+    }
+
+    if (bracket.isModified('userEmail') || bracket.isModified('participantName')) {
+      await saveWithEntryNumber(bracket);
+    } else {
+      await bracket.save();
+    }
+
+    // Keep a revision whenever the picks, tiebreaker or status change
+    if (picks || status || req.body.tiebreaker !== undefined) {
+      await recordRevision(bracket, previousPicks, await getRevisionSource(req));
+    }
     
     // Count total entries for this user with same name
     const totalEntries = await Bracket.countDocuments({
+      ...poolFilter(bracket.pool),
+      ...seasonFilter(bracket.year),
       userEmail: bracket.userEmail,
       participantName: bracket.participantName
     });
 
-    // Add totalEntries to the response
+    if (emailChanged) {
+      try {
+        const user = await User.findOne({ email: bracket.userEmail });
+        const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        await sendBracketConfirmation(bracket.userEmail, {
+          bracketId: bracket._id,
+          editToken: bracket.editToken,
+          participantName: bracket.participantName,
+          userToken: user ? user.userToken : null,
+          ownershipToken: bracket.ownershipToken,
+          entryNumber: bracket.entryNumber,
+          totalEntries
+        }, baseUrl);
+      } catch (emailError) {
+        console.error('Error sending confirmation email:', emailError);
+      }
+    }
+
+    // Add totalEntries to the response (the confirmation token only goes to the email)
     const bracketResponse = bracket.toObject();
     bracketResponse.totalEntries = totalEntries;
+    delete bracketResponse.ownershipToken;
     
     res.json(bracketResponse);
   } catch (err) {
@@ -189,24 +417,346 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// @route   GET api/brackets/:id/revisions
+// @desc    List a bracket's revisions, newest first
+// @access  Owner, edit token holder, pool admin or site admin; public once locked
+router.get('/:id/revisions', [loadBracket, canView], async (req, res) => {
+  try {
+    const { bracket } = req;
+
+    const revisions = await BracketRevision.find({ bracket: bracket._id })
+      .select('-picks')
+      .sort({ revisionNumber: -1 });
+
+    res.json(revisions.map(revision => ({
+      ...revision.toObject(),
+      changedMatchups: revision.diff.length,
+      usedForScoring: revision.isLockSnapshot
+    })));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Bracket not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/brackets/:id/revisions/:revisionId
+// @desc    Get a single revision with its full picks and diff
+// @access  Owner, edit token holder, pool admin or site admin; public once locked
+router.get('/:id/revisions/:revisionId', [loadBracket, canView], async (req, res) => {
+  try {
+    const { bracket } = req;
+
+    const revision = await BracketRevision.findOne({
+      _id: req.params.revisionId,
+      bracket: bracket._id
+    });
+
+    if (!revision) {
+      return res.status(404).json({ msg: 'Revision not found' });
+    }
+
+    res.json({
+      ...revision.toObject(),
+      usedForScoring: revision.isLockSnapshot
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Revision not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/brackets/:id/revisions/:revisionId/restore
+// @desc    Restore a bracket's picks from an earlier revision (rescoring it if locked)
+// @access  Private (pool admin or site admin)
+router.post('/:id/revisions/:revisionId/restore', [
+  auth,
+  loadBracket,
+  authorize(['poolAdmin', 'siteAdmin'], { action: 'restore this bracket' })
+], async (req, res) => {
+  try {
+    const { bracket } = req;
+
+    const revision = await BracketRevision.findOne({
+      _id: req.params.revisionId,
+      bracket: bracket._id
+    });
+
+    if (!revision) {
+      return res.status(404).json({ msg: 'Revision not found' });
+    }
+
+    const previousPicks = bracket.picks;
+    bracket.picks = revision.picks;
+    bracket.tiebreaker = revision.tiebreaker;
+    bracket.status = revision.status;
+
+    // Rescore straight away so standings reflect the restored picks
+    const tournament = await TournamentResults.findOne({
+      year: bracket.year || (await getActiveSeason())
+    });
+    if (tournament && tournament.results && bracket.status !== 'draft') {
+      const pool = bracket.pool ? await Pool.findById(bracket.pool) : null;
+      bracket.score = calculateBracketScore(
+        bracket,
+        tournament.results,
+        getScoringRules(tournament, pool)
+      );
+    }
+
+    await bracket.save();
+
+    // Once locked, the restored picks replace the lock snapshot as the version used for scoring
+    if (bracket.isLocked) {
+      await BracketRevision.updateMany(
+        { bracket: bracket._id, isLockSnapshot: true },
+        { isLockSnapshot: false }
+      );
+    }
+
+    const restored = await recordRevision(
+      bracket,
+      previousPicks,
+      await getRevisionSource(req),
+      { restoredFrom: revision._id, isLockSnapshot: bracket.isLocked }
+    );
+
+    await recordAuditEvent(req, {
+      action: 'bracket.revision.restore',
+      targetType: 'Bracket',
+      targetId: bracket._id,
+      before: { picks: previousPicks },
+      after: { picks: bracket.picks, restoredFrom: revision._id, score: bracket.score }
+    });
+
+    res.json({ bracket, revision: restored });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Revision not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   DELETE api/brackets/:id
 // @desc    Delete a bracket
-// @access  Private (admin only)
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (owner, pool admin or site admin)
+router.delete('/:id', [
+  auth,
+  loadBracket,
+  authorize(['owner', 'poolAdmin', 'siteAdmin'], { action: 'delete this bracket' })
+], async (req, res) => {
   try {
-    const bracket = await Bracket.findById(req.params.id);
-    
+    await req.bracket.deleteOne();
+    res.json({ msg: 'Bracket removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Bracket not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/brackets/:id/confirm
+// @desc    Confirm a pending bracket with the token emailed to its address, linking it to that email's account
+// @access  Public (confirmation token)
+router.post('/:id/confirm', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ msg: 'Confirmation token is required' });
+  }
+
+  try {
+    const bracket = await Bracket.findById(req.params.id).select('+ownershipToken');
     if (!bracket) {
       return res.status(404).json({ msg: 'Bracket not found' });
     }
 
-    // Check if the user is the owner of this bracket
+    if (bracket.ownership !== 'pending') {
+      return res.status(400).json({ msg: 'Bracket is already confirmed' });
+    }
+
+    if (token !== bracket.ownershipToken) {
+      return res.status(400).json({ msg: 'Invalid confirmation token' });
+    }
+
+    // Pending brackets don't count towards the entry limits, so check them again now it will
+    const pool = bracket.pool ? await Pool.findById(bracket.pool) : null;
+    const limitError = await checkEntryLimits(pool, bracket.year, bracket.userEmail);
+    if (limitError) {
+      return res.status(400).json({ msg: limitError });
+    }
+
+    // The token was emailed to userEmail, so its holder owns that email
+    let user = await User.findOne({ email: bracket.userEmail });
+    if (!user) {
+      user = await new User({
+        email: bracket.userEmail,
+        userToken: uuidv4(),
+        lastLoginAt: Date.now()
+      }).save();
+    }
+
+    res.json(await assignBracketOwner(bracket, user));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Bracket not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/brackets/:id/claim
+// @desc    Link an unclaimed bracket entered under the user's email to their account
+// @access  Private (signed in from a magic link as the bracket's email)
+router.post('/:id/claim', [auth, requireVerifiedEmail, loadBracket], async (req, res) => {
+  try {
+    const { bracket } = req;
+
+    if (bracket.user) {
+      return res.status(400).json({
+        msg: bracket.user.toString() === req.user._id.toString()
+          ? 'Bracket is already linked to your account'
+          : 'Bracket already belongs to an account'
+      });
+    }
+
     if (bracket.userEmail !== req.user.email) {
-      return res.status(401).json({ msg: 'Not authorized to delete this bracket' });
+      return res.status(403).json({ msg: 'This bracket was entered under a different email' });
     }
 
-    await bracket.remove();
-    res.json({ msg: 'Bracket removed' });
+    // Claiming a pending bracket confirms it, so it has to fit in the entry limits
+    if (bracket.ownership === 'pending') {
+      const pool = bracket.pool ? await Pool.findById(bracket.pool) : null;
+      const limitError = await checkEntryLimits(pool, bracket.year, bracket.userEmail);
+      if (limitError) {
+        return res.status(400).json({ msg: limitError });
+      }
+    }
+
+    res.json(await assignBracketOwner(bracket, req.user));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/brackets/:id/transfer
+// @desc    Offer a bracket to another account; it moves once the recipient accepts
+// @access  Private (owner, signed in from a magic link)
+router.post('/:id/transfer', [
+  auth,
+  requireVerifiedEmail,
+  loadBracket,
+  authorize(['owner'], { action: 'transfer this bracket' })
+], async (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+  if (!email) {
+    return res.status(400).json({ msg: 'Recipient email is required' });
+  }
+
+  try {
+    const { bracket } = req;
+
+    if (email === bracket.userEmail) {
+      return res.status(400).json({ msg: 'Bracket already belongs to that email' });
+    }
+
+    // Requesting again replaces any earlier offer (and its link)
+    const token = uuidv4();
+    bracket.transfer = { toEmail: email, token, requestedAt: new Date() };
+    await bracket.save();
+
+    try {
+      const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+      await sendBracketTransferRequest(email, {
+        bracketId: bracket._id,
+        participantName: bracket.participantName,
+        fromEmail: bracket.userEmail,
+        token
+      }, baseUrl);
+    } catch (emailError) {
+      console.error('Error sending transfer email:', emailError);
+    }
+
+    res.json({ msg: 'Transfer requested', toEmail: email });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/brackets/:id/transfer
+// @desc    Cancel a pending transfer
+// @access  Private (owner or site admin)
+router.delete('/:id/transfer', [
+  auth,
+  loadBracket,
+  authorize(['owner', 'siteAdmin'], { action: 'cancel this transfer' })
+], async (req, res) => {
+  try {
+    const { bracket } = req;
+
+    if (!bracket.transfer || !bracket.transfer.toEmail) {
+      return res.status(400).json({ msg: 'No transfer is pending for this bracket' });
+    }
+
+    bracket.transfer = { toEmail: null, token: null, requestedAt: null };
+    await bracket.save();
+
+    res.json({ msg: 'Transfer cancelled' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/brackets/:id/transfer/accept
+// @desc    Accept a bracket transferred to the user, moving it to their account
+// @access  Private (signed in from a magic link as the recipient)
+router.post('/:id/transfer/accept', [auth, requireVerifiedEmail], async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ msg: 'Transfer token is required' });
+  }
+
+  try {
+    const bracket = await Bracket.findById(req.params.id).select('+transfer.token');
+    if (!bracket) {
+      return res.status(404).json({ msg: 'Bracket not found' });
+    }
+
+    if (!bracket.transfer || !bracket.transfer.toEmail) {
+      return res.status(400).json({ msg: 'No transfer is pending for this bracket' });
+    }
+
+    if (bracket.transfer.toEmail !== req.user.email) {
+      return res.status(403).json({ msg: 'This transfer is for a different account' });
+    }
+
+    if (token !== bracket.transfer.token) {
+      return res.status(400).json({ msg: 'Invalid transfer token' });
+    }
+
+    // The bracket counts towards the recipient's entry limits
+    const pool = bracket.pool ? await Pool.findById(bracket.pool) : null;
+    const limitError = await checkEntryLimits(pool, bracket.year, req.user.email);
+    if (limitError) {
+      return res.status(400).json({ msg: limitError });
+    }
+
+    res.json(await assignBracketOwner(bracket, req.user));
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -217,11 +767,20 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // @route   POST api/brackets/lock
-// @desc    Lock all brackets (when tournament starts)
+// @desc    Lock all brackets for the active season (when tournament starts)
 // @access  Private (admin only)
-router.post('/lock', auth, async (req, res) => {
+router.post('/lock', [auth, admin], async (req, res) => {
   try {
-    await Bracket.updateMany({}, { isLocked: true });
+    const year = await getActiveSeason();
+    const count = await lockSeasonBrackets(year, new Date(), await getRevisionSource(req));
+
+    await recordAuditEvent(req, {
+      action: 'tournament.brackets.lock',
+      targetType: 'Season',
+      targetId: year,
+      after: { isLocked: true, count }
+    });
+
     res.json({ msg: 'All brackets locked' });
   } catch (err) {
     console.error(err.message);
@@ -231,19 +790,28 @@ router.post('/lock', auth, async (req, res) => {
 
 // @route   PUT api/brackets/:id/score
 // @desc    Update bracket score
-// @access  Private (admin only)
-router.put('/:id/score', auth, async (req, res) => {
+// @access  Private (pool admin or site admin)
+router.put('/:id/score', [
+  auth,
+  loadBracket,
+  authorize(['poolAdmin', 'siteAdmin'], { action: 'update this bracket\'s score' })
+], async (req, res) => {
   const { score } = req.body;
 
   try {
-    const bracket = await Bracket.findById(req.params.id);
-    
-    if (!bracket) {
-      return res.status(404).json({ msg: 'Bracket not found' });
-    }
+    const { bracket } = req;
 
+    const previousScore = bracket.score;
     bracket.score = score;
     await bracket.save();
+
+    await recordAuditEvent(req, {
+      action: 'bracket.score.update',
+      targetType: 'Bracket',
+      targetId: bracket._id,
+      before: { score: previousScore },
+      after: { score: bracket.score }
+    });
     
     res.json(bracket);
   } catch (err) {
@@ -282,20 +850,24 @@ router.get('/user/:email', async (req, res) => {
       const enhancedBrackets = [];
       const participantCounts = {};
       
+      // Entries are numbered per participant within each pool and season
+      const participantKey = (bracket) =>
+        `${bracket.year}:${bracket.pool || 'default'}:${bracket.participantName}`;
+      
       // First pass: count entries per participant
       for (const bracket of brackets) {
-        const participantName = bracket.participantName;
-        if (!participantCounts[participantName]) {
-          participantCounts[participantName] = 1;
+        const key = participantKey(bracket);
+        if (!participantCounts[key]) {
+          participantCounts[key] = 1;
         } else {
-          participantCounts[participantName]++;
+          participantCounts[key]++;
         }
       }
       
       // Second pass: enhance brackets with total entries
       for (const bracket of brackets) {
         const bracketObj = bracket.toObject();
-        bracketObj.totalEntries = participantCounts[bracket.participantName];
+        bracketObj.totalEntries = participantCounts[participantKey(bracket)];
         enhancedBrackets.push(bracketObj);
       }
       
@@ -4,10 +4,17 @@ const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 const NcaaUpdateLog = require('../models/NcaaUpdateLog');
 const SchedulerSettings = require('../models/SchedulerSettings');
+const TeamAlias = require('../models/TeamAlias');
+const UnmappedGame = require('../models/UnmappedGame');
+const TournamentResults = require('../models/TournamentResults');
+const { recordAuditEvent } = require('../utils/audit');
+const { aliasKey } = require('../utils/teamAliases');
+const { resolveRequestSeason } = require('../utils/season');
 const { 
   updateTournamentResults, 
   areAllGamesCompleteForToday,
-  markYesterdayAsComplete
+  markYesterdayAsComplete,
+  applyResolvedGame
 } = require('../ncaa-tournament-updater');
 
 // @route   GET /api/admin/tournament-today
@@ -121,6 +128,12 @@ router.post('/update-tournament', [auth, admin], async (req, res) => {
     
     // Run the update
     const result = await updateTournamentResults(forceYesterday);
+
+    await recordAuditEvent(req, {
+      action: 'tournament.update.trigger',
+      targetType: 'TournamentResults',
+      after: { forceYesterday, status: result && result.status }
+    });
     
     res.json({
       success: true,
@@ -143,6 +156,11 @@ router.post('/update-tournament', [auth, admin], async (req, res) => {
 router.post('/mark-yesterday-complete', [auth, admin], async (req, res) => {
   try {
     const result = await markYesterdayAsComplete();
+
+    await recordAuditEvent(req, {
+      action: 'tournament.markYesterdayComplete',
+      targetType: 'TournamentResults'
+    });
     
     res.json({
       success: true,
@@ -208,6 +226,12 @@ router.post('/toggle-scheduler', [auth, admin], async (req, res) => {
     if (!settings) {
       settings = new SchedulerSettings({});
     }
+
+    const before = {
+      enabled: settings.enabled,
+      autoDisabled: settings.autoDisabled,
+      disabledReason: settings.disabledReason
+    };
     
     // Update settings
     settings.enabled = enabled;
@@ -216,6 +240,18 @@ router.post('/toggle-scheduler', [auth, admin], async (req, res) => {
     settings.lastUpdated = new Date();
     
     await settings.save();
+
+    await recordAuditEvent(req, {
+      action: 'scheduler.toggle',
+      targetType: 'SchedulerSettings',
+      targetId: settings._id,
+      before,
+      after: {
+        enabled: settings.enabled,
+        autoDisabled: settings.autoDisabled,
+        disabledReason: settings.disabledReason
+      }
+    });
     
     res.json(settings);
   } catch (error) {
@@ -234,6 +270,11 @@ router.post('/toggle-scheduler', [auth, admin], async (req, res) => {
 router.post('/mark-yesterday-complete', [auth, admin], async (req, res) => {
   try {
     const result = await markYesterdayAsComplete();
+
+    await recordAuditEvent(req, {
+      action: 'tournament.markYesterdayComplete',
+      targetType: 'TournamentResults'
+    });
     
     res.json({
       success: true,
@@ -250,4 +291,244 @@ router.post('/mark-yesterday-complete', [auth, admin], async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/team-aliases
+// @desc    List team name aliases used to match score feed names to ours
+// @access  Private (admin only)
+router.get('/team-aliases', [auth, admin], async (req, res) => {
+  try {
+    const aliases = await TeamAlias.find().sort({ name: 1, alias: 1 });
+    res.json(aliases);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/admin/team-aliases
+// @desc    Add a team name alias
+// @access  Private (admin only)
+router.post('/team-aliases', [auth, admin], async (req, res) => {
+  const { name, alias } = req.body;
+
+  if (!name || !alias) {
+    return res.status(400).json({ msg: 'Team name and alias are required' });
+  }
+
+  try {
+    const key = aliasKey(alias);
+    if (await TeamAlias.findOne({ aliasKey: key })) {
+      return res.status(400).json({ msg: 'Alias is already in use' });
+    }
+
+    const teamAlias = new TeamAlias({
+      name,
+      alias,
+      aliasKey: key,
+      createdBy: req.user._id
+    });
+    await teamAlias.save();
+
+    await recordAuditEvent(req, {
+      action: 'teamAlias.create',
+      targetType: 'TeamAlias',
+      targetId: teamAlias._id,
+      after: { name: teamAlias.name, alias: teamAlias.alias }
+    });
+
+    res.json(teamAlias);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /api/admin/team-aliases/:id
+// @desc    Update a team name alias
+// @access  Private (admin only)
+router.put('/team-aliases/:id', [auth, admin], async (req, res) => {
+  const { name, alias } = req.body;
+
+  try {
+    const teamAlias = await TeamAlias.findById(req.params.id);
+
+    if (!teamAlias) {
+      return res.status(404).json({ msg: 'Team alias not found' });
+    }
+
+    const before = { name: teamAlias.name, alias: teamAlias.alias };
+
+    if (alias) {
+      const key = aliasKey(alias);
+      const existing = await TeamAlias.findOne({ aliasKey: key });
+      if (existing && !existing._id.equals(teamAlias._id)) {
+        return res.status(400).json({ msg: 'Alias is already in use' });
+      }
+      teamAlias.alias = alias;
+      teamAlias.aliasKey = key;
+    }
+    if (name) teamAlias.name = name;
+
+    await teamAlias.save();
+
+    await recordAuditEvent(req, {
+      action: 'teamAlias.update',
+      targetType: 'TeamAlias',
+      targetId: teamAlias._id,
+      before,
+      after: { name: teamAlias.name, alias: teamAlias.alias }
+    });
+
+    res.json(teamAlias);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Team alias not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /api/admin/team-aliases/:id
+// @desc    Delete a team name alias
+// @access  Private (admin only)
+router.delete('/team-aliases/:id', [auth, admin], async (req, res) => {
+  try {
+    const teamAlias = await TeamAlias.findById(req.params.id);
+
+    if (!teamAlias) {
+      return res.status(404).json({ msg: 'Team alias not found' });
+    }
+
+    await teamAlias.deleteOne();
+
+    await recordAuditEvent(req, {
+      action: 'teamAlias.delete',
+      targetType: 'TeamAlias',
+      targetId: teamAlias._id,
+      before: { name: teamAlias.name, alias: teamAlias.alias }
+    });
+
+    res.json({ msg: 'Team alias removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Team alias not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/admin/unmapped-games
+// @desc    List score feed games that couldn't be mapped to a matchup
+//          (?status=pending|resolved|ignored, default pending; ?year=, default active season)
+// @access  Private (admin only)
+router.get('/unmapped-games', [auth, admin], async (req, res) => {
+  try {
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ msg: 'Invalid year' });
+    }
+
+    const games = await UnmappedGame.find({
+      year,
+      status: req.query.status || 'pending'
+    }).sort({ lastSeenAt: -1 });
+
+    res.json(games);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/admin/unmapped-games/:id/resolve
+// @desc    Resolve an unmapped game to a matchup and apply its result
+// @access  Private (admin only)
+router.post('/unmapped-games/:id/resolve', [auth, admin], async (req, res) => {
+  const matchupId = parseInt(req.body.matchupId);
+
+  if (isNaN(matchupId) || matchupId < 0) {
+    return res.status(400).json({ msg: 'Valid matchup ID is required' });
+  }
+
+  try {
+    const unmappedGame = await UnmappedGame.findById(req.params.id);
+
+    if (!unmappedGame) {
+      return res.status(404).json({ msg: 'Unmapped game not found' });
+    }
+
+    const tournament = await TournamentResults.findOne({ year: unmappedGame.year });
+    const matchupExists = tournament && Object.values(tournament.results || {})
+      .some(matchups => matchups.some(m => m.id === matchupId));
+
+    if (!matchupExists) {
+      return res.status(400).json({ msg: 'Matchup not found in results' });
+    }
+
+    const before = { status: unmappedGame.status, matchupId: unmappedGame.matchupId };
+
+    unmappedGame.status = 'resolved';
+    unmappedGame.matchupId = matchupId;
+    unmappedGame.resolvedBy = req.user._id;
+    unmappedGame.resolvedAt = new Date();
+    await unmappedGame.save();
+
+    await recordAuditEvent(req, {
+      action: 'unmappedGame.resolve',
+      targetType: 'UnmappedGame',
+      targetId: unmappedGame._id,
+      before,
+      after: { status: unmappedGame.status, matchupId }
+    });
+
+    const result = await applyResolvedGame(unmappedGame);
+
+    res.json({ unmappedGame, result });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Unmapped game not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/admin/unmapped-games/:id/ignore
+// @desc    Dismiss an unmapped game that isn't part of our bracket
+// @access  Private (admin only)
+router.post('/unmapped-games/:id/ignore', [auth, admin], async (req, res) => {
+  try {
+    const unmappedGame = await UnmappedGame.findById(req.params.id);
+
+    if (!unmappedGame) {
+      return res.status(404).json({ msg: 'Unmapped game not found' });
+    }
+
+    const before = { status: unmappedGame.status, matchupId: unmappedGame.matchupId };
+
+    unmappedGame.status = 'ignored';
+    unmappedGame.matchupId = null;
+    unmappedGame.resolvedBy = req.user._id;
+    unmappedGame.resolvedAt = new Date();
+    await unmappedGame.save();
+
+    await recordAuditEvent(req, {
+      action: 'unmappedGame.ignore',
+      targetType: 'UnmappedGame',
+      targetId: unmappedGame._id,
+      before,
+      after: { status: unmappedGame.status }
+    });
+
+    res.json(unmappedGame);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Unmapped game not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { isVerifiedUser } = require('../middleware/authorize');
+const Pool = require('../models/Pool');
+const User = require('../models/User');
+const Bracket = require('../models/Bracket');
+const { isPoolAdmin, generateJoinCode } = require('../utils/pools');
+const { isValidStrategy } = require('../utils/scoring');
+const { recordAuditEvent } = require('../utils/audit');
+
+/**
+ * Shape a pool for public responses (join code and admins are hidden)
+ */
+const toPublicPool = (pool, bracketCount) => ({
+  _id: pool._id,
+  name: pool.name,
+  maxEntries: pool.maxEntries,
+  scoringConfig: pool.scoringConfig,
+  scoringStrategy: pool.scoringStrategy,
+  createdAt: pool.createdAt,
+  bracketCount
+});
+
+/**
+ * Pool settings recorded in the audit log
+ */
+const poolSettings = (pool) => ({
+  name: pool.name,
+  joinCode: pool.joinCode,
+  admins: pool.admins.map(id => id.toString()),
+  maxEntries: pool.maxEntries,
+  scoringConfig: pool.scoringConfig,
+  scoringStrategy: pool.scoringStrategy
+});
+
+/**
+ * Look up user IDs for a list of admin emails
+ * Returns null if any email does not belong to a user
+ */
+const resolveAdminEmails = async (emails) => {
+  const normalized = emails.map(email => email.trim().toLowerCase());
+  const users = await User.find({ email: { $in: normalized } });
+
+  if (users.length !== normalized.length) {
+    return null;
+  }
+
+  return users.map(user => user._id);
+};
+
+// @route   GET api/pools
+// @desc    List all pools
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const pools = await Pool.find().sort({ name: 1 });
+
+    const bracketCounts = await Bracket.aggregate([
+      { $match: { pool: { $in: pools.map(p => p._id) } } },
+      { $group: { _id: '$pool', count: { $sum: 1 } } }
+    ]);
+
+    const countsMap = {};
+    bracketCounts.forEach(item => {
+      countsMap[item._id.toString()] = item.count;
+    });
+
+    res.json(pools.map(pool => toPublicPool(pool, countsMap[pool._id.toString()] || 0)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/pools/join/:joinCode
+// @desc    Look up a pool by its join code
+// @access  Public
+router.get('/join/:joinCode', async (req, res) => {
+  try {
+    const pool = await Pool.findOne({ joinCode: req.params.joinCode.trim().toUpperCase() });
+
+    if (!pool) {
+      return res.status(404).json({ msg: 'Invalid join code' });
+    }
+
+    const bracketCount = await Bracket.countDocuments({ pool: pool._id });
+    res.json(toPublicPool(pool, bracketCount));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/pools/:id
+// @desc    Get a pool
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const pool = await Pool.findById(req.params.id);
+
+    if (!pool) {
+      return res.status(404).json({ msg: 'Pool not found' });
+    }
+
+    const bracketCount = await Bracket.countDocuments({ pool: pool._id });
+    res.json(toPublicPool(pool, bracketCount));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Pool not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/pools/:id/manage
+// @desc    Get full pool details including join code and admins
+// @access  Private (pool admin or site admin)
+router.get('/:id/manage', auth, async (req, res) => {
+  try {
+    const pool = await Pool.findById(req.params.id);
+
+    if (!pool) {
+      return res.status(404).json({ msg: 'Pool not found' });
+    }
+
+    if (!isVerifiedUser(req) || !isPoolAdmin(pool, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized to manage this pool' });
+    }
+
+    await pool.populate('admins', 'email');
+    res.json(pool);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Pool not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/pools
+// @desc    Create a pool
+// @access  Private (admin only)
+router.post('/', [auth, admin], async (req, res) => {
+  const { name, joinCode, adminEmails, maxEntries, scoringConfig, scoringStrategy } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ msg: 'Pool name is required' });
+  }
+
+  if (scoringStrategy && !isValidStrategy(scoringStrategy)) {
+    return res.status(400).json({ msg: 'Unknown scoring strategy' });
+  }
+
+  try {
+    const code = joinCode ? joinCode.trim().toUpperCase() : generateJoinCode();
+
+    const existing = await Pool.findOne({ joinCode: code });
+    if (existing) {
+      return res.status(400).json({ msg: 'Join code is already in use' });
+    }
+
+    let admins = [req.user._id];
+    if (adminEmails && adminEmails.length > 0) {
+      const adminIds = await resolveAdminEmails(adminEmails);
+      if (!adminIds) {
+        return res.status(400).json({ msg: 'Every pool admin must have an account' });
+      }
+      admins = [...new Set([...admins, ...adminIds].map(id => id.toString()))];
+    }
+
+    const pool = new Pool({
+      name,
+      joinCode: code,
+      admins,
+      maxEntries: maxEntries || null,
+      scoringConfig: scoringConfig || null,
+      scoringStrategy: scoringStrategy || null,
+      createdBy: req.user._id
+    });
+
+    await pool.save();
+
+    await recordAuditEvent(req, {
+      action: 'pool.create',
+      targetType: 'Pool',
+      targetId: pool._id,
+      after: poolSettings(pool)
+    });
+
+    res.json(pool);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/pools/:id
+// @desc    Update a pool's settings
+// @access  Private (pool admin or site admin)
+router.put('/:id', auth, async (req, res) => {
+  const {
+    name,
+    adminEmails,
+    maxEntries,
+    scoringConfig,
+    scoringStrategy,
+    regenerateJoinCode
+  } = req.body;
+
+  if (scoringStrategy && !isValidStrategy(scoringStrategy)) {
+    return res.status(400).json({ msg: 'Unknown scoring strategy' });
+  }
+
+  try {
+    const pool = await Pool.findById(req.params.id);
+
+    if (!pool) {
+      return res.status(404).json({ msg: 'Pool not found' });
+    }
+
+    if (!isVerifiedUser(req) || !isPoolAdmin(pool, req.user)) {
+      return res.status(403).json({ msg: 'Not authorized to manage this pool' });
+    }
+
+    const before = poolSettings(pool);
+
+    if (name) pool.name = name;
+    if (maxEntries !== undefined) pool.maxEntries = maxEntries || null;
+    if (scoringConfig !== undefined) {
+      pool.scoringConfig = scoringConfig || null;
+      pool.markModified('scoringConfig');
+    }
+    if (scoringStrategy !== undefined) pool.scoringStrategy = scoringStrategy || null;
+    if (regenerateJoinCode) pool.joinCode = generateJoinCode();
+
+    if (adminEmails) {
+      const adminIds = await resolveAdminEmails(adminEmails);
+      if (!adminIds || adminIds.length === 0) {
+        return res.status(400).json({ msg: 'Every pool admin must have an account' });
+      }
+      pool.admins = adminIds;
+    }
+
+    await pool.save();
+
+    await recordAuditEvent(req, {
+      action: 'pool.update',
+      targetType: 'Pool',
+      targetId: pool._id,
+      before,
+      after: poolSettings(pool)
+    });
+
+    res.json(pool);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Pool not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -2,20 +2,62 @@ const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
 const admin = require("../middleware/admin");
+const rateLimit = require("../middleware/rateLimit");
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { resolveRequestPool } = require("../utils/pools");
+const { resolveRequestSeason } = require("../utils/season");
+const { recordAuditEvent } = require("../utils/audit");
+const {
+  createAnalysisJob,
+  requestCancellation,
+} = require("../utils/analysisJobs");
+const { createTtlCache } = require("../utils/ttlCache");
+const { buildRootingGuide } = require("../utils/rootingGuide");
+const AnalysisJob = require("../models/AnalysisJob");
 
 // Import the analysis module
 const {
+  ANALYSIS_MODES,
+  MAX_SAMPLE_COUNT,
   analyzeTournamentPossibilities,
+  analyzeWhatIf,
 } = require("../tournament-possibilities-analyzer");
 
+// What-if results by scenario hash. The hash includes the tournament's
+// lastUpdated, so a new result makes older entries unreachable.
+const whatIfCache = createTtlCache({ ttlMs: 10 * 60 * 1000, maxEntries: 200 });
+
+// What-if requests allowed per 10 minutes per network
+const whatIfLimitByIp = rateLimit({
+  name: "what-if-ip",
+  windowMs: 10 * 60 * 1000,
+  max: parseInt(process.env.WHAT_IF_IP_LIMIT) || 30,
+  keyFor: (req) => req.ip,
+  message: "Too many what-if requests from this network. Please try again later.",
+});
+
+// Uncached what-if analyses allowed to run at once (each uses the analysis workers)
+const MAX_WHAT_IF_RUNS = parseInt(process.env.WHAT_IF_MAX_RUNS) || 2;
+let whatIfRuns = 0;
+
 // @route   GET api/tournament/possibilities
-// @desc    Get tournament possibility analysis (retrieves from database, never saves)
+// @desc    Get tournament possibility analysis for a pool (retrieves from database, never saves)
 // @access  Public
 router.get("/possibilities", async (req, res) => {
   try {
     // Check the database for the requested analysis
     const TournamentAnalysis = require("../models/TournamentAnalysis");
+
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ message: "Pool not found", error: true });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ message: "Invalid year", error: true });
+    }
     
     // Get the requested stage from query params
     const requestedStage = req.query.stage;
@@ -25,11 +67,14 @@ router.get("/possibilities", async (req, res) => {
     if (requestedStage) {
       // If a specific stage is requested (by totalPossibleOutcomes)
       dbAnalysis = await TournamentAnalysis.findOne({
-        totalPossibleOutcomes: parseInt(requestedStage)
+        pool: poolId,
+        year,
+        totalPossibleOutcomes: parseInt(requestedStage),
+        invalidatedAt: null
       }).sort({ timestamp: -1 });
     } else {
       // Otherwise get the most recent analysis
-      dbAnalysis = await TournamentAnalysis.findOne()
+      dbAnalysis = await TournamentAnalysis.findOne({ pool: poolId, year, invalidatedAt: null })
         .sort({ timestamp: -1 })
         .limit(1);
     }
@@ -51,9 +96,7 @@ router.get("/possibilities", async (req, res) => {
     // Get current tournament to check if we're at Sweet 16 or beyond
     const TournamentResults = require("../models/TournamentResults");
 
-    const tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
-    });
+    const tournament = await TournamentResults.findOne({ year });
 
     if (!tournament) {
       return res.status(404).json({
@@ -72,14 +115,74 @@ router.get("/possibilities", async (req, res) => {
 });
 
 // @route   POST api/tournament/possibilities/generate
-// @desc    Force generation of fresh tournament possibilities analysis and save to DB
+// @desc    Force generation of fresh tournament possibilities analysis for a pool and save to DB
+//          (with { background: true }, returns 202 and a job ID to poll instead of waiting)
 // @access  Private (admin only)
 router.post("/possibilities/generate", [auth, admin], async (req, res) => {
   try {
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ success: false, message: "Pool not found" });
+    }
+
+    const { mode, samples, background } = req.body;
+    if (mode !== undefined && !ANALYSIS_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of: ${ANALYSIS_MODES.join(", ")}`,
+      });
+    }
+
+    const sampleCount = samples !== undefined ? Number(samples) : undefined;
+    if (
+      sampleCount !== undefined &&
+      (!Number.isInteger(sampleCount) ||
+        sampleCount < 1 ||
+        sampleCount > MAX_SAMPLE_COUNT)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Samples must be a whole number from 1 to ${MAX_SAMPLE_COUNT}`,
+      });
+    }
+
     console.log(
       "Admin triggered fresh tournament possibilities analysis with database save"
     );
 
+    const analysisOptions = {
+      poolId,
+      mode,
+      samples: sampleCount,
+      trigger: "admin",
+      requestedBy: req.user.id,
+    };
+
+    if (background) {
+      const job = await createAnalysisJob({
+        pool: poolId,
+        trigger: "admin",
+        requestedBy: req.user.id,
+      });
+
+      // Run without waiting; progress is polled through the job
+      analyzeTournamentPossibilities(true, { ...analysisOptions, job })
+        .then((result) => {
+          if (result.error) {
+            console.log(`Tournament analysis skipped: ${result.message}`);
+          }
+        })
+        .catch((err) => {
+          console.error("Error generating tournament possibilities:", err);
+        });
+
+      return res.status(202).json({
+        success: true,
+        message: "Tournament analysis started",
+        jobId: job._id,
+      });
+    }
+
     // Connect to database if not already connected
     let needToCloseConnection = false;
     if (mongoose.connection.readyState !== 1) {
@@ -90,14 +193,18 @@ router.post("/possibilities/generate", [auth, admin], async (req, res) => {
     let analysisData;
     try {
       // Generate the analysis WITH database saving enabled
-      analysisData = await analyzeTournamentPossibilities(true);
+      analysisData = await analyzeTournamentPossibilities(
+        true,
+        analysisOptions
+      );
 
-      // If analysis returned an error (e.g., too many teams)
+      // If analysis returned an error (e.g., too many teams) or was cancelled
       if (analysisData.error) {
-        return res.status(400).json({
+        return res.status(analysisData.cancelled ? 409 : 400).json({
           success: false,
           message: analysisData.message,
           activeTeamCount: analysisData.activeTeamCount,
+          jobId: analysisData.jobId,
         });
       }
 
@@ -105,11 +212,16 @@ router.post("/possibilities/generate", [auth, admin], async (req, res) => {
         success: true,
         message:
           "Tournament analysis generated and saved to database successfully",
+        jobId: analysisData.jobId,
         timestamp: analysisData.timestamp,
         stage: analysisData.stage,
         roundName: analysisData.roundName,
         totalBrackets: analysisData.totalBrackets,
         totalPossibleOutcomes: analysisData.totalPossibleOutcomes,
+        analysisMode: analysisData.analysisMode,
+        sampleCount: analysisData.sampleCount,
+        confidenceLevel: analysisData.confidenceLevel,
+        probabilityModel: analysisData.probabilityModel,
         roundProgress: analysisData.roundProgress,
       });
     } finally {
@@ -128,15 +240,277 @@ router.post("/possibilities/generate", [auth, admin], async (req, res) => {
   }
 });
 
+// @route   GET api/tournament/possibilities/jobs
+// @desc    List recent analysis runs with their status and progress (?status=running&limit=20)
+// @access  Private (admin only)
+router.get("/possibilities/jobs", [auth, admin], async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await AnalysisJob.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json(jobs);
+  } catch (err) {
+    console.error("Error fetching analysis jobs:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   GET api/tournament/possibilities/jobs/:id
+// @desc    Get an analysis run's status and progress
+// @access  Private (admin only)
+router.get("/possibilities/jobs/:id", [auth, admin], async (req, res) => {
+  try {
+    const job = await AnalysisJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: "Analysis job not found" });
+    }
+
+    res.json(job);
+  } catch (err) {
+    console.error("Error fetching analysis job:", err);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Analysis job not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   POST api/tournament/possibilities/jobs/:id/cancel
+// @desc    Ask a queued or running analysis to stop (it stops within a few seconds)
+// @access  Private (admin only)
+router.post("/possibilities/jobs/:id/cancel", [auth, admin], async (req, res) => {
+  try {
+    const job = await requestCancellation(req.params.id);
+    if (!job) {
+      const exists = await AnalysisJob.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ message: "Analysis job has already finished" })
+        : res.status(404).json({ message: "Analysis job not found" });
+    }
+
+    await recordAuditEvent(req, {
+      action: "analysis.job.cancel",
+      targetType: "AnalysisJob",
+      targetId: job._id,
+      before: { status: job.status },
+      after: { cancelRequested: true },
+    });
+
+    res.json(job);
+  } catch (err) {
+    console.error("Error cancelling analysis job:", err);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Analysis job not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
+/**
+ * Read what-if picks from a request body ({ matchupId: "Team" } or { matchupId: { name } })
+ * @param {*} picks - Request body picks
+ * @returns {Object|null} Team name by matchup ID, or null if the picks are malformed
+ */
+const parseWhatIfPicks = (picks) => {
+  if (!picks || typeof picks !== "object" || Array.isArray(picks)) return null;
+
+  const parsed = {};
+  for (const [matchupId, team] of Object.entries(picks)) {
+    const name = typeof team === "string" ? team : team && team.name;
+    if (isNaN(parseInt(matchupId)) || typeof name !== "string" || !name) {
+      return null;
+    }
+    parsed[parseInt(matchupId)] = name;
+  }
+
+  return Object.keys(parsed).length > 0 ? parsed : null;
+};
+
+// @route   POST api/tournament/what-if
+// @desc    Standings, score ranges and win/podium chances for a pool if the given
+//          undecided matchups go a certain way ({ picks: { matchupId: "Team" } })
+// @access  Public (rate limited per IP; new scenarios are refused while
+//          MAX_WHAT_IF_RUNS are already being analyzed)
+router.post("/what-if", whatIfLimitByIp, async (req, res) => {
+  const picks = parseWhatIfPicks(req.body.picks);
+  if (!picks) {
+    return res.status(400).json({
+      message: "Picks must map one or more matchup IDs to winning team names",
+    });
+  }
+
+  try {
+    const TournamentResults = require("../models/TournamentResults");
+
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ message: "Pool not found" });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+
+    const tournament = await TournamentResults.findOne({ year });
+    if (!tournament) {
+      return res.status(404).json({ message: "Tournament results not found" });
+    }
+
+    const scenarioHash = crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify({
+          year,
+          poolId,
+          lastUpdated: tournament.lastUpdated,
+          teamRatings: tournament.teamRatings,
+          picks: Object.entries(picks).sort(([a], [b]) => a - b),
+        })
+      )
+      .digest("hex");
+
+    // Cache the pending analysis too, so identical requests share one run
+    let analysis = whatIfCache.get(scenarioHash);
+    const cached = !!analysis;
+    if (!analysis) {
+      if (whatIfRuns >= MAX_WHAT_IF_RUNS) {
+        res.set("Retry-After", "10");
+        return res.status(503).json({
+          message:
+            "Too many what-if scenarios are being analyzed. Please try again shortly.",
+        });
+      }
+
+      whatIfRuns++;
+      analysis = analyzeWhatIf(tournament, picks, { poolId }).finally(() => {
+        whatIfRuns--;
+      });
+      whatIfCache.set(scenarioHash, analysis);
+    }
+
+    let result;
+    try {
+      result = await analysis;
+    } catch (err) {
+      whatIfCache.delete(scenarioHash);
+      throw err;
+    }
+
+    if (result.error) {
+      whatIfCache.delete(scenarioHash);
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.json({ ...result, scenarioHash, cached });
+  } catch (err) {
+    console.error("Error analyzing what-if scenario:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   GET api/tournament/brackets/:id/rooting-guide
+// @desc    The current round's undecided matchups with the result a bracket should root for and
+//          how much each result moves its win and podium chances (from the latest analysis)
+// @access  Public
+router.get("/brackets/:id/rooting-guide", async (req, res) => {
+  try {
+    const Bracket = require("../models/Bracket");
+    const TournamentAnalysis = require("../models/TournamentAnalysis");
+    const TournamentResults = require("../models/TournamentResults");
+
+    const bracket = await Bracket.findById(req.params.id);
+    if (!bracket) {
+      return res.status(404).json({ message: "Bracket not found" });
+    }
+
+    // Only this bracket's share of the (large) saved results is needed
+    const bracketPath = `bracketResults.${bracket._id}`;
+    const analysis = await TournamentAnalysis.findOne({
+      pool: bracket.pool || null,
+      year: bracket.year,
+      invalidatedAt: null,
+    })
+      .sort({ timestamp: -1 })
+      .select({
+        timestamp: 1,
+        stage: 1,
+        roundName: 1,
+        analysisMode: 1,
+        matchupResultWeights: 1,
+        [`${bracketPath}.winPercentage`]: 1,
+        [`${bracketPath}.placePercentages`]: 1,
+        [`${bracketPath}.rooting`]: 1,
+      })
+      .lean();
+
+    if (!analysis) {
+      return res.status(404).json({ message: "No analysis available" });
+    }
+
+    const bracketResult =
+      analysis.bracketResults && analysis.bracketResults[bracket._id];
+    if (!bracketResult || !analysis.matchupResultWeights) {
+      return res.status(404).json({
+        message: "This bracket isn't in the latest analysis",
+      });
+    }
+
+    const tournament = await TournamentResults.findOne({ year: bracket.year });
+
+    res.json({
+      bracketId: bracket._id,
+      participantName: bracket.participantName,
+      entryNumber: bracket.entryNumber,
+      analysisTimestamp: analysis.timestamp,
+      stage: analysis.stage,
+      roundName: analysis.roundName,
+      analysisMode: analysis.analysisMode,
+      winPercentage: bracketResult.winPercentage,
+      podiumPercentage: bracketResult.placePercentages
+        ? bracketResult.placePercentages.podium
+        : 0,
+      matchups: buildRootingGuide(
+        bracketResult,
+        analysis.matchupResultWeights,
+        tournament
+      ),
+    });
+  } catch (err) {
+    console.error("Error building rooting guide:", err);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ message: "Bracket not found" });
+    }
+    res.status(500).send("Server error");
+  }
+});
+
 // @route   GET api/tournament/podium-contenders
-// @desc    Get brackets with podium chances
+// @desc    Get brackets with podium chances in a pool
 // @access  Public
 router.get("/podium-contenders", async (req, res) => {
   try {
     const TournamentAnalysis = require("../models/TournamentAnalysis");
 
-    // Get the most recent analysis
-    const analysis = await TournamentAnalysis.findOne()
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ message: "Pool not found" });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+
+    // Get the most recent analysis for the pool and season
+    const analysis = await TournamentAnalysis.findOne({ pool: poolId, year, invalidatedAt: null })
       .sort({ timestamp: -1 })
       .limit(1);
 
@@ -195,6 +569,10 @@ router.get("/podium-contenders", async (req, res) => {
       stage: analysis.stage,
       roundName: analysis.roundName,
       roundProgress: analysis.roundProgress,
+      analysisMode: analysis.analysisMode,
+      sampleCount: analysis.sampleCount,
+      confidenceLevel: analysis.confidenceLevel,
+      probabilityModel: analysis.probabilityModel,
       podiumContenders: sortedContenders,
       playersWithNoPodiumChance: analysis.playersWithNoPodiumChance,
     });
@@ -211,8 +589,18 @@ router.get("/rare-picks", async (req, res) => {
   try {
     const TournamentAnalysis = require("../models/TournamentAnalysis");
 
-    // Get the most recent analysis
-    const analysis = await TournamentAnalysis.findOne()
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ message: "Pool not found" });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+
+    // Get the most recent analysis for the pool and season
+    const analysis = await TournamentAnalysis.findOne({ pool: poolId, year, invalidatedAt: null })
       .sort({ timestamp: -1 })
       .limit(1);
 
@@ -237,8 +625,18 @@ router.get("/path-analysis", async (req, res) => {
   try {
     const TournamentAnalysis = require("../models/TournamentAnalysis");
 
-    // Get the most recent analysis
-    const analysis = await TournamentAnalysis.findOne()
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ message: "Pool not found" });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+
+    // Get the most recent analysis for the pool and season
+    const analysis = await TournamentAnalysis.findOne({ pool: poolId, year, invalidatedAt: null })
       .sort({ timestamp: -1 })
       .limit(1);
 
@@ -265,9 +663,19 @@ router.get("/analysis-history", async (req, res) => {
   try {
     const TournamentAnalysis = require("../models/TournamentAnalysis");
 
-    // Find all distinct stages and timestamps
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ success: false, message: "Pool not found" });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: "Invalid year" });
+    }
+
+    // Find all distinct stages and timestamps for the pool and season
     // First find all analyses sorted by timestamp
-    const allAnalyses = await TournamentAnalysis.find()
+    const allAnalyses = await TournamentAnalysis.find({ pool: poolId, year, invalidatedAt: null })
       .sort({ timestamp: -1 })
       .select("stage roundName timestamp totalPossibleOutcomes");
       
@@ -4,16 +4,70 @@ const auth = require("../middleware/auth");
 const admin = require("../middleware/admin");
 const TournamentResults = require("../models/TournamentResults");
 const Bracket = require("../models/Bracket");
+const {
+  poolFilter,
+  resolveRequestPool,
+  loadPoolsById,
+  getBracketPool,
+} = require("../utils/pools");
+const {
+  isValidStrategy,
+  listStrategies,
+  getScoringRules,
+  isCorrectPick,
+  getMatchupLoser,
+  scorePick,
+  calculateBracketScore,
+} = require("../utils/scoring");
+const {
+  getChampionshipTotal,
+  tiebreakerDistance,
+  compareWithTiebreaker,
+} = require("../utils/tiebreaker");
+const { submittedFilter } = require("../utils/bracketValidation");
+const { lockSeasonBrackets, getLockStatus } = require("../utils/bracketLock");
+const { getRevisionSource } = require("../utils/bracketRevisions");
+const { recordAuditEvent, summarizeTournament } = require("../utils/audit");
+const {
+  TOURNAMENT_EVENTS,
+  publishGameUpdate,
+  publishBracketScores,
+  subscribeToTournamentEvents,
+  getEventsSince,
+  filterTournamentEvent,
+} = require("../utils/eventStream");
+const {
+  PLAY_IN_ROUND,
+  validatePlayIns,
+  fillPlayInPlaceholders,
+  advancePlayInWinner,
+  applyPlayInWinnerToBrackets,
+} = require("../utils/playIn");
+const { applyResultCorrection } = require("../utils/resultCorrection");
+const {
+  RATING_SCALE,
+  getTeamRating,
+  validateTeamRatings,
+} = require("../utils/winProbability");
+const {
+  getActiveSeason,
+  parseSeason,
+  resolveRequestSeason,
+  seasonFilter,
+} = require("../utils/season");
 
 // @route   GET api/tournament/results
-// @desc    Get tournament results
+// @desc    Get tournament results for a season (?year=, active season if omitted)
 // @access  Public
 router.get("/results", async (req, res) => {
   try {
-    // Get the current year's tournament results, or create if it doesn't exist
-    let results = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
-    });
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid year" });
+    }
+
+    // Get the season's tournament results
+    let results = await TournamentResults.findOne({ year });
 
     if (!results) {
       // Return empty results if none exist yet
@@ -37,15 +91,70 @@ router.get("/results", async (req, res) => {
   }
 });
 
+// @route   GET api/tournament/scoring-strategies
+// @desc    List the available scoring strategies
+// @access  Public
+router.get("/scoring-strategies", (req, res) => {
+  res.json(listStrategies());
+});
+
+// @route   GET api/tournament/seasons
+// @desc    List every season with tournament results, for the past-seasons archive
+// @access  Public
+router.get("/seasons", async (req, res) => {
+  try {
+    const activeYear = await getActiveSeason();
+    const tournaments = await TournamentResults.find()
+      .select("year results completedRounds lastUpdated")
+      .sort({ year: -1 });
+
+    const bracketCounts = await Bracket.aggregate([
+      { $group: { _id: "$year", count: { $sum: 1 } } },
+    ]);
+    const countsMap = {};
+    bracketCounts.forEach((item) => {
+      countsMap[item._id] = item.count;
+    });
+
+    const seasons = tournaments.map((tournament) => {
+      const championship =
+        tournament.results && tournament.results[6] && tournament.results[6][0];
+
+      return {
+        year: tournament.year,
+        isActive: tournament.year === activeYear,
+        champion: championship && championship.winner ? championship.winner : null,
+        completedRounds: tournament.completedRounds,
+        totalBrackets: countsMap[tournament.year] || 0,
+        lastUpdated: tournament.lastUpdated,
+      };
+    });
+
+    res.json({ activeYear, seasons });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
 // @route   GET api/tournament/standings
-// @desc    Get bracket standings
+// @desc    Get bracket standings for a pool (?poolId=, default pool if omitted)
+//          and season (?year=, active season if omitted)
 // @access  Public
 router.get("/standings", async (req, res) => {
   try {
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ msg: "Pool not found" });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid year" });
+    }
+
     // Get tournament results to check if it exists
-    const tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
-    });
+    const tournament = await TournamentResults.findOne({ year });
 
     /* Commented out this check to allow standings to work without completed rounds
       if (!tournament || tournament.completedRounds.length === 0) {
@@ -55,12 +164,20 @@ router.get("/standings", async (req, res) => {
       }
       */
 
-    // Get all brackets with scores
-    const brackets = await Bracket.find().sort({
+    // Get all submitted brackets in the pool and season with scores
+    const brackets = await Bracket.find({
+      ...poolFilter(poolId),
+      ...seasonFilter(year),
+      ...submittedFilter(),
+    }).sort({
       score: -1,
       participantName: 1,
     });
 
+    // Break ties by closeness to the championship total once it's known
+    const championshipTotal = getChampionshipTotal(tournament);
+    brackets.sort(compareWithTiebreaker(championshipTotal));
+
     // Format standings data
     const standings = brackets.map((bracket, index) => {
       return {
@@ -68,6 +185,8 @@ router.get("/standings", async (req, res) => {
         participantName: bracket.participantName,
         entryNumber: bracket.entryNumber || 1,
         score: bracket.score,
+        tiebreaker: bracket.tiebreaker,
+        tiebreakerDiff: tiebreakerDistance(bracket.tiebreaker, championshipTotal),
         userEmail: bracket.userEmail,
         id: bracket._id,
       };
@@ -81,9 +200,11 @@ router.get("/standings", async (req, res) => {
         (brackets.length || 1), // Avoid division by zero
       highestScore: brackets.length > 0 ? brackets[0].score : 0,
       completedRounds: tournament ? tournament.completedRounds : [],
+      championshipTotal,
     };
 
     res.json({
+      year,
       standings,
       stats,
     });
@@ -96,16 +217,36 @@ router.get("/standings", async (req, res) => {
 // ADMIN ROUTES
 
 // @route   POST api/tournament/results
-// @desc    Create or update tournament results
+// @desc    Create or update tournament results for a season (body year, active season if omitted)
 // @access  Private (admin only)
 router.post("/results", [auth, admin], async (req, res) => {
-  const { results, completedRounds, games, scoringConfig } = req.body;
+  const { results, completedRounds, games, scoringConfig, scoringStrategy } =
+    req.body;
+
+  if (scoringStrategy !== undefined && !isValidStrategy(scoringStrategy)) {
+    return res.status(400).json({ msg: "Unknown scoring strategy" });
+  }
 
   try {
-    // Find existing tournament results for the current year
-    let tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
-    });
+    const year =
+      req.body.year !== undefined ? parseSeason(req.body.year) : await getActiveSeason();
+    if (!year) {
+      return res.status(400).json({ msg: "Invalid year" });
+    }
+
+    // Find existing tournament results for the season
+    let tournament = await TournamentResults.findOne({ year });
+    const before = summarizeTournament(tournament);
+
+    // First Four matchups (round 0) must each feed one first round slot,
+    // which holds a placeholder team until the play-in is decided
+    if (results) {
+      const playInError = validatePlayIns(results);
+      if (playInError) {
+        return res.status(400).json({ msg: playInError });
+      }
+      fillPlayInPlaceholders(results, games || (tournament ? tournament.games : []));
+    }
 
     if (tournament) {
       // Update existing tournament
@@ -113,6 +254,7 @@ router.post("/results", [auth, admin], async (req, res) => {
       if (completedRounds) tournament.completedRounds = completedRounds;
       if (games) tournament.games = games;
       if (scoringConfig) tournament.scoringConfig = scoringConfig;
+      if (scoringStrategy) tournament.scoringStrategy = scoringStrategy;
 
       tournament.lastUpdated = Date.now();
       tournament.markModified("results");
@@ -122,10 +264,12 @@ router.post("/results", [auth, admin], async (req, res) => {
     } else {
       // Create new tournament results
       tournament = new TournamentResults({
+        year,
         results,
         completedRounds: completedRounds || [],
         games: games || [],
         scoringConfig: scoringConfig || undefined,
+        scoringStrategy: scoringStrategy || undefined,
       });
       tournament.markModified("results");
       tournament.markModified("games");
@@ -133,6 +277,14 @@ router.post("/results", [auth, admin], async (req, res) => {
       await tournament.save();
     }
 
+    await recordAuditEvent(req, {
+      action: "tournament.results.update",
+      targetType: "TournamentResults",
+      targetId: tournament._id,
+      before,
+      after: summarizeTournament(tournament),
+    });
+
     res.json(tournament);
   } catch (err) {
     console.error(err.message);
@@ -145,10 +297,9 @@ router.post("/results", [auth, admin], async (req, res) => {
 // @access  Private (admin only)
 router.post("/calculate-scores", [auth, admin], async (req, res) => {
   try {
-    // Get tournament results
-    const tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
-    });
+    // Get tournament results for the active season
+    const year = await getActiveSeason();
+    const tournament = await TournamentResults.findOne({ year });
 
     if (!tournament || !tournament.results) {
       return res.status(400).json({
@@ -156,57 +307,35 @@ router.post("/calculate-scores", [auth, admin], async (req, res) => {
       });
     }
 
-    // Get all brackets
-    const brackets = await Bracket.find();
+    // Get the season's submitted brackets, along with their pools' scoring rules
+    const brackets = await Bracket.find({
+      ...seasonFilter(year),
+      ...submittedFilter(),
+    });
+    const poolsById = await loadPoolsById();
 
     // Results counter
     let updated = 0;
     let errors = 0;
+    const rescored = [];
 
     // Loop through each bracket and calculate score
     for (const bracket of brackets) {
       try {
-        // Initialize score
-        let score = 0;
-
-        // Process each round
-        for (let round = 1; round <= 6; round++) {
-          // Get matchups for this round from tournament results
-          const tournamentMatchups = tournament.results[round];
-
-          // Get matchups for this round from bracket
-          const bracketMatchups = bracket.picks[round];
-
-          if (!tournamentMatchups || !bracketMatchups) continue;
-
-          // Check each matchup in the round
-          for (const tournamentMatchup of tournamentMatchups) {
-            // Skip if tournament matchup doesn't have a winner yet
-            if (!tournamentMatchup.winner) continue;
-
-            // Find corresponding bracket matchup
-            const bracketMatchup = bracketMatchups.find(
-              (m) => m.id === tournamentMatchup.id
-            );
-
-            if (!bracketMatchup || !bracketMatchup.winner) {
-              continue;
-            }
-
-            // Check if the winner matches
-            if (
-              bracketMatchup.winner.name === tournamentMatchup.winner.name &&
-              bracketMatchup.winner.seed === tournamentMatchup.winner.seed
-            ) {
-              // Add points based on the round
-              score += tournament.scoringConfig[round];
-            }
-          }
-        }
+        const scoringRules = getScoringRules(
+          tournament,
+          getBracketPool(bracket, poolsById)
+        );
+        const score = calculateBracketScore(
+          bracket,
+          tournament.results,
+          scoringRules
+        );
 
         // Update bracket score
         bracket.score = score;
         await bracket.save();
+        rescored.push(bracket);
         updated++;
       } catch (err) {
         console.error(
@@ -217,6 +346,15 @@ router.post("/calculate-scores", [auth, admin], async (req, res) => {
       }
     }
 
+    publishBracketScores(year, rescored);
+
+    await recordAuditEvent(req, {
+      action: "tournament.scores.calculate",
+      targetType: "TournamentResults",
+      targetId: tournament._id,
+      after: { year, updated, errors },
+    });
+
     res.json({
       msg: `Scores calculated: ${updated} brackets updated, ${errors} errors`,
       success: true,
@@ -230,16 +368,28 @@ router.post("/calculate-scores", [auth, admin], async (req, res) => {
 });
 
 // @route   PUT api/tournament/lock-brackets
-// @desc    Lock all brackets (when tournament starts)
+// @desc    Lock all brackets for the active season (when tournament starts)
 // @access  Private (admin only)
 router.put("/lock-brackets", [auth, admin], async (req, res) => {
   try {
-    const result = await Bracket.updateMany({}, { isLocked: true });
+    const year = await getActiveSeason();
+    const count = await lockSeasonBrackets(
+      year,
+      new Date(),
+      await getRevisionSource(req)
+    );
+
+    await recordAuditEvent(req, {
+      action: "tournament.brackets.lock",
+      targetType: "Season",
+      targetId: year,
+      after: { isLocked: true, count },
+    });
 
     res.json({
-      msg: `Locked ${result.nModified} brackets`,
+      msg: `Locked ${count} brackets`,
       success: true,
-      count: result.nModified,
+      count,
     });
   } catch (err) {
     console.error(err.message);
@@ -248,17 +398,66 @@ router.put("/lock-brackets", [auth, admin], async (req, res) => {
 });
 
 // @route   PUT api/tournament/unlock-brackets
-// @desc    Unlock all brackets (for testing purposes)
+// @desc    Unlock all brackets for the active season (for testing purposes)
 // @access  Private (admin only)
 router.put("/unlock-brackets", [auth, admin], async (req, res) => {
   try {
-    const result = await Bracket.updateMany({}, { isLocked: false });
+    const year = await getActiveSeason();
+    const result = await Bracket.updateMany(seasonFilter(year), { isLocked: false });
+
+    // Clear the lock record (the scheduler relocks if the deadline has passed)
+    await TournamentResults.updateOne({ year }, { bracketsLockedAt: null });
+
+    await recordAuditEvent(req, {
+      action: "tournament.brackets.unlock",
+      targetType: "Season",
+      targetId: year,
+      after: { isLocked: false, count: result.modifiedCount },
+    });
 
     res.json({
-      msg: `Unlocked ${result.nModified} brackets`,
+      msg: `Unlocked ${result.modifiedCount} brackets`,
       success: true,
-      count: result.nModified,
+      count: result.modifiedCount,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   PUT api/tournament/lock-deadline
+// @desc    Set (or clear, with null) the active season's bracket lock deadline
+// @access  Private (admin only)
+router.put("/lock-deadline", [auth, admin], async (req, res) => {
+  const { lockDeadline } = req.body;
+
+  const deadline = lockDeadline ? new Date(lockDeadline) : null;
+  if (deadline && isNaN(deadline.getTime())) {
+    return res.status(400).json({ msg: "Invalid lock deadline" });
+  }
+
+  try {
+    const year = await getActiveSeason();
+    const tournament = await TournamentResults.findOne({ year });
+
+    if (!tournament) {
+      return res.status(404).json({ msg: "Tournament results not found" });
+    }
+
+    const previousDeadline = tournament.lockDeadline || null;
+    tournament.lockDeadline = deadline;
+    await tournament.save();
+
+    await recordAuditEvent(req, {
+      action: "tournament.lockDeadline.update",
+      targetType: "TournamentResults",
+      targetId: tournament._id,
+      before: { lockDeadline: previousDeadline },
+      after: { lockDeadline: deadline },
     });
+
+    res.json(await getLockStatus(year));
   } catch (err) {
     console.error(err.message);
     res.status(500).send("Server error");
@@ -266,28 +465,384 @@ router.put("/unlock-brackets", [auth, admin], async (req, res) => {
 });
 
 // @route   GET api/tournament/status
-// @desc    Get tournament lock status
+// @desc    Get tournament lock status, deadline and time remaining for the active season
 // @access  Public
 router.get("/status", async (req, res) => {
   try {
-    // First check if any brackets are locked
-    const bracketCount = await Bracket.countDocuments();
-    if (bracketCount === 0) {
-      // If no brackets exist yet, tournament is not locked
-      return res.json({ isLocked: false });
+    const year = await getActiveSeason();
+    return res.json(await getLockStatus(year));
+  } catch (err) {
+    console.error("Error checking tournament status:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+/**
+ * List every team in a tournament with the rating analysis uses for it
+ * @param {Object} tournament - Tournament results document
+ * @returns {Object} { ratingScale, teams: [{ name, seed, rating, source }] }
+ */
+const describeTeamRatings = (tournament) => {
+  const ratings = tournament.teamRatings || {};
+  const teams = Object.entries(tournament.teams || {}).map(([name, team]) => ({
+    name,
+    seed: team.seed,
+    rating: getTeamRating({ name, seed: team.seed }, ratings),
+    source: typeof ratings[name] === "number" ? "admin" : "seed",
+  }));
+
+  return {
+    ratingScale: RATING_SCALE,
+    teams: teams.sort((a, b) => b.rating - a.rating),
+  };
+};
+
+// @route   GET api/tournament/team-ratings
+// @desc    Get the team strength ratings analysis weights outcomes with (admin-entered or seed-based)
+// @access  Public
+router.get("/team-ratings", async (req, res) => {
+  try {
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid year" });
+    }
+
+    const tournament = await TournamentResults.findOne({ year });
+    if (!tournament) {
+      return res.status(404).json({ msg: "Tournament results not found" });
     }
 
-    // Check if brackets are locked by checking one bracket
-    const sampleBracket = await Bracket.findOne();
-    return res.json({ isLocked: sampleBracket.isLocked });
+    res.json({ year, ...describeTeamRatings(tournament) });
   } catch (err) {
-    console.error("Error checking tournament status:", err);
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// @route   PUT api/tournament/team-ratings
+// @desc    Replace the active season's admin-entered team ratings ({ ratings: { teamName: rating } })
+// @access  Private (admin only)
+router.put("/team-ratings", [auth, admin], async (req, res) => {
+  const { ratings } = req.body;
+
+  const error = validateTeamRatings(ratings);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    const year = await getActiveSeason();
+    const tournament = await TournamentResults.findOne({ year });
+
+    if (!tournament) {
+      return res.status(404).json({ msg: "Tournament results not found" });
+    }
+
+    const unknownTeams = Object.keys(ratings).filter(
+      (name) => !tournament.teams || !tournament.teams[name]
+    );
+    if (unknownTeams.length > 0) {
+      return res
+        .status(400)
+        .json({ msg: `Unknown teams: ${unknownTeams.join(", ")}` });
+    }
+
+    const previousRatings = tournament.teamRatings || {};
+    tournament.teamRatings = ratings;
+    tournament.markModified("teamRatings");
+    await tournament.save();
+
+    await recordAuditEvent(req, {
+      action: "tournament.teamRatings.update",
+      targetType: "TournamentResults",
+      targetId: tournament._id,
+      before: { teamRatings: previousRatings },
+      after: { teamRatings: ratings },
+    });
+
+    res.json({ year, ...describeTeamRatings(tournament) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+/**
+ * Group a pool's brackets by the team each picked to win a game
+ * Callers pass only locked brackets, so unlocked picks stay private
+ * @param {Object} game - Game from the tournament's games list
+ * @param {Array} brackets - Locked brackets with picks, participantName and entryNumber
+ * @returns {Object} { teamA, teamB }, each { count, brackets: [{ bracketId, participantName, entryNumber }] }
+ */
+const groupBracketsByPick = (game, brackets) => {
+  const groups = {
+    teamA: { count: 0, brackets: [] },
+    teamB: { count: 0, brackets: [] },
+  };
+
+  brackets.forEach((bracket) => {
+    const pick = ((bracket.picks || {})[game.round] || []).find(
+      (m) => m && m.id === game.matchupId
+    );
+    if (!pick || !pick.winner) return;
+
+    const slot = ["teamA", "teamB"].find(
+      (s) => game[s] && game[s].name === pick.winner.name
+    );
+    if (!slot) return;
+
+    groups[slot].count++;
+    groups[slot].brackets.push({
+      bracketId: bracket._id,
+      participantName: bracket.participantName,
+      entryNumber: bracket.entryNumber || 1,
+    });
+  });
+
+  return groups;
+};
+
+/**
+ * Describe a game's live state for the live scores endpoint
+ * @param {Object} game - Game from the tournament's games list
+ * @param {Array} brackets - The pool's brackets with picks, participantName and entryNumber
+ * @returns {Object}
+ */
+const describeLiveGame = (game, brackets) => ({
+  matchupId: game.matchupId,
+  round: game.round,
+  status: game.status,
+  teamA: game.teamA,
+  teamB: game.teamB,
+  score: game.score || null,
+  period: game.period || null,
+  clock: game.clock || null,
+  startTime: game.startTime || null,
+  network: game.network || null,
+  updatedAt: game.liveUpdatedAt || null,
+  brackets: groupBracketsByPick(game, brackets),
+});
+
+// @route   GET api/tournament/live
+// @desc    Get the games in progress and the unfinished games with a tip time, each with the
+//          brackets riding on either team (?poolId=, default pool if omitted; ?year=, active season if omitted)
+// @access  Public
+router.get("/live", async (req, res) => {
+  try {
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ msg: "Pool not found" });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid year" });
+    }
+
+    const tournament = await TournamentResults.findOne({ year })
+      .select("games lastUpdated")
+      .lean();
+
+    if (!tournament) {
+      return res.json({ year, poolId, lastUpdated: null, live: [], upcoming: [] });
+    }
+
+    const unfinished = tournament.games.filter((game) => !game.completed);
+    const liveGames = unfinished
+      .filter((game) => game.status === "live")
+      .sort((a, b) => a.matchupId - b.matchupId);
+    const upcomingGames = unfinished
+      .filter((game) => game.status !== "live" && game.startTime)
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    const brackets =
+      liveGames.length + upcomingGames.length > 0
+        ? await Bracket.find({
+            ...poolFilter(poolId),
+            ...seasonFilter(year),
+            ...submittedFilter(),
+            isLocked: true,
+          })
+            .select("participantName entryNumber picks")
+            .lean()
+        : [];
+
+    res.json({
+      year,
+      poolId,
+      lastUpdated: tournament.lastUpdated || null,
+      live: liveGames.map((game) => describeLiveGame(game, brackets)),
+      upcoming: upcomingGames.map((game) => describeLiveGame(game, brackets)),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+/**
+ * Parse a comma-separated query parameter into a Set
+ * @param {string} value - Query parameter value
+ * @param {Function} parse - Converts each item (return NaN/undefined to reject it)
+ * @returns {Set|null|false} The values, null if the parameter is absent, or false if an item is invalid
+ */
+const parseListFilter = (value, parse = (item) => item) => {
+  if (!value) return null;
+
+  const items = String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map(parse);
+  if (items.some((item) => item === undefined || Number.isNaN(item))) {
+    return false;
+  }
+  return new Set(items);
+};
+
+// @route   GET api/tournament/stream
+// @desc    Server-Sent Events stream of game updates, bracket rescoring and new analyses
+//          (?types=game.update,scores.update&matchupId=12,13&bracketId=<id>)
+// @access  Public
+router.get("/stream", (req, res) => {
+  const types = parseListFilter(req.query.types, (type) =>
+    TOURNAMENT_EVENTS.includes(type) ? type : undefined
+  );
+  const matchupIds = parseListFilter(req.query.matchupId, (id) => parseInt(id));
+  const bracketIds = parseListFilter(req.query.bracketId);
+
+  if (types === false) {
+    return res.status(400).json({
+      msg: `Types must be one or more of: ${TOURNAMENT_EVENTS.join(", ")}`,
+    });
+  }
+  if (matchupIds === false) {
+    return res.status(400).json({ msg: "Matchup IDs must be numbers" });
+  }
+
+  const filters = { types, matchupIds, bracketIds };
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    const filtered = filterTournamentEvent(event, filters);
+    if (!filtered) return;
+
+    res.write(
+      `id: ${filtered.id}\nevent: ${filtered.type}\ndata: ${JSON.stringify({
+        ...filtered.data,
+        timestamp: filtered.timestamp,
+      })}\n\n`
+    );
+  };
+
+  // Catch up a reconnecting client on what it missed
+  getEventsSince(req.get("Last-Event-ID")).forEach(send);
+
+  const unsubscribe = subscribeToTournamentEvents(send);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * Correct a decided game's winner and respond with a report of everything that changed
+ * @param {Object} req - Express request (for the audit trail)
+ * @param {Object} res - Express response
+ * @param {Object} tournament - Tournament results document
+ * @param {Number} matchupId - Matchup being corrected
+ * @param {Object} correction - { winner, score }
+ */
+const sendResultCorrection = async (
+  req,
+  res,
+  tournament,
+  matchupId,
+  { winner, score }
+) => {
+  const game = tournament.games.find((g) => g.matchupId === matchupId);
+  const gameBefore = game ? JSON.parse(JSON.stringify(game)) : null;
+
+  const correction = await applyResultCorrection(tournament, matchupId, winner, {
+    score,
+  });
+  if (correction.error) {
+    return res.status(400).json({ msg: correction.error });
+  }
+
+  await recordAuditEvent(req, {
+    action: "tournament.game.correct",
+    targetType: "Game",
+    targetId: matchupId,
+    before: gameBefore,
+    after: {
+      winner: correction.winner,
+      matchups: correction.matchups.map((m) => m.matchupId),
+      games: correction.games,
+      rescoredBrackets: correction.brackets.length,
+      invalidatedAnalyses: correction.invalidatedAnalyses,
+    },
+  });
+
+  res.json({ tournament, correction });
+};
+
+// @route   POST api/tournament/games/:id/correct
+// @desc    Correct a decided game's winner ({ winner, score }), unwinding later rounds,
+//          eliminations, bracket scores and analyses built on the old result
+// @access  Private (admin only)
+router.post("/games/:id/correct", [auth, admin], async (req, res) => {
+  const { winner, score } = req.body;
+  const matchupId = parseInt(req.params.id);
+
+  if (isNaN(matchupId) || matchupId < 0) {
+    return res.status(400).json({ msg: "Valid matchup ID is required" });
+  }
+  if (!winner || !winner.name) {
+    return res.status(400).json({ msg: "Winner is required" });
+  }
+
+  try {
+    const year = await getActiveSeason();
+    const tournament = await TournamentResults.findOne({ year });
+
+    if (!tournament) {
+      return res.status(404).json({ msg: "Tournament results not found" });
+    }
+
+    const game = tournament.games.find((g) => g.matchupId === matchupId);
+    if (!game) {
+      return res.status(404).json({ msg: "Game not found" });
+    }
+    if (!game.completed || !game.winner?.name) {
+      return res
+        .status(400)
+        .json({ msg: "Game has no result to correct yet" });
+    }
+
+    await sendResultCorrection(req, res, tournament, matchupId, {
+      winner,
+      score,
+    });
+  } catch (err) {
+    console.error(err.message);
     res.status(500).send("Server error");
   }
 });
 
 // @route   PUT api/tournament/games/:id
-// @desc    Update a specific game result
+// @desc    Update a specific game result (changing a decided game's winner runs a result correction)
 // @access  Private (admin only)
 router.put("/games/:id", [auth, admin], async (req, res) => {
   const { winner, score, completed } = req.body;
@@ -301,10 +856,9 @@ router.put("/games/:id", [auth, admin], async (req, res) => {
   }
 
   try {
-    // Get tournament results
-    let tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
-    });
+    // Get tournament results for the active season
+    const year = await getActiveSeason();
+    let tournament = await TournamentResults.findOne({ year });
 
     if (!tournament) {
       return res.status(404).json({ msg: "Tournament results not found" });
@@ -321,15 +875,32 @@ router.put("/games/:id", [auth, admin], async (req, res) => {
 
     // Get current game and previous winner (if any)
     const currentGame = tournament.games[gameIndex];
+    const gameBefore = JSON.parse(JSON.stringify(currentGame));
     const previousWinner = currentGame.winner
       ? { ...currentGame.winner }
       : null;
 
+    // Changing a decided game's winner unwinds everything built on the old result
+    if (
+      winner &&
+      currentGame.completed &&
+      currentGame.winner?.name &&
+      currentGame.winner.name !== winner.name
+    ) {
+      return sendResultCorrection(req, res, tournament, matchupId, {
+        winner,
+        score,
+      });
+    }
+
     // Update the game
     if (winner) tournament.games[gameIndex].winner = winner;
     if (score) tournament.games[gameIndex].score = score;
-    if (completed !== undefined)
+    if (completed !== undefined) {
       tournament.games[gameIndex].completed = completed;
+      tournament.games[gameIndex].status = completed ? "final" : "scheduled";
+      tournament.games[gameIndex].clock = null;
+    }
 
     // If marking as completed, set playedAt date
     if (completed) {
@@ -384,15 +955,12 @@ router.put("/games/:id", [auth, admin], async (req, res) => {
           tournament.teams[winner.name].eliminationRound = null;
           tournament.teams[winner.name].eliminationMatchupId = null;
         }
-
-        // Also update any team that the previous winner will now face in the next round
-        // This would require looking through the bracket to find matchups that would be affected
-        // ...code to update future matchups would go here...
       }
     }
 
     // Also update the main results object
     let matchupFound = false;
+    let replacedByPlayInWinner = null;
     for (const round in tournament.results) {
       const matchupIndex = tournament.results[round].findIndex(
         (m) => m.id === matchupId
@@ -405,7 +973,14 @@ router.put("/games/:id", [auth, admin], async (req, res) => {
         // Also update any subsequent rounds where this team appears
         if (winner) {
           const updatedMatchup = tournament.results[round][matchupIndex];
-          if (updatedMatchup.nextMatchupId !== null) {
+          if (parseInt(round) === PLAY_IN_ROUND) {
+            // Play-in winners replace a placeholder in their first round slot
+            replacedByPlayInWinner = advancePlayInWinner(
+              tournament,
+              updatedMatchup,
+              winner
+            );
+          } else if (updatedMatchup.nextMatchupId !== null) {
             // Find which team slot to update (teamA or teamB) in the next matchup
             let isTeamA = updatedMatchup.position % 2 === 0;
 
@@ -446,12 +1021,32 @@ router.put("/games/:id", [auth, admin], async (req, res) => {
     tournament.markModified("teams");
     await tournament.save();
 
+    await recordAuditEvent(req, {
+      action: "tournament.game.update",
+      targetType: "Game",
+      targetId: matchupId,
+      before: gameBefore,
+      after: JSON.parse(JSON.stringify(tournament.games[gameIndex])),
+    });
+
+    publishGameUpdate(year, tournament.games[gameIndex]);
+
+    // Swap the play-in winner into every bracket that picked its placeholder
+    if (replacedByPlayInWinner) {
+      await applyPlayInWinnerToBrackets(year, replacedByPlayInWinner, winner);
+    }
+
     // Auto-calculate scores if requested
     if (autoCalculateScores && completed && winner) {
       // This is a simplified version of the score calculation logic
       // to update scores based on this specific game result
-      const brackets = await Bracket.find();
+      const brackets = await Bracket.find({
+        ...seasonFilter(year),
+        ...submittedFilter(),
+      });
+      const poolsById = await loadPoolsById();
       let updatedBrackets = 0;
+      const rescored = [];
 
       for (const bracket of brackets) {
         try {
@@ -475,15 +1070,23 @@ router.put("/games/:id", [auth, admin], async (req, res) => {
           );
           if (!bracketMatchup || !bracketMatchup.winner) continue;
 
-          // Check if the pick matches the result
-          const correctPick =
-            bracketMatchup.winner.name === winner.name &&
-            bracketMatchup.winner.seed === winner.seed;
-
-          // Update score if correct
-          if (correctPick) {
-            bracket.score += tournament.scoringConfig[matchupRound];
+          // Update score if the pick matches the result
+          if (isCorrectPick(bracketMatchup.winner, winner)) {
+            const scoringRules = getScoringRules(
+              tournament,
+              getBracketPool(bracket, poolsById)
+            );
+            const resultMatchup = tournament.results[matchupRound].find(
+              (m) => m.id === matchupId
+            );
+            bracket.score += scorePick(
+              scoringRules,
+              matchupRound,
+              winner,
+              getMatchupLoser(resultMatchup, winner)
+            );
             await bracket.save();
+            rescored.push(bracket);
             updatedBrackets++;
           }
         } catch (err) {
@@ -494,24 +1097,30 @@ router.put("/games/:id", [auth, admin], async (req, res) => {
         }
       }
 
+      publishBracketScores(year, rescored);
+
       // Run tournament analysis if completed game and requested
       if (completed && runTournamentAnalysis) {
         try {
           // Import the analysis function
           const {
-            analyzeTournamentPossibilities,
+            analyzeAllPools,
             getActiveTeams,
           } = require("../tournament-possibilities-analyzer");
 
           // First check if we're at Sweet 16 or beyond
           const activeTeams = getActiveTeams(tournament);
           if (activeTeams.length <= 16) {
-            // Run analysis in the background without waiting for it to complete
+            // Run analysis for every pool in the background without waiting for it to complete
             // Save to DB since this is an admin action
-            analyzeTournamentPossibilities(true)
-              .then((result) => {
-                if (result.error) {
-                  console.log(`Tournament analysis skipped: ${result.message}`);
+            analyzeAllPools(true, {
+              trigger: "game-update",
+              requestedBy: req.user.id,
+            })
+              .then((results) => {
+                const skipped = results.filter((result) => result.error);
+                if (skipped.length > 0) {
+                  console.log(`Tournament analysis skipped: ${skipped[0].message}`);
                 } else {
                   console.log(
                     "Tournament analysis completed and saved to database after game update"
@@ -539,9 +1148,7 @@ router.put("/games/:id", [auth, admin], async (req, res) => {
       }
 
       // Get a fresh copy of the tournament data to return
-      const updatedTournament = await TournamentResults.findOne({
-        year: new Date().getFullYear(),
-      });
+      const updatedTournament = await TournamentResults.findOne({ year });
 
       return res.json({
         tournament: updatedTournament,
@@ -562,9 +1169,10 @@ router.put("/games/:id", [auth, admin], async (req, res) => {
  * Calculate scores by round and region for a bracket
  * @param {Object} bracket - Bracket data with picks
  * @param {Object} tournamentResults - Current tournament results
+ * @param {Object} scoringRules - Scoring rules for the bracket's pool
  * @returns {Object} Object containing roundScores and regionScores
  */
-const calculateDetailedScores = (bracket, tournamentResults) => {
+const calculateDetailedScores = (bracket, tournamentResults, scoringRules) => {
   // Initialize score objects
   const roundScores = {
     "1": 0, // First Round
@@ -584,7 +1192,7 @@ const calculateDetailedScores = (bracket, tournamentResults) => {
   };
 
   // If we don't have the necessary data, return empty scores
-  if (!bracket.picks || !tournamentResults || !tournamentResults.results || !tournamentResults.scoringConfig) {
+  if (!bracket.picks || !tournamentResults || !tournamentResults.results || !scoringRules) {
     console.log("Missing necessary data for score calculation");
     return { roundScores, regionScores };
   }
@@ -697,12 +1305,14 @@ const calculateDetailedScores = (bracket, tournamentResults) => {
         if (!tournamentMatchup || !tournamentMatchup.winner) return;
         
         // Check if the pick matches the result
-        if (
-          tournamentMatchup.winner.name === matchup.winner.name &&
-          tournamentMatchup.winner.seed === matchup.winner.seed
-        ) {
+        if (isCorrectPick(matchup.winner, tournamentMatchup.winner)) {
           // Add points to the round total
-          const points = tournamentResults.scoringConfig[round] || 0;
+          const points = scorePick(
+            scoringRules,
+            round,
+            tournamentMatchup.winner,
+            getMatchupLoser(tournamentMatchup, tournamentMatchup.winner)
+          );
           roundScores[round] += points;
           
           // Determine region for this matchup
@@ -755,14 +1365,22 @@ const calculateDetailedScores = (bracket, tournamentResults) => {
 };
 
 // @route   GET api/tournament/enhanced-standings
-// @desc    Get enhanced bracket standings with detailed score breakdowns
+// @desc    Get enhanced bracket standings with detailed score breakdowns for a pool
 // @access  Public
 router.get("/enhanced-standings", async (req, res) => {
   try {
+    const { poolId, pool, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ msg: "Pool not found" });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid year" });
+    }
+
     // Get tournament results first to calculate scores
-    const tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
-    });
+    const tournament = await TournamentResults.findOne({ year });
     
     if (!tournament) {
       return res.status(400).json({
@@ -770,11 +1388,16 @@ router.get("/enhanced-standings", async (req, res) => {
       });
     }
     
-    // Get all brackets with scores
-    const brackets = await Bracket.find().sort({
+    // Get all submitted brackets in the pool and season with scores
+    const brackets = await Bracket.find({
+      ...poolFilter(poolId),
+      ...seasonFilter(year),
+      ...submittedFilter(),
+    }).sort({
       score: -1,
       participantName: 1,
     });
+    const scoringRules = getScoringRules(tournament, pool);
     
     // Enhanced standings with round and region scores
     const enhancedStandings = await Promise.all(brackets.map(async (bracket, index) => {
@@ -824,10 +1447,10 @@ router.get("/enhanced-standings", async (req, res) => {
       }
 
       // Get detailed scores
-      const { roundScores, regionScores } = calculateDetailedScores(bracket, tournament);
+      const { roundScores, regionScores } = calculateDetailedScores(bracket, tournament, scoringRules);
 
       // Calculate recalculated score and possible score (existing logic...)
-      if (tournament.scoringConfig && tournament.results) {
+      if (tournament.results) {
         // Loop through all rounds
         for (let round = 1; round <= 6; round++) {
           // Check each matchup in the round
@@ -844,13 +1467,16 @@ router.get("/enhanced-standings", async (req, res) => {
               // CHECKING INDIVIDUAL GAMES instead of entire rounds
               if (tournamentMatchup?.winner) {
                 // This individual game is complete - check if pick was correct
-                if (
-                  tournamentMatchup.winner.name === matchup.winner.name &&
-                  tournamentMatchup.winner.seed === matchup.winner.seed
-                ) {
+                if (isCorrectPick(matchup.winner, tournamentMatchup.winner)) {
                   // Correct pick! Add points
-                  recalculatedScore += tournament.scoringConfig[round];
-                  possibleScore += tournament.scoringConfig[round];
+                  const points = scorePick(
+                    scoringRules,
+                    round,
+                    tournamentMatchup.winner,
+                    getMatchupLoser(tournamentMatchup, tournamentMatchup.winner)
+                  );
+                  recalculatedScore += points;
+                  possibleScore += points;
                 }
                 // Wrong pick - no points possible from this game
               } else {
@@ -859,10 +1485,17 @@ router.get("/enhanced-standings", async (req, res) => {
                   tournament.teams &&
                   !tournament.teams[matchup.winner.name]?.eliminated
                 ) {
-                  // Team still active, points still possible
-                  possibleScore += tournament.scoringConfig[round];
+                  // Team still active, points still possible (scored against
+                  // the opponent the participant picked, since the real one isn't known yet)
+                  const points = scorePick(
+                    scoringRules,
+                    round,
+                    matchup.winner,
+                    getMatchupLoser(matchup, matchup.winner)
+                  );
+                  possibleScore += points;
                   // Track points by round for detailed breakdown
-                  futureRoundPoints[round] += tournament.scoringConfig[round];
+                  futureRoundPoints[round] += points;
                   // Track this team as still alive for this participant
                   if (!teamsStillAlive.includes(matchup.winner.name)) {
                     teamsStillAlive.push(matchup.winner.name);
@@ -880,6 +1513,7 @@ router.get("/enhanced-standings", async (req, res) => {
         participantName: bracket.participantName,
         entryNumber: bracket.entryNumber || 1,
         score: bracket.score,
+        tiebreaker: bracket.tiebreaker,
         recalculatedScore,
         userEmail: bracket.userEmail,
         id: bracket._id,
@@ -895,12 +1529,14 @@ router.get("/enhanced-standings", async (req, res) => {
       };
     }));
 
-    // Sort by score (just to be sure)
-    enhancedStandings.sort((a, b) => b.score - a.score);
+    // Sort by score, breaking ties by closeness to the championship total once it's known
+    const championshipTotal = getChampionshipTotal(tournament);
+    enhancedStandings.sort(compareWithTiebreaker(championshipTotal));
     
     // Recalculate positions after sorting
     enhancedStandings.forEach((entry, index) => {
       entry.position = index + 1;
+      entry.tiebreakerDiff = tiebreakerDistance(entry.tiebreaker, championshipTotal);
     });
     
     // Get some stats
@@ -911,9 +1547,11 @@ router.get("/enhanced-standings", async (req, res) => {
         (brackets.length || 1), // Avoid division by zero
       highestScore: brackets.length > 0 ? brackets[0].score : 0,
       completedRounds: tournament ? tournament.completedRounds : [],
+      championshipTotal,
     };
     
     res.json({
+      year,
       standings: enhancedStandings,
       stats,
     });
@@ -924,15 +1562,30 @@ router.get("/enhanced-standings", async (req, res) => {
 });
 
 // @route   GET api/tournament/matchup-stats/:matchupId/:isTopSlot
-// @desc    Get statistics for teams feeding into a specific matchup
+// @desc    Get statistics for teams feeding into a specific matchup within a pool
 // @access  Public
 router.get("/matchup-stats/:matchupId/:isTopSlot", async (req, res) => {
   try {
     const matchupId = parseInt(req.params.matchupId);
     const isTopSlot = req.params.isTopSlot === "1"; // Convert to boolean
 
-    // Get all brackets
-    const brackets = await Bracket.find({ isLocked: true }); // Only consider locked brackets
+    const { poolId, notFound } = await resolveRequestPool(req);
+    if (notFound) {
+      return res.status(404).json({ message: "Pool not found" });
+    }
+
+    const { year, invalid } = await resolveRequestSeason(req);
+    if (invalid) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+
+    // Get all submitted brackets in the pool and season
+    const brackets = await Bracket.find({
+      ...poolFilter(poolId),
+      ...seasonFilter(year),
+      ...submittedFilter(),
+      isLocked: true, // Only consider locked brackets
+    });
 
     // Initialize stats object
     const stats = {
@@ -943,9 +1596,7 @@ router.get("/matchup-stats/:matchupId/:isTopSlot", async (req, res) => {
     };
 
     // Find the matchup information from the tournament results
-    const tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
-    });
+    const tournament = await TournamentResults.findOne({ year });
 
     if (!tournament || !tournament.results) {
       return res.status(404).json({ message: "Tournament results not found" });
@@ -1102,7 +1753,7 @@ router.get("/matchup-stats/:matchupId/:isTopSlot", async (req, res) => {
 router.post("/generate-next-round", [auth, admin], async (req, res) => {
   try {
     const tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
+      year: await getActiveSeason(),
     });
 
     if (!tournament) {
@@ -1170,6 +1821,13 @@ router.post("/generate-next-round", [auth, admin], async (req, res) => {
     tournament.markModified("games");
     await tournament.save();
 
+    await recordAuditEvent(req, {
+      action: "tournament.round.generate",
+      targetType: "TournamentResults",
+      targetId: tournament._id,
+      after: { round: nextRound, matchupIds: newGames.map((g) => g.matchupId) },
+    });
+
     res.json({
       msg: `Successfully generated ${newGames.length} games for round ${nextRound}`,
       newGames,
@@ -125,7 +125,7 @@ router.delete('/:id', [auth, admin], async (req, res) => {
       return res.status(404).json({ msg: 'Update not found' });
     }
 
-    await update.remove();
+    await update.deleteOne();
     res.json({ msg: 'Update removed' });
   } catch (err) {
     console.error(err.message);
@@ -0,0 +1,73 @@
+/**
+ * Team Alias Seed
+ *
+ * Loads the team name aliases the updater used to hardcode into the
+ * TeamAlias collection, so feed names like "Connecticut" or "Ole Miss" keep
+ * matching our bracket names. Aliases that already exist are left alone, so
+ * the script is safe to run more than once. Further aliases are managed
+ * through /api/admin/team-aliases.
+ *
+ * Usage:
+ *   node seed-team-aliases.js
+ *
+ * Options:
+ *   --dry-run                  (Report which aliases would be added)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const TeamAlias = require('./models/TeamAlias');
+const { aliasKey } = require('./utils/teamAliases');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Our team name, and the other names score feeds have used for it
+const defaultAliases = [
+  { name: 'UConn', alias: 'Connecticut' },
+  { name: 'NC Wilmington', alias: 'UNC Wilmington' },
+  { name: 'Texas A&M', alias: 'Texas A M' },
+  { name: 'Texas A&M', alias: 'TX A&M' },
+  { name: 'SIU Edwardsville', alias: 'SIUE' },
+  { name: 'Mississippi', alias: 'Ole Miss' },
+  { name: "St. Mary's", alias: "St Mary's" },
+  { name: "St. John's", alias: 'St Johns' },
+  { name: "St. John's", alias: 'Saint Johns' }
+];
+
+async function seedAlias({ name, alias }) {
+  const key = aliasKey(alias);
+
+  if (await TeamAlias.findOne({ aliasKey: key })) {
+    console.log(`${alias} -> ${name}: already exists`);
+    return;
+  }
+
+  if (dryRun) {
+    console.log(`${alias} -> ${name}: would be added`);
+    return;
+  }
+
+  await new TeamAlias({ name, alias, aliasKey: key }).save();
+  console.log(`${alias} -> ${name}: added`);
+}
+
+async function run() {
+  await connectDB();
+
+  try {
+    for (const teamAlias of defaultAliases) {
+      await seedAlias(teamAlias);
+    }
+    console.log(dryRun ? '\nDry run complete' : '\nTeam alias seed complete');
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('Error seeding team aliases:', err);
+    process.exit(1);
+  });
@@ -6,6 +6,13 @@ require('dotenv').config();
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy, trust it for client IPs (used by rate limits)
+// TRUST_PROXY is a hop count (e.g. 1) or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Connect to MongoDB
 connectDB();
 
@@ -30,6 +37,7 @@ app.use(express.json({ extended: false }));
 // Define routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/brackets', require('./routes/brackets'));
+app.use('/api/pools', require('./routes/pools'));
 app.use('/api/updates', require('./routes/updates'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/tournament', require('./routes/tournament'));
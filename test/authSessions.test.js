@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'auth-sessions-test-secret';
+process.env.SENDGRID_API_KEY = 'SG.test';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { signSessionToken } = require('../utils/sessions');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// In-memory records the model stubs read from
+const users = new Map();
+const sessions = new Map();
+
+const lookup = (records) => async (id) => records.get(String(id)) || null;
+
+User.findById = lookup(users);
+User.findOne = async ({ email }) => [...users.values()].find(user => user.email === email) || null;
+User.prototype.save = async function() {
+  users.set(this.id, this);
+  return this;
+};
+
+Session.findById = lookup(sessions);
+Session.findOne = async ({ _id, user }) => {
+  const session = sessions.get(String(_id));
+  return session && session.user.equals(user) && !session.revokedAt ? session : null;
+};
+Session.find = ({ user }) => ({
+  sort: async () => [...sessions.values()].filter(session => session.user.equals(user) && !session.revokedAt)
+});
+Session.updateMany = async ({ user }, { $set }) => {
+  let modifiedCount = 0;
+  for (const session of sessions.values()) {
+    if (session.user.equals(user) && !session.revokedAt) {
+      session.revokedAt = $set.revokedAt;
+      modifiedCount++;
+    }
+  }
+  return { modifiedCount };
+};
+Session.prototype.save = async function() {
+  sessions.set(this.id, this);
+  return this;
+};
+
+/**
+ * Create a user and a session for them
+ * @returns {Object} { user, session, token }
+ */
+const signIn = ({ email, emailVerified = true }) => {
+  const user = User.hydrate({ _id: objectId(), email, role: 'user', userToken: 'user-token' });
+  users.set(user.id, user);
+
+  const session = Session.hydrate({
+    _id: objectId(),
+    user: user._id,
+    createdAt: new Date(),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+    emailVerified
+  });
+  sessions.set(session.id, session);
+
+  return { user, session, token: signSessionToken(user, session) };
+};
+
+describe('account session routes', () => {
+  let server;
+  let baseUrl;
+  let verified;
+  let unverified;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth'));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    users.clear();
+    sessions.clear();
+    verified = signIn({ email: 'owner@example.com' });
+    // What POST /api/auth/check-create hands out: a session nobody proved the email for
+    unverified = signIn({ email: 'other@example.com', emailVerified: false });
+  });
+
+  const request = async (method, path, { token, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['x-auth-token'] = token;
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  };
+
+  it('refuses unverified sessions', async () => {
+    const { token, session } = unverified;
+
+    assert.equal((await request('GET', '/api/auth/sessions', { token })).status, 403);
+    assert.equal((await request('DELETE', `/api/auth/sessions/${session.id}`, { token })).status, 403);
+    assert.equal((await request('DELETE', '/api/auth/sessions', { token })).status, 403);
+    assert.equal((await request('POST', '/api/auth/user-token/rotate', { token })).status, 403);
+
+    assert.equal(session.revokedAt, null);
+    assert.equal(unverified.user.userToken, 'user-token');
+  });
+
+  it('lets verified sessions list and revoke sessions', async () => {
+    const { token, session } = verified;
+
+    const listed = await request('GET', '/api/auth/sessions', { token });
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.map(s => [s.id, s.current]), [[session.id, true]]);
+
+    const revoked = await request('DELETE', '/api/auth/sessions', { token });
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.body.revoked, 1);
+    assert.ok(session.revokedAt);
+  });
+
+  it('lets verified sessions rotate the user token', async () => {
+    const rotated = await request('POST', '/api/auth/user-token/rotate', { token: verified.token });
+
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.userToken, 'user-token');
+    assert.equal(verified.user.userToken, rotated.body.userToken);
+  });
+
+  it('doesn\'t return the user token from check-create', async () => {
+    const existing = await request('POST', '/api/auth/check-create', { body: { email: 'owner@example.com' } });
+    assert.equal(existing.status, 200);
+    assert.ok(existing.body.jwtToken);
+    assert.equal(existing.body.isNewUser, false);
+    assert.equal(existing.body.token, undefined);
+
+    const created = await request('POST', '/api/auth/check-create', { body: { email: 'new@example.com' } });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.isNewUser, true);
+    assert.equal(created.body.token, undefined);
+
+    // The session it hands out can't manage the account
+    const sessionsList = await request('GET', '/api/auth/sessions', { token: created.body.jwtToken });
+    assert.equal(sessionsList.status, 403);
+  });
+});
@@ -0,0 +1,406 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'authorize-test-secret';
+process.env.SENDGRID_API_KEY = 'SG.test';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Bracket = require('../models/Bracket');
+const Pool = require('../models/Pool');
+const AuditEvent = require('../models/AuditEvent');
+const TournamentResults = require('../models/TournamentResults');
+const { POLICIES, loadBracket, authorize } = require('../middleware/authorize');
+const { signSessionToken } = require('../utils/sessions');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// In-memory records the model stubs read from
+const users = new Map();
+const sessions = new Map();
+const brackets = new Map();
+const pools = new Map();
+
+const lookup = (records) => async (id) => records.get(String(id)) || null;
+
+User.findById = lookup(users);
+Session.findById = lookup(sessions);
+Bracket.findById = lookup(brackets);
+Pool.findById = lookup(pools);
+Bracket.countDocuments = async () => 1;
+
+// Bracket.find for the account listings: matches user/userEmail filters and honours select
+const matchesBracket = (bracket, filter) => filter.$or
+  ? filter.$or.some(clause => matchesBracket(bracket, clause))
+  : Object.keys(filter).every(field => field === 'user'
+    ? String(bracket.user) === String(filter.user)
+    : bracket[field] === filter[field]);
+
+Bracket.find = (filter) => {
+  let hidden = [];
+  const query = {
+    select(fields) {
+      hidden = fields.split(' ').map(field => field.replace(/^-/, ''));
+      return query;
+    },
+    then(resolve, reject) {
+      const found = [...brackets.values()]
+        .filter(bracket => matchesBracket(bracket, filter))
+        .map(bracket => {
+          const result = bracket.toObject();
+          hidden.forEach(field => delete result[field]);
+          return result;
+        });
+      return Promise.resolve(found).then(resolve, reject);
+    }
+  };
+  return query;
+};
+TournamentResults.findOne = async () => null;
+AuditEvent.prototype.save = async function() { return this; };
+
+/**
+ * Create a user and a session for them
+ * @returns {Object} { user, token }
+ */
+const signIn = ({ email, role = 'user', emailVerified = true }) => {
+  const user = User.hydrate({ _id: objectId(), email, role });
+  users.set(user.id, user);
+
+  const session = Session.hydrate({
+    _id: objectId(),
+    user: user._id,
+    createdAt: new Date(),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+    emailVerified
+  });
+  sessions.set(session.id, session);
+
+  return { user, token: signSessionToken(user, session) };
+};
+
+const addBracket = (fields) => {
+  const bracket = Bracket.hydrate({
+    _id: objectId(),
+    participantName: 'Test Entry',
+    editToken: 'edit-token',
+    year: 2025,
+    pool: null,
+    picks: {},
+    score: 0,
+    isLocked: false,
+    status: 'submitted',
+    ownership: 'confirmed',
+    user: null,
+    ...fields
+  });
+  bracket.save = async function() { return this; };
+  bracket.deleteOne = async function() {
+    brackets.delete(this.id);
+    return this;
+  };
+  brackets.set(bracket.id, bracket);
+  return bracket;
+};
+
+let owner;
+let stranger;
+let siteAdmin;
+let unverifiedAdmin;
+let unverifiedOwner;
+let poolAdmin;
+let pool;
+
+beforeEach(() => {
+  users.clear();
+  sessions.clear();
+  brackets.clear();
+  pools.clear();
+
+  owner = signIn({ email: 'owner@example.com' });
+  stranger = signIn({ email: 'stranger@example.com' });
+  siteAdmin = signIn({ email: 'admin@example.com', role: 'admin' });
+  // What POST /api/auth/check-create hands out: a session nobody proved the email for
+  unverifiedAdmin = signIn({ email: 'admin2@example.com', role: 'admin', emailVerified: false });
+  unverifiedOwner = signIn({ email: 'owner@example.com', emailVerified: false });
+  poolAdmin = signIn({ email: 'pooladmin@example.com' });
+
+  pool = Pool.hydrate({ _id: objectId(), name: 'Office', joinCode: 'OFFICE', admins: [poolAdmin.user._id] });
+  pools.set(pool.id, pool);
+});
+
+/**
+ * Build the request a policy sees
+ */
+const policyRequest = ({ signedIn, emailVerified = true, bracket, query = {}, body = {} }) => ({
+  user: signedIn ? signedIn.user : undefined,
+  emailVerified: signedIn ? emailVerified : undefined,
+  bracket,
+  query,
+  body
+});
+
+describe('authorization policies', () => {
+  describe('owner', () => {
+    it('allows the account the bracket is linked to', () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id });
+      assert.equal(POLICIES.owner(policyRequest({ signedIn: owner, bracket })), true);
+    });
+
+    it('refuses other accounts, even with the same email', () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: stranger.user._id });
+      assert.equal(POLICIES.owner(policyRequest({ signedIn: owner, bracket })), false);
+    });
+
+    it('allows the email owner of an unlinked, confirmed bracket', () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com' });
+      assert.equal(POLICIES.owner(policyRequest({ signedIn: owner, bracket })), true);
+      assert.equal(POLICIES.owner(policyRequest({ signedIn: stranger, bracket })), false);
+    });
+
+    it('refuses unlinked brackets still pending confirmation', () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', ownership: 'pending' });
+      assert.equal(POLICIES.owner(policyRequest({ signedIn: owner, bracket })), false);
+    });
+
+    it('refuses unverified sessions', () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id });
+      assert.equal(POLICIES.owner(policyRequest({ signedIn: owner, emailVerified: false, bracket })), false);
+    });
+
+    it('refuses anonymous requests', () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com' });
+      assert.equal(POLICIES.owner(policyRequest({ bracket })), false);
+    });
+  });
+
+  describe('editToken', () => {
+    it('allows the edit token from the query string or the body', () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com' });
+      assert.equal(POLICIES.editToken(policyRequest({ bracket, query: { editToken: 'edit-token' } })), true);
+      assert.equal(POLICIES.editToken(policyRequest({ bracket, body: { editToken: 'edit-token' } })), true);
+    });
+
+    it('refuses a wrong or missing token', () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com' });
+      assert.equal(POLICIES.editToken(policyRequest({ bracket, query: { editToken: 'guess' } })), false);
+      assert.equal(POLICIES.editToken(policyRequest({ bracket })), false);
+    });
+  });
+
+  describe('poolAdmin', () => {
+    it('allows admins of the bracket\'s pool', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', pool: pool._id });
+      assert.equal(await POLICIES.poolAdmin(policyRequest({ signedIn: poolAdmin, bracket })), true);
+    });
+
+    it('refuses other users and brackets in the default pool', async () => {
+      const pooled = addBracket({ userEmail: 'owner@example.com', pool: pool._id });
+      const unpooled = addBracket({ userEmail: 'owner@example.com' });
+      assert.equal(await POLICIES.poolAdmin(policyRequest({ signedIn: stranger, bracket: pooled })), false);
+      assert.equal(await POLICIES.poolAdmin(policyRequest({ signedIn: poolAdmin, bracket: unpooled })), false);
+    });
+
+    it('refuses unverified sessions', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', pool: pool._id });
+      assert.equal(
+        await POLICIES.poolAdmin(policyRequest({ signedIn: poolAdmin, emailVerified: false, bracket })),
+        false
+      );
+    });
+  });
+
+  describe('siteAdmin', () => {
+    it('allows users with the admin role', () => {
+      assert.equal(POLICIES.siteAdmin(policyRequest({ signedIn: siteAdmin })), true);
+    });
+
+    it('refuses other users and unverified admin sessions', () => {
+      assert.equal(POLICIES.siteAdmin(policyRequest({ signedIn: stranger })), false);
+      assert.equal(POLICIES.siteAdmin(policyRequest({ signedIn: unverifiedAdmin, emailVerified: false })), false);
+    });
+  });
+
+  describe('lockedBracket', () => {
+    it('allows anyone once the bracket is locked', () => {
+      const locked = addBracket({ userEmail: 'owner@example.com', isLocked: true });
+      const open = addBracket({ userEmail: 'owner@example.com' });
+      assert.equal(POLICIES.lockedBracket(policyRequest({ bracket: locked })), true);
+      assert.equal(POLICIES.lockedBracket(policyRequest({ bracket: open })), false);
+    });
+  });
+});
+
+describe('authorize middleware', () => {
+  it('rejects unknown policy names when routes are built', () => {
+    assert.throws(() => authorize(['nobody']), /Unknown authorization policy/);
+  });
+});
+
+describe('HTTP authorization', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.get('/guarded/:id', [loadBracket, authorize(['owner'], { action: 'see this' })], (req, res) => {
+      res.json({ ok: true });
+    });
+    app.use('/api/brackets', require('../routes/brackets'));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const request = async (method, path, { token, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['x-auth-token'] = token;
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  };
+
+  describe('401 vs 403', () => {
+    it('answers 401 to anonymous requests and 403 to signed-in ones', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id });
+
+      const anonymous = await request('GET', `/guarded/${bracket.id}`);
+      assert.equal(anonymous.status, 401);
+      assert.equal(anonymous.body.msg, 'Not authorized to see this');
+
+      assert.equal((await request('GET', `/guarded/${bracket.id}`, { token: stranger.token })).status, 403);
+      assert.equal((await request('GET', `/guarded/${bracket.id}`, { token: owner.token })).status, 200);
+    });
+
+    it('treats an invalid token as anonymous', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id });
+      assert.equal((await request('GET', `/guarded/${bracket.id}`, { token: 'not-a-jwt' })).status, 401);
+    });
+
+    it('answers 403 to unverified sessions for the owner\'s email', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com' });
+      assert.equal((await request('GET', `/guarded/${bracket.id}`, { token: unverifiedOwner.token })).status, 403);
+    });
+
+    it('answers 404 for unknown brackets', async () => {
+      assert.equal((await request('GET', `/guarded/${objectId()}`, { token: owner.token })).status, 404);
+    });
+  });
+
+  describe('GET /api/brackets/:id', () => {
+    it('shows an unlocked bracket only to those who can edit or manage it', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id, pool: pool._id });
+      const path = `/api/brackets/${bracket.id}`;
+
+      assert.equal((await request('GET', path)).status, 401);
+      assert.equal((await request('GET', path, { token: stranger.token })).status, 403);
+      assert.equal((await request('GET', path, { token: owner.token })).status, 200);
+      assert.equal((await request('GET', `${path}?editToken=edit-token`)).status, 200);
+      assert.equal((await request('GET', path, { token: poolAdmin.token })).status, 200);
+      assert.equal((await request('GET', path, { token: siteAdmin.token })).status, 200);
+    });
+
+    it('shows a locked bracket to anyone', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', isLocked: true });
+      assert.equal((await request('GET', `/api/brackets/${bracket.id}`)).status, 200);
+    });
+  });
+
+  describe('DELETE /api/brackets/:id', () => {
+    it('requires signing in', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id });
+      assert.equal((await request('DELETE', `/api/brackets/${bracket.id}`)).status, 401);
+    });
+
+    it('lets the owner delete but not other users or unverified admins', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id });
+      const path = `/api/brackets/${bracket.id}`;
+
+      assert.equal((await request('DELETE', path, { token: stranger.token })).status, 403);
+      assert.equal((await request('DELETE', path, { token: unverifiedAdmin.token })).status, 403);
+      assert.equal((await request('DELETE', path, { token: owner.token })).status, 200);
+      assert.equal(brackets.has(bracket.id), false);
+    });
+
+    it('lets pool admins delete brackets in their pool', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id, pool: pool._id });
+      assert.equal((await request('DELETE', `/api/brackets/${bracket.id}`, { token: poolAdmin.token })).status, 200);
+    });
+  });
+
+  describe('GET /api/brackets and /claimable', () => {
+    it('include edit tokens for verified sessions only', async () => {
+      addBracket({ userEmail: 'owner@example.com' });
+      addBracket({ userEmail: 'owner@example.com', user: owner.user._id, editToken: 'linked-token' });
+
+      const listed = await request('GET', '/api/brackets', { token: owner.token });
+      assert.equal(listed.status, 200);
+      assert.deepEqual(listed.body.map(b => b.editToken).sort(), ['edit-token', 'linked-token']);
+
+      const claimable = await request('GET', '/api/brackets/claimable', { token: owner.token });
+      assert.deepEqual(claimable.body.map(b => b.editToken), ['edit-token']);
+
+      const unverifiedListed = await request('GET', '/api/brackets', { token: unverifiedOwner.token });
+      assert.equal(unverifiedListed.status, 200);
+      assert.equal(unverifiedListed.body.length, 1);
+      assert.equal(unverifiedListed.body[0].editToken, undefined);
+
+      const unverifiedClaimable = await request('GET', '/api/brackets/claimable', { token: unverifiedOwner.token });
+      assert.equal(unverifiedClaimable.body.length, 1);
+      assert.equal(unverifiedClaimable.body[0].editToken, undefined);
+    });
+  });
+
+  describe('POST /api/brackets/:id/transfer', () => {
+    it('refuses unverified sessions for the owner\'s email', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id });
+      const res = await request('POST', `/api/brackets/${bracket.id}/transfer`, {
+        token: unverifiedOwner.token,
+        body: { email: 'thief@example.com' }
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal(bracket.transfer.toEmail, null);
+    });
+  });
+
+  describe('PUT /api/brackets/:id', () => {
+    it('refuses to change the email of a bracket linked to an account', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id });
+      const res = await request('PUT', `/api/brackets/${bracket.id}?editToken=edit-token`, {
+        body: { userEmail: 'someone@example.com' }
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(bracket.userEmail, 'owner@example.com');
+    });
+  });
+
+  describe('PUT /api/brackets/:id/score', () => {
+    it('is for pool and site admins only', async () => {
+      const bracket = addBracket({ userEmail: 'owner@example.com', user: owner.user._id, pool: pool._id });
+      const path = `/api/brackets/${bracket.id}/score`;
+
+      assert.equal((await request('PUT', path, { token: owner.token, body: { score: 10 } })).status, 403);
+      assert.equal((await request('PUT', path, { token: poolAdmin.token, body: { score: 10 } })).status, 200);
+      assert.equal((await request('PUT', path, { token: siteAdmin.token, body: { score: 20 } })).status, 200);
+      assert.equal(bracket.score, 20);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+
+const BracketRevision = require('../models/BracketRevision');
+const { recordRevision } = require('../utils/bracketRevisions');
+
+// Revisions "in the database", as { bracket, revisionNumber }
+let stored = [];
+
+BracketRevision.findOne = (filter) => ({
+  sort: () => ({
+    select: async () => {
+      const numbers = stored
+        .filter(r => String(r.bracket) === String(filter.bracket))
+        .map(r => r.revisionNumber);
+      return numbers.length > 0 ? { revisionNumber: Math.max(...numbers) } : null;
+    }
+  })
+});
+
+const duplicateKeyError = () => {
+  const err = new Error('E11000 duplicate key error');
+  err.code = 11000;
+  err.keyPattern = { bracket: 1, revisionNumber: -1 };
+  return err;
+};
+
+const bracket = {
+  _id: new mongoose.Types.ObjectId(),
+  picks: {},
+  tiebreaker: null,
+  status: 'submitted'
+};
+
+const source = { type: 'system', user: null };
+
+describe('recordRevision', () => {
+  beforeEach(() => {
+    stored = [];
+    BracketRevision.prototype.save = async function() {
+      if (stored.some(r => String(r.bracket) === String(this.bracket) && r.revisionNumber === this.revisionNumber)) {
+        throw duplicateKeyError();
+      }
+      stored.push({ bracket: this.bracket, revisionNumber: this.revisionNumber });
+      return this;
+    };
+  });
+
+  it('numbers revisions from 1 upwards', async () => {
+    assert.equal((await recordRevision(bracket, null, source)).revisionNumber, 1);
+    assert.equal((await recordRevision(bracket, bracket.picks, source)).revisionNumber, 2);
+  });
+
+  it('gives concurrent saves different numbers', async () => {
+    const revisions = await Promise.all([
+      recordRevision(bracket, null, source),
+      recordRevision(bracket, null, source),
+      recordRevision(bracket, null, source)
+    ]);
+
+    assert.deepEqual(revisions.map(r => r.revisionNumber).sort(), [1, 2, 3]);
+  });
+
+  it('gives up after repeated conflicts', async () => {
+    BracketRevision.prototype.save = async () => { throw duplicateKeyError(); };
+    await assert.rejects(recordRevision(bracket, null, source), /duplicate key/);
+  });
+
+  it('does not retry other errors', async () => {
+    let saves = 0;
+    BracketRevision.prototype.save = async () => {
+      saves++;
+      throw new Error('connection lost');
+    };
+
+    await assert.rejects(recordRevision(bracket, null, source), /connection lost/);
+    assert.equal(saves, 1);
+  });
+});
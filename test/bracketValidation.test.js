@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validatePicks } = require('../utils/bracketValidation');
+
+const team = (name, seed) => ({ name, seed });
+
+const duke = team('Duke', 1);
+const vermont = team('Vermont', 16);
+const baylor = team('Baylor', 8);
+const miss = team('Mississippi State', 9);
+const houston = team('Houston', 1);
+const siue = team('SIUE', 16);
+
+// Two regions, each a pair of first-round games feeding one second-round game
+const tournament = {
+  results: {
+    1: [
+      { id: 0, teamA: duke, teamB: vermont, winner: null, nextMatchupId: 32, position: 0, region: 'East' },
+      { id: 1, teamA: baylor, teamB: miss, winner: null, nextMatchupId: 32, position: 1, region: 'East' },
+      { id: 2, teamA: houston, teamB: siue, winner: null, nextMatchupId: 33, position: 2, region: 'Midwest' },
+      { id: 3, teamA: team('Gonzaga', 8), teamB: team('Georgia', 9), winner: null, nextMatchupId: 33, position: 3, region: 'Midwest' }
+    ],
+    2: [
+      { id: 32, teamA: null, teamB: null, winner: null, nextMatchupId: null, position: 0, region: 'East' },
+      { id: 33, teamA: null, teamB: null, winner: null, nextMatchupId: null, position: 1, region: 'Midwest' }
+    ]
+  }
+};
+
+const validPicks = () => ({
+  1: [
+    { id: 0, teamA: duke, teamB: vermont, winner: duke, nextMatchupId: 32 },
+    { id: 1, teamA: baylor, teamB: miss, winner: baylor, nextMatchupId: 32 },
+    { id: 2, teamA: houston, teamB: siue, winner: houston, nextMatchupId: 33 },
+    { id: 3, teamA: team('Gonzaga', 8), teamB: team('Georgia', 9), winner: team('Gonzaga', 8), nextMatchupId: 33 }
+  ],
+  2: [
+    { id: 32, teamA: duke, teamB: baylor, winner: duke, nextMatchupId: null },
+    { id: 33, teamA: houston, teamB: team('Gonzaga', 8), winner: houston, nextMatchupId: null }
+  ]
+});
+
+describe('validatePicks', () => {
+  it('accepts a complete bracket that follows the tournament structure', () => {
+    assert.deepEqual(validatePicks(validPicks(), tournament), []);
+  });
+
+  it('rejects a later-round team that did not win a feeding matchup in the structure', () => {
+    const picks = validPicks();
+    picks[2][0] = { id: 32, teamA: duke, teamB: houston, winner: houston, nextMatchupId: null };
+
+    const errors = validatePicks(picks, tournament);
+    assert.ok(errors.some(e => e.matchupId === 32 && e.field === 'teamB'));
+  });
+
+  it('ignores feeders that exist only in the picks', () => {
+    // An extra round-1 entry claiming to feed the East game can't bring a Midwest team across
+    const picks = validPicks();
+    picks[1].push({ id: 999, teamA: houston, teamB: siue, winner: houston, nextMatchupId: 32 });
+    picks[2][0] = { id: 32, teamA: duke, teamB: houston, winner: houston, nextMatchupId: null };
+
+    const errors = validatePicks(picks, tournament);
+    assert.ok(errors.some(e => e.matchupId === 999 && e.message === 'Matchup is not in the tournament bracket'));
+    assert.ok(errors.some(e => e.matchupId === 32 && e.field === 'teamB'));
+  });
+
+  it('takes feeder winners by matchup id, not by the nextMatchupId the picks give', () => {
+    const picks = validPicks();
+    picks[1][2] = { ...picks[1][2], nextMatchupId: 32 };
+
+    const errors = validatePicks(picks, tournament);
+    assert.ok(errors.some(e => e.matchupId === 2 && e.field === 'nextMatchupId'));
+    assert.ok(!errors.some(e => e.matchupId === 33 && (e.field === 'teamA' || e.field === 'teamB')));
+  });
+
+  it('rejects a matchup picked twice', () => {
+    const picks = validPicks();
+    picks[1].push({ ...picks[1][0] });
+
+    const errors = validatePicks(picks, tournament);
+    assert.ok(errors.some(e => e.matchupId === 0 && e.message === 'Matchup is picked more than once'));
+  });
+
+  it('lets drafts leave matchups unpicked', () => {
+    const picks = validPicks();
+    picks[2] = [];
+
+    assert.deepEqual(validatePicks(picks, tournament, { requireComplete: false }), []);
+    assert.ok(validatePicks(picks, tournament).length > 0);
+  });
+});
@@ -0,0 +1,252 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SENDGRID_API_KEY = 'SG.test';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+
+const express = require('express');
+const Bracket = require('../models/Bracket');
+const User = require('../models/User');
+const Pool = require('../models/Pool');
+const SeasonSettings = require('../models/SeasonSettings');
+const TournamentResults = require('../models/TournamentResults');
+const {
+  nextEntryNumber,
+  saveWithEntryNumber,
+  checkEntryLimits,
+  checkSavedEntryLimits
+} = require('../utils/entries');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// In-memory records the model stubs read from
+const brackets = new Map();
+const pools = new Map();
+let settings;
+
+/**
+ * Match a bracket against the filters utils/entries.js builds
+ * (plain values, $ne and $lte)
+ */
+const matches = (bracket, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = bracket[field] === undefined ? null : bracket[field];
+  if (condition && condition.$ne !== undefined) return String(value) !== String(condition.$ne);
+  if (condition && condition.$lte !== undefined) return String(value) <= String(condition.$lte);
+  return String(value) === String(condition);
+});
+
+Bracket.countDocuments = async (filter) =>
+  [...brackets.values()].filter(bracket => matches(bracket, filter)).length;
+Bracket.distinct = async (field, filter) => [
+  ...new Set([...brackets.values()].filter(bracket => matches(bracket, filter)).map(bracket => bracket[field]))
+];
+Bracket.findById = (id) => {
+  const found = brackets.get(String(id)) || null;
+  return { select: async () => found };
+};
+Pool.findById = async (id) => pools.get(String(id)) || null;
+SeasonSettings.findOne = async () => settings;
+TournamentResults.findOne = async () => null;
+
+const owner = User.hydrate({ _id: objectId(), email: 'owner@example.com', userToken: 'user-token' });
+User.findOne = async ({ email }) => (email === owner.email ? owner : null);
+
+const addBracket = (fields) => {
+  const bracket = Bracket.hydrate({
+    _id: objectId(),
+    participantName: 'Test Entry',
+    userEmail: 'owner@example.com',
+    editToken: 'edit-token',
+    year: 2025,
+    pool: null,
+    picks: {},
+    score: 0,
+    entryNumber: brackets.size + 1,
+    status: 'submitted',
+    ownership: 'confirmed',
+    ownershipToken: null,
+    user: null,
+    ...fields
+  });
+  bracket.save = async function() { return this; };
+  brackets.set(bracket.id, bracket);
+  return bracket;
+};
+
+beforeEach(() => {
+  brackets.clear();
+  pools.clear();
+  settings = { maxEntriesPerEmail: 2 };
+});
+
+describe('entry limits', () => {
+  it('counts confirmed entries against the season limit', async () => {
+    addBracket({});
+    assert.equal(await checkEntryLimits(null, 2025, 'owner@example.com'), null);
+
+    addBracket({});
+    assert.match(await checkEntryLimits(null, 2025, 'owner@example.com'), /at most 2 brackets per email/);
+  });
+
+  it('leaves pending entries out of the counts', async () => {
+    addBracket({});
+    addBracket({ ownership: 'pending' });
+    addBracket({ ownership: 'pending' });
+    assert.equal(await checkEntryLimits(null, 2025, 'owner@example.com'), null);
+
+    const saved = addBracket({ ownership: 'pending' });
+    assert.equal(await checkSavedEntryLimits(saved, null), null);
+  });
+
+  it('applies the pool\'s own limit to its entries', async () => {
+    settings = null;
+    const pool = Pool.hydrate({ _id: objectId(), name: 'Office', joinCode: 'OFFICE', maxEntries: 1 });
+    pools.set(pool.id, pool);
+
+    addBracket({ pool: pool._id, ownership: 'pending' });
+    assert.equal(await checkEntryLimits(pool, 2025, 'owner@example.com'), null);
+
+    const saved = addBracket({ pool: pool._id });
+    assert.equal(await checkSavedEntryLimits(saved, pool), null);
+    assert.match(await checkEntryLimits(pool, 2025, 'owner@example.com'), /at most 1 entries per email/);
+  });
+});
+
+describe('entry numbers', () => {
+  const entryNumberConflict = () =>
+    Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { entryNumber: 1 } });
+
+  // A new entry for the same participant, not yet saved
+  const newEntry = () => Bracket.hydrate({
+    _id: objectId(),
+    participantName: 'Test Entry',
+    userEmail: 'owner@example.com',
+    year: 2025,
+    pool: null,
+    entryNumber: null
+  });
+
+  it('takes the lowest number free among the participant\'s entries', async () => {
+    addBracket({ entryNumber: 1 });
+    addBracket({ entryNumber: 3 });
+    // Other participants, pools and seasons are numbered separately
+    addBracket({ entryNumber: 2, participantName: 'Someone Else' });
+    addBracket({ entryNumber: 2, pool: objectId() });
+    addBracket({ entryNumber: 2, year: 2024 });
+
+    assert.equal(await nextEntryNumber(newEntry()), 2);
+  });
+
+  it('ignores the bracket\'s own number', async () => {
+    const bracket = addBracket({ entryNumber: 1 });
+    assert.equal(await nextEntryNumber(bracket), 1);
+  });
+
+  it('tries the next free number when a concurrent entry takes it first', async () => {
+    addBracket({ entryNumber: 1 });
+    const bracket = newEntry();
+    const tried = [];
+    bracket.save = async function() {
+      tried.push(this.entryNumber);
+      if (tried.length === 1) {
+        // The other entry was saved between our read and our write
+        addBracket({ entryNumber: this.entryNumber });
+        throw entryNumberConflict();
+      }
+      return this;
+    };
+
+    const saved = await saveWithEntryNumber(bracket);
+    assert.deepEqual(tried, [2, 3]);
+    assert.equal(saved.entryNumber, 3);
+  });
+
+  it('gives up after five conflicts', async () => {
+    const bracket = newEntry();
+    let attempts = 0;
+    bracket.save = async () => {
+      attempts++;
+      throw entryNumberConflict();
+    };
+
+    await assert.rejects(saveWithEntryNumber(bracket), { code: 11000 });
+    assert.equal(attempts, 5);
+  });
+
+  it('doesn\'t retry other save errors', async () => {
+    const bracket = newEntry();
+    let attempts = 0;
+    bracket.save = async () => {
+      attempts++;
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { editToken: 1 } });
+    };
+
+    await assert.rejects(saveWithEntryNumber(bracket), { keyPattern: { editToken: 1 } });
+    assert.equal(attempts, 1);
+  });
+});
+
+describe('bracket routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/brackets', require('../routes/brackets'));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const post = (path, body) => fetch(`${baseUrl}/api/brackets${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  describe('POST /api/brackets', () => {
+    it('requires an email and a participant name', async () => {
+      for (const body of [
+        { participantName: 'Test Entry', picks: {} },
+        { userEmail: 'owner@example.com', picks: {} },
+        { userEmail: '  ', participantName: 'Test Entry', picks: {} },
+        { userEmail: 42, participantName: 'Test Entry', picks: {} }
+      ]) {
+        const res = await post('', body);
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).msg, 'Email and participant name are required');
+      }
+    });
+  });
+
+  describe('POST /api/brackets/:id/confirm', () => {
+    const confirm = (bracket) => post(`/${bracket.id}/confirm`, { token: 'ownership-token' });
+
+    it('confirms a pending bracket while the email has room', async () => {
+      addBracket({});
+      const pending = addBracket({ ownership: 'pending', ownershipToken: 'ownership-token' });
+
+      assert.equal((await confirm(pending)).status, 200);
+      assert.equal(pending.ownership, 'confirmed');
+      assert.equal(String(pending.user), owner.id);
+    });
+
+    it('refuses to confirm past the entry limit', async () => {
+      addBracket({});
+      addBracket({});
+      const pending = addBracket({ ownership: 'pending', ownershipToken: 'ownership-token' });
+
+      const res = await confirm(pending);
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).msg, /at most 2 brackets per email/);
+      assert.equal(pending.ownership, 'pending');
+    });
+  });
+});
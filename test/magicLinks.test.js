@@ -0,0 +1,179 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'magic-links-test-secret';
+process.env.SENDGRID_API_KEY = 'SG.test';
+process.env.MAGIC_LINK_TTL_MINUTES = '30';
+process.env.LOGIN_EMAIL_LIMIT = '2';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+
+const express = require('express');
+const sgMail = require('@sendgrid/mail');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RateLimit = require('../models/RateLimit');
+const {
+  getMagicLinkTtlMs,
+  issueMagicLinkToken,
+  consumeMagicLinkToken
+} = require('../utils/authTokens');
+
+const MINUTE = 60 * 1000;
+
+// In-memory records the model stubs read from
+const users = new Map();
+const rateLimits = new Map();
+let emails;
+
+const findUser = (email) => [...users.values()].find(user => user.email === email) || null;
+
+User.findOne = async ({ email }) => findUser(email);
+User.exists = async ({ email, authToken }) => {
+  const user = findUser(email);
+  return user && user.authToken === authToken ? { _id: user._id } : null;
+};
+// Matches the filter consumeMagicLinkToken sends, and applies its $set
+User.findOneAndUpdate = async ({ email, authToken, authTokenIssuedAt }, { $set }) => {
+  const user = findUser(email);
+  if (!user || user.authToken !== authToken || !(user.authTokenIssuedAt > authTokenIssuedAt.$gt)) {
+    return null;
+  }
+  Object.assign(user, $set);
+  return user;
+};
+User.prototype.save = async function() {
+  users.set(this.id, this);
+  return this;
+};
+Session.prototype.save = async function() { return this; };
+RateLimit.findOneAndUpdate = async ({ key }) => {
+  const counter = { count: (rateLimits.get(key) || 0) + 1 };
+  rateLimits.set(key, counter.count);
+  return counter;
+};
+sgMail.send = async (msg) => {
+  emails.push(msg);
+  return [{ statusCode: 202 }];
+};
+
+const addUser = (email) => {
+  const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), email, role: 'user', userToken: 'user-token' });
+  users.set(user.id, user);
+  return user;
+};
+
+beforeEach(() => {
+  users.clear();
+  rateLimits.clear();
+  emails = [];
+});
+
+describe('magic-link tokens', () => {
+  it('last MAGIC_LINK_TTL_MINUTES', () => {
+    assert.equal(getMagicLinkTtlMs(), 30 * MINUTE);
+  });
+
+  it('sign in once', async () => {
+    const user = addUser('fan@example.com');
+    const issuedAt = new Date(2025, 2, 20, 12, 0);
+    const token = issueMagicLinkToken(user, issuedAt);
+    const now = new Date(issuedAt.getTime() + 5 * MINUTE);
+
+    const first = await consumeMagicLinkToken('fan@example.com', token, now);
+    assert.equal(first.user, user);
+    assert.equal(user.authToken, null);
+    assert.equal(user.lastLoginAt.getTime(), now.getTime());
+
+    const second = await consumeMagicLinkToken('fan@example.com', token, now);
+    assert.deepEqual(second, { error: 'Invalid token' });
+  });
+
+  it('stop working once they expire', async () => {
+    const user = addUser('fan@example.com');
+    const issuedAt = new Date(2025, 2, 20, 12, 0);
+    const token = issueMagicLinkToken(user, issuedAt);
+
+    const late = await consumeMagicLinkToken('fan@example.com', token, new Date(issuedAt.getTime() + 31 * MINUTE));
+    assert.deepEqual(late, { error: 'This sign-in link has expired' });
+    assert.equal(user.authToken, token);
+  });
+
+  it('are replaced by the next link', async () => {
+    const user = addUser('fan@example.com');
+    const first = issueMagicLinkToken(user);
+    const second = issueMagicLinkToken(user);
+
+    assert.notEqual(first, second);
+    assert.deepEqual(await consumeMagicLinkToken('fan@example.com', first), { error: 'Invalid token' });
+    assert.ok((await consumeMagicLinkToken('fan@example.com', second)).user);
+  });
+});
+
+describe('sign-in routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth'));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const login = (email) => fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  });
+
+  const verify = (email, token) =>
+    fetch(`${baseUrl}/api/auth/verify?token=${token}&email=${encodeURIComponent(email)}`);
+
+  it('email a link that verifies once', async () => {
+    const res = await login('fan@example.com');
+    assert.equal(res.status, 200);
+    assert.equal(emails.length, 1);
+
+    const { authToken } = findUser('fan@example.com');
+    assert.ok(authToken);
+
+    const verified = await verify('fan@example.com', authToken);
+    assert.equal(verified.status, 200);
+    assert.ok((await verified.json()).token);
+
+    const reused = await verify('fan@example.com', authToken);
+    assert.equal(reused.status, 400);
+    assert.equal((await reused.json()).msg, 'Invalid token');
+  });
+
+  it('refuse an expired link', async () => {
+    const user = addUser('fan@example.com');
+    const token = issueMagicLinkToken(user, new Date(Date.now() - 31 * MINUTE));
+
+    const res = await verify('fan@example.com', token);
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).msg, 'This sign-in link has expired');
+  });
+
+  it('limit how many links one email can request', async () => {
+    assert.equal((await login('fan@example.com')).status, 200);
+    assert.equal((await login('Fan@Example.com ')).status, 200);
+
+    const limited = await login('fan@example.com');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.match((await limited.json()).msg, /Too many sign-in links/);
+    assert.equal(emails.length, 2);
+
+    // Other addresses aren't held up
+    assert.equal((await login('other@example.com')).status, 200);
+  });
+});
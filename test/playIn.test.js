@@ -0,0 +1,237 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SENDGRID_API_KEY = 'SG.test';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+// The updater connects when it's loaded
+mongoose.connect = async () => mongoose;
+
+const TournamentResults = require('../models/TournamentResults');
+const Bracket = require('../models/Bracket');
+const BracketRevision = require('../models/BracketRevision');
+const Pool = require('../models/Pool');
+const SeasonSettings = require('../models/SeasonSettings');
+const NcaaUpdateLog = require('../models/NcaaUpdateLog');
+const TeamAlias = require('../models/TeamAlias');
+const UnmappedGame = require('../models/UnmappedGame');
+const analyzer = require('../tournament-possibilities-analyzer');
+const {
+  buildPlaceholder,
+  isPlaceholder,
+  validatePlayIns,
+  fillPlayInPlaceholders,
+  advancePlayInWinner,
+  replaceTeamInPicks,
+  applyPlayInWinnerToBrackets
+} = require('../utils/playIn');
+const { updateTournamentResults } = require('../ncaa-tournament-updater');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const auburn = { name: 'Auburn', seed: 1 };
+const alabamaState = { name: 'Alabama State', seed: 16 };
+const stFrancis = { name: 'Saint Francis', seed: 16 };
+const louisville = { name: 'Louisville', seed: 8 };
+const creighton = { name: 'Creighton', seed: 9 };
+
+// In-memory records the model stubs read from
+let tournament;
+let brackets;
+let revisions;
+
+SeasonSettings.findOne = async () => ({ activeYear: 2025 });
+TournamentResults.findOne = async () => tournament;
+Pool.find = async () => [];
+TeamAlias.find = async () => [];
+UnmappedGame.find = async () => [];
+UnmappedGame.findOneAndUpdate = async () => null;
+NcaaUpdateLog.prototype.save = async function() { return this; };
+NcaaUpdateLog.findOne = async () => null;
+analyzer.analyzeAllPools = async () => [];
+
+// Bracket.find for the season's brackets, optionally only those with a first-round team
+Bracket.find = async (filter) => brackets.filter(bracket => !filter.$or || filter.$or.some(clause => {
+  const [field, name] = Object.entries(clause)[0];
+  const slot = field.split('.')[2];
+  return (bracket.picks[1] || []).some(m => m[slot] && m[slot].name === name);
+}));
+BracketRevision.findOne = () => ({ sort: () => ({ select: async () => null }) });
+BracketRevision.prototype.save = async function() {
+  revisions.push(this);
+  return this;
+};
+
+/**
+ * Results for the South's 1/16 and 8/9 games, with the 16 seed decided by a play-in
+ */
+const buildResults = () => ({
+  0: [{ id: 64, teamA: alabamaState, teamB: stFrancis, winner: null, nextMatchupId: 0, nextSlot: 'teamB', region: 'South' }],
+  1: [
+    { id: 0, teamA: auburn, teamB: null, winner: null, nextMatchupId: 32, position: 0, region: 'South' },
+    { id: 1, teamA: louisville, teamB: creighton, winner: null, nextMatchupId: 32, position: 1, region: 'South' }
+  ],
+  2: [{ id: 32, teamA: null, teamB: null, winner: null, nextMatchupId: null, position: 0, region: 'South' }]
+});
+
+const placeholder = buildPlaceholder(buildResults()[0][0]);
+
+const addBracket = (participantName, firstRoundWinner) => {
+  const bracket = Bracket.hydrate({
+    _id: objectId(),
+    participantName,
+    userEmail: `${participantName.toLowerCase()}@example.com`,
+    year: 2025,
+    pool: null,
+    status: 'submitted',
+    ownership: 'confirmed',
+    score: 0,
+    picks: {
+      1: [
+        { id: 0, teamA: auburn, teamB: placeholder, winner: firstRoundWinner, nextMatchupId: 32 },
+        { id: 1, teamA: louisville, teamB: creighton, winner: creighton, nextMatchupId: 32 }
+      ],
+      2: [{ id: 32, teamA: firstRoundWinner, teamB: creighton, winner: firstRoundWinner, nextMatchupId: null }]
+    }
+  });
+  bracket.save = async function() { return this; };
+  brackets.push(bracket);
+  return bracket;
+};
+
+beforeEach(() => {
+  const results = buildResults();
+  const games = [
+    { matchupId: 64, round: 0, teamA: alabamaState, teamB: stFrancis, completed: false },
+    { matchupId: 0, round: 1, teamA: auburn, teamB: null, completed: false },
+    { matchupId: 1, round: 1, teamA: louisville, teamB: creighton, completed: false }
+  ];
+  fillPlayInPlaceholders(results, games);
+
+  tournament = TournamentResults.hydrate({
+    _id: objectId(),
+    year: 2025,
+    completedRounds: [],
+    results,
+    games,
+    teams: { [placeholder.name]: { seed: 16, eliminated: false } }
+  });
+  tournament.save = async function() { return this; };
+
+  brackets = [];
+  revisions = [];
+});
+
+describe('play-in placeholders', () => {
+  it('names the placeholder after both play-in teams', () => {
+    assert.deepEqual(placeholder, { name: 'Alabama State/Saint Francis', seed: 16, playInMatchupId: 64 });
+    assert.equal(isPlaceholder(placeholder), true);
+    assert.equal(isPlaceholder(auburn), false);
+  });
+
+  it('fills the first-round slot in the results and the games list', () => {
+    assert.deepEqual(tournament.results[1][0].teamB, placeholder);
+    assert.equal(tournament.games.find(g => g.matchupId === 0).teamB.name, placeholder.name);
+  });
+
+  it('leaves a slot that already holds a real team alone', () => {
+    const results = buildResults();
+    results[1][0].teamB = alabamaState;
+    fillPlayInPlaceholders(results);
+    assert.deepEqual(results[1][0].teamB, alabamaState);
+  });
+
+  it('checks play-ins lead to a free first-round slot', () => {
+    assert.equal(validatePlayIns(buildResults()), null);
+
+    const noSlot = buildResults();
+    noSlot[0][0].nextSlot = 'winner';
+    assert.match(validatePlayIns(noSlot), /needs a nextSlot/);
+
+    const nowhere = buildResults();
+    nowhere[0][0].nextMatchupId = 99;
+    assert.match(validatePlayIns(nowhere), /does not lead to a first round matchup/);
+
+    const doubled = buildResults();
+    doubled[0].push({ ...doubled[0][0], id: 65 });
+    assert.match(validatePlayIns(doubled), /More than one play-in leads to teamB of matchup 0/);
+  });
+});
+
+describe('play-in winners', () => {
+  it('replace the placeholder in the first round', () => {
+    const replaced = advancePlayInWinner(tournament, tournament.results[0][0], alabamaState);
+
+    assert.deepEqual(replaced, placeholder);
+    assert.deepEqual(tournament.results[1][0].teamB, alabamaState);
+    assert.deepEqual(tournament.games.find(g => g.matchupId === 0).teamB.toObject(), alabamaState);
+    assert.equal(tournament.teams[placeholder.name], undefined);
+
+    // Advancing the same winner again changes nothing
+    assert.equal(advancePlayInWinner(tournament, tournament.results[0][0], alabamaState), null);
+  });
+
+  it('replace a corrected winner', () => {
+    advancePlayInWinner(tournament, tournament.results[0][0], alabamaState);
+    const replaced = advancePlayInWinner(tournament, tournament.results[0][0], stFrancis);
+
+    assert.deepEqual(replaced, alabamaState);
+    assert.deepEqual(tournament.results[1][0].teamB, stFrancis);
+  });
+
+  it('replace the placeholder everywhere in a bracket\'s picks', () => {
+    const picks = addBracket('Upset', placeholder).picks;
+    const updated = replaceTeamInPicks(picks, placeholder, alabamaState);
+
+    assert.deepEqual(updated[1][0].teamB, alabamaState);
+    assert.deepEqual(updated[1][0].winner, alabamaState);
+    assert.deepEqual(updated[2][0].teamA, alabamaState);
+    assert.deepEqual(updated[2][0].winner, alabamaState);
+    assert.deepEqual(updated[1][1], picks[1][1]);
+
+    assert.equal(replaceTeamInPicks(picks, { name: 'Duke', seed: 1 }, alabamaState), null);
+  });
+
+  it('are written into every bracket that has the placeholder, with a revision each', async () => {
+    const upset = addBracket('Upset', placeholder);
+    const chalk = addBracket('Chalk', auburn);
+
+    assert.equal(await applyPlayInWinnerToBrackets(2025, placeholder, stFrancis), 2);
+    assert.deepEqual(upset.picks[2][0].winner, stFrancis);
+    assert.deepEqual(chalk.picks[1][0].teamB, stFrancis);
+    assert.deepEqual(chalk.picks[1][0].winner, auburn);
+
+    assert.equal(revisions.length, 2);
+    assert.deepEqual(revisions.map(r => r.source.type), ['system', 'system']);
+  });
+
+  it('reach brackets when the updater records the First Four result', async () => {
+    const upset = addBracket('Upset', placeholder);
+    const feedGame = {
+      gameId: '6309390',
+      roundName: 'First Four',
+      round: 0,
+      region: 'South',
+      status: 'final',
+      away: { name: 'Alabama State', seed: 16, score: 70, winner: true },
+      home: { name: 'Saint Francis (PA)', seed: 16, score: 68, winner: false }
+    };
+
+    const result = await updateTournamentResults(false, {
+      provider: { name: 'test', fetchGames: async () => [feedGame] },
+      now: new Date(2025, 2, 18, 23, 0)
+    });
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(tournament.results[0][0].winner, alabamaState);
+    assert.deepEqual(tournament.results[1][0].teamB, alabamaState);
+    assert.equal(tournament.teams['Saint Francis'].eliminated, true);
+    assert.equal(tournament.teams[placeholder.name], undefined);
+
+    assert.deepEqual(upset.picks[1][0].winner, alabamaState);
+    assert.deepEqual(upset.picks[2][0].winner, alabamaState);
+    assert.equal(revisions.length, 1);
+  });
+});
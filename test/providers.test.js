@@ -0,0 +1,186 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const axios = require('axios');
+const { getScoreProvider, isValidProvider } = require('../providers');
+const {
+  createNcaaScoreboardProvider,
+  mapRoundNameToNumber,
+  normalizeGame,
+  parseScoreboard
+} = require('../providers/ncaaScoreboard');
+const { createLocalFileProvider, parseScoresFile } = require('../providers/localFile');
+
+// A captured scoreboard: a final and a live Sweet 16 game, and a game outside the tournament
+const SCOREBOARD_FILE = path.join(__dirname, 'fixtures', 'ncaa-scoreboard.json');
+const scoreboard = JSON.parse(fs.readFileSync(SCOREBOARD_FILE, 'utf8'));
+
+describe('NCAA scoreboard provider', () => {
+  it('normalizes scoreboard games', () => {
+    const [final, live, other] = parseScoreboard(scoreboard);
+
+    assert.deepEqual(final, {
+      gameId: '6309473',
+      roundName: 'Sweet 16',
+      round: 3,
+      region: 'East',
+      status: 'final',
+      period: 'FINAL',
+      clock: '0:00',
+      startTime: '2025-03-27T23:09:00.000Z',
+      network: 'CBS',
+      away: { name: 'Duke', seed: 1, score: 100, winner: true },
+      home: { name: 'Arizona', seed: 4, score: 93, winner: false }
+    });
+
+    assert.equal(live.status, 'live');
+    assert.equal(live.clock, '12:41');
+    assert.deepEqual([live.away.score, live.home.score], [47, 52]);
+
+    // Games outside the tournament have no round, and blanks become nulls
+    assert.equal(other.roundName, null);
+    assert.equal(other.round, null);
+    assert.equal(other.status, 'scheduled');
+    assert.equal(other.startTime, null);
+    assert.deepEqual(other.away, { name: 'Loyola Chicago', seed: null, score: null, winner: false });
+  });
+
+  it('maps First Four games to round 0 rather than dropping them', () => {
+    assert.equal(mapRoundNameToNumber('First Four'), 0);
+    assert.equal(mapRoundNameToNumber('Championship'), 6);
+    assert.equal(mapRoundNameToNumber('Regular Season'), null);
+
+    const game = normalizeGame({ ...scoreboard.games[0].game, bracketRound: 'First Four' });
+    assert.equal(game.round, 0);
+  });
+
+  it('treats a payload without games as empty', () => {
+    assert.deepEqual(parseScoreboard({}), []);
+    assert.deepEqual(parseScoreboard(null), []);
+  });
+
+  describe('fetchGames', () => {
+    const originalGet = axios.get;
+    afterEach(() => {
+      axios.get = originalGet;
+    });
+
+    it('fetches the scoreboard for the date', async () => {
+      const urls = [];
+      axios.get = async (url) => {
+        urls.push(url);
+        return { data: scoreboard };
+      };
+
+      const provider = createNcaaScoreboardProvider({ baseUrl: 'https://scores.test/d1' });
+      const games = await provider.fetchGames(new Date(2025, 2, 27, 21, 0));
+
+      assert.equal(provider.name, 'ncaa');
+      assert.deepEqual(urls, ['https://scores.test/d1/2025/03/27/scoreboard.json']);
+      assert.equal(games.length, 3);
+    });
+
+    it('returns no games when the feed can\'t be fetched', async () => {
+      axios.get = async () => {
+        throw new Error('Request failed with status code 404');
+      };
+
+      assert.deepEqual(await createNcaaScoreboardProvider().fetchGames(new Date(2025, 2, 27)), []);
+    });
+  });
+});
+
+describe('local file provider', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scores-'));
+    fs.copyFileSync(SCOREBOARD_FILE, path.join(dir, '2025-03-27.json'));
+    fs.writeFileSync(path.join(dir, '2025-03-28.json'), JSON.stringify({
+      games: [{
+        gameId: 'elite-8-east',
+        roundName: 'Elite Eight',
+        round: 4,
+        region: 'East',
+        status: 'scheduled',
+        away: { name: 'Duke', seed: 1, score: null, winner: false },
+        home: { name: 'Alabama', seed: 2, score: null, winner: false }
+      }]
+    }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads a captured NCAA payload from a single file for every date', async () => {
+    const provider = createLocalFileProvider({ path: SCOREBOARD_FILE });
+
+    assert.equal(provider.name, 'file');
+    assert.deepEqual(
+      await provider.fetchGames(new Date(2025, 3, 1)),
+      parseScoreboard(scoreboard)
+    );
+  });
+
+  it('reads the day\'s file from a directory, raw or normalized', async () => {
+    const provider = createLocalFileProvider({ path: dir });
+
+    const raw = await provider.fetchGames(new Date(2025, 2, 27, 21, 0));
+    assert.deepEqual(raw.map(game => game.gameId), ['6309473', '6309474', '6309101']);
+
+    const normalized = await provider.fetchGames(new Date(2025, 2, 28, 18, 0));
+    assert.deepEqual(normalized.map(game => game.gameId), ['elite-8-east']);
+
+    assert.deepEqual(await provider.fetchGames(new Date(2025, 2, 29)), []);
+  });
+
+  it('accepts a list of normalized games', () => {
+    const games = [{ gameId: '1', roundName: 'Final Four', round: 5 }];
+    assert.deepEqual(parseScoresFile(games), games);
+    assert.deepEqual(parseScoresFile({}), []);
+  });
+
+  it('needs a path', () => {
+    assert.throws(() => createLocalFileProvider(), /needs a path/);
+  });
+});
+
+describe('provider selection', () => {
+  const original = {
+    provider: process.env.SCORE_PROVIDER,
+    path: process.env.SCORE_PROVIDER_PATH
+  };
+
+  afterEach(() => {
+    const restore = (name, value) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    };
+    restore('SCORE_PROVIDER', original.provider);
+    restore('SCORE_PROVIDER_PATH', original.path);
+  });
+
+  it('uses the NCAA scoreboard by default', () => {
+    delete process.env.SCORE_PROVIDER;
+    assert.equal(getScoreProvider().name, 'ncaa');
+  });
+
+  it('picks the provider from SCORE_PROVIDER, with SCORE_PROVIDER_PATH for files', async () => {
+    process.env.SCORE_PROVIDER = 'file';
+    process.env.SCORE_PROVIDER_PATH = SCOREBOARD_FILE;
+
+    const provider = getScoreProvider();
+    assert.equal(provider.name, 'file');
+    assert.equal((await provider.fetchGames(new Date(2025, 2, 27))).length, 3);
+  });
+
+  it('rejects unknown providers', () => {
+    assert.equal(isValidProvider('espn'), false);
+    assert.equal(isValidProvider('file'), true);
+    assert.throws(() => getScoreProvider('espn'), /Unknown score provider: espn/);
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.SENDGRID_API_KEY = 'SG.test';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+// The updater connects when it's loaded
+mongoose.connect = async () => mongoose;
+
+const TournamentResults = require('../models/TournamentResults');
+const Bracket = require('../models/Bracket');
+const Pool = require('../models/Pool');
+const SeasonSettings = require('../models/SeasonSettings');
+const NcaaUpdateLog = require('../models/NcaaUpdateLog');
+const TeamAlias = require('../models/TeamAlias');
+const UnmappedGame = require('../models/UnmappedGame');
+const analyzer = require('../tournament-possibilities-analyzer');
+const { loadFixtures, replayFixtures } = require('../replay-tournament');
+
+// Five snapshots of Final Four Saturday, from before tip-off to after both games
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'replay-final-four');
+
+const team = (name, seed) => ({ name, seed });
+const duke = team('Duke', 1);
+const houston = team('Houston', 1);
+const florida = team('Florida', 1);
+const auburn = team('Auburn', 1);
+
+// In-memory records the model stubs read from
+let tournament;
+let brackets;
+let updateLogs;
+let unmappedGames;
+let analysisRuns;
+
+SeasonSettings.findOne = async () => ({ activeYear: 2025 });
+TournamentResults.findOne = async () => tournament;
+Bracket.find = async () => brackets;
+Pool.find = async () => [];
+TeamAlias.find = async () => [];
+UnmappedGame.find = async () => [];
+UnmappedGame.findOneAndUpdate = async (filter) => {
+  unmappedGames.push(filter.gameId);
+};
+NcaaUpdateLog.prototype.save = async function() {
+  if (!updateLogs.includes(this)) updateLogs.push(this);
+  return this;
+};
+NcaaUpdateLog.findOne = async ({ runDate, allGamesComplete }) =>
+  updateLogs.find(log =>
+    log.runDate >= runDate.$gte && log.runDate <= runDate.$lte &&
+    log.allGamesComplete === allGamesComplete
+  ) || null;
+analyzer.analyzeAllPools = async (save, options) => {
+  analysisRuns.push(options.trigger);
+  return [];
+};
+
+const addBracket = (participantName, semifinalA, semifinalB, champion) => {
+  const bracket = Bracket.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    participantName,
+    userEmail: `${participantName.toLowerCase()}@example.com`,
+    year: 2025,
+    pool: null,
+    status: 'submitted',
+    ownership: 'confirmed',
+    score: 0,
+    picks: {
+      5: [
+        { id: 60, teamA: duke, teamB: houston, winner: semifinalA, nextMatchupId: 62 },
+        { id: 61, teamA: florida, teamB: auburn, winner: semifinalB, nextMatchupId: 62 }
+      ],
+      6: [{ id: 62, teamA: semifinalA, teamB: semifinalB, winner: champion, nextMatchupId: null }]
+    }
+  });
+  bracket.save = async function() { return this; };
+  return bracket;
+};
+
+beforeEach(() => {
+  tournament = TournamentResults.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    year: 2025,
+    completedRounds: [1, 2, 3, 4],
+    results: {
+      5: [
+        { id: 60, teamA: duke, teamB: houston, winner: null, nextMatchupId: 62, position: 0 },
+        { id: 61, teamA: florida, teamB: auburn, winner: null, nextMatchupId: 62, position: 1 }
+      ],
+      6: [{ id: 62, teamA: null, teamB: null, winner: null, nextMatchupId: null, position: 0 }]
+    },
+    games: [
+      { matchupId: 60, round: 5, teamA: duke, teamB: houston, completed: false },
+      { matchupId: 61, round: 5, teamA: florida, teamB: auburn, completed: false }
+    ],
+    teams: {}
+  });
+  tournament.save = async function() { return this; };
+
+  brackets = [
+    addBracket('Chalk', duke, florida, duke),
+    addBracket('Cougar', houston, florida, houston),
+    addBracket('Tiger', houston, auburn, auburn)
+  ];
+  updateLogs = [];
+  unmappedGames = [];
+  analysisRuns = [];
+});
+
+describe('tournament replay', () => {
+  let fixtures;
+
+  before(async () => {
+    fixtures = await loadFixtures(FIXTURES_DIR);
+  });
+
+  it('orders fixtures by the local time in their names', () => {
+    assert.deepEqual(
+      fixtures.map(({ file, time }) => [path.basename(file), time.getHours(), time.getMinutes()]),
+      [
+        ['2025-04-05T17-30.json', 17, 30],
+        ['2025-04-05T19-45.json', 19, 45],
+        ['2025-04-05T20-40.json', 20, 40],
+        ['2025-04-05T23-10.json', 23, 10],
+        ['2025-04-05T23-40.json', 23, 40]
+      ]
+    );
+  });
+
+  it('runs the update pipeline once per snapshot on the simulated clock', async () => {
+    const steps = [];
+    const { results, errors } = await replayFixtures(fixtures, {
+      onStep: (fixture, result) => steps.push(path.basename(fixture.file))
+    });
+
+    assert.equal(errors, 0);
+    assert.equal(steps.length, 5);
+    assert.deepEqual(results.map(result => result.status), [
+      'no_updates', // Tip times only
+      'no_updates', // Houston and Duke live
+      'success', // Houston wins
+      'success', // Florida wins
+      'complete_for_day' // Nothing left to fetch
+    ]);
+    assert.deepEqual(results.map(result => result.updated), [undefined, undefined, 1, 1, undefined]);
+
+    // Each run is logged at its snapshot's time
+    assert.deepEqual(
+      updateLogs.map(log => log.runDate.getTime()),
+      fixtures.map(fixture => fixture.time.getTime())
+    );
+    assert.equal(updateLogs[3].allGamesComplete, true);
+    assert.deepEqual(unmappedGames, []);
+  });
+
+  it('leaves the tournament and bracket scores as the feed ended', async () => {
+    await replayFixtures(fixtures);
+
+    const [semifinalA, semifinalB] = tournament.results[5];
+    assert.equal(semifinalA.winner.name, 'Houston');
+    assert.equal(semifinalB.winner.name, 'Florida');
+    assert.deepEqual(
+      [tournament.results[6][0].teamA.name, tournament.results[6][0].teamB.name],
+      ['Houston', 'Florida']
+    );
+    assert.equal(tournament.teams.Duke.eliminated, true);
+    assert.equal(tournament.teams.Auburn.eliminationMatchupId, 61);
+    assert.deepEqual(tournament.completedRounds, [1, 2, 3, 4, 5]);
+
+    const game = tournament.games.find(g => g.matchupId === 60);
+    assert.equal(game.completed, true);
+    assert.deepEqual([game.score.teamA, game.score.teamB], [67, 70]);
+    assert.equal(game.playedAt.getTime(), fixtures[2].time.getTime());
+
+    // Final Four picks are worth 16 points each
+    assert.deepEqual(brackets.map(b => [b.participantName, b.score]), [
+      ['Chalk', 16],
+      ['Cougar', 32],
+      ['Tiger', 16]
+    ]);
+
+    // With 16 or fewer teams left, each update with a result runs the analysis
+    assert.deepEqual(analysisRuns, ['updater', 'updater']);
+  });
+
+  it('records live state from the snapshots before the final', async () => {
+    await replayFixtures(fixtures.slice(0, 2));
+
+    const game = tournament.games.find(g => g.matchupId === 60);
+    assert.equal(game.status, 'live');
+    assert.deepEqual([game.score.teamA, game.score.teamB], [40, 38]);
+    assert.equal(game.period, '2nd');
+    assert.equal(game.clock, '14:12');
+    assert.equal(game.network, 'TBS');
+    assert.equal(game.liveUpdatedAt.getTime(), fixtures[1].time.getTime());
+    assert.equal(game.completed, false);
+  });
+});
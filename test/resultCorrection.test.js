@@ -0,0 +1,288 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'result-correction-test-secret';
+process.env.SENDGRID_API_KEY = 'SG.test';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditEvent = require('../models/AuditEvent');
+const TournamentResults = require('../models/TournamentResults');
+const TournamentAnalysis = require('../models/TournamentAnalysis');
+const Bracket = require('../models/Bracket');
+const Pool = require('../models/Pool');
+const SeasonSettings = require('../models/SeasonSettings');
+const { correctGameResult, applyResultCorrection } = require('../utils/resultCorrection');
+const { signSessionToken } = require('../utils/sessions');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const duke = { name: 'Duke', seed: 1 };
+const alabama = { name: 'Alabama', seed: 2 };
+const houston = { name: 'Houston', seed: 1 };
+const tennessee = { name: 'Tennessee', seed: 2 };
+const florida = { name: 'Florida', seed: 1 };
+const auburn = { name: 'Auburn', seed: 1 };
+
+// When Alabama was (wrongly) recorded beating Duke
+const recordedAt = new Date(2025, 2, 29, 21, 0);
+
+// In-memory records the model stubs read from
+let tournament;
+let brackets;
+let invalidations;
+const users = new Map();
+const sessions = new Map();
+
+SeasonSettings.findOne = async () => ({ activeYear: 2025 });
+TournamentResults.findOne = async () => tournament;
+Bracket.find = async () => brackets;
+Pool.find = async () => [];
+TournamentAnalysis.updateMany = async (filter) => {
+  invalidations.push(filter);
+  return { modifiedCount: 2 };
+};
+AuditEvent.prototype.save = async function() { return this; };
+User.findById = async (id) => users.get(String(id)) || null;
+Session.findById = async (id) => sessions.get(String(id)) || null;
+
+const game = (matchupId, round, teamA, teamB, winner) => ({
+  matchupId,
+  round,
+  teamA,
+  teamB,
+  winner: winner || null,
+  completed: !!winner,
+  status: winner ? 'final' : 'scheduled',
+  score: winner ? { teamA: 70, teamB: 65 } : undefined,
+  playedAt: winner ? recordedAt : null
+});
+
+const addBracket = (participantName, eliteEightWinner, finalFourWinner, score) => {
+  const bracket = Bracket.hydrate({
+    _id: objectId(),
+    participantName,
+    userEmail: `${participantName.toLowerCase()}@example.com`,
+    year: 2025,
+    pool: null,
+    status: 'submitted',
+    ownership: 'confirmed',
+    score,
+    picks: {
+      4: [
+        { id: 56, teamA: duke, teamB: alabama, winner: eliteEightWinner, nextMatchupId: 60 },
+        { id: 57, teamA: houston, teamB: tennessee, winner: houston, nextMatchupId: 60 }
+      ],
+      5: [{ id: 60, teamA: eliteEightWinner, teamB: houston, winner: finalFourWinner, nextMatchupId: 62 }]
+    }
+  });
+  bracket.save = async function() { return this; };
+  brackets.push(bracket);
+  return bracket;
+};
+
+beforeEach(() => {
+  // Alabama is recorded beating Duke and then Houston, and waits for Florida in the final
+  tournament = TournamentResults.hydrate({
+    _id: objectId(),
+    year: 2025,
+    completedRounds: [4, 5],
+    results: {
+      4: [
+        { id: 56, teamA: duke, teamB: alabama, winner: alabama, nextMatchupId: 60, position: 0 },
+        { id: 57, teamA: houston, teamB: tennessee, winner: houston, nextMatchupId: 60, position: 1 }
+      ],
+      5: [
+        { id: 60, teamA: alabama, teamB: houston, winner: alabama, nextMatchupId: 62, position: 0 },
+        { id: 61, teamA: florida, teamB: auburn, winner: florida, nextMatchupId: 62, position: 1 }
+      ],
+      6: [{ id: 62, teamA: alabama, teamB: florida, winner: null, nextMatchupId: null, position: 0 }]
+    },
+    games: [
+      game(56, 4, duke, alabama, alabama),
+      game(57, 4, houston, tennessee, houston),
+      game(60, 5, alabama, houston, alabama),
+      game(61, 5, florida, auburn, florida),
+      game(62, 6, alabama, florida)
+    ],
+    teams: {
+      Duke: { seed: 1, eliminated: true, eliminationRound: 4, eliminationMatchupId: 56 },
+      Alabama: { seed: 2, eliminated: false, eliminationRound: null, eliminationMatchupId: null },
+      Houston: { seed: 1, eliminated: true, eliminationRound: 5, eliminationMatchupId: 60 },
+      Tennessee: { seed: 2, eliminated: true, eliminationRound: 4, eliminationMatchupId: 57 },
+      Florida: { seed: 1, eliminated: false, eliminationRound: null, eliminationMatchupId: null },
+      Auburn: { seed: 1, eliminated: true, eliminationRound: 5, eliminationMatchupId: 61 }
+    }
+  });
+  tournament.save = async function() { return this; };
+
+  brackets = [];
+  invalidations = [];
+});
+
+const findGame = (matchupId) => tournament.games.find(g => g.matchupId === matchupId);
+
+describe('correctGameResult', () => {
+  it('unwinds the old winner\'s path through later rounds', () => {
+    const report = correctGameResult(tournament, 56, duke);
+
+    assert.deepEqual(report.previousWinner, alabama);
+    assert.deepEqual(report.winner, duke);
+
+    // Duke takes Alabama's Final Four slot, and Alabama's win there is cleared
+    const [finalFour] = tournament.results[5];
+    assert.deepEqual(finalFour.teamA, duke);
+    assert.equal(finalFour.winner, null);
+
+    // Alabama never reached the final
+    assert.equal(tournament.results[6][0].teamA, null);
+    assert.deepEqual(tournament.results[6][0].teamB, florida);
+
+    assert.deepEqual(report.matchups.map(m => [m.matchupId, m.slot]), [[60, 'teamA'], [62, 'teamA']]);
+    assert.deepEqual(report.games, [
+      { matchupId: 60, change: 'reopened' },
+      { matchupId: 62, change: 'removed' }
+    ]);
+  });
+
+  it('reopens and removes the games built on the old result', () => {
+    correctGameResult(tournament, 56, duke, { score: { teamA: 80, teamB: 75 } });
+
+    const corrected = findGame(56);
+    assert.equal(corrected.winner.name, 'Duke');
+    assert.deepEqual([corrected.score.teamA, corrected.score.teamB], [80, 75]);
+
+    const reopened = findGame(60);
+    assert.equal(reopened.completed, false);
+    assert.equal(reopened.status, 'scheduled');
+    assert.equal(reopened.winner?.name, undefined);
+    assert.equal(reopened.playedAt, null);
+    assert.equal(reopened.teamA.name, 'Duke');
+
+    assert.equal(findGame(62), undefined);
+    assert.equal(findGame(61).completed, true);
+  });
+
+  it('rebuilds eliminations and completed rounds', () => {
+    const report = correctGameResult(tournament, 56, duke);
+
+    assert.equal(tournament.teams.Duke.eliminated, false);
+    assert.equal(tournament.teams.Houston.eliminated, false);
+    assert.equal(tournament.teams.Alabama.eliminated, true);
+    assert.equal(tournament.teams.Alabama.eliminationMatchupId, 56);
+    assert.equal(tournament.teams.Auburn.eliminated, true);
+
+    assert.deepEqual(report.eliminations.reinstated.sort(), ['Duke', 'Houston']);
+    assert.deepEqual(report.eliminations.eliminated, [{ name: 'Alabama', round: 4 }]);
+    assert.deepEqual(report.completedRounds, { before: [4, 5], after: [4] });
+  });
+
+  it('stops at the first matchup the old winner didn\'t win', () => {
+    const report = correctGameResult(tournament, 61, auburn);
+
+    assert.deepEqual(tournament.results[6][0].teamB, auburn);
+    assert.deepEqual(report.games, [{ matchupId: 62, change: 'teamsUpdated' }]);
+    assert.equal(findGame(62).teamB.name, 'Auburn');
+    assert.deepEqual(report.completedRounds.after, [4, 5]);
+  });
+
+  it('rejects corrections that change nothing or name a team not in the game', () => {
+    assert.match(correctGameResult(tournament, 56, alabama).error, /already recorded as the winner/);
+    assert.match(correctGameResult(tournament, 56, houston).error, /Houston does not play in this matchup/);
+    assert.match(correctGameResult(tournament, 99, duke).error, /Matchup not found/);
+    assert.equal(tournament.results[4][0].winner.name, 'Alabama');
+  });
+});
+
+describe('applyResultCorrection', () => {
+  it('rescores every bracket from scratch and invalidates analyses since the old result', async () => {
+    // Elite Eight picks are worth 8, Final Four picks 16
+    const chalk = addBracket('Chalk', duke, houston, 8);
+    const tide = addBracket('Tide', alabama, alabama, 8 + 8 + 16);
+    const now = new Date(2025, 2, 30, 10, 0);
+
+    const report = await applyResultCorrection(tournament, 56, duke, { now });
+
+    assert.equal(chalk.score, 8 + 8);
+    assert.equal(tide.score, 8);
+    assert.deepEqual(report.brackets.map(b => [b.participantName, b.before, b.after]), [
+      ['Chalk', 8, 16],
+      ['Tide', 32, 8]
+    ]);
+
+    assert.equal(report.invalidatedAnalyses, 2);
+    assert.deepEqual(invalidations, [{ year: 2025, invalidatedAt: null, timestamp: { $gte: recordedAt } }]);
+    assert.equal(tournament.lastUpdated.getTime(), now.getTime());
+  });
+
+  it('saves nothing when the correction is rejected', async () => {
+    let saved = false;
+    tournament.save = async function() {
+      saved = true;
+      return this;
+    };
+
+    assert.ok((await applyResultCorrection(tournament, 56, houston)).error);
+    assert.equal(saved, false);
+    assert.deepEqual(invalidations, []);
+  });
+});
+
+describe('POST /api/tournament/games/:id/correct', () => {
+  let server;
+  let baseUrl;
+  let adminToken;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/tournament', require('../routes/tournament'));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const user = User.hydrate({ _id: objectId(), email: 'admin@example.com', role: 'admin' });
+    users.set(user.id, user);
+    const session = Session.hydrate({
+      _id: objectId(),
+      user: user._id,
+      createdAt: new Date(),
+      lastSeenAt: new Date(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null,
+      emailVerified: true
+    });
+    sessions.set(session.id, session);
+    adminToken = signSessionToken(user, session);
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const correct = (matchupId, body) => fetch(`${baseUrl}/api/tournament/games/${matchupId}/correct`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-auth-token': adminToken },
+    body: JSON.stringify(body)
+  });
+
+  it('reports what the correction changed', async () => {
+    const res = await correct(56, { winner: duke });
+    assert.equal(res.status, 200);
+
+    const { correction } = await res.json();
+    assert.equal(correction.winner.name, 'Duke');
+    assert.deepEqual(correction.games.map(g => g.change), ['reopened', 'removed']);
+    assert.deepEqual(correction.completedRounds.after, [4]);
+  });
+
+  it('refuses games without a result yet', async () => {
+    const res = await correct(62, { winner: florida });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).msg, 'Game has no result to correct yet');
+  });
+});
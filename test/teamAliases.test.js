@@ -0,0 +1,214 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'team-aliases-test-secret';
+process.env.SENDGRID_API_KEY = 'SG.test';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+// The updater connects when it's loaded
+mongoose.connect = async () => mongoose;
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditEvent = require('../models/AuditEvent');
+const TournamentResults = require('../models/TournamentResults');
+const Bracket = require('../models/Bracket');
+const Pool = require('../models/Pool');
+const SeasonSettings = require('../models/SeasonSettings');
+const NcaaUpdateLog = require('../models/NcaaUpdateLog');
+const TeamAlias = require('../models/TeamAlias');
+const UnmappedGame = require('../models/UnmappedGame');
+const analyzer = require('../tournament-possibilities-analyzer');
+const { standardizeTeamName, aliasKey } = require('../utils/teamAliases');
+const { signSessionToken } = require('../utils/sessions');
+const { updateTournamentResults } = require('../ncaa-tournament-updater');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const duke = { name: 'Duke', seed: 1 };
+const connecticut = { name: 'Connecticut', seed: 4 };
+
+// In-memory records the model stubs read from
+let tournament;
+let teamAliases;
+let unmappedGames;
+const users = new Map();
+const sessions = new Map();
+
+SeasonSettings.findOne = async () => ({ activeYear: 2025 });
+TournamentResults.findOne = async () => tournament;
+Bracket.find = async () => [];
+Pool.find = async () => [];
+TeamAlias.find = async () => teamAliases;
+UnmappedGame.find = async ({ status }) => unmappedGames.filter(game => game.status === status);
+UnmappedGame.findById = async (id) => unmappedGames.find(game => game.id === String(id)) || null;
+UnmappedGame.findOneAndUpdate = async ({ year, gameId }, { $set, $setOnInsert }) => {
+  let unmappedGame = unmappedGames.find(game => game.gameId === gameId);
+  if (!unmappedGame) {
+    unmappedGame = UnmappedGame.hydrate({ _id: objectId(), year, gameId, ...$setOnInsert, matchupId: null });
+    unmappedGame.save = async function() { return this; };
+    unmappedGames.push(unmappedGame);
+  }
+  Object.assign(unmappedGame, $set);
+  return unmappedGame;
+};
+NcaaUpdateLog.prototype.save = async function() { return this; };
+NcaaUpdateLog.findOne = async () => null;
+AuditEvent.prototype.save = async function() { return this; };
+User.findById = async (id) => users.get(String(id)) || null;
+Session.findById = async (id) => sessions.get(String(id)) || null;
+analyzer.analyzeAllPools = async () => [];
+
+// The feed calls Connecticut "UConn" and sends the Sweet 16 game with both teams' seeds
+const feedGame = (status = 'final') => ({
+  gameId: '6309480',
+  roundName: 'Sweet 16',
+  round: 3,
+  region: 'East',
+  status,
+  away: { name: 'UConn', seed: 4, score: 78, winner: status === 'final' },
+  home: { name: 'Duke', seed: 1, score: 74, winner: false }
+});
+
+const provider = (games) => ({ name: 'test', fetchGames: async () => games });
+
+// Afternoon, so the updater looks at the same day's games
+const now = () => new Date(2025, 2, 27, 22, 0);
+
+beforeEach(() => {
+  tournament = TournamentResults.hydrate({
+    _id: objectId(),
+    year: 2025,
+    completedRounds: [1, 2],
+    results: {
+      3: [{ id: 48, teamA: duke, teamB: connecticut, winner: null, nextMatchupId: 56, position: 0, region: 'East' }],
+      4: [{ id: 56, teamA: null, teamB: null, winner: null, nextMatchupId: null, position: 0, region: 'East' }]
+    },
+    games: [{ matchupId: 48, round: 3, teamA: duke, teamB: connecticut, completed: false }],
+    teams: {}
+  });
+  tournament.save = async function() { return this; };
+
+  teamAliases = [];
+  unmappedGames = [];
+});
+
+describe('team name standardization', () => {
+  it('drops qualifiers and evens out spelling', () => {
+    assert.equal(standardizeTeamName('St. John\'s (NY)'), 'St. John\'s');
+    assert.equal(standardizeTeamName('Saint Mary\'s'), 'St. Mary\'s');
+    assert.equal(standardizeTeamName('NC-Wilmington'), 'NC Wilmington');
+  });
+
+  it('keys aliases case-insensitively on the standardized name', () => {
+    assert.equal(aliasKey('UConn'), 'uconn');
+    assert.equal(aliasKey('Saint Mary\'s (CA)'), aliasKey('st. mary\'s'));
+  });
+});
+
+describe('updater name matching', () => {
+  it('queues a game whose names it can\'t match', async () => {
+    const result = await updateTournamentResults(false, { provider: provider([feedGame()]), now: now() });
+
+    assert.equal(result.status, 'no_updates');
+    assert.equal(tournament.results[3][0].winner, null);
+    assert.equal(unmappedGames.length, 1);
+    assert.equal(unmappedGames[0].gameId, '6309480');
+    assert.equal(unmappedGames[0].status, 'pending');
+    assert.equal(unmappedGames[0].game.away.name, 'UConn');
+  });
+
+  it('matches feed names through the alias registry', async () => {
+    teamAliases = [{ name: 'Connecticut', alias: 'UConn', aliasKey: aliasKey('UConn') }];
+
+    const result = await updateTournamentResults(false, { provider: provider([feedGame()]), now: now() });
+
+    assert.equal(result.status, 'success');
+    assert.equal(tournament.results[3][0].winner.name, 'Connecticut');
+    assert.equal(tournament.results[4][0].teamA.name, 'Connecticut');
+    assert.deepEqual(unmappedGames, []);
+  });
+});
+
+describe('unmapped games queue', () => {
+  let server;
+  let baseUrl;
+  let adminToken;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', require('../routes/ncaaMonitor'));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const user = User.hydrate({ _id: objectId(), email: 'admin@example.com', role: 'admin' });
+    users.set(user.id, user);
+    const session = Session.hydrate({
+      _id: objectId(),
+      user: user._id,
+      createdAt: new Date(),
+      lastSeenAt: new Date(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null,
+      emailVerified: true
+    });
+    sessions.set(session.id, session);
+    adminToken = signSessionToken(user, session);
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const resolveGame = (unmappedGame, matchupId) =>
+    fetch(`${baseUrl}/api/admin/unmapped-games/${unmappedGame.id}/resolve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-auth-token': adminToken },
+      body: JSON.stringify({ matchupId })
+    });
+
+  it('applies a game once an admin resolves it, and remembers the resolution', async () => {
+    await updateTournamentResults(false, { provider: provider([feedGame()]), now: now() });
+    const [unmappedGame] = unmappedGames;
+
+    const res = await resolveGame(unmappedGame, 48);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).result.status, 'success');
+
+    assert.equal(unmappedGame.status, 'resolved');
+    assert.equal(unmappedGame.matchupId, 48);
+    // Seeds place UConn in Connecticut's slot
+    assert.equal(tournament.results[3][0].winner.name, 'Connecticut');
+    assert.deepEqual([tournament.games[0].score.teamA, tournament.games[0].score.teamB], [74, 78]);
+
+    // Later runs map the game by its ID instead of queueing it again
+    const later = await updateTournamentResults(false, { provider: provider([feedGame()]), now: now() });
+    assert.equal(later.status, 'no_updates');
+    assert.equal(unmappedGames.length, 1);
+    assert.equal(unmappedGames[0].status, 'resolved');
+  });
+
+  it('uses a resolution for the game\'s live state too', async () => {
+    await UnmappedGame.findOneAndUpdate(
+      { year: 2025, gameId: '6309480' },
+      { $set: { game: feedGame(), matchupId: 48, status: 'resolved' }, $setOnInsert: {} }
+    );
+
+    await updateTournamentResults(false, { provider: provider([feedGame('live')]), now: now() });
+
+    assert.equal(tournament.games[0].status, 'live');
+    assert.deepEqual([tournament.games[0].score.teamA, tournament.games[0].score.teamB], [74, 78]);
+  });
+
+  it('refuses matchups that aren\'t in the results', async () => {
+    await updateTournamentResults(false, { provider: provider([feedGame()]), now: now() });
+
+    const res = await resolveGame(unmappedGames[0], 99);
+    assert.equal(res.status, 400);
+    assert.equal(unmappedGames[0].status, 'pending');
+  });
+});
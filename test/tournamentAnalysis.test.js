@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  generateAllOutcomes,
+  getOutcomePartitions,
+  analyzeOutcomesInParallel
+} = require('../tournament-possibilities-analyzer');
+const { buildRootingGuide } = require('../utils/rootingGuide');
+
+const team = (name, seed) => ({ name, seed });
+
+const duke = team('Duke', 1);
+const houston = team('Houston', 1);
+const florida = team('Florida', 1);
+const auburn = team('Auburn', 1);
+
+// Final Four: two semifinals feeding the title game
+const tournament = {
+  year: 2025,
+  completedRounds: [1, 2, 3, 4],
+  teamRatings: { Duke: 1600 },
+  results: {
+    1: [], 2: [], 3: [], 4: [],
+    5: [
+      { id: 60, teamA: duke, teamB: houston, winner: null, nextMatchupId: 62, position: 0 },
+      { id: 61, teamA: florida, teamB: auburn, winner: null, nextMatchupId: 62, position: 1 }
+    ],
+    6: [{ id: 62, teamA: null, teamB: null, winner: null, nextMatchupId: null, position: 0 }]
+  }
+};
+
+const bracket = (id, semifinalA, semifinalB, champion) => ({
+  _id: id,
+  participantName: id,
+  entryNumber: 1,
+  score: 0,
+  picks: {
+    5: [
+      { id: 60, teamA: duke, teamB: houston, winner: semifinalA, nextMatchupId: 62 },
+      { id: 61, teamA: florida, teamB: auburn, winner: semifinalB, nextMatchupId: 62 }
+    ],
+    6: [{ id: 62, teamA: semifinalA, teamB: semifinalB, winner: champion, nextMatchupId: null }]
+  }
+});
+
+const brackets = [
+  bracket('a', duke, florida, duke),
+  bracket('b', houston, auburn, auburn),
+  bracket('c', duke, auburn, auburn)
+];
+
+const round = (value) => Math.round(value * 1e9) / 1e9;
+
+describe('analysis outcome generation', () => {
+  it('splits exhaustive outcomes on the first undecided games', () => {
+    const partitions = getOutcomePartitions(tournament, 'exhaustive', { partitionCount: 3 });
+
+    assert.equal(partitions.length, 4);
+    assert.deepEqual(
+      partitions.map(p => [p.forcedWinners[60], p.forcedWinners[61]]),
+      [['Duke', 'Florida'], ['Houston', 'Florida'], ['Duke', 'Auburn'], ['Houston', 'Auburn']]
+    );
+  });
+
+  it('leaves scenario games out of the split', () => {
+    const partitions = getOutcomePartitions(tournament, 'exhaustive', {
+      partitionCount: 2,
+      forcedWinners: { 60: 'Houston' }
+    });
+
+    assert.deepEqual(partitions.map(p => p.forcedWinners), [
+      { 60: 'Houston', 61: 'Florida' },
+      { 60: 'Houston', 61: 'Auburn' }
+    ]);
+  });
+
+  it('only generates outcomes where forced winners win', () => {
+    const outcomes = generateAllOutcomes(tournament, { forcedWinners: { 60: 'Duke' } });
+
+    assert.equal(outcomes.length, 4);
+    assert.ok(outcomes.every(o => o.matchupResults[60].winner.name === 'Duke'));
+  });
+
+  it('gives the same results in worker threads as on the calling thread', async () => {
+    const onThread = await analyzeOutcomesInParallel(brackets, tournament, {
+      mode: 'exhaustive',
+      workerCount: 0
+    });
+    const inWorkers = await analyzeOutcomesInParallel(brackets, tournament, {
+      mode: 'exhaustive',
+      workerCount: 3
+    });
+
+    assert.equal(onThread.outcomeCount, 8);
+    assert.equal(inWorkers.outcomeCount, 8);
+
+    for (const id of ['a', 'b', 'c']) {
+      const expected = onThread.analysis.bracketResults[id];
+      const actual = inWorkers.analysis.bracketResults[id];
+      assert.equal(round(actual.winPercentage), round(expected.winPercentage));
+      assert.equal(round(actual.placePercentages.podium), round(expected.placePercentages.podium));
+      assert.equal(round(actual.avgScore), round(expected.avgScore));
+    }
+
+    for (const champion in onThread.analysis.championTotals) {
+      assert.equal(
+        round(inWorkers.analysis.championTotals[champion].weight),
+        round(onThread.analysis.championTotals[champion].weight)
+      );
+    }
+  });
+
+  it('keeps rooting totals for the current round\'s undecided games only', async () => {
+    const { analysis } = await analyzeOutcomesInParallel(brackets, tournament, {
+      mode: 'exhaustive',
+      workerCount: 0
+    });
+
+    assert.deepEqual(Object.keys(analysis.matchupResultWeights).sort(), ['60', '61']);
+    for (const id of ['a', 'b', 'c']) {
+      assert.deepEqual(Object.keys(analysis.bracketResults[id].rooting).sort(), ['60', '61']);
+    }
+
+    const guide = buildRootingGuide(analysis.bracketResults.a, analysis.matchupResultWeights, tournament);
+    assert.deepEqual(guide.map(m => m.matchupId).sort(), [60, 61]);
+    assert.equal(guide.find(m => m.matchupId === 60).rootFor.name, 'Duke');
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SENDGRID_API_KEY = 'SG.test';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+
+const express = require('express');
+const TournamentResults = require('../models/TournamentResults');
+const Bracket = require('../models/Bracket');
+const SeasonSettings = require('../models/SeasonSettings');
+
+// Chainable stand-in for a query: .select() and .sort() return it, .lean() resolves the value
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: async () => value
+  };
+  return chain;
+};
+
+let tournament;
+let brackets;
+let bracketFilter;
+
+TournamentResults.findOne = () => query(tournament);
+Bracket.find = (filter) => {
+  bracketFilter = filter;
+  return query(brackets);
+};
+SeasonSettings.findOne = async () => ({ activeYear: 2025 });
+
+const duke = { name: 'Duke', seed: 1 };
+const baylor = { name: 'Baylor', seed: 8 };
+
+const bracketPicking = (winner, participantName) => ({
+  _id: new mongoose.Types.ObjectId(),
+  participantName,
+  entryNumber: 1,
+  picks: { 2: [{ id: 32, teamA: duke, teamB: baylor, winner }] }
+});
+
+describe('GET /api/tournament/live', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use('/api/tournament', require('../routes/tournament'));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    tournament = {
+      lastUpdated: null,
+      games: [
+        { matchupId: 32, round: 2, teamA: duke, teamB: baylor, status: 'live', completed: false, score: { teamA: 40, teamB: 38 } },
+        { matchupId: 0, round: 1, teamA: duke, teamB: { name: 'Vermont', seed: 16 }, status: 'final', completed: true }
+      ]
+    };
+    brackets = [
+      bracketPicking(duke, 'Alice'),
+      bracketPicking(duke, 'Bob'),
+      bracketPicking(baylor, 'Carol'),
+      bracketPicking({ name: 'Vermont', seed: 16 }, 'Dan')
+    ];
+    bracketFilter = null;
+  });
+
+  it('lists the brackets riding on each team of a live game', async () => {
+    const res = await fetch(`${baseUrl}/api/tournament/live`);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.live.length, 1);
+
+    const game = body.live[0];
+    assert.equal(game.brackets.teamA.count, 2);
+    assert.deepEqual(game.brackets.teamA.brackets.map(b => b.participantName), ['Alice', 'Bob']);
+    assert.equal(game.brackets.teamB.count, 1);
+    assert.equal(game.brackets.teamB.brackets[0].participantName, 'Carol');
+  });
+
+  it('only looks at locked brackets in the requested pool', async () => {
+    await fetch(`${baseUrl}/api/tournament/live`);
+
+    assert.equal(bracketFilter.isLocked, true);
+    assert.equal(bracketFilter.pool, null);
+    assert.equal(bracketFilter.year, 2025);
+  });
+
+  it('rejects an unknown pool', async () => {
+    const res = await fetch(`${baseUrl}/api/tournament/live?poolId=not-a-pool`);
+    assert.equal(res.status, 404);
+  });
+});
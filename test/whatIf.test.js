@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SENDGRID_API_KEY = 'SG.test';
+process.env.WHAT_IF_IP_LIMIT = '5';
+process.env.WHAT_IF_MAX_RUNS = '2';
+
+const mongoose = require('mongoose');
+// Nothing here talks to a database: fail fast if a query slips past the stubs
+mongoose.set('bufferCommands', false);
+
+const express = require('express');
+const TournamentResults = require('../models/TournamentResults');
+const SeasonSettings = require('../models/SeasonSettings');
+const RateLimit = require('../models/RateLimit');
+const analyzer = require('../tournament-possibilities-analyzer');
+
+let lastUpdated;
+TournamentResults.findOne = async () => ({ year: 2025, lastUpdated, teamRatings: {} });
+SeasonSettings.findOne = async () => ({ activeYear: 2025 });
+
+// Rate limit counters "in the database", by key
+let counters = {};
+RateLimit.findOneAndUpdate = async ({ key }) => {
+  counters[key] = (counters[key] || 0) + 1;
+  return { count: counters[key] };
+};
+
+// What-if runs stay pending until the test finishes them
+let runs = [];
+analyzer.analyzeWhatIf = (tournament, picks) => new Promise(resolve => {
+  runs.push(() => resolve({ year: 2025, picks }));
+});
+
+describe('POST /api/tournament/what-if', () => {
+  let server;
+  let baseUrl;
+
+  const postWhatIf = (picks) => fetch(`${baseUrl}/api/tournament/what-if`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ picks })
+  });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/tournament', require('../routes/tournament-possibilities-api'));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => {
+    server.close(resolve);
+    // Don't wait on requests for runs a failed test left pending
+    server.closeAllConnections();
+  }));
+
+  beforeEach(() => {
+    counters = {};
+    runs = [];
+    // A new tournament update makes every scenario uncached
+    lastUpdated = new Date();
+  });
+
+  it('refuses new scenarios while the most allowed are running', { timeout: 5000 }, async () => {
+    const first = postWhatIf({ 60: 'Duke' });
+    const second = postWhatIf({ 60: 'Houston' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const refused = await postWhatIf({ 61: 'Florida' });
+    assert.equal(refused.status, 503);
+    assert.ok(refused.headers.get('retry-after'));
+
+    // The same scenario as a running one shares its result instead
+    const shared = postWhatIf({ 60: 'Duke' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(runs.length, 2);
+
+    runs.forEach(finish => finish());
+    assert.equal((await first).status, 200);
+    assert.equal((await second).status, 200);
+    assert.equal((await (await shared).json()).cached, true);
+
+    const afterwards = postWhatIf({ 61: 'Florida' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    runs[2]();
+    assert.equal((await afterwards).status, 200);
+  });
+
+  it('rate limits requests per IP', async () => {
+    for (let i = 0; i < 5; i++) {
+      const res = await postWhatIf({});
+      assert.equal(res.status, 400);
+    }
+
+    const limited = await postWhatIf({});
+    assert.equal(limited.status, 429);
+    assert.ok(limited.headers.get('retry-after'));
+  });
+});
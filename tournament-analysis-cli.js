@@ -12,6 +12,10 @@
  *   --verbose                  (Print detailed logs)
  *   --force                    (Force run even if recently analyzed)
  *   --no-db-save               (Skip saving to database)
+ *   --pool=<poolId>            (Analyze a single pool; default analyzes every pool)
+ *   --mode=exhaustive|sampled  (Default: exhaustive from the Sweet 16 on, sampled before it)
+ *   --samples=<count>          (Tournament completions to simulate in sampled mode; default 5000)
+ *   --workers=<count>          (Worker threads to score outcomes with; default one per spare CPU core)
  */
 
 require('dotenv').config();
@@ -21,7 +25,8 @@ const mongoose = require('mongoose');
 const connectDB = require('./config/db');
 const TournamentResults = require('./models/TournamentResults');
 const TournamentAnalysis = require('./models/TournamentAnalysis');
-const { analyzeTournamentPossibilities } = require('./tournament-possibilities-analyzer');
+const { analyzeTournamentPossibilities, analyzeAllPools } = require('./tournament-possibilities-analyzer');
+const { getActiveSeason } = require('./utils/season');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -59,13 +64,12 @@ async function ensureDirectoryExists(dir) {
 }
 
 async function detectCurrentTournamentStage() {
-  // Get the current tournament state
-  const tournament = await TournamentResults.findOne({
-    year: new Date().getFullYear()
-  });
+  // Get the active season's tournament state
+  const year = await getActiveSeason();
+  const tournament = await TournamentResults.findOne({ year });
   
   if (!tournament) {
-    throw new Error('No tournament data found for current year');
+    throw new Error(`No tournament data found for ${year}`);
   }
   
   // Determine current round based on completed rounds
@@ -90,6 +94,21 @@ async function detectCurrentTournamentStage() {
     stageName = 'championship';
     roundName = 'Championship';
   }
+
+  // Before the Sweet 16, go by the earliest round with games left to play
+  const hasOpenGames = round =>
+    (tournament.results?.[round] || []).some(matchup => !matchup.winner);
+
+  if (hasOpenGames(2)) {
+    currentRound = 2;
+    stageName = 'round2';
+    roundName = 'Second Round';
+  }
+  if (hasOpenGames(1)) {
+    currentRound = 1;
+    stageName = 'round1';
+    roundName = 'First Round';
+  }
   
   return {
     currentRound,
@@ -105,7 +124,11 @@ async function shouldRunAnalysis() {
   }
   
   // Check when the latest analysis was performed
-  const latest = await TournamentAnalysis.findOne().sort({ timestamp: -1 });
+  const latest = await TournamentAnalysis.findOne({
+    year: await getActiveSeason(),
+    invalidatedAt: null
+  })
+    .sort({ timestamp: -1 });
   
   if (!latest) {
     return { shouldRun: true, reason: 'No previous analysis found' };
@@ -182,21 +205,39 @@ async function run() {
     console.log('Running tournament possibilities analysis...');
     const startTime = Date.now();
     
-    // Run the analysis, saving to DB if option is set
-    const analysisData = await analyzeTournamentPossibilities(options['db-save']);
+    // Run the analysis for one pool or all of them, saving to DB if option is set
+    const analysisOptions = {
+      mode: options.mode,
+      samples: options.samples ? parseInt(options.samples) : undefined,
+      workers: options.workers ? parseInt(options.workers) : undefined,
+      trigger: 'cli'
+    };
+    const results = options.pool
+      ? [await analyzeTournamentPossibilities(options['db-save'], { ...analysisOptions, poolId: options.pool })]
+      : await analyzeAllPools(options['db-save'], analysisOptions);
     
     const endTime = Date.now();
     console.log(`Analysis completed in ${((endTime - startTime) / 1000).toFixed(2)} seconds`);
     
-    // Summary of analysis
-    console.log('\nAnalysis Summary:');
-    console.log(`- Tournament stage: ${analysisData.roundName}`);
-    console.log(`- Total brackets: ${analysisData.totalBrackets}`);
-    console.log(`- Possible outcomes: ${analysisData.totalPossibleOutcomes}`);
-    console.log(`- Players with podium chance: ${analysisData.podiumContenders.length}`);
-    console.log(`- Players with no podium chance: ${analysisData.playersWithNoPodiumChance}`);
-    console.log(`- Players who can still win: ${analysisData.playersWithWinChance}`);
-    console.log(`- Rare correct picks found: ${analysisData.rareCorrectPicks?.length || 0}`);
+    // Summary of analysis for each pool
+    for (const analysisData of results) {
+      if (analysisData.error) {
+        console.log(`\nAnalysis ${analysisData.cancelled ? 'cancelled' : 'skipped'}: ${analysisData.message}`);
+        continue;
+      }
+
+      console.log(`\nAnalysis Summary (${analysisData.pool ? `pool ${analysisData.pool}` : 'default pool'}):`);
+      console.log(`- Tournament stage: ${analysisData.roundName}`);
+      console.log(`- Total brackets: ${analysisData.totalBrackets}`);
+      console.log(`- Possible outcomes: ${analysisData.totalPossibleOutcomes}`);
+      if (analysisData.analysisMode === 'sampled') {
+        console.log(`- Sampled outcomes: ${analysisData.sampleCount} (${analysisData.confidenceLevel}% confidence intervals)`);
+      }
+      console.log(`- Players with podium chance: ${analysisData.podiumContenders.length}`);
+      console.log(`- Players with no podium chance: ${analysisData.playersWithNoPodiumChance}`);
+      console.log(`- Players who can still win: ${analysisData.playersWithWinChance}`);
+      console.log(`- Rare correct picks found: ${analysisData.rareCorrectPicks?.length || 0}`);
+    }
     
     console.log('\nAnalysis complete!');
   } catch (error) {
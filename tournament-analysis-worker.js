@@ -0,0 +1,39 @@
+/**
+ * Tournament Analysis Worker
+ *
+ * Worker thread that generates and scores part of the outcomes for the
+ * possibilities analyzer (see analyzeOutcomesInParallel). Posts
+ * { type: "generated", totals } once its outcomes are generated, then waits
+ * for { type: "score", totals, startIndex } with the totals for all parts to
+ * weight them by. Posts { type: "progress", processed } as it scores and
+ * { type: "done", result } with the raw totals at the end.
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const {
+  generateOutcomePartitions,
+  summarizeOutcomeWeights,
+  assignOutcomeWeights,
+  scoreOutcomes,
+} = require("./tournament-possibilities-analyzer");
+
+const { brackets, tournament, mode, partitions } = workerData;
+
+const outcomes = generateOutcomePartitions(tournament, mode, partitions);
+parentPort.postMessage({
+  type: "generated",
+  totals: summarizeOutcomeWeights(outcomes),
+});
+
+parentPort.once("message", ({ totals, startIndex }) => {
+  assignOutcomeWeights(outcomes, mode, totals);
+
+  const result = scoreOutcomes(brackets, outcomes, tournament, {
+    startIndex,
+    totalOutcomes: totals.count,
+    onProgress: (processed) =>
+      parentPort.postMessage({ type: "progress", processed }),
+  });
+
+  parentPort.postMessage({ type: "done", result });
+});
@@ -3,9 +3,20 @@
  *
  * This script analyzes all possible remaining tournament outcomes and generates statistics
  * about each bracket's chances to win, potential scores, and other interesting metrics.
+ *
+ * From the Sweet 16 on, every outcome is enumerated ("exhaustive" mode). Before that
+ * there are too many to enumerate, so a random sample of tournament completions is
+ * analyzed instead ("sampled" mode) and the percentages come with confidence intervals.
+ *
+ * Outcomes are weighted by how likely they are, using team strength ratings (see
+ * utils/winProbability.js). Equal-weight percentages, which count every outcome the
+ * same, are reported alongside for comparison.
  */
 
 const mongoose = require("mongoose");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
 require("dotenv").config();
 const connectDB = require("./config/db");
 
@@ -13,6 +24,46 @@ const connectDB = require("./config/db");
 const Bracket = require("./models/Bracket");
 const TournamentResults = require("./models/TournamentResults");
 const TournamentAnalysis = require("./models/TournamentAnalysis");
+const Pool = require("./models/Pool");
+const { poolFilter } = require("./utils/pools");
+const {
+  getScoringRules,
+  isCorrectPick,
+  getMatchupLoser,
+  scorePick,
+  calculateBracketScore,
+} = require("./utils/scoring");
+const {
+  getChampionshipTotal,
+  tiebreakerDistance,
+} = require("./utils/tiebreaker");
+const { submittedFilter } = require("./utils/bracketValidation");
+const { getActiveSeason, seasonFilter } = require("./utils/season");
+const { getWinProbability, RATING_SCALE } = require("./utils/winProbability");
+const { publishTournamentEvent } = require("./utils/eventStream");
+const {
+  createAnalysisJob,
+  updateAnalysisJob,
+  finishAnalysisJob,
+  createProgressReporter,
+  isCancelRequested,
+} = require("./utils/analysisJobs");
+
+// Most active teams exhaustive analysis can handle (2^15 outcomes at the Sweet 16)
+const MAX_EXHAUSTIVE_TEAMS = 16;
+
+const ANALYSIS_MODES = ["exhaustive", "sampled"];
+const DEFAULT_SAMPLE_COUNT = 5000;
+const MAX_SAMPLE_COUNT = 100000;
+
+// z-score for the 95% confidence intervals reported with sampled results
+const CONFIDENCE_LEVEL = 95;
+const CONFIDENCE_Z = 1.96;
+
+// Outcomes are generated and scored in worker threads so they don't block the API's event loop
+const WORKER_PATH = path.join(__dirname, "tournament-analysis-worker.js");
+const PROGRESS_INTERVAL = 500; // Outcomes scored between progress reports
+const CANCEL_CHECK_INTERVAL_MS = 1000;
 
 /**
  * Calculate appropriate description of the tournament stage
@@ -44,6 +95,18 @@ function determineTournamentStage(tournament) {
     stage = "championship";
   }
 
+  // Before the Sweet 16 (only analyzed in sampled mode), go by open games
+  if (hasOpenGames(tournament, 2)) {
+    currentRound = 2;
+    roundName = "Second Round";
+    stage = "round2";
+  }
+  if (hasOpenGames(tournament, 1)) {
+    currentRound = 1;
+    roundName = "First Round";
+    stage = "round1";
+  }
+
   // Count completed and total games in the current round
   let completedGames = 0;
   let totalGames = 0;
@@ -71,25 +134,30 @@ function determineTournamentStage(tournament) {
   };
 }
 
+/**
+ * Check whether a round still has games without a winner
+ * @param {Object} tournament - Current tournament data
+ * @param {Number} round - Round number
+ * @returns {Boolean}
+ */
+function hasOpenGames(tournament, round) {
+  return !!(
+    tournament.results &&
+    tournament.results[round] &&
+    tournament.results[round].some((matchup) => !matchup.winner)
+  );
+}
+
 /**
  * Calculate the total possible outcomes based on incomplete games
  * @param {Object} tournament - Current tournament data
  * @returns {Number} Number of possible outcomes
  */
 function calculatePossibleOutcomes(tournament) {
-  // Get completed rounds
-  const completedRounds = tournament.completedRounds || [];
-
-  // Determine the current round
-  let currentRound = 3; // Default to Sweet 16
-  if (completedRounds.includes(3)) currentRound = 4; // Elite 8
-  if (completedRounds.includes(4)) currentRound = 5; // Final Four
-  if (completedRounds.includes(5)) currentRound = 6; // Championship
-
-  // Count incomplete games in the current and future rounds
+  // Count incomplete games in every round (completed rounds have none)
   let incompleteGamesCount = 0;
 
-  for (let round = currentRound; round <= 6; round++) {
+  for (let round = 1; round <= 6; round++) {
     if (tournament.results && tournament.results[round]) {
       // Count matchups that don't have a winner yet
       const incompleteGamesInRound = tournament.results[round].filter(
@@ -164,9 +232,16 @@ function getActiveTeams(tournament) {
 /**
  * Generate all possible outcomes using an improved approach
  * @param {Object} tournament - Tournament data
- * @returns {Array} Complete set of possible outcomes
+ * @param {Object} options
+ * @param {Function} options.winProbability - (teamA, teamB) => chance teamA wins (defaults to a coin flip)
+ * @param {Object} options.forcedWinners - Team name that must win, by matchup ID;
+ *   only the outcomes where they all do are generated
+ * @returns {Array} Complete set of possible outcomes, each with the probability it happens
  */
-function generateAllOutcomes(tournament) {
+function generateAllOutcomes(
+  tournament,
+  { winProbability = () => 0.5, forcedWinners = {} } = {}
+) {
   // Get the current round
   const currentRound = determineCurrentRound(tournament);
 
@@ -194,15 +269,402 @@ function generateAllOutcomes(tournament) {
 
   // Then process each round sequentially
   for (let round = currentRound; round <= 6; round++) {
-    outcomes = processRound(outcomes, round, bracketStructure, tournament);
+    outcomes = processRound(
+      outcomes,
+      round,
+      bracketStructure,
+      tournament,
+      winProbability,
+      forcedWinners
+    );
+
+    // Perform validation to ensure teams are being tracked correctly (forced
+    // winners knock teams out, so only the complete set is checked)
+    if (Object.keys(forcedWinners).length === 0) {
+      validateOutcomes(outcomes, round, activeTeams);
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Generate random tournament completions for sampled analysis
+ * Each undecided game is won with the chance winProbability gives, so outcomes
+ * are drawn as often as they're expected to happen
+ * @param {Object} tournament - Tournament data
+ * @param {Number} sampleCount - Number of completions to simulate
+ * @param {Object} options
+ * @param {Function} options.random - Random number source returning [0, 1) (defaults to Math.random)
+ * @param {Function} options.winProbability - (teamA, teamB) => chance teamA wins (defaults to a coin flip)
+ * @param {Object} options.forcedWinners - Team name that must win, by matchup ID
+ *   (see resolveScenarioWinners), for sampling a what-if scenario
+ * @returns {Array} Sampled outcomes, in the same shape as generateAllOutcomes
+ */
+function generateSampledOutcomes(
+  tournament,
+  sampleCount,
+  { random = Math.random, winProbability = () => 0.5, forcedWinners = {} } = {}
+) {
+  const bracketStructure = getBracketStructure(tournament);
+  const [knownOutcome] = initializeOutcomesWithKnownMatchups(
+    [{ matchupResults: {}, projectedMatchups: {} }],
+    tournament,
+    bracketStructure
+  );
+
+  const outcomes = [];
 
-    // Perform validation to ensure teams are being tracked correctly
-    validateOutcomes(outcomes, round, activeTeams);
+  for (let sample = 0; sample < sampleCount; sample++) {
+    outcomes.push(
+      playOutOutcome(knownOutcome, bracketStructure, (matchup, teams) => {
+        const forced = forcedTeam(teams, forcedWinners[matchup.id]);
+        if (forced) return { winner: forced, probability: 1 };
+
+        const teamAWinProbability = winProbability(teams.teamA, teams.teamB);
+        return random() < teamAWinProbability
+          ? { winner: teams.teamA, probability: teamAWinProbability }
+          : { winner: teams.teamB, probability: 1 - teamAWinProbability };
+      })
+    );
   }
 
   return outcomes;
 }
 
+/**
+ * Play undecided games round by round from the known results, so winners feed the next round
+ * @param {Object} knownOutcome - Outcome holding the results so far (from initializeOutcomesWithKnownMatchups)
+ * @param {Object} bracketStructure - Bracket structure by round
+ * @param {Function} chooseWinner - (matchup, teams) => { winner, probability }, or null to leave the game unplayed
+ * @returns {Object} Outcome with the probability of the games it played
+ */
+function playOutOutcome(knownOutcome, bracketStructure, chooseWinner) {
+  const outcome = {
+    matchupResults: { ...knownOutcome.matchupResults },
+    projectedMatchups: JSON.parse(
+      JSON.stringify(knownOutcome.projectedMatchups)
+    ),
+    probability: 1,
+  };
+
+  for (let round = 1; round <= 6; round++) {
+    for (const matchup of bracketStructure[round]) {
+      if (matchup.winner) continue;
+
+      const projectedMatchup = outcome.projectedMatchups[matchup.id];
+      const teams =
+        matchup.teamA && matchup.teamB ? matchup : projectedMatchup;
+      if (!teams || !teams.teamA || !teams.teamB) continue;
+
+      const choice = chooseWinner(matchup, teams);
+      if (!choice) continue;
+      outcome.probability *= choice.probability;
+
+      outcome.matchupResults[matchup.id] = {
+        winner: choice.winner,
+        matchupId: matchup.id,
+        round: round,
+      };
+
+      if (round < 6 && matchup.nextMatchupId) {
+        projectWinnerToNextRound(
+          outcome,
+          { ...matchup, round: round },
+          choice.winner,
+          bracketStructure
+        );
+      }
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Find the team a scenario forces to win a matchup
+ * @param {Object} teams - The matchup's { teamA, teamB }
+ * @param {String} teamName - Forced winner's name, if any
+ * @returns {Object|null} The forced team, or null if the game isn't forced
+ */
+function forcedTeam(teams, teamName) {
+  if (!teamName) return null;
+  if (teams.teamA.name === teamName) return teams.teamA;
+  if (teams.teamB.name === teamName) return teams.teamB;
+  return null;
+}
+
+/**
+ * Turn a what-if scenario's picks into the full set of results it implies
+ * A team picked to win a later-round game must also win every game on its way
+ * there, so those are added too. Picks that can't happen (a game already played,
+ * an eliminated team, two picks that contradict each other) are rejected.
+ * @param {Object} tournament - Tournament data
+ * @param {Object} picks - Winning team name by matchup ID
+ * @returns {Object} { winners } with winning team names by matchup ID, or { error }
+ */
+function resolveScenarioWinners(tournament, picks) {
+  const bracketStructure = getBracketStructure(tournament);
+  const winners = {};
+
+  const findMatchup = (matchupId) => {
+    for (let round = 1; round <= 6; round++) {
+      const matchup = bracketStructure[round].find(
+        (m) => m.id === parseInt(matchupId)
+      );
+      if (matchup) return { matchup, round };
+    }
+    return null;
+  };
+
+  const feedersOf = (matchup, round) =>
+    round > 1
+      ? bracketStructure[round - 1].filter((m) => m.nextMatchupId === matchup.id)
+      : [];
+
+  const hasTeam = (matchup, teamName) =>
+    [matchup.teamA, matchup.teamB, matchup.winner].some(
+      (team) => team && team.name === teamName
+    );
+
+  // Whether a team started in this matchup's part of the bracket
+  const canReach = (matchup, round, teamName) =>
+    hasTeam(matchup, teamName) ||
+    feedersOf(matchup, round).some((feeder) =>
+      canReach(feeder, round - 1, teamName)
+    );
+
+  const forceWinner = (matchup, round, teamName) => {
+    if (matchup.winner) {
+      return matchup.winner.name === teamName
+        ? null
+        : `${teamName} has already been eliminated`;
+    }
+    if (winners[matchup.id] && winners[matchup.id] !== teamName) {
+      return `Matchup ${matchup.id} can't be won by both ${winners[matchup.id]} and ${teamName}`;
+    }
+    if (matchup.teamA && matchup.teamB && !hasTeam(matchup, teamName)) {
+      return canReach(matchup, round, teamName)
+        ? `${teamName} has already been eliminated`
+        : `${teamName} isn't playing in matchup ${matchup.id}`;
+    }
+
+    winners[matchup.id] = teamName;
+
+    // Win the game that gets the team here too (if it isn't already set)
+    if (hasTeam(matchup, teamName)) return null;
+
+    const feeder = feedersOf(matchup, round).find((m) =>
+      canReach(m, round - 1, teamName)
+    );
+    if (!feeder) {
+      return `${teamName} can't reach matchup ${matchup.id}`;
+    }
+    return forceWinner(feeder, round - 1, teamName);
+  };
+
+  for (const [matchupId, teamName] of Object.entries(picks)) {
+    const found = findMatchup(matchupId);
+    if (!found) {
+      return { error: `Matchup ${matchupId} not found` };
+    }
+    if (found.matchup.winner) {
+      return { error: `Matchup ${matchupId} has already been played` };
+    }
+
+    const error = forceWinner(found.matchup, found.round, teamName);
+    if (error) return { error };
+  }
+
+  return { winners };
+}
+
+/**
+ * Split the outcomes to analyze into parts that can be generated separately
+ * Exhaustive outcomes are split on the first undecided games whose teams are
+ * known: every outcome plays them, and each way they go leads to the same
+ * number of outcomes. Sampled completions are split by count.
+ * @param {Object} tournament - Tournament data
+ * @param {String} mode - "exhaustive" or "sampled"
+ * @param {Object} options
+ * @param {Number} options.partitionCount - Parts wanted (exhaustive mode can
+ *   give more, a power of two, or fewer when there aren't enough games to split on)
+ * @param {Number} options.sampleCount - Completions to simulate in sampled mode
+ * @param {Object} options.forcedWinners - Team name that must win, by matchup ID
+ * @returns {Array} Parts as { forcedWinners, sampleCount }, for generateOutcomePartitions
+ */
+function getOutcomePartitions(
+  tournament,
+  mode,
+  { partitionCount = 1, sampleCount = 0, forcedWinners = {} } = {}
+) {
+  if (mode === "sampled") {
+    const count = Math.max(1, Math.min(partitionCount, sampleCount));
+    return Array.from({ length: count }, (_, index) => ({
+      forcedWinners,
+      sampleCount:
+        Math.floor(sampleCount / count) + (index < sampleCount % count ? 1 : 0),
+    }));
+  }
+
+  const bracketStructure = getBracketStructure(tournament);
+  const splitGames = [];
+  for (
+    let round = determineCurrentRound(tournament);
+    round <= 6 && 2 ** splitGames.length < partitionCount;
+    round++
+  ) {
+    for (const matchup of bracketStructure[round]) {
+      if (2 ** splitGames.length >= partitionCount) break;
+      if (
+        !matchup.winner &&
+        matchup.teamA &&
+        matchup.teamB &&
+        !forcedWinners[matchup.id]
+      ) {
+        splitGames.push(matchup);
+      }
+    }
+  }
+
+  // One part for each way the split games can go
+  return Array.from({ length: 2 ** splitGames.length }, (_, pattern) => {
+    const partitionWinners = { ...forcedWinners };
+    splitGames.forEach((matchup, index) => {
+      const winner = (pattern >> index) & 1 ? matchup.teamB : matchup.teamA;
+      partitionWinners[matchup.id] = winner.name;
+    });
+    return { forcedWinners: partitionWinners, sampleCount: 0 };
+  });
+}
+
+/**
+ * Generate the outcomes for some parts from getOutcomePartitions
+ * Game win probabilities come from the tournament's team ratings, or seeds
+ * where there are none.
+ * @param {Object} tournament - Tournament data (with teamRatings)
+ * @param {String} mode - "exhaustive" or "sampled"
+ * @param {Array} partitions - Parts to generate
+ * @param {Object} options
+ * @param {Function} options.random - Random number source for sampled mode
+ * @returns {Array} The parts' outcomes together, unweighted
+ */
+function generateOutcomePartitions(
+  tournament,
+  mode,
+  partitions,
+  { random = Math.random } = {}
+) {
+  const teamRatings = tournament.teamRatings || {};
+  const winProbability = (teamA, teamB) =>
+    getWinProbability(teamA, teamB, teamRatings);
+
+  return partitions.flatMap(({ forcedWinners, sampleCount }) =>
+    mode === "sampled"
+      ? generateSampledOutcomes(tournament, sampleCount, {
+          random,
+          winProbability,
+          forcedWinners,
+        })
+      : generateAllOutcomes(tournament, { winProbability, forcedWinners })
+  );
+}
+
+/**
+ * Totals assignOutcomeWeights needs, which add up across parts of the outcomes
+ * @param {Array} outcomes - Outcomes with a probability
+ * @returns {Object} { count, probabilityTotal, inverseProbabilityTotal }
+ */
+function summarizeOutcomeWeights(outcomes) {
+  return outcomes.reduce(
+    (totals, outcome) => {
+      totals.count++;
+      totals.probabilityTotal += outcome.probability;
+      totals.inverseProbabilityTotal += 1 / outcome.probability;
+      return totals;
+    },
+    { count: 0, probabilityTotal: 0, inverseProbabilityTotal: 0 }
+  );
+}
+
+/**
+ * Set each outcome's weight (its share of the probability) and equal weight
+ * Enumerated outcomes are weighted by their probability. Sampled outcomes were
+ * already drawn by probability, so they count equally there and their equal
+ * weights come from undoing that (inverse probability weighting).
+ * @param {Array} outcomes - Outcomes with a probability
+ * @param {String} mode - "exhaustive" or "sampled"
+ * @param {Object} totals - summarizeOutcomeWeights totals for all the outcomes
+ *   (defaults to these outcomes; pass the combined totals when weighting one part)
+ */
+function assignOutcomeWeights(
+  outcomes,
+  mode,
+  totals = summarizeOutcomeWeights(outcomes)
+) {
+  if (mode === "sampled") {
+    outcomes.forEach((outcome) => {
+      outcome.weight = 1 / totals.count;
+      outcome.equalWeight =
+        1 / outcome.probability / totals.inverseProbabilityTotal;
+    });
+    return;
+  }
+
+  outcomes.forEach((outcome) => {
+    outcome.weight = outcome.probability / totals.probabilityTotal;
+    outcome.equalWeight = 1 / totals.count;
+  });
+}
+
+/**
+ * Wilson score interval for a proportion estimated from samples
+ * @param {Number} successes - Samples with the result (can be fractional for split ties)
+ * @param {Number} sampleCount - Total samples
+ * @param {Number} z - z-score for the confidence level
+ * @returns {Object} { low, high } as percentages
+ */
+function wilsonInterval(successes, sampleCount, z = CONFIDENCE_Z) {
+  if (sampleCount === 0) return { low: 0, high: 100 };
+
+  const p = successes / sampleCount;
+  const z2 = z * z;
+  const denominator = 1 + z2 / sampleCount;
+  const center = (p + z2 / (2 * sampleCount)) / denominator;
+  const margin =
+    (z *
+      Math.sqrt(
+        (p * (1 - p)) / sampleCount + z2 / (4 * sampleCount * sampleCount)
+      )) /
+    denominator;
+
+  return {
+    low: Math.max(0, center - margin) * 100,
+    high: Math.min(1, center + margin) * 100,
+  };
+}
+
+/**
+ * Add confidence intervals to each bracket's (probability-weighted) win and place percentages
+ * @param {Object} bracketResults - Results by bracket ID from analyzeBracketScores
+ * @param {Number} sampleCount - Number of sampled outcomes analyzed
+ */
+function addConfidenceIntervals(bracketResults, sampleCount) {
+  for (const bracketId in bracketResults) {
+    const { winPercentage, placePercentages } = bracketResults[bracketId];
+    const interval = (percentage) =>
+      wilsonInterval((percentage / 100) * sampleCount, sampleCount);
+
+    bracketResults[bracketId].confidenceIntervals = {
+      win: interval(winPercentage),
+      1: interval(placePercentages[1]),
+      2: interval(placePercentages[2]),
+      3: interval(placePercentages[3]),
+      podium: interval(placePercentages.podium),
+    };
+  }
+}
+
 /**
  * Initialize outcomes with already known matchups from the tournament
  */
@@ -257,7 +719,14 @@ function initializeOutcomesWithKnownMatchups(
 /**
  * Process a single round, generating all possible outcomes
  */
-function processRound(prevOutcomes, round, bracketStructure, tournament) {
+function processRound(
+  prevOutcomes,
+  round,
+  bracketStructure,
+  tournament,
+  winProbability = () => 0.5,
+  forcedWinners = {}
+) {
   const roundMatchups = bracketStructure[round];
   let newOutcomes = [];
 
@@ -307,10 +776,22 @@ function processRound(prevOutcomes, round, bracketStructure, tournament) {
         binaryCounter < combinations;
         binaryCounter++
       ) {
+        // Skip combinations where a forced game goes the other way
+        const fitsForcedWinners = matchupsToProcess.every(
+          (matchup, matchupIndex) => {
+            const forced = forcedWinners[matchup.id];
+            if (!forced) return true;
+            const bit = (binaryCounter >> matchupIndex) & 1;
+            return (bit === 0 ? matchup.teamA : matchup.teamB).name === forced;
+          }
+        );
+        if (!fitsForcedWinners) continue;
+
         // Create a new outcome based on previous outcome with PROPER deep cloning
         const newOutcome = {
           matchupResults: { ...prevOutcome.matchupResults },
           projectedMatchups: {},
+          probability: prevOutcome.probability ?? 1,
         };
 
         // Deep clone the projectedMatchups to avoid reference issues
@@ -332,6 +813,11 @@ function processRound(prevOutcomes, round, bracketStructure, tournament) {
           const bit = (binaryCounter >> matchupIndex) & 1;
           const winner = bit === 0 ? matchup.teamA : matchup.teamB;
 
+          // Chain this game's result into the outcome's probability
+          const teamAWinProbability = winProbability(matchup.teamA, matchup.teamB);
+          newOutcome.probability *=
+            bit === 0 ? teamAWinProbability : 1 - teamAWinProbability;
+
           // Add to results
           newOutcome.matchupResults[matchup.id] = {
             winner: winner,
@@ -582,16 +1068,278 @@ function getChampionshipWinner(outcome) {
  * @returns {Object} Analysis of each bracket under each outcome
  */
 function analyzeBracketScores(brackets, possibleOutcomes, tournament) {
-  // For each possible outcome, calculate the score of each bracket
+  return buildScoreAnalysis(scoreOutcomes(brackets, possibleOutcomes, tournament));
+}
+
+/**
+ * Number of worker threads to generate and score outcomes with
+ * ANALYSIS_WORKERS overrides the default of one per spare CPU core (at least
+ * one); 0 scores on the calling thread
+ * @returns {Number}
+ */
+function getWorkerCount() {
+  const configured = parseInt(process.env.ANALYSIS_WORKERS);
+  if (!isNaN(configured) && configured >= 0) return configured;
+  return Math.max(1, os.cpus().length - 1);
+}
+
+/**
+ * Generate, weight and score outcomes with the work split across worker threads
+ * Each worker generates its own part of the outcomes (see getOutcomePartitions)
+ * and scores them, so neither step blocks the event loop and the outcomes are
+ * never all held on the calling thread. Workers report the counts and
+ * probability totals of their parts first, so every outcome can be weighted
+ * against all of them.
+ * @param {Array} brackets - All submitted brackets
+ * @param {Object} tournament - Current tournament state (with scoringRules and teamRatings)
+ * @param {Object} options
+ * @param {String} options.mode - "exhaustive" or "sampled"
+ * @param {Number} options.sampleCount - Completions to simulate in sampled mode
+ * @param {Object} options.forcedWinners - Team name that must win, by matchup ID,
+ *   to analyze only the outcomes of a what-if scenario
+ * @param {Function} options.random - Random number source for sampled mode
+ *   (only used when workerCount is 0; workers use Math.random)
+ * @param {Number} options.workerCount - Worker threads to use (defaults to getWorkerCount())
+ * @param {Function} options.onGenerated - Called with the number of outcomes
+ *   once they're all generated; scoring waits for a returned promise
+ * @param {Function} options.onProgress - Called with (outcomes scored, total outcomes)
+ * @param {Function} options.isCancelled - Async check polled while the workers run;
+ *   resolving true stops them
+ * @returns {Promise<Object>} { analysis, outcomeCount } with analysis as from
+ *   analyzeBracketScores; rejects with an error that has `cancelled` set when cancelled
+ */
+async function analyzeOutcomesInParallel(
+  brackets,
+  tournament,
+  {
+    mode,
+    sampleCount = DEFAULT_SAMPLE_COUNT,
+    forcedWinners = {},
+    random,
+    workerCount = getWorkerCount(),
+    onGenerated = () => {},
+    onProgress = () => {},
+    isCancelled = async () => false,
+  } = {}
+) {
+  if (workerCount === 0) {
+    const outcomes = generateOutcomePartitions(
+      tournament,
+      mode,
+      [{ forcedWinners, sampleCount }],
+      { random }
+    );
+    await onGenerated(outcomes.length);
+    assignOutcomeWeights(outcomes, mode);
+
+    const scored = scoreOutcomes(brackets, outcomes, tournament, {
+      onProgress: (processed) => onProgress(processed, outcomes.length),
+    });
+    return { analysis: buildScoreAnalysis(scored), outcomeCount: outcomes.length };
+  }
+
+  // Workers get plain copies of the documents (ObjectIds become strings)
+  const plainBrackets = JSON.parse(JSON.stringify(brackets));
+  const plainTournament = JSON.parse(JSON.stringify(tournament));
+
+  // Deal the parts out between the workers
+  const partitions = getOutcomePartitions(tournament, mode, {
+    partitionCount: workerCount,
+    sampleCount,
+    forcedWinners,
+  });
+  const assignments = Array.from(
+    { length: Math.min(workerCount, partitions.length) },
+    (_, index) =>
+      partitions.filter((_, partition) => partition % workerCount === index)
+  );
+
+  let total = 0;
+
+  const parts = await new Promise((resolve, reject) => {
+    const workers = [];
+    const generated = new Array(assignments.length);
+    const results = new Array(assignments.length);
+    const processed = assignments.map(() => 0);
+    let remainingToGenerate = assignments.length;
+    let remaining = assignments.length;
+    let finished = false;
+
+    const finish = (error) => {
+      if (finished) return;
+      finished = true;
+      clearInterval(cancelCheck);
+
+      if (error) {
+        workers.forEach((worker) => worker.terminate());
+        reject(error);
+      } else {
+        resolve(results);
+      }
+    };
+
+    const cancelCheck = setInterval(async () => {
+      try {
+        if (await isCancelled()) {
+          const error = new Error("Analysis cancelled");
+          error.cancelled = true;
+          finish(error);
+        }
+      } catch (err) {
+        console.error("Error checking for analysis cancellation:", err.message);
+      }
+    }, CANCEL_CHECK_INTERVAL_MS);
+
+    // Once every part is generated, weight each against the combined totals
+    // and number its outcomes after the parts before it
+    const startScoring = async () => {
+      const totals = generated.reduce(
+        (sum, part) => ({
+          count: sum.count + part.count,
+          probabilityTotal: sum.probabilityTotal + part.probabilityTotal,
+          inverseProbabilityTotal:
+            sum.inverseProbabilityTotal + part.inverseProbabilityTotal,
+        }),
+        { count: 0, probabilityTotal: 0, inverseProbabilityTotal: 0 }
+      );
+      total = totals.count;
+      await onGenerated(total);
+      if (finished) return;
+
+      let startIndex = 0;
+      workers.forEach((worker, index) => {
+        worker.postMessage({ type: "score", totals, startIndex });
+        startIndex += generated[index].count;
+      });
+    };
+
+    assignments.forEach((assignment, index) => {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: {
+          brackets: plainBrackets,
+          tournament: plainTournament,
+          mode,
+          partitions: assignment,
+        },
+      });
+      workers.push(worker);
+
+      worker.on("message", (message) => {
+        if (message.type === "generated") {
+          generated[index] = message.totals;
+          remainingToGenerate--;
+          if (remainingToGenerate === 0) startScoring().catch(finish);
+        } else if (message.type === "progress") {
+          processed[index] = message.processed;
+          onProgress(
+            processed.reduce((sum, count) => sum + count, 0),
+            total
+          );
+        } else if (message.type === "done") {
+          results[index] = message.result;
+          remaining--;
+          if (remaining === 0) finish();
+        }
+      });
+      worker.on("error", finish);
+      worker.on("exit", (code) => {
+        if (code !== 0) {
+          finish(new Error(`Analysis worker stopped with exit code ${code}`));
+        }
+      });
+    });
+  });
+
+  return {
+    analysis: buildScoreAnalysis(mergeOutcomeScores(parts)),
+    outcomeCount: total,
+  };
+}
+
+/**
+ * Get the matchups rooting guides cover: the undecided games of the earliest
+ * round still being played. Totals for every undecided game would grow with
+ * brackets x games x possible winners, and they're saved on one analysis
+ * document (MongoDB caps documents at 16MB).
+ * @param {Object} tournament - Current tournament state
+ * @returns {Set} Matchup IDs, as strings
+ */
+function getRootingMatchupIds(tournament) {
+  for (let round = 1; round <= 6; round++) {
+    const undecided = (
+      (tournament.results && tournament.results[round]) ||
+      []
+    ).filter((matchup) => !matchup.winner);
+    if (undecided.length > 0) {
+      return new Set(undecided.map((matchup) => String(matchup.id)));
+    }
+  }
+  return new Set();
+}
+
+/**
+ * Score and rank every bracket under a run of outcomes, keeping raw totals
+ * This is the part of the analysis the worker threads split up: each call
+ * handles a part of the outcomes and the totals are merged afterwards. The
+ * path analysis totals are kept here too, so statistics don't need the outcomes.
+ * @param {Array} brackets - All submitted brackets
+ * @param {Array} outcomes - Outcomes to score (a part of all of them)
+ * @param {Object} tournament - Current tournament state
+ * @param {Object} options
+ * @param {Number} options.startIndex - Index of the first outcome in the full list
+ * @param {Number} options.totalOutcomes - Size of the full list (weights default to 1/total)
+ * @param {Function} options.onProgress - Called with the number of outcomes scored so far
+ * @returns {Object} { bracketResults, resultWeights, championTotals,
+ *   championshipTotals } with the outcome weight behind the possible winners
+ *   of the current round's undecided games (for rooting guides, see
+ *   getRootingMatchupIds), each bracket's podium share by
+ *   champion and, from the Final Four on, its positions by title game result
+ *   (both for path analysis)
+ */
+function scoreOutcomes(
+  brackets,
+  outcomes,
+  tournament,
+  { startIndex = 0, totalOutcomes = outcomes.length, onProgress } = {}
+) {
   const results = {
-    outcomeScores: {}, // Scores by outcome ID
-    bracketResults: {}, // Results by bracket ID
+    bracketResults: {}, // Raw totals by bracket ID
+    resultWeights: {}, // Outcome weight by rooting guide matchup ID, then winning team
+    championTotals: {}, // Outcome weight and weighted podium shares by champion
+    championshipTotals: {}, // Scenario positions by champion, then runner-up
   };
 
+  // Tiebreaker distances (only once the championship total is known)
+  const tiebreakDistances = getTiebreakDistances(brackets, tournament);
+
+  // Championship scenarios are only analyzed from the Final Four on
+  const trackChampionships =
+    determineTournamentStage(tournament).currentRound >= 5;
+
+  // Only the current round's undecided games go in the rooting guides
+  const rootingMatchupIds = getRootingMatchupIds(tournament);
+
   // For each possible outcome
-  possibleOutcomes.forEach((outcome, outcomeIndex) => {
-    const outcomeId = `outcome_${outcomeIndex}`;
-    results.outcomeScores[outcomeId] = {};
+  outcomes.forEach((outcome, index) => {
+    const outcomeId = `outcome_${startIndex + index}`;
+    const outcomeScores = {};
+
+    // Outcomes without weights (see assignOutcomeWeights) count equally
+    const weight = outcome.weight ?? 1 / totalOutcomes;
+    const equalWeight = outcome.equalWeight ?? 1 / totalOutcomes;
+
+    const rootingResults = Object.values(outcome.matchupResults).filter(
+      (result) => rootingMatchupIds.has(String(result.matchupId))
+    );
+    rootingResults.forEach((result) => {
+      const byTeam = (results.resultWeights[result.matchupId] ||= {});
+      const entry = (byTeam[result.winner.name] ||= {
+        weight: 0,
+        seed: result.winner.seed,
+        round: result.round,
+      });
+      entry.weight += weight;
+    });
 
     // Create a tournament result with this outcome applied
     const projectedTournament = projectTournamentWithOutcome(
@@ -608,7 +1356,7 @@ function analyzeBracketScores(brackets, possibleOutcomes, tournament) {
       );
 
       // Store in results
-      results.outcomeScores[outcomeId][bracket._id] = projectedScore;
+      outcomeScores[bracket._id] = projectedScore;
 
       // Initialize bracket results if needed
       if (!results.bracketResults[bracket._id]) {
@@ -616,111 +1364,279 @@ function analyzeBracketScores(brackets, possibleOutcomes, tournament) {
           participantName: bracket.participantName,
           entryNumber: bracket.entryNumber || 1,
           currentScore: bracket.score,
-          outcomesWon: 0,
-          possibleScores: [],
+          outcomesWon: 0, // Share of the outcome weight won (ties split)
+          equalWeightOutcomesWon: 0,
+          weightedScore: 0,
           minScore: Infinity,
           maxScore: -Infinity,
-          avgScore: 0,
           minPlace: Infinity,
           maxPlace: 0,
           wins: {},
-          places: { 1: 0, 2: 0, 3: 0 }, // Count of 1st, 2nd, 3rd place finishes
+          places: { 1: 0, 2: 0, 3: 0 }, // Weighted share of 1st, 2nd, 3rd place finishes
+          equalWeightPlaces: { 1: 0, 2: 0, 3: 0 },
+          // Weighted win and podium shares by rooting guide matchup ID, then winning team
+          rooting: {},
         };
       }
 
       // Update bracket results
-      results.bracketResults[bracket._id].possibleScores.push(projectedScore);
-      results.bracketResults[bracket._id].minScore = Math.min(
-        results.bracketResults[bracket._id].minScore,
-        projectedScore
-      );
-      results.bracketResults[bracket._id].maxScore = Math.max(
-        results.bracketResults[bracket._id].maxScore,
-        projectedScore
-      );
+      const bracketResult = results.bracketResults[bracket._id];
+      bracketResult.weightedScore += projectedScore * weight;
+      bracketResult.minScore = Math.min(bracketResult.minScore, projectedScore);
+      bracketResult.maxScore = Math.max(bracketResult.maxScore, projectedScore);
     });
 
     // Determine rankings for this outcome
-    const bracketIds = Object.keys(results.outcomeScores[outcomeId]);
-    const sortedIds = bracketIds.sort((a, b) => {
-      return (
-        results.outcomeScores[outcomeId][b] -
-        results.outcomeScores[outcomeId][a]
-      );
-    });
+    const sortedIds = sortByScoreAndTiebreaker(
+      Object.keys(outcomeScores),
+      outcomeScores,
+      tiebreakDistances
+    );
 
-    // Group brackets by score
+    // Group brackets by score (and tiebreaker, when known)
     const positions = determinePositions(
       sortedIds,
-      results.outcomeScores[outcomeId]
+      outcomeScores,
+      tiebreakDistances
     );
 
     // Assign correct positions with proper tie handling
-    assignPositionsWithTies(positions, results.bracketResults, outcomeId);
+    assignPositionsWithTies(positions, results.bracketResults, outcomeId, {
+      weight,
+      equalWeight,
+    });
+
+    // Add each bracket's podium share to its champion's totals for path analysis
+    const champion = getChampionshipWinner(outcome);
+    const championTotals = champion
+      ? (results.championTotals[champion] ||= { weight: 0, podium: {} })
+      : null;
+    if (championTotals) championTotals.weight += weight;
+
+    let currentPosition = 1;
+    positions.forEach((bracketIdsAtPosition) => {
+      const tieSize = bracketIdsAtPosition.length;
+      const share = getPodiumShare(currentPosition, tieSize);
+      const winShare = currentPosition === 1 ? 1 / tieSize : 0;
+
+      bracketIdsAtPosition.forEach((bracketId) => {
+        if (championTotals && share > 0) {
+          championTotals.podium[bracketId] =
+            (championTotals.podium[bracketId] || 0) + share * weight;
+        }
+
+        // Credit this outcome's current-round results to the bracket's rooting totals
+        if (share === 0) return;
+        const rooting = results.bracketResults[bracketId].rooting;
+        rootingResults.forEach((result) => {
+          const byTeam = (rooting[result.matchupId] ||= {});
+          const entry = (byTeam[result.winner.name] ||= { win: 0, podium: 0 });
+          entry.win += weight * winShare;
+          entry.podium += weight * share;
+        });
+      });
+      currentPosition += tieSize;
+    });
+
+    if (trackChampionships) {
+      addChampionshipScenarioPositions(
+        results.championshipTotals,
+        brackets,
+        outcome,
+        tournament,
+        tiebreakDistances
+      );
+    }
+
+    if (onProgress && (index + 1) % PROGRESS_INTERVAL === 0) {
+      onProgress(index + 1);
+    }
   });
 
-  // Calculate averages and percentages
-  const totalOutcomes = possibleOutcomes.length;
+  if (onProgress) onProgress(outcomes.length);
+
+  return results;
+}
+
+/**
+ * Merge the raw totals from scoreOutcomes runs over parts of the outcomes
+ * @param {Array} parts - scoreOutcomes results, in outcome order
+ * @returns {Object} The same totals for all the parts together
+ */
+function mergeOutcomeScores(parts) {
+  const merged = {
+    bracketResults: {},
+    resultWeights: {},
+    championTotals: {},
+    championshipTotals: {},
+  };
+
+  // Add { key: number } totals together
+  const addTotals = (into, from) => {
+    for (const key in from) {
+      into[key] = (into[key] || 0) + from[key];
+    }
+  };
+
+  // Add nested { matchupId: { team: { field: number } } } totals together
+  const addNested = (into, from, fields) => {
+    for (const matchupId in from) {
+      const intoByTeam = (into[matchupId] ||= {});
+      for (const team in from[matchupId]) {
+        if (!intoByTeam[team]) {
+          intoByTeam[team] = from[matchupId][team];
+          continue;
+        }
+        fields.forEach((field) => {
+          intoByTeam[team][field] += from[matchupId][team][field];
+        });
+      }
+    }
+  };
+
+  parts.forEach((part) => {
+    addNested(merged.resultWeights, part.resultWeights, ["weight"]);
+
+    for (const champion in part.championTotals) {
+      const from = part.championTotals[champion];
+      const into = (merged.championTotals[champion] ||= { weight: 0, podium: {} });
+      into.weight += from.weight;
+      addTotals(into.podium, from.podium);
+    }
+
+    for (const champion in part.championshipTotals) {
+      const byRunnerUp = (merged.championshipTotals[champion] ||= {});
+      for (const runnerUp in part.championshipTotals[champion]) {
+        const from = part.championshipTotals[champion][runnerUp];
+        const into = (byRunnerUp[runnerUp] ||= {
+          outcomes: 0,
+          positionSums: {},
+          latestScores: {},
+        });
+        into.outcomes += from.outcomes;
+        addTotals(into.positionSums, from.positionSums);
+        Object.assign(into.latestScores, from.latestScores);
+      }
+    }
+
+    for (const bracketId in part.bracketResults) {
+      const from = part.bracketResults[bracketId];
+      const into = merged.bracketResults[bracketId];
+
+      if (!into) {
+        merged.bracketResults[bracketId] = from;
+        continue;
+      }
+
+      into.outcomesWon += from.outcomesWon;
+      into.equalWeightOutcomesWon += from.equalWeightOutcomesWon;
+      into.weightedScore += from.weightedScore;
+      into.minScore = Math.min(into.minScore, from.minScore);
+      into.maxScore = Math.max(into.maxScore, from.maxScore);
+      into.minPlace = Math.min(into.minPlace, from.minPlace);
+      into.maxPlace = Math.max(into.maxPlace, from.maxPlace);
+      Object.assign(into.wins, from.wins);
+      addNested(into.rooting, from.rooting, ["win", "podium"]);
+      for (const place of [1, 2, 3]) {
+        into.places[place] += from.places[place];
+        into.equalWeightPlaces[place] += from.equalWeightPlaces[place];
+      }
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Turn raw scoring totals into the analysis the rest of the analyzer uses
+ * @param {Object} scored - Totals from scoreOutcomes (or mergeOutcomeScores)
+ * @returns {Object} { bracketResults, matchupResultWeights, championTotals, championshipTotals }
+ */
+function buildScoreAnalysis(scored) {
+  const results = {
+    bracketResults: scored.bracketResults, // Results by bracket ID
+    matchupResultWeights: scored.resultWeights, // Weight of each current-round game's possible winners
+    championTotals: scored.championTotals, // Podium shares by champion (for path analysis)
+    championshipTotals: scored.championshipTotals, // Positions by title game result
+  };
+
+  // Calculate averages and percentages (weights sum to 1)
   for (const bracketId in results.bracketResults) {
     const bracketResult = results.bracketResults[bracketId];
 
-    // Calculate average score
-    const sum = bracketResult.possibleScores.reduce((a, b) => a + b, 0);
-    bracketResult.avgScore = sum / totalOutcomes;
-
-    // Calculate win percentage
-    bracketResult.winPercentage =
-      (bracketResult.outcomesWon / totalOutcomes) * 100;
-
-    // Calculate place percentages
-    bracketResult.placePercentages = {
-      1: (bracketResult.places[1] / totalOutcomes) * 100,
-      2: (bracketResult.places[2] / totalOutcomes) * 100,
-      3: (bracketResult.places[3] / totalOutcomes) * 100,
-      podium:
-        ((bracketResult.places[1] +
-          bracketResult.places[2] +
-          bracketResult.places[3]) /
-          totalOutcomes) *
-        100,
-    };
+    // Expected score across the weighted outcomes
+    bracketResult.avgScore = bracketResult.weightedScore;
+    delete bracketResult.weightedScore;
 
-    // Remove the raw scores array to save space
-    delete bracketResult.possibleScores;
+    // Calculate probability-weighted win and place percentages
+    bracketResult.winPercentage = bracketResult.outcomesWon * 100;
+    bracketResult.placePercentages = toPlacePercentages(bracketResult.places);
+
+    // And the equal-weight ones, counting every outcome the same
+    bracketResult.equalWeight = {
+      winPercentage: bracketResult.equalWeightOutcomesWon * 100,
+      placePercentages: toPlacePercentages(bracketResult.equalWeightPlaces),
+    };
   }
 
   return results;
 }
 
+/**
+ * Convert weighted place shares to percentages
+ * @param {Object} places - Share of 1st, 2nd and 3rd place finishes
+ * @returns {Object} { 1, 2, 3, podium } percentages
+ */
+function toPlacePercentages(places) {
+  return {
+    1: places[1] * 100,
+    2: places[2] * 100,
+    3: places[3] * 100,
+    podium: (places[1] + places[2] + places[3]) * 100,
+  };
+}
+
 /**
  * Assign positions to brackets with proper tie handling
+ * Brackets still tied here are separated by the championship tiebreaker,
+ * which is unresolved until the final, so each one gets an equal share of
+ * every place the tie spans instead of a shared first.
  * @param {Array} positions - Array of arrays, each containing bracket IDs at that tier
  * @param {Object} bracketResults - Results object to update
  * @param {String} outcomeId - ID of the current outcome being processed
+ * @param {Object} weights - The outcome's { weight, equalWeight }
  */
-function assignPositionsWithTies(positions, bracketResults, outcomeId) {
+function assignPositionsWithTies(
+  positions,
+  bracketResults,
+  outcomeId,
+  { weight, equalWeight }
+) {
   let currentPosition = 1;
 
   for (let i = 0; i < positions.length; i++) {
     const bracketIds = positions[i];
     const tieSize = bracketIds.length;
+    const lastPosition = currentPosition + tieSize - 1;
 
-    // Assign the current position to all brackets in this group
+    // Split the places this group spans between all brackets in it
     bracketIds.forEach((bracketId) => {
-      // If position is 1, increment outcomesWon (ALL tied for first are winners)
+      // If the group starts at 1, each bracket wins its share of this outcome
       if (currentPosition === 1) {
-        bracketResults[bracketId].outcomesWon++;
+        bracketResults[bracketId].outcomesWon += weight / tieSize;
+        bracketResults[bracketId].equalWeightOutcomesWon += equalWeight / tieSize;
 
-        // Track which outcomes this bracket wins (for path analysis)
+        // Track which outcomes this bracket can win (for path analysis)
         if (!bracketResults[bracketId].wins) {
           bracketResults[bracketId].wins = {};
         }
         bracketResults[bracketId].wins[outcomeId] = true;
       }
 
-      // Record the position (1, 2, or 3)
-      if (currentPosition <= 3) {
-        bracketResults[bracketId].places[currentPosition]++;
+      // Record a share of each podium place (1, 2, or 3) in the group
+      for (let place = currentPosition; place <= Math.min(lastPosition, 3); place++) {
+        bracketResults[bracketId].places[place] += weight / tieSize;
+        bracketResults[bracketId].equalWeightPlaces[place] += equalWeight / tieSize;
       }
 
       // Track min/max finishing position
@@ -731,7 +1647,7 @@ function assignPositionsWithTies(positions, bracketResults, outcomeId) {
 
       bracketResults[bracketId].maxPlace = Math.max(
         bracketResults[bracketId].maxPlace,
-        currentPosition
+        lastPosition
       );
     });
 
@@ -740,22 +1656,64 @@ function assignPositionsWithTies(positions, bracketResults, outcomeId) {
   }
 }
 
+/**
+ * Get each bracket's tiebreaker distance from the championship total
+ * @param {Array} brackets - All brackets
+ * @param {Object} tournament - Tournament data with games
+ * @returns {Object|null} Distance by bracket ID (missing guesses rank last),
+ *   or null while the championship total is still unknown
+ */
+function getTiebreakDistances(brackets, tournament) {
+  const championshipTotal = getChampionshipTotal(tournament);
+  if (championshipTotal === null) return null;
+
+  const distances = {};
+  brackets.forEach((bracket) => {
+    const distance = tiebreakerDistance(bracket.tiebreaker, championshipTotal);
+    distances[bracket._id.toString()] = distance === null ? Infinity : distance;
+  });
+  return distances;
+}
+
+/**
+ * Sort bracket IDs by score, then by tiebreaker distance when it's known
+ * @param {Array} bracketIds - Bracket IDs
+ * @param {Object} scores - Score for each bracket ID
+ * @param {Object|null} tiebreakDistances - Tiebreaker distance for each bracket ID
+ * @returns {Array} Sorted bracket IDs
+ */
+function sortByScoreAndTiebreaker(bracketIds, scores, tiebreakDistances) {
+  return bracketIds.sort((a, b) => {
+    if (scores[b] !== scores[a]) return scores[b] - scores[a];
+    if (!tiebreakDistances || tiebreakDistances[a] === tiebreakDistances[b]) {
+      return 0;
+    }
+    return tiebreakDistances[a] - tiebreakDistances[b];
+  });
+}
+
 /**
  * Determine positions for brackets given their scores
- * @param {Array} sortedIds - Bracket IDs sorted by score
+ * @param {Array} sortedIds - Bracket IDs sorted by score (and tiebreaker)
  * @param {Object} scores - Score for each bracket ID
+ * @param {Object|null} tiebreakDistances - Tiebreaker distance for each bracket ID, if known
  * @returns {Array} Array of arrays, each containing bracket IDs at that position
  */
-function determinePositions(sortedIds, scores) {
+function determinePositions(sortedIds, scores, tiebreakDistances = null) {
   const positions = [];
   let currentPosition = [];
   let currentScore = null;
+  let currentDistance = null;
 
   sortedIds.forEach((bracketId) => {
     const score = scores[bracketId];
+    const distance = tiebreakDistances ? tiebreakDistances[bracketId] : null;
 
-    if (currentScore === null || score === currentScore) {
-      // Same score, add to current position
+    if (
+      currentScore === null ||
+      (score === currentScore && distance === currentDistance)
+    ) {
+      // Same score (and tiebreaker), add to current position
       currentPosition.push(bracketId);
     } else {
       // New score, new position
@@ -764,6 +1722,7 @@ function determinePositions(sortedIds, scores) {
     }
 
     currentScore = score;
+    currentDistance = distance;
   });
 
   // Add the last position
@@ -827,47 +1786,17 @@ function projectTournamentWithOutcome(tournament, outcome) {
  * @returns {Number} Projected score
  */
 function calculateProjectedScore(bracket, projectedTournament) {
-  // Start with 0 and calculate the entire score from scratch
-  let score = 0;
-
-  const scoringConfig = projectedTournament.scoringConfig || {
-    1: 1, // First round: 1 point
-    2: 2, // Second round: 2 points
-    3: 4, // Sweet 16: 4 points
-    4: 8, // Elite 8: 8 points
-    5: 16, // Final Four: 16 points
-    6: 32, // Championship: 32 points
-  };
-
-  // Calculate score for each round
-  for (let round = 1; round <= 6; round++) {
-    // Skip if this round doesn't exist in either bracket or projected results
-    if (!projectedTournament.results[round] || !bracket.picks[round]) continue;
-
-    // Check each matchup in the round
-    for (const tournamentMatchup of projectedTournament.results[round]) {
-      // Skip if tournament matchup doesn't have a winner
-      if (!tournamentMatchup.winner) continue;
-
-      // Find corresponding bracket matchup
-      const bracketMatchup = bracket.picks[round].find(
-        (m) => m.id === tournamentMatchup.id
-      );
-      if (!bracketMatchup || !bracketMatchup.winner) continue;
-
-      // Check if the winner matches
-      if (
-        bracketMatchup.winner.name === tournamentMatchup.winner.name &&
-        bracketMatchup.winner.seed === tournamentMatchup.winner.seed
-      ) {
-        // Add points based on the round
-        score += scoringConfig[round];
-      }
-    }
-  }
+  // Calculate the entire score from scratch with the same scoring rules
+  // used for live standings, so projections always agree with them
+  const scoringRules =
+    projectedTournament.scoringRules || getScoringRules(projectedTournament, null);
 
   // Return the total score without adding bracket.score
-  return score;
+  return calculateBracketScore(
+    bracket,
+    projectedTournament.results,
+    scoringRules
+  );
 }
 
 /**
@@ -881,24 +1810,8 @@ function calculateProjectedScoreForOutcome(bracket, outcome, tournament) {
   // Base score from already completed rounds - this already includes points for completed matchups
   let score = bracket.score || 0;
 
-  // Get scoring config from tournament or use default scoring
-  const scoringConfig = tournament.scoringConfig || {
-    1: 1, // First round: 1 point
-    2: 2, // Second round: 2 points
-    3: 4, // Sweet 16: 4 points
-    4: 8, // Elite 8: 8 points
-    5: 16, // Final Four: 16 points
-    6: 32, // Championship: 32 points
-  };
-
-  // Determine which rounds are already completed
-  const completedRounds = tournament.completedRounds || [];
-
-  // Determine current round
-  let currentRound = 3; // Default to Sweet 16
-  if (completedRounds.includes(3)) currentRound = 4; // Elite 8
-  if (completedRounds.includes(4)) currentRound = 5; // Final Four
-  if (completedRounds.includes(5)) currentRound = 6; // Championship
+  // Get scoring rules from tournament (the pool's rules when set by the analyzer)
+  const scoringRules = tournament.scoringRules || getScoringRules(tournament, null);
 
   // Track completed matchups by ID to avoid double counting
   const completedMatchupIds = new Set();
@@ -916,7 +1829,7 @@ function calculateProjectedScoreForOutcome(bracket, outcome, tournament) {
 
   // Add points only for matchups that haven't been completed yet
   if (bracket.picks) {
-    for (let round = currentRound; round <= 6; round++) {
+    for (let round = 1; round <= 6; round++) {
       if (!bracket.picks[round]) continue;
 
       // Check each matchup in the round
@@ -930,12 +1843,19 @@ function calculateProjectedScoreForOutcome(bracket, outcome, tournament) {
         const matchupResult = outcome.matchupResults[matchup.id];
         if (matchupResult && matchupResult.winner) {
           // Check if bracket's pick matches outcome
-          if (
-            matchupResult.winner.name === matchup.winner.name &&
-            matchupResult.winner.seed === matchup.winner.seed
-          ) {
-            // Award points based on round using tournament's scoring config
-            score += scoringConfig[round] || 0;
+          if (isCorrectPick(matchup.winner, matchupResult.winner)) {
+            // Award points using the tournament's scoring rules, against the
+            // opponent from the projected (or already known) matchup
+            const resultMatchup =
+              (outcome.projectedMatchups &&
+                outcome.projectedMatchups[matchup.id]) ||
+              (tournament.results[round] || []).find((m) => m.id === matchup.id);
+            score += scorePick(
+              scoringRules,
+              round,
+              matchupResult.winner,
+              getMatchupLoser(resultMatchup, matchupResult.winner)
+            );
           }
         }
       });
@@ -946,62 +1866,17 @@ function calculateProjectedScoreForOutcome(bracket, outcome, tournament) {
 }
 
 /**
- * Calculate a bracket's position in a specific outcome using existing tie-handling functions
- * @param {String} bracketId - ID of the bracket
- * @param {Object} outcome - A tournament outcome
- * @param {Array} brackets - All brackets
- * @param {Object} tournament - Tournament data with scoring config
- * @returns {Number} Position of the bracket (1-based)
+ * Share of a podium finish for a bracket in a tie group. Ties are settled by
+ * the championship tiebreaker, so each tied bracket gets an equal share of
+ * the podium places the group covers.
+ * @param {Number} position - First place the tie group covers
+ * @param {Number} tieSize - Number of brackets in the group
+ * @returns {Number} Podium share between 0 and 1
  */
-function calculateBracketPositionInOutcome(
-  bracketId,
-  outcome,
-  brackets,
-  tournament
-) {
-  // Calculate scores for all brackets in this outcome
-  const scores = {};
-  brackets.forEach((bracket) => {
-    const projectedScore = calculateProjectedScoreForOutcome(
-      bracket,
-      outcome,
-      tournament
-    );
-    scores[bracket._id.toString()] = projectedScore;
-  });
-
-  // Sort brackets by score (descending)
-  const sortedIds = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
-
-  // Step 1: Use determinePositions to group brackets by score
-  const positions = determinePositions(sortedIds, scores);
-
-  // Step 2: Create a temporary results object to capture positions
-  const tempResults = {};
-
-  // Initialize the temp results object
-  sortedIds.forEach((id) => {
-    tempResults[id] = { position: 0 };
-  });
-
-  // Step 3: Apply Olympic-style tie handling logic
-  let currentPosition = 1;
-
-  for (let i = 0; i < positions.length; i++) {
-    const bracketIds = positions[i];
-    const tieSize = bracketIds.length;
-
-    // Assign current position to all brackets in this group
-    bracketIds.forEach((id) => {
-      tempResults[id].position = currentPosition;
-    });
-
-    // Increment position by the number of tied brackets (Olympic style)
-    currentPosition += tieSize;
-  }
-
-  // Return the position of our target bracket
-  return tempResults[bracketId]?.position || brackets.length + 1;
+function getPodiumShare(position, tieSize) {
+  const lastPosition = position + tieSize - 1;
+  const podiumPlaces = Math.max(0, Math.min(lastPosition, 3) - position + 1);
+  return podiumPlaces / tieSize;
 }
 
 /**
@@ -1204,79 +2079,86 @@ function logTeamRegions(tournament) {
 }
 
 /**
- * Calculate average positions for all brackets under a specific scenario
+ * Add one outcome's bracket positions to the championship scenario totals
+ * Scores are each bracket's current score plus the outcome's undecided games.
+ * @param {Object} championshipTotals - Totals by champion, then runner-up (added to)
  * @param {Array} brackets - All brackets
- * @param {Array} outcomes - Specific outcomes to analyze
+ * @param {Object} outcome - A tournament outcome
  * @param {Object} tournament - Tournament data
- * @returns {Object} Map of bracketId to average position
+ * @param {Object|null} tiebreakDistances - Tiebreaker distance for each bracket ID, if known
  */
-function calculateBracketPositionsForScenario(brackets, outcomes, tournament) {
-  const positionsMap = {};
+function addChampionshipScenarioPositions(
+  championshipTotals,
+  brackets,
+  outcome,
+  tournament,
+  tiebreakDistances
+) {
+  const champion = getChampionshipWinner(outcome);
+  const finalists = getChampionshipTeams(outcome);
+  if (!champion || !finalists || !finalists.includes(champion)) return;
+
+  const runnerUp = finalists[0] === champion ? finalists[1] : finalists[0];
+  const byRunnerUp = (championshipTotals[champion] ||= {});
+  const totals = (byRunnerUp[runnerUp] ||= {
+    outcomes: 0,
+    positionSums: {},
+    latestScores: {},
+  });
 
-  // Initialize position map for all brackets
+  // Calculate projected score for this outcome for each bracket
+  const outcomeScores = {};
   brackets.forEach((bracket) => {
-    positionsMap[bracket._id.toString()] = {
-      positions: [],
-      score: bracket.score || 0,
-    };
+    outcomeScores[bracket._id.toString()] = calculateProjectedScoreForOutcome(
+      bracket,
+      outcome,
+      tournament
+    );
   });
 
-  // Calculate position for each bracket in each outcome
-  outcomes.forEach((outcome) => {
-    // Calculate projected score for this outcome for each bracket
-    const outcomeScores = {};
-    brackets.forEach((bracket) => {
-      const projectedScore = calculateProjectedScoreForOutcome(
-        bracket,
-        outcome,
-        tournament
-      );
-      outcomeScores[bracket._id.toString()] = projectedScore;
-
-      // Store the latest calculated score in the positions map
-      positionsMap[bracket._id.toString()].latestScore = projectedScore;
-    });
+  // Sort brackets by projected score (then tiebreaker, once it's known)
+  const sortedIds = sortByScoreAndTiebreaker(
+    Object.keys(outcomeScores),
+    outcomeScores,
+    tiebreakDistances
+  );
+  const groups = determinePositions(sortedIds, outcomeScores, tiebreakDistances);
 
-    // Sort brackets by projected score for this outcome
-    const sortedBrackets = [...brackets].sort((a, b) => {
-      const scoreA = outcomeScores[a._id.toString()];
-      const scoreB = outcomeScores[b._id.toString()];
-      return scoreB - scoreA;
+  // Tied brackets are separated by the unresolved tiebreaker, so each is
+  // recorded at the middle of the places its tie group covers
+  let currentPos = 1;
+  groups.forEach((bracketIds) => {
+    const expectedPos = currentPos + (bracketIds.length - 1) / 2;
+    bracketIds.forEach((bracketId) => {
+      totals.positionSums[bracketId] =
+        (totals.positionSums[bracketId] || 0) + expectedPos;
     });
+    currentPos += bracketIds.length;
+  });
 
-    // Assign positions (with Olympic-style tie handling)
-    let currentPos = 1;
-    let currentScore = null;
-    let sameScoreCount = 0;
-
-    sortedBrackets.forEach((bracket, idx) => {
-      const bracketId = bracket._id.toString();
-      const score = outcomeScores[bracketId];
-
-      // Handle ties - if score is same as previous, position is same
-      if (currentScore !== null && score === currentScore) {
-        sameScoreCount++;
-      } else {
-        // New score means new position (skip positions for ties)
-        currentPos += sameScoreCount;
-        sameScoreCount = 1;
-        currentScore = score;
-      }
+  // Keep the latest calculated scores
+  Object.assign(totals.latestScores, outcomeScores);
+  totals.outcomes++;
+}
 
-      // Record position for this bracket in this outcome
-      positionsMap[bracketId].positions.push(currentPos);
-    });
-  });
+/**
+ * Calculate average positions for all brackets under a specific scenario
+ * @param {Array} brackets - All brackets
+ * @param {Object} totals - The scenario's totals from addChampionshipScenarioPositions
+ * @returns {Object} Map of bracketId to { avgPosition, latestScore }
+ */
+function calculateBracketPositionsForScenario(brackets, totals) {
+  const positionsMap = {};
 
-  // Calculate average position for each bracket
-  Object.keys(positionsMap).forEach((bracketId) => {
-    const positions = positionsMap[bracketId].positions;
-    const avgPosition =
-      positions.length > 0
-        ? positions.reduce((sum, pos) => sum + pos, 0) / positions.length
-        : Infinity;
+  brackets.forEach((bracket) => {
+    const bracketId = bracket._id.toString();
+    const positionSum = totals.positionSums[bracketId];
 
-    positionsMap[bracketId].avgPosition = avgPosition;
+    positionsMap[bracketId] = {
+      avgPosition:
+        positionSum !== undefined ? positionSum / totals.outcomes : Infinity,
+      latestScore: totals.latestScores[bracketId],
+    };
   });
 
   return positionsMap;
@@ -1333,10 +2215,9 @@ function getTopBracketsForScenario(
  * @param {Array} brackets - All brackets
  * @param {Object} analysis - Analysis results
  * @param {Object} tournament - Tournament data
- * @param {Array} possibleOutcomes - All possible tournament outcomes
  * @returns {Object} Statistics
  */
-function generateStatistics(brackets, analysis, tournament, possibleOutcomes) {
+function generateStatistics(brackets, analysis, tournament) {
   const bracketResults = analysis.bracketResults;
   const bracketIds = Object.keys(bracketResults);
 
@@ -1360,6 +2241,9 @@ function generateStatistics(brackets, analysis, tournament, possibleOutcomes) {
       entryNumber: bracketResults[id].entryNumber,
       currentScore: bracketResults[id].currentScore,
       placePercentages: bracketResults[id].placePercentages,
+      winPercentage: bracketResults[id].winPercentage,
+      equalWeight: bracketResults[id].equalWeight,
+      confidenceIntervals: bracketResults[id].confidenceIntervals,
       minPlace: bracketResults[id].minPlace,
       maxPlace: bracketResults[id].maxPlace,
     }));
@@ -1378,12 +2262,7 @@ function generateStatistics(brackets, analysis, tournament, possibleOutcomes) {
   const rareCorrectPicks = findRareCorrectPicks(brackets, tournament);
 
   // Generate path-specific analysis
-  const pathAnalysis = generatePathAnalysis(
-    brackets,
-    analysis,
-    tournament,
-    possibleOutcomes
-  );
+  const pathAnalysis = generatePathAnalysis(brackets, analysis, tournament);
 
   return {
     timestamp: new Date(),
@@ -1398,6 +2277,7 @@ function generateStatistics(brackets, analysis, tournament, possibleOutcomes) {
     bracketOutcomes,
     rareCorrectPicks,
     pathAnalysis,
+    matchupResultWeights: analysis.matchupResultWeights,
     roundName: stageInfo.roundName,
     currentRound: stageInfo.currentRound,
     roundProgress: stageInfo.progress,
@@ -1407,18 +2287,13 @@ function generateStatistics(brackets, analysis, tournament, possibleOutcomes) {
 /**
  * Generate path-specific analysis showing how specific outcomes affect bracket standings
  * @param {Array} brackets - All brackets
- * @param {Object} analysis - Analysis results
+ * @param {Object} analysis - Analysis results, with the championTotals and
+ *   championshipTotals scoreOutcomes keeps
  * @param {Object} tournament - Tournament data
- * @param {Array} possibleOutcomes - All possible tournament outcomes
  * @returns {Object} Path analysis
  */
-function generatePathAnalysis(
-  brackets,
-  analysis,
-  tournament,
-  possibleOutcomes
-) {
-  const { bracketResults } = analysis;
+function generatePathAnalysis(brackets, analysis, tournament) {
+  const { bracketResults, championTotals, championshipTotals } = analysis;
   const pathAnalysis = {
     teamPaths: {},
     championshipScenarios: [],
@@ -1427,8 +2302,10 @@ function generatePathAnalysis(
   // Get active teams in the tournament
   const activeTeams = getActiveTeams(tournament);
 
-  // Group outcomes by championship winner
-  const outcomesByChampion = groupOutcomesByChampion(possibleOutcomes);
+  // Look brackets up by ID
+  const bracketsById = new Map(
+    brackets.map((bracket) => [bracket._id.toString(), bracket])
+  );
 
   // 1. For each active team, analyze what happens if they win the championship
   activeTeams.forEach((team) => {
@@ -1445,15 +2322,14 @@ function generatePathAnalysis(
       },
     };
 
-    // Get all outcomes where this team wins the championship
-    const teamWinsOutcomes = outcomesByChampion[team.name] || [];
-    const totalTeamWinsOutcomes = teamWinsOutcomes.length;
+    // Weight of the outcomes where this team wins the championship
+    const teamWins = championTotals[team.name];
 
-    if (totalTeamWinsOutcomes === 0) return; // Skip if no outcomes
+    if (!teamWins) return; // Skip if no outcomes
 
     // For each bracket, calculate actual podium chances if this team wins
     Object.keys(bracketResults).forEach((bracketId) => {
-      const bracket = brackets.find((b) => b._id.toString() === bracketId);
+      const bracket = bracketsById.get(bracketId);
 
       // Skip if no bracket found
       if (!bracket) return;
@@ -1469,25 +2345,11 @@ function generatePathAnalysis(
         pickedAsChampion = bracket.picks[6][0].winner.name === team.name;
       }
 
-      // Calculate podium finishes for this bracket in these outcomes
-      let podiumFinishes = 0;
-
-      teamWinsOutcomes.forEach((outcome) => {
-        // For each outcome where this team wins, get this bracket's position
-        const position = calculateBracketPositionInOutcome(
-          bracketId,
-          outcome,
-          brackets,
-          tournament
-        );
-        if (position <= 3) {
-          podiumFinishes++;
-        }
-      });
+      // Weighted podium finishes for this bracket in these outcomes (from scoring)
+      const podiumFinishes = teamWins.podium[bracketId] || 0;
 
       // Calculate adjusted podium chance
-      const adjustedPodiumChance =
-        (podiumFinishes / totalTeamWinsOutcomes) * 100;
+      const adjustedPodiumChance = (podiumFinishes / teamWins.weight) * 100;
 
       // If significant change in podium chance (> 5%) or they picked this champion
       const normalPodiumChance =
@@ -1569,13 +2431,12 @@ function generatePathAnalysis(
             continue; // Skip to next matchup
           }
 
-          // Get outcomes with this championship matchup
-          const matchupOutcomes = possibleOutcomes.filter((outcome) =>
-            isChampionshipMatchup(outcome, teamA.name, teamB.name)
-          );
+          // Positions in the outcomes with this championship matchup, by winner
+          const teamAWins = (championshipTotals[teamA.name] || {})[teamB.name];
+          const teamBWins = (championshipTotals[teamB.name] || {})[teamA.name];
 
           // If no outcomes found for this matchup, skip it
-          if (matchupOutcomes.length === 0) {
+          if (!teamAWins && !teamBWins) {
             console.log(
               `No outcomes found for matchup: ${teamA.name} vs ${teamB.name}`
             );
@@ -1595,16 +2456,11 @@ function generatePathAnalysis(
           };
 
           // Process Team A winning outcomes
-          const teamAWinsOutcomes = matchupOutcomes.filter(
-            (outcome) => getChampionshipWinner(outcome) === teamA.name
-          );
-
-          if (teamAWinsOutcomes.length > 0) {
+          if (teamAWins) {
             // Calculate positions for all brackets when Team A wins
             const bracketPositions = calculateBracketPositionsForScenario(
               brackets,
-              teamAWinsOutcomes,
-              tournament
+              teamAWins
             );
 
             // Get top 5 brackets (sorted by position)
@@ -1620,16 +2476,11 @@ function generatePathAnalysis(
           }
 
           // Process Team B winning outcomes
-          const teamBWinsOutcomes = matchupOutcomes.filter(
-            (outcome) => getChampionshipWinner(outcome) === teamB.name
-          );
-
-          if (teamBWinsOutcomes.length > 0) {
+          if (teamBWins) {
             // Calculate positions for all brackets when Team B wins
             const bracketPositions = calculateBracketPositionsForScenario(
               brackets,
-              teamBWinsOutcomes,
-              tournament
+              teamBWins
             );
 
             // Get top 5 brackets (sorted by position)
@@ -1662,75 +2513,26 @@ function generatePathAnalysis(
 }
 
 /**
- * Group possible outcomes by championship winner
- * @param {Array} possibleOutcomes - All possible tournament outcomes
- * @returns {Object} Outcomes grouped by championship winner
- */
-function groupOutcomesByChampion(possibleOutcomes) {
-  const outcomesByChampion = {};
-
-  possibleOutcomes.forEach((outcome) => {
-    const champion = getChampionshipWinner(outcome);
-    if (champion) {
-      if (!outcomesByChampion[champion]) {
-        outcomesByChampion[champion] = [];
-      }
-      outcomesByChampion[champion].push(outcome);
-    }
-  });
-
-  return outcomesByChampion;
-}
-
-/**
- * Check if an outcome has a specific championship matchup
+ * Get the teams playing for the championship in an outcome
  * @param {Object} outcome - A possible tournament outcome
- * @param {String} teamAName - First team name
- * @param {String} teamBName - Second team name
- * @returns {Boolean} True if the matchup exists
+ * @returns {Array|null} The two finalists' names, or null if not determined
  */
-function isChampionshipMatchup(outcome, teamAName, teamBName) {
-  // Try common championship IDs (62 and 63)
-  for (const championshipId of ["62", "63"]) {
-    if (
-      outcome.projectedMatchups &&
-      outcome.projectedMatchups[championshipId]
-    ) {
-      const championship = outcome.projectedMatchups[championshipId];
-
-      // Check if teams match (in either order)
-      if (championship.teamA && championship.teamB) {
-        if (
-          (championship.teamA.name === teamAName &&
-            championship.teamB.name === teamBName) ||
-          (championship.teamA.name === teamBName &&
-            championship.teamB.name === teamAName)
-        ) {
-          return true;
-        }
-      }
-    }
-  }
-
-  // If not found by ID, look for any round 6 matchup
-  const round6Matchups = Object.values(outcome.projectedMatchups || {}).filter(
-    (matchup) => matchup.round === 6
+function getChampionshipTeams(outcome) {
+  const projectedMatchups = outcome.projectedMatchups || {};
+
+  // Try common championship IDs (62 and 63), then any round 6 matchup
+  const candidates = [
+    projectedMatchups["62"],
+    projectedMatchups["63"],
+    ...Object.values(projectedMatchups).filter((matchup) => matchup.round === 6),
+  ];
+
+  const championship = candidates.find(
+    (matchup) => matchup && matchup.teamA && matchup.teamB
   );
-
-  for (const championship of round6Matchups) {
-    if (championship.teamA && championship.teamB) {
-      if (
-        (championship.teamA.name === teamAName &&
-          championship.teamB.name === teamBName) ||
-        (championship.teamA.name === teamBName &&
-          championship.teamB.name === teamAName)
-      ) {
-        return true;
-      }
-    }
-  }
-
-  return false;
+  return championship
+    ? [championship.teamA.name, championship.teamB.name]
+    : null;
 }
 
 /**
@@ -1959,8 +2761,14 @@ async function saveAnalysisToDb(stats) {
     const analysis = new TournamentAnalysis({
       timestamp: stats.timestamp,
       stage: stats.stage,
+      year: stats.year,
+      pool: stats.pool || null,
       totalBrackets: stats.totalBrackets,
       totalPossibleOutcomes: stats.totalPossibleOutcomes,
+      analysisMode: stats.analysisMode,
+      sampleCount: stats.sampleCount,
+      confidenceLevel: stats.confidenceLevel,
+      probabilityModel: stats.probabilityModel,
       roundName: stats.roundName,
       currentRound: stats.currentRound,
       podiumContenders: stats.podiumContenders,
@@ -1970,11 +2778,23 @@ async function saveAnalysisToDb(stats) {
       bracketOutcomes: stats.bracketOutcomes,
       rareCorrectPicks: stats.rareCorrectPicks,
       pathAnalysis: stats.pathAnalysis,
+      matchupResultWeights: stats.matchupResultWeights,
       bracketResults: stats.bracketResults,
     });
 
     // Save to database
-    return await analysis.save();
+    const saved = await analysis.save();
+
+    publishTournamentEvent("analysis.saved", {
+      analysisId: saved._id,
+      year: saved.year,
+      pool: saved.pool,
+      stage: saved.stage,
+      roundName: saved.roundName,
+      analysisMode: saved.analysisMode,
+    });
+
+    return saved;
   } catch (error) {
     console.error("Error saving analysis to database:", error);
     throw error;
@@ -2065,48 +2885,121 @@ async function saveAnalysisResults(stats) {
 /**
  * Main function to analyze tournament possibilities
  * @param {Boolean} shouldSaveToDb - Whether to save the results to database
- * @returns {Object} Analysis results or error object
+ * @param {Object} options - Analysis options
+ * @param {String} options.poolId - Pool to analyze (default pool if omitted)
+ * @param {Number} options.year - Season to analyze (active season if omitted)
+ * @param {String} options.mode - "exhaustive" or "sampled" (default: exhaustive from
+ *   the Sweet 16 on, sampled before it)
+ * @param {Number} options.samples - Tournament completions to simulate in sampled mode
+ * @param {Function} options.random - Random number source for sampled mode
+ *   (only used with workers: 0)
+ * @param {Number} options.workers - Worker threads to generate and score outcomes with
+ *   (see getWorkerCount)
+ * @param {Object} options.job - AnalysisJob to report status to (one is created if omitted)
+ * @param {String} options.trigger - What started the run, for the job record
+ * @param {String} options.requestedBy - User who started the run, for the job record
+ * @returns {Object} Analysis results or error object (cancelled runs return
+ *   an error object with `cancelled` set)
  */
-async function analyzeTournamentPossibilities(shouldSaveToDb = false) {
+async function analyzeTournamentPossibilities(shouldSaveToDb = false, options = {}) {
   let dbConnection = null;
+  let job = null;
+  const poolId = options.poolId || null;
+
+  // Record a skipped run on its job and return the error object
+  const skipAnalysis = async (result) => {
+    await finishAnalysisJob(job, "failed", { error: result.message });
+    return { ...result, jobId: job._id };
+  };
 
   try {
     // Connect to database
     dbConnection = await connectDB();
     console.log("MongoDB Connected");
 
-    // Get current tournament state
-    const tournament = await TournamentResults.findOne({
-      year: new Date().getFullYear(),
+    // Status record the admin UI polls (and can cancel through)
+    job =
+      options.job ||
+      (await createAnalysisJob({
+        pool: poolId,
+        trigger: options.trigger,
+        requestedBy: options.requestedBy,
+      }));
+
+    if (await isCancelRequested(job)) {
+      const error = new Error("Analysis cancelled");
+      error.cancelled = true;
+      throw error;
+    }
+
+    const year = options.year || (await getActiveSeason());
+    await updateAnalysisJob(job, {
+      status: "running",
+      year,
+      startedAt: new Date(),
     });
-    if (!tournament) {
-      throw new Error("No tournament data found for current year");
+
+    // Get current tournament state
+    const tournamentDoc = await TournamentResults.findOne({ year });
+    if (!tournamentDoc) {
+      throw new Error(`No tournament data found for ${year}`);
     }
 
-    // Check if we're at Sweet 16 or beyond (16 or fewer teams remaining)
+    // Look up the pool so its scoring config is used for projections
+    let pool = null;
+    if (poolId) {
+      pool = await Pool.findById(poolId);
+      if (!pool) {
+        throw new Error(`Pool ${poolId} not found`);
+      }
+    }
+
+    const tournament = tournamentDoc.toObject();
+    tournament.scoringRules = getScoringRules(tournamentDoc, pool);
+
+    // Exhaustive analysis only works from the Sweet 16 on (16 or fewer teams remaining)
     const activeTeams = getActiveTeams(tournament);
+    const mode =
+      options.mode ||
+      (activeTeams.length > MAX_EXHAUSTIVE_TEAMS ? "sampled" : "exhaustive");
+
+    if (!ANALYSIS_MODES.includes(mode)) {
+      return skipAnalysis({
+        error: true,
+        message: `Unknown analysis mode: ${mode} (use ${ANALYSIS_MODES.join(" or ")})`,
+      });
+    }
 
-    if (activeTeams.length > 16) {
+    if (mode === "exhaustive" && activeTeams.length > MAX_EXHAUSTIVE_TEAMS) {
       console.log(
-        `Tournament has ${activeTeams.length} active teams - too many for analysis (need 16 or fewer)`
+        `Tournament has ${activeTeams.length} active teams - too many for exhaustive analysis (need 16 or fewer)`
       );
-      return {
+      return skipAnalysis({
         error: true,
         message:
-          "Analysis is only available once the tournament reaches Sweet 16 (16 or fewer teams)",
+          "Exhaustive analysis is only available once the tournament reaches Sweet 16 (16 or fewer teams); use sampled mode before then",
         activeTeamCount: activeTeams.length,
-      };
+      });
     }
 
+    await updateAnalysisJob(job, { mode, phase: "generating" });
+
     // Get tournament stage information
     const stageInfo = determineTournamentStage(tournament);
     console.log(
       `Current tournament stage: ${stageInfo.roundName} (${stageInfo.progress})`
     );
 
-    // Get all brackets
-    const brackets = await Bracket.find({ isLocked: true });
-    console.log(`Analyzing ${brackets.length} brackets`);
+    // Get all submitted brackets in the pool and season
+    const brackets = await Bracket.find({
+      ...poolFilter(poolId),
+      ...seasonFilter(year),
+      ...submittedFilter(),
+      isLocked: true,
+    });
+    console.log(
+      `Analyzing ${brackets.length} brackets${pool ? ` in pool "${pool.name}"` : ""}`
+    );
 
     // Calculate possible outcomes
     const possibleOutcomesCount = calculatePossibleOutcomes(tournament);
@@ -2114,47 +3007,270 @@ async function analyzeTournamentPossibilities(shouldSaveToDb = false) {
       `Tournament has ${possibleOutcomesCount} possible outcomes remaining`
     );
 
-    // Generate all possible outcomes
-    const possibleOutcomes = generateAllOutcomes(tournament);
-    console.log(`Generated ${possibleOutcomes.length} outcomes for analysis`);
+    // Game win probabilities come from admin-entered ratings, or seeds where there are none
+    const teamRatings = tournament.teamRatings || {};
+
+    // Generate all possible outcomes, or a random sample of them, and score
+    // brackets under each, off the main thread
+    const sampleCount = options.samples || DEFAULT_SAMPLE_COUNT;
+    const workerCount = options.workers ?? getWorkerCount();
+    await updateAnalysisJob(job, { workerCount });
+    const { analysis: outcomeAnalysis, outcomeCount } =
+      await analyzeOutcomesInParallel(brackets, tournament, {
+        mode,
+        sampleCount,
+        random: options.random,
+        workerCount,
+        onGenerated: (total) => {
+          console.log(
+            `Generated ${total} ${
+              mode === "sampled" ? "sampled " : ""
+            }outcomes for analysis`
+          );
+          console.log(`Analyzing bracket scores under ${mode} outcomes...`);
+          return updateAnalysisJob(job, {
+            phase: "scoring",
+            progress: { processed: 0, total },
+          });
+        },
+        onProgress: createProgressReporter(job),
+        isCancelled: () => isCancelRequested(job),
+      });
 
-    // Calculate bracket scores under each outcome
-    console.log("Analyzing bracket scores under all possible outcomes...");
-    const outcomeAnalysis = analyzeBracketScores(
-      brackets,
-      possibleOutcomes,
-      tournament
-    );
+    if (mode === "sampled") {
+      addConfidenceIntervals(outcomeAnalysis.bracketResults, outcomeCount);
+    }
 
     // Generate statistics
     console.log("Generating statistics from analysis...");
-    const stats = generateStatistics(
-      brackets,
-      outcomeAnalysis,
-      tournament,
-      possibleOutcomes
-    );
+    await updateAnalysisJob(job, { phase: "statistics" });
+    const stats = generateStatistics(brackets, outcomeAnalysis, tournament);
+    stats.pool = poolId;
+    stats.year = year;
+    stats.analysisMode = mode;
+    stats.sampleCount = mode === "sampled" ? outcomeCount : null;
+    stats.confidenceLevel = mode === "sampled" ? CONFIDENCE_LEVEL : null;
+    stats.probabilityModel = {
+      ratingScale: RATING_SCALE,
+      ratedTeams: Object.keys(teamRatings).length,
+    };
+
+    stats.jobId = job._id;
 
     // Save results to database if explicitly requested
+    let savedAnalysis = null;
     if (shouldSaveToDb) {
-      const savedAnalysis = await saveAnalysisToDb(stats);
+      await updateAnalysisJob(job, { phase: "saving" });
+      savedAnalysis = await saveAnalysisToDb(stats);
       console.log(`Analysis saved to database with ID: ${savedAnalysis._id}`);
     } else {
       console.log("Analysis complete (not saved to database)");
     }
 
+    await finishAnalysisJob(job, "completed", {
+      analysis: savedAnalysis ? savedAnalysis._id : null,
+    });
+
     return stats;
   } catch (error) {
+    if (error.cancelled) {
+      console.log("Analysis cancelled");
+      if (job) await finishAnalysisJob(job, "cancelled");
+      return {
+        error: true,
+        cancelled: true,
+        message: "Analysis cancelled",
+        jobId: job ? job._id : null,
+      };
+    }
+
     console.error("Error in analysis:", error);
+    if (job) {
+      await finishAnalysisJob(job, "failed", { error: error.message }).catch(
+        (err) => console.error("Error recording analysis failure:", err.message)
+      );
+    }
     throw error;
   }
 }
 
+/**
+ * Run the analysis for the default pool and every named pool that has locked
+ * brackets in the active season
+ * @param {Boolean} shouldSaveToDb - Whether to save the results to database
+ * @param {Object} options - Analysis options (mode, samples) passed to each pool's analysis
+ * @returns {Array} Analysis results or error objects, one per pool analyzed
+ */
+async function analyzeAllPools(shouldSaveToDb = false, options = {}) {
+  await connectDB();
+
+  const year = await getActiveSeason();
+  const pools = await Pool.find().select("_id");
+  const poolIds = [null, ...pools.map((pool) => pool._id.toString())];
+  const results = [];
+
+  for (const poolId of poolIds) {
+    const lockedCount = await Bracket.countDocuments({
+      ...poolFilter(poolId),
+      ...seasonFilter(year),
+      ...submittedFilter(),
+      isLocked: true,
+    });
+    if (lockedCount === 0) continue;
+
+    results.push(
+      await analyzeTournamentPossibilities(shouldSaveToDb, {
+        ...options,
+        poolId,
+        year,
+      })
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Analyze a what-if scenario: standings and chances if certain games go a certain way
+ * Only outcomes where every picked team wins its game are analyzed, so the
+ * percentages are conditioned on the scenario.
+ * @param {Object} tournamentDoc - Tournament results document
+ * @param {Object} picks - Winning team name by matchup ID, for any undecided matchups
+ * @param {Object} options
+ * @param {String} options.poolId - Pool whose brackets and scoring to use (default pool if omitted)
+ * @returns {Object} Scenario analysis, or an error object if the picks can't all happen
+ */
+async function analyzeWhatIf(tournamentDoc, picks, options = {}) {
+  const poolId = options.poolId || null;
+  const year = tournamentDoc.year;
+
+  let pool = null;
+  if (poolId) {
+    pool = await Pool.findById(poolId);
+    if (!pool) {
+      return { error: true, message: "Pool not found" };
+    }
+  }
+
+  const tournament = tournamentDoc.toObject();
+  tournament.scoringRules = getScoringRules(tournamentDoc, pool);
+
+  const { winners, error } = resolveScenarioWinners(tournament, picks);
+  if (error) {
+    return { error: true, message: error };
+  }
+
+  const brackets = await Bracket.find({
+    ...poolFilter(poolId),
+    ...seasonFilter(year),
+    ...submittedFilter(),
+    isLocked: true,
+  });
+
+  // Enumerate from the Sweet 16 on, otherwise sample, with the picked games
+  // forced either way; generated and scored off the main thread
+  const mode =
+    getActiveTeams(tournament).length > MAX_EXHAUSTIVE_TEAMS
+      ? "sampled"
+      : "exhaustive";
+  const {
+    analysis: { bracketResults },
+    outcomeCount,
+  } = await analyzeOutcomesInParallel(brackets, tournament, {
+    mode,
+    sampleCount: DEFAULT_SAMPLE_COUNT,
+    forcedWinners: winners,
+  });
+
+  if (mode === "sampled") {
+    addConfidenceIntervals(bracketResults, outcomeCount);
+  }
+
+  // Standings with just the scenario's games played
+  const bracketStructure = getBracketStructure(tournament);
+  const [knownOutcome] = initializeOutcomesWithKnownMatchups(
+    [{ matchupResults: {}, projectedMatchups: {} }],
+    tournament,
+    bracketStructure
+  );
+  const scenarioOutcome = playOutOutcome(
+    knownOutcome,
+    bracketStructure,
+    (matchup, teams) => {
+      const forced = forcedTeam(teams, winners[matchup.id]);
+      return forced ? { winner: forced, probability: 1 } : null;
+    }
+  );
+  const scenarioTournament = projectTournamentWithOutcome(
+    tournament,
+    scenarioOutcome
+  );
+
+  const standings = brackets
+    .map((bracket) => {
+      const result = bracketResults[bracket._id] || {};
+      return {
+        bracketId: bracket._id.toString(),
+        participantName: bracket.participantName,
+        entryNumber: bracket.entryNumber || 1,
+        currentScore: bracket.score,
+        scenarioScore: calculateProjectedScore(bracket, scenarioTournament),
+        minScore: result.minScore,
+        maxScore: result.maxScore,
+        winPercentage: result.winPercentage,
+        placePercentages: result.placePercentages,
+        equalWeight: result.equalWeight,
+        confidenceIntervals: result.confidenceIntervals,
+        minPlace: result.minPlace,
+        maxPlace: result.maxPlace,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.scenarioScore - a.scenarioScore || b.winPercentage - a.winPercentage
+    );
+
+  // Brackets with the same scenario score share a rank
+  standings.forEach((entry, index) => {
+    entry.rank =
+      index > 0 && entry.scenarioScore === standings[index - 1].scenarioScore
+        ? standings[index - 1].rank
+        : index + 1;
+  });
+
+  return {
+    year,
+    pool: poolId,
+    scenario: Object.entries(winners).map(([matchupId, teamName]) => ({
+      matchupId: parseInt(matchupId),
+      winner: teamName,
+      picked: Object.prototype.hasOwnProperty.call(picks, matchupId),
+    })),
+    analysisMode: mode,
+    outcomeCount,
+    sampleCount: mode === "sampled" ? outcomeCount : null,
+    confidenceLevel: mode === "sampled" ? CONFIDENCE_LEVEL : null,
+    standings,
+  };
+}
+
 // Export for external use
 module.exports = {
+  ANALYSIS_MODES,
+  MAX_SAMPLE_COUNT,
   analyzeTournamentPossibilities,
+  analyzeAllPools,
+  analyzeWhatIf,
+  resolveScenarioWinners,
   generateAllOutcomes,
+  generateSampledOutcomes,
+  getOutcomePartitions,
+  generateOutcomePartitions,
+  summarizeOutcomeWeights,
+  assignOutcomeWeights,
   analyzeBracketScores,
+  analyzeOutcomesInParallel,
+  scoreOutcomes,
   generateStatistics,
   findRareCorrectPicks,
   generatePathAnalysis,
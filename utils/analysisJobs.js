@@ -0,0 +1,84 @@
+const AnalysisJob = require('../models/AnalysisJob');
+
+// Most often a running job's progress is written to the database
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Create a status record for an analysis run
+ * @param {Object} options
+ * @param {string|null} options.pool - Pool ID (null = default pool)
+ * @param {string} options.trigger - What started the run ('admin', 'game-update', 'updater', 'cli' or 'manual')
+ * @param {string|null} options.requestedBy - User who started it
+ * @returns {Promise<Object>} AnalysisJob document
+ */
+const createAnalysisJob = ({ pool = null, trigger = 'manual', requestedBy = null } = {}) =>
+  AnalysisJob.create({ pool, trigger, requestedBy });
+
+/**
+ * Update an analysis job's status record
+ * @param {Object} job - AnalysisJob document
+ * @param {Object} fields - Fields to set
+ * @returns {Promise}
+ */
+const updateAnalysisJob = (job, fields) =>
+  AnalysisJob.updateOne({ _id: job._id }, { $set: fields });
+
+/**
+ * Record that an analysis job has finished
+ * @param {Object} job - AnalysisJob document
+ * @param {string} status - 'completed', 'failed' or 'cancelled'
+ * @param {Object} fields - Other fields to set (e.g. error, analysis)
+ * @returns {Promise}
+ */
+const finishAnalysisJob = (job, status, fields = {}) =>
+  updateAnalysisJob(job, { ...fields, status, finishedAt: new Date() });
+
+/**
+ * Build a progress callback that writes a job's progress at most once a second
+ * @param {Object} job - AnalysisJob document
+ * @returns {Function} (processed, total) => void
+ */
+const createProgressReporter = (job) => {
+  let lastWrite = 0;
+
+  return (processed, total) => {
+    const now = Date.now();
+    if (processed < total && now - lastWrite < PROGRESS_WRITE_INTERVAL_MS) return;
+    lastWrite = now;
+
+    updateAnalysisJob(job, { progress: { processed, total } })
+      .catch(err => console.error('Error recording analysis progress:', err.message));
+  };
+};
+
+/**
+ * Check whether an admin has asked for a job to stop
+ * @param {Object} job - AnalysisJob document
+ * @returns {Promise<Boolean>}
+ */
+const isCancelRequested = async (job) =>
+  !!(await AnalysisJob.exists({ _id: job._id, cancelRequested: true }));
+
+/**
+ * Ask a queued or running job to stop
+ * @param {string} jobId - AnalysisJob ID
+ * @returns {Promise<Object|null>} The updated job, or null if it isn't found or has already finished
+ */
+const requestCancellation = (jobId) =>
+  AnalysisJob.findOneAndUpdate(
+    { _id: jobId, status: { $nin: FINISHED_STATUSES } },
+    { cancelRequested: true },
+    { new: true }
+  );
+
+module.exports = {
+  FINISHED_STATUSES,
+  createAnalysisJob,
+  updateAnalysisJob,
+  finishAnalysisJob,
+  createProgressReporter,
+  isCancelRequested,
+  requestCancellation
+};
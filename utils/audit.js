@@ -0,0 +1,76 @@
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Get the client IP for a request
+ * Express only reads X-Forwarded-For from the proxies the 'trust proxy'
+ * setting names (TRUST_PROXY), so clients can't forge the recorded address
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getRequestIp = (req) => req.ip || null;
+
+/**
+ * Record an admin action in the audit log
+ * Failures are logged rather than thrown so auditing never breaks the action itself
+ * @param {Object} req - Express request (req.user is the actor)
+ * @param {Object} event
+ * @param {string} event.action - Dotted action name, e.g. 'bracket.score.update'
+ * @param {string} event.targetType - Kind of thing acted on, e.g. 'Bracket'
+ * @param {string} event.targetId - ID (or other key) of the thing acted on
+ * @param {Object} event.before - State before the change
+ * @param {Object} event.after - State after the change
+ * @returns {Promise<Object|null>} Saved event, or null if it couldn't be saved
+ */
+const recordAuditEvent = async (req, { action, targetType, targetId, before = null, after = null }) => {
+  try {
+    const event = new AuditEvent({
+      actor: req.user ? req.user._id : null,
+      actorEmail: req.user ? req.user.email : undefined,
+      action,
+      target: {
+        type: targetType,
+        id: targetId !== undefined && targetId !== null ? String(targetId) : undefined
+      },
+      before,
+      after,
+      ip: getRequestIp(req)
+    });
+
+    return await event.save();
+  } catch (err) {
+    console.error(`Error recording audit event ${action}:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Compact view of a tournament for audit before/after fields
+ * Records who won each matchup rather than the whole results structure
+ * @param {Object|null} tournament - Tournament results document
+ * @returns {Object|null}
+ */
+const summarizeTournament = (tournament) => {
+  if (!tournament) return null;
+
+  const winners = {};
+  Object.values(tournament.results || {}).forEach(matchups => {
+    (matchups || []).forEach(matchup => {
+      if (matchup && matchup.winner) winners[matchup.id] = matchup.winner.name;
+    });
+  });
+
+  return {
+    year: tournament.year,
+    completedRounds: [...(tournament.completedRounds || [])],
+    scoringStrategy: tournament.scoringStrategy,
+    scoringConfig: tournament.scoringConfig,
+    gameCount: (tournament.games || []).length,
+    winners
+  };
+};
+
+module.exports = {
+  getRequestIp,
+  recordAuditEvent,
+  summarizeTournament
+};
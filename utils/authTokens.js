@@ -0,0 +1,112 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const { useSession } = require('./sessions');
+
+const DEFAULT_MAGIC_LINK_TTL_MINUTES = 24 * 60;
+
+/**
+ * How long a magic link stays valid (MAGIC_LINK_TTL_MINUTES, 24 hours by default)
+ * @returns {Number} Milliseconds
+ */
+const getMagicLinkTtlMs = () => {
+  const minutes = parseInt(process.env.MAGIC_LINK_TTL_MINUTES);
+  return (minutes > 0 ? minutes : DEFAULT_MAGIC_LINK_TTL_MINUTES) * 60 * 1000;
+};
+
+/**
+ * Give a user a fresh magic-link token, replacing any unused one
+ * @param {Object} user - User document (saved by the caller)
+ * @param {Date} now - Issue time
+ * @returns {string} The new token
+ */
+const issueMagicLinkToken = (user, now = new Date()) => {
+  user.authToken = uuidv4();
+  user.authTokenIssuedAt = now;
+  return user.authToken;
+};
+
+/**
+ * Use up a magic-link token
+ * The token is cleared in the same update that checks it, so a link can only
+ * sign in once even if it's opened twice at the same moment
+ * @param {string} email - Email the link was sent to
+ * @param {string} token - Token from the link
+ * @param {Date} now - Verification time
+ * @returns {Promise<Object>} { user } on success, or { error }
+ */
+const consumeMagicLinkToken = async (email, token, now = new Date()) => {
+  const user = await User.findOneAndUpdate(
+    {
+      email,
+      authToken: token,
+      authTokenIssuedAt: { $gt: new Date(now.getTime() - getMagicLinkTtlMs()) }
+    },
+    { $set: { authToken: null, authTokenIssuedAt: null, lastLoginAt: now } },
+    { new: true }
+  );
+  if (user) return { user };
+
+  const unused = await User.exists({ email, authToken: token });
+  return { error: unused ? 'This sign-in link has expired' : 'Invalid token' };
+};
+
+/**
+ * Resolve the user and session an x-auth-token belongs to
+ * Only signed JWTs for a live session are accepted. Tokens issued before
+ * sessions existed carry no session ID and can't be revoked, so they're
+ * refused and their holders sign in again.
+ * @param {string} token - Token from the x-auth-token header
+ * @returns {Promise<Object|null>} { user, session }, or null if the token is invalid or revoked
+ */
+const resolveSessionFromToken = async (token) => {
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    return null;
+  }
+  if (!decoded.user || !decoded.sid) return null;
+
+  const session = await useSession(decoded.sid, decoded.user.id);
+  if (!session) return null;
+
+  const user = await User.findById(decoded.user.id);
+  return user ? { user, session } : null;
+};
+
+/**
+ * Resolve the user an x-auth-token belongs to
+ * @param {string} token - Token from the x-auth-token header
+ * @returns {Promise<Object|null>} User document, or null if the token is invalid or revoked
+ */
+const resolveUserFromToken = async (token) => {
+  const resolved = await resolveSessionFromToken(token);
+  return resolved ? resolved.user : null;
+};
+
+/**
+ * Resolve the user for a request without requiring one
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} User document, or null for anonymous requests
+ */
+const getRequestUser = async (req) => {
+  if (req.user) return req.user;
+
+  try {
+    return await resolveUserFromToken(req.header('x-auth-token'));
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  getMagicLinkTtlMs,
+  issueMagicLinkToken,
+  consumeMagicLinkToken,
+  resolveSessionFromToken,
+  resolveUserFromToken,
+  getRequestUser
+};
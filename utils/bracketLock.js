@@ -0,0 +1,101 @@
+const Bracket = require('../models/Bracket');
+const TournamentResults = require('../models/TournamentResults');
+const { getActiveSeason, seasonFilter } = require('./season');
+const { recordLockSnapshots } = require('./bracketRevisions');
+
+/**
+ * Check whether a tournament's lock deadline has passed
+ * @param {Object|null} tournament - Tournament results document
+ * @param {Date} now - Current time
+ * @returns {Boolean}
+ */
+const isPastDeadline = (tournament, now = new Date()) =>
+  !!(tournament && tournament.lockDeadline && new Date(tournament.lockDeadline) <= now);
+
+/**
+ * Check whether a season's brackets can no longer be created or edited
+ * @param {Object|null} tournament - Tournament results document
+ * @param {Date} now - Current time
+ * @returns {Boolean}
+ */
+const areSubmissionsClosed = (tournament, now = new Date()) =>
+  !!(tournament && tournament.bracketsLockedAt) || isPastDeadline(tournament, now);
+
+/**
+ * Lock every bracket in a season, snapshot the submitted ones' picks as the
+ * revision used for scoring, and record when it happened
+ * @param {Number} year - Tournament year
+ * @param {Date} now - Lock time
+ * @param {Object} source - Revision source for the lock snapshots (defaults to system)
+ * @returns {Promise<Number>} Number of brackets newly locked
+ */
+const lockSeasonBrackets = async (year, now = new Date(), source) => {
+  const unlocked = await Bracket.find({ ...seasonFilter(year), isLocked: false });
+
+  const result = await Bracket.updateMany(
+    { _id: { $in: unlocked.map(bracket => bracket._id) } },
+    { isLocked: true }
+  );
+
+  await recordLockSnapshots(
+    unlocked.filter(bracket => bracket.status !== 'draft'),
+    source
+  );
+
+  await TournamentResults.updateOne({ year }, { bracketsLockedAt: now });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Lock the active season's brackets if its deadline has passed and the
+ * lock hasn't run yet. Called by the scheduler every minute.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { locked, count }
+ */
+const lockBracketsIfDeadlinePassed = async (now = new Date()) => {
+  const year = await getActiveSeason();
+  const tournament = await TournamentResults.findOne({ year });
+
+  if (!isPastDeadline(tournament, now) || tournament.bracketsLockedAt) {
+    return { locked: false, count: 0 };
+  }
+
+  const count = await lockSeasonBrackets(year, now);
+  return { locked: true, count };
+};
+
+/**
+ * Get the lock status for a season
+ * @param {Number} year - Tournament year
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { year, isLocked, lockDeadline, timeRemaining, bracketsLockedAt }
+ */
+const getLockStatus = async (year, now = new Date()) => {
+  const tournament = await TournamentResults.findOne({ year });
+  const lockDeadline = tournament && tournament.lockDeadline ? tournament.lockDeadline : null;
+
+  let isLocked = areSubmissionsClosed(tournament, now);
+
+  // Seasons locked by hand before lock tracking existed have no lock record
+  if (!isLocked && !lockDeadline && !(tournament && tournament.bracketsLockedAt)) {
+    isLocked = (await Bracket.countDocuments({ ...seasonFilter(year), isLocked: true })) > 0;
+  }
+
+  return {
+    year,
+    isLocked,
+    lockDeadline,
+    // Milliseconds until the deadline (0 once it has passed, null if none is set)
+    timeRemaining: lockDeadline ? Math.max(0, new Date(lockDeadline) - now) : null,
+    bracketsLockedAt: tournament ? tournament.bracketsLockedAt || null : null
+  };
+};
+
+module.exports = {
+  isPastDeadline,
+  areSubmissionsClosed,
+  lockSeasonBrackets,
+  lockBracketsIfDeadlinePassed,
+  getLockStatus
+};
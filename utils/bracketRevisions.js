@@ -0,0 +1,130 @@
+const BracketRevision = require('../models/BracketRevision');
+const { getRequestUser } = require('./authTokens');
+
+// Tries at taking a revision number before giving up (a concurrent save can take the same one first)
+const REVISION_NUMBER_ATTEMPTS = 5;
+
+const sameWinner = (a, b) => {
+  if (!a && !b) return true;
+  if (!a || !b) return false;
+  return a.name === b.name && a.seed === b.seed;
+};
+
+/**
+ * List the matchups whose picked winner differs between two sets of picks
+ * @param {Object|null} before - Previous picks (null for a new bracket)
+ * @param {Object} after - New picks
+ * @returns {Array} [{ round, matchupId, before, after }]
+ */
+const diffPicks = (before, after) => {
+  const diff = [];
+  const rounds = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {})
+  ]);
+
+  rounds.forEach(round => {
+    const beforeMatchups = (before && Array.isArray(before[round])) ? before[round] : [];
+    const afterMatchups = (after && Array.isArray(after[round])) ? after[round] : [];
+    const ids = new Set([...beforeMatchups, ...afterMatchups].filter(Boolean).map(m => m.id));
+
+    ids.forEach(matchupId => {
+      const beforeMatchup = beforeMatchups.find(m => m && m.id === matchupId);
+      const afterMatchup = afterMatchups.find(m => m && m.id === matchupId);
+      const beforeWinner = beforeMatchup ? beforeMatchup.winner || null : null;
+      const afterWinner = afterMatchup ? afterMatchup.winner || null : null;
+
+      if (!sameWinner(beforeWinner, afterWinner)) {
+        diff.push({
+          round: parseInt(round),
+          matchupId,
+          before: beforeWinner,
+          after: afterWinner
+        });
+      }
+    });
+  });
+
+  return diff.sort((a, b) => a.round - b.round || a.matchupId - b.matchupId);
+};
+
+/**
+ * Work out who is saving a bracket: a signed-in user or admin, or
+ * otherwise whoever holds the bracket's edit token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Revision source { type, user, email }
+ */
+const getRevisionSource = async (req) => {
+  const user = await getRequestUser(req);
+
+  if (user) {
+    return {
+      type: user.role === 'admin' ? 'admin' : 'user',
+      user: user._id,
+      email: user.email
+    };
+  }
+
+  return { type: 'editToken', user: null };
+};
+
+const isRevisionNumberConflict = (err) =>
+  !!err && err.code === 11000 && !!err.keyPattern && 'revisionNumber' in err.keyPattern;
+
+/**
+ * Record a revision of a bracket's current picks
+ * Revision numbers are unique per bracket, so when a concurrent save takes
+ * the next number first the save fails with a duplicate key and is retried
+ * @param {Object} bracket - Bracket document, after its picks were saved
+ * @param {Object|null} previousPicks - Picks before this save (null for a new bracket)
+ * @param {Object} source - Revision source (see getRevisionSource)
+ * @param {Object} options
+ * @param {Boolean} options.isLockSnapshot - Mark as the lock-time snapshot
+ * @param {Object} options.restoredFrom - Revision ID the picks were restored from
+ * @returns {Promise<Object>} Saved revision
+ */
+const recordRevision = async (bracket, previousPicks, source, options = {}) => {
+  const revision = new BracketRevision({
+    bracket: bracket._id,
+    picks: bracket.picks,
+    tiebreaker: bracket.tiebreaker,
+    status: bracket.status,
+    diff: diffPicks(previousPicks, bracket.picks),
+    source,
+    isLockSnapshot: !!options.isLockSnapshot,
+    restoredFrom: options.restoredFrom || null
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await BracketRevision.findOne({ bracket: bracket._id })
+      .sort({ revisionNumber: -1 })
+      .select('revisionNumber');
+    revision.revisionNumber = latest ? latest.revisionNumber + 1 : 1;
+
+    try {
+      return await revision.save();
+    } catch (err) {
+      if (!isRevisionNumberConflict(err) || attempt >= REVISION_NUMBER_ATTEMPTS) throw err;
+    }
+  }
+};
+
+/**
+ * Record lock-time snapshots for brackets that were just locked
+ * @param {Array} brackets - Bracket documents
+ * @param {Object} source - Revision source
+ * @returns {Promise<Number>} Number of snapshots recorded
+ */
+const recordLockSnapshots = async (brackets, source = { type: 'system', user: null }) => {
+  for (const bracket of brackets) {
+    await recordRevision(bracket, bracket.picks, source, { isLockSnapshot: true });
+  }
+  return brackets.length;
+};
+
+module.exports = {
+  diffPicks,
+  getRevisionSource,
+  recordRevision,
+  recordLockSnapshots
+};
@@ -0,0 +1,152 @@
+/**
+ * Bracket pick validation against the tournament structure
+ *
+ * Errors are returned as a list of { matchupId, round, field, message } so
+ * the client can highlight the offending matchups.
+ */
+
+const ROUNDS = [1, 2, 3, 4, 5, 6];
+
+/**
+ * Query filter for brackets that count towards scoring and standings
+ * Leaves out drafts and brackets whose ownership hasn't been confirmed.
+ * Brackets saved before drafts (or ownership) existed have no status and count.
+ * @returns {Object} Mongo filter
+ */
+const submittedFilter = () => ({ status: { $ne: 'draft' }, ownership: { $ne: 'pending' } });
+
+const sameTeam = (a, b) => !!a && !!b && a.name === b.name && a.seed === b.seed;
+
+const describeTeam = (team) => `${team.name} (${team.seed})`;
+
+/**
+ * Build a map of team name to seed for every team in the first round
+ * @param {Object} results - Tournament results keyed by round
+ * @returns {Object}
+ */
+const buildField = (results) => {
+  const field = {};
+  (results[1] || []).forEach(matchup => {
+    [matchup.teamA, matchup.teamB].forEach(team => {
+      if (team && team.name) field[team.name] = team.seed;
+    });
+  });
+  return field;
+};
+
+/**
+ * Validate a bracket's picks against the tournament's results structure
+ * @param {Object} picks - Bracket picks keyed by round
+ * @param {Object} tournament - Tournament results document
+ * @param {Object} options
+ * @param {Boolean} options.requireComplete - Every matchup must have a winner (false for drafts)
+ * @returns {Array} List of { matchupId, round, field, message } errors (empty when valid)
+ */
+const validatePicks = (picks, tournament, { requireComplete = true } = {}) => {
+  const errors = [];
+  const addError = (matchupId, round, field, message) => {
+    errors.push({ matchupId, round, field, message });
+  };
+
+  if (!picks || typeof picks !== 'object' || Array.isArray(picks)) {
+    addError(null, null, 'picks', 'Picks must be an object keyed by round');
+    return errors;
+  }
+
+  const results = tournament.results;
+  const field = buildField(results);
+
+  // Check that a team is in the tournament field with the right seed
+  const checkTeam = (team, matchupId, round, fieldName) => {
+    if (!team) return true;
+    if (!team.name || field[team.name] === undefined) {
+      addError(matchupId, round, fieldName, `${team.name || 'Unnamed team'} is not in the tournament field`);
+      return false;
+    }
+    if (field[team.name] !== team.seed) {
+      addError(matchupId, round, fieldName, `${team.name} is seeded ${field[team.name]}, not ${team.seed}`);
+      return false;
+    }
+    return true;
+  };
+
+  for (const round of ROUNDS) {
+    const structure = results[round] || [];
+    const roundPicks = picks[round];
+
+    if (roundPicks !== undefined && !Array.isArray(roundPicks)) {
+      addError(null, round, 'picks', `Round ${round} picks must be a list of matchups`);
+      continue;
+    }
+
+    // Every pick has to be one of the round's matchups, once
+    const seen = new Set();
+    (roundPicks || []).forEach(pick => {
+      const matchupId = pick ? pick.id : undefined;
+      if (!structure.some(m => m.id === matchupId)) {
+        addError(matchupId === undefined ? null : matchupId, round, 'matchup', 'Matchup is not in the tournament bracket');
+      } else if (seen.has(matchupId)) {
+        addError(matchupId, round, 'matchup', 'Matchup is picked more than once');
+      }
+      seen.add(matchupId);
+    });
+
+    for (const matchup of structure) {
+      const pick = (roundPicks || []).find(m => m && m.id === matchup.id);
+
+      if (!pick) {
+        if (requireComplete) {
+          addError(matchup.id, round, 'matchup', 'Matchup is missing from the bracket');
+        }
+        continue;
+      }
+
+      if (pick.nextMatchupId !== undefined && pick.nextMatchupId !== matchup.nextMatchupId) {
+        addError(matchup.id, round, 'nextMatchupId', 'Matchup does not lead to the same game as the tournament bracket');
+      }
+
+      const teamAValid = checkTeam(pick.teamA, matchup.id, round, 'teamA');
+      const teamBValid = checkTeam(pick.teamB, matchup.id, round, 'teamB');
+
+      if (round === 1) {
+        // First round teams are fixed by the tournament field
+        const expected = [matchup.teamA, matchup.teamB];
+        [['teamA', pick.teamA], ['teamB', pick.teamB]].forEach(([slot, team]) => {
+          if (team && !expected.some(t => sameTeam(t, team))) {
+            addError(matchup.id, round, slot, `${describeTeam(team)} does not play in this matchup`);
+          }
+        });
+      } else if (teamAValid && teamBValid) {
+        // Later round teams must be the winners picked in the matchups that
+        // feed this one in the tournament bracket (not whatever the picks claim)
+        const previousPicks = Array.isArray(picks[round - 1]) ? picks[round - 1] : [];
+        const feederWinners = (results[round - 1] || [])
+          .filter(m => m.nextMatchupId === matchup.id)
+          .map(feeder => previousPicks.find(m => m && m.id === feeder.id))
+          .map(feederPick => feederPick && feederPick.winner)
+          .filter(Boolean);
+
+        [['teamA', pick.teamA], ['teamB', pick.teamB]].forEach(([slot, team]) => {
+          if (team && !feederWinners.some(w => sameTeam(w, team))) {
+            addError(matchup.id, round, slot, `${describeTeam(team)} was not picked to win a round ${round - 1} matchup leading here`);
+          }
+        });
+      }
+
+      if (pick.winner) {
+        if (!sameTeam(pick.winner, pick.teamA) && !sameTeam(pick.winner, pick.teamB)) {
+          addError(matchup.id, round, 'winner', `${describeTeam(pick.winner)} is not one of the teams in this matchup`);
+        }
+      } else if (requireComplete) {
+        addError(matchup.id, round, 'winner', 'No winner picked');
+      }
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  submittedFilter,
+  validatePicks
+};
@@ -4,23 +4,37 @@ require('dotenv').config();
 // Set SendGrid API key
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
+/**
+ * Describe a link lifetime for email copy (e.g. '24 hours', '30 minutes')
+ * @param {Number} ms - Lifetime in milliseconds
+ * @returns {string}
+ */
+const describeLifetime = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes % 60 !== 0) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
 /**
  * Send a magic link email for authentication
  * @param {string} email - Recipient email
  * @param {string} token - Authentication token
  * @param {string} baseUrl - Base URL for the application (e.g., http://localhost:3000)
+ * @param {Number} ttlMs - How long the link stays valid
  * @returns {Promise} - SendGrid response
  */
-const sendMagicLink = async (email, token, baseUrl) => {
+const sendMagicLink = async (email, token, baseUrl, ttlMs) => {
   // Create verify URL
   const verifyUrl = `${baseUrl}/auth/verify?token=${token}&email=${encodeURIComponent(email)}`;
+  const expiry = `This link will expire in ${describeLifetime(ttlMs)} and can only be used once.`;
   
   // Email content
   const msg = {
     to: email,
     from: process.env.EMAIL_FROM || 'noreply@basketballpool2025.com', // Use verified sender
     subject: 'Basketball Pool 2025 - Sign In',
-    text: `Click the link below to sign in to your Basketball Pool 2025 account:\n\n${verifyUrl}\n\nThis link will expire in 24 hours.`,
+    text: `Click the link below to sign in to your Basketball Pool 2025 account:\n\n${verifyUrl}\n\n${expiry}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #1e40af;">Basketball Pool 2025</h2>
@@ -30,7 +44,7 @@ const sendMagicLink = async (email, token, baseUrl) => {
             Sign In
           </a>
         </div>
-        <p style="color: #666; font-size: 14px;">This link will expire in 24 hours.</p>
+        <p style="color: #666; font-size: 14px;">${expiry}</p>
         <p style="color: #666; font-size: 14px;">If you didn't request this email, you can safely ignore it.</p>
       </div>
     `
@@ -61,6 +75,9 @@ const sendBracketConfirmation = async (email, bracketDetails, baseUrl) => {
   const editUrl = `${baseUrl}/bracket/edit/${bracketDetails.bracketId}?token=${bracketDetails.editToken}`;
   const userBracketsUrl = bracketDetails.userToken ? 
     `${baseUrl}/user/brackets/${email}?token=${bracketDetails.userToken}` : null;
+  // Brackets entered without signing in as this email count once the email's owner confirms them
+  const confirmUrl = bracketDetails.ownershipToken ?
+    `${baseUrl}/bracket/confirm/${bracketDetails.bracketId}?token=${bracketDetails.ownershipToken}` : null;
   
   // Add entry number information if this is a multiple entry
   const entryInfo = bracketDetails.totalEntries > 1 ? 
@@ -76,7 +93,10 @@ Thank you for submitting your bracket for Kyle's Basketball Pool 2025!
 
 Participant Name: ${bracketDetails.participantName} ${entryInfo}
 
-Important: Save These Links
+${confirmUrl ? `Confirm This Entry (it won't count until you do):
+${confirmUrl}
+
+` : ''}Important: Save These Links
 
 Edit Link (before tournament starts):
 ${editUrl}
@@ -96,6 +116,12 @@ Remember: The tournament begins on March 20, 2025 at Noon. After that date, brac
         
         <p><strong>Participant Name:</strong> ${bracketDetails.participantName} ${entryInfo ? `<span style="color: #4B5563; font-style: italic;">${entryInfo}</span>` : ''}</p>
         
+        ${confirmUrl ? `
+        <div style="background-color: #ecfdf5; border-left: 4px solid #059669; padding: 15px; margin: 20px 0;">
+          <p style="margin-top: 0;"><strong>Confirm this entry</strong> - it won't count until you do:</p>
+          <p><a href="${confirmUrl}" style="word-break: break-all;">${confirmUrl}</a></p>
+        </div>
+        ` : ''}
         <div style="background-color: #f0f4ff; border-left: 4px solid #1e40af; padding: 15px; margin: 20px 0;">
           <h3 style="margin-top: 0; color: #1e40af;">Important: Save These Links</h3>
           ${userBracketsUrl ? `
@@ -130,7 +156,45 @@ Remember: The tournament begins on March 20, 2025 at Noon. After that date, brac
   }
 };
 
+/**
+ * Ask a user to accept a bracket another account is transferring to them
+ * @param {string} email - Recipient email
+ * @param {Object} transferDetails - { bracketId, participantName, fromEmail, token }
+ * @param {string} baseUrl - Base URL for the application
+ * @returns {Promise} - SendGrid response
+ */
+const sendBracketTransferRequest = async (email, transferDetails, baseUrl) => {
+  const acceptUrl = `${baseUrl}/bracket/transfer/${transferDetails.bracketId}?token=${transferDetails.token}`;
+
+  const msg = {
+    to: email,
+    from: process.env.EMAIL_FROM || 'noreply@kyleaskine.com',
+    subject: 'A March Madness bracket is being transferred to you',
+    text: `${transferDetails.fromEmail} wants to transfer the bracket "${transferDetails.participantName}" to your account.\n\nSign in with this email and open the link below to accept it:\n\n${acceptUrl}\n\nIf you weren't expecting this, you can safely ignore this email.`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1e40af;">Bracket Transfer</h2>
+        <p>${transferDetails.fromEmail} wants to transfer the bracket <strong>${transferDetails.participantName}</strong> to your account.</p>
+        <p>Sign in with this email and open the link below to accept it:</p>
+        <p><a href="${acceptUrl}" style="word-break: break-all;">${acceptUrl}</a></p>
+        <p style="color: #666; font-size: 14px;">If you weren't expecting this, you can safely ignore this email.</p>
+      </div>
+    `
+  };
+
+  try {
+    return await sgMail.send(msg);
+  } catch (error) {
+    console.error('SendGrid Error:', error);
+    if (error.response) {
+      console.error('SendGrid Response Error:', error.response.body);
+    }
+    throw error;
+  }
+};
+
 module.exports = {
   sendMagicLink,
-  sendBracketConfirmation
+  sendBracketConfirmation,
+  sendBracketTransferRequest
 };
\ No newline at end of file
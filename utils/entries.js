@@ -0,0 +1,132 @@
+const Bracket = require('../models/Bracket');
+const SeasonSettings = require('../models/SeasonSettings');
+const { poolFilter } = require('./pools');
+const { seasonFilter } = require('./season');
+
+// Tries at taking an entry number before giving up (a concurrent entry can take the same one first)
+const ENTRY_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Build the query filter for the entries a bracket is numbered among:
+ * one participant's entries under one email, in one pool and season
+ * @param {Object} bracket - Bracket (or { pool, year, userEmail, participantName })
+ * @returns {Object} Mongo filter
+ */
+const entryGroupFilter = (bracket) => ({
+  ...poolFilter(bracket.pool),
+  ...seasonFilter(bracket.year),
+  userEmail: bracket.userEmail,
+  participantName: bracket.participantName
+});
+
+/**
+ * Find the lowest entry number not taken in a bracket's group
+ * Numbers freed by deleted entries are used again
+ * @param {Object} bracket - Bracket document
+ * @returns {Promise<Number>}
+ */
+const nextEntryNumber = async (bracket) => {
+  const taken = new Set(await Bracket.distinct('entryNumber', {
+    ...entryGroupFilter(bracket),
+    _id: { $ne: bracket._id }
+  }));
+
+  let entryNumber = 1;
+  while (taken.has(entryNumber)) entryNumber++;
+  return entryNumber;
+};
+
+const isEntryNumberConflict = (err) =>
+  !!err && err.code === 11000 && !!err.keyPattern && 'entryNumber' in err.keyPattern;
+
+/**
+ * Save a bracket under the lowest free entry number in its group
+ * Entry numbers are unique per group, so when a concurrent entry takes the
+ * same number first the save fails with a duplicate key and the next free
+ * number is tried
+ * @param {Object} bracket - New bracket, or one moved to another group (new email or name)
+ * @returns {Promise<Object>} Saved bracket
+ */
+const saveWithEntryNumber = async (bracket) => {
+  for (let attempt = 1; ; attempt++) {
+    bracket.entryNumber = await nextEntryNumber(bracket);
+    try {
+      return await bracket.save();
+    } catch (err) {
+      if (!isEntryNumberConflict(err) || attempt >= ENTRY_NUMBER_ATTEMPTS) throw err;
+    }
+  }
+};
+
+// Entries that count towards the limits: pending ones don't until the email's owner confirms them
+const countedEntries = { ownership: { $ne: 'pending' } };
+
+/**
+ * Get the entry limits that apply to an email in a pool: the site-wide
+ * per-season limit (SeasonSettings.maxEntriesPerEmail) and the pool's own
+ * @param {Object|null} pool - Pool document, or null for the default pool
+ * @param {Number} year - Tournament year
+ * @param {string} email - Entrant's email
+ * @returns {Promise<Array>} [{ max, filter, message }]
+ */
+const getEntryLimits = async (pool, year, email) => {
+  const limits = [];
+
+  const settings = await SeasonSettings.findOne({});
+  if (settings && settings.maxEntriesPerEmail) {
+    limits.push({
+      max: settings.maxEntriesPerEmail,
+      filter: { ...seasonFilter(year), userEmail: email, ...countedEntries },
+      message: `You can enter at most ${settings.maxEntriesPerEmail} brackets per email this season`
+    });
+  }
+
+  if (pool && pool.maxEntries) {
+    limits.push({
+      max: pool.maxEntries,
+      filter: { ...poolFilter(pool._id), ...seasonFilter(year), userEmail: email, ...countedEntries },
+      message: `This pool allows at most ${pool.maxEntries} entries per email`
+    });
+  }
+
+  return limits;
+};
+
+/**
+ * Check whether an email has room for one more entry in a pool
+ * @param {Object|null} pool - Pool document, or null for the default pool
+ * @param {Number} year - Tournament year
+ * @param {string} email - Entrant's email
+ * @returns {Promise<string|null>} Error message for the limit reached, or null
+ */
+const checkEntryLimits = async (pool, year, email) => {
+  for (const limit of await getEntryLimits(pool, year, email)) {
+    if (await Bracket.countDocuments(limit.filter) >= limit.max) return limit.message;
+  }
+  return null;
+};
+
+/**
+ * Check that a newly saved bracket is within its email's limits
+ * Concurrent entries can all pass checkEntryLimits before any is saved. Only
+ * entries saved up to this one count (ObjectIds increase over time), so when
+ * that overshoots a limit it's the later entries that are turned away.
+ * @param {Object} bracket - Saved bracket
+ * @param {Object|null} pool - The bracket's pool
+ * @returns {Promise<string|null>} Error message for the limit exceeded, or null
+ */
+const checkSavedEntryLimits = async (bracket, pool) => {
+  for (const limit of await getEntryLimits(pool, bracket.year, bracket.userEmail)) {
+    const count = await Bracket.countDocuments({ ...limit.filter, _id: { $lte: bracket._id } });
+    if (count > limit.max) return limit.message;
+  }
+  return null;
+};
+
+module.exports = {
+  entryGroupFilter,
+  nextEntryNumber,
+  saveWithEntryNumber,
+  checkEntryLimits,
+  checkSavedEntryLimits
+};
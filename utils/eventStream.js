@@ -0,0 +1,151 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process feed of tournament changes for the Server-Sent Events stream
+ * (GET /api/tournament/stream). Events only reach clients connected to the
+ * process that published them, so updates made by separate scripts (the
+ * analysis CLI, replays) aren't streamed.
+ *
+ * Event types and their data:
+ *   game.update     { year, matchupId, round, teamA, teamB, winner, score, completed }
+ *   scores.update   { year, brackets: [{ bracketId, pool, score }] }
+ *   analysis.saved  { analysisId, year, pool, stage, roundName, analysisMode }
+ */
+
+const TOURNAMENT_EVENTS = ['game.update', 'scores.update', 'analysis.saved'];
+
+// Recent events kept for clients that reconnect with a Last-Event-ID
+const REPLAY_BUFFER_SIZE = 200;
+
+// Event IDs are "<process start>-<sequence>", so IDs from before a restart
+// are recognized and not replayed against the wrong sequence
+const streamStartedAt = Date.now();
+let sequence = 0;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected client
+
+const recentEvents = [];
+
+/**
+ * Publish a tournament event to every connected stream
+ * @param {string} type - Event type (see TOURNAMENT_EVENTS)
+ * @param {Object} data - Event data
+ * @returns {Object} The event ({ id, type, data, timestamp })
+ */
+const publishTournamentEvent = (type, data) => {
+  sequence++;
+  const event = {
+    id: `${streamStartedAt}-${sequence}`,
+    sequence,
+    type,
+    data,
+    timestamp: new Date()
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+};
+
+/**
+ * Publish a game's current state after it was updated
+ * @param {Number} year - Tournament year
+ * @param {Object} game - Game from the tournament's games list
+ */
+const publishGameUpdate = (year, game) => {
+  const { matchupId, round, teamA, teamB, winner, score, completed, status, period, clock } =
+    JSON.parse(JSON.stringify(game));
+
+  publishTournamentEvent('game.update', {
+    year,
+    matchupId,
+    round,
+    teamA,
+    teamB,
+    winner: winner || null,
+    score: score || null,
+    completed: !!completed,
+    status: completed ? 'final' : status || 'scheduled',
+    period: period || null,
+    clock: clock || null
+  });
+};
+
+/**
+ * Publish the new scores of brackets that were rescored
+ * @param {Number} year - Tournament year
+ * @param {Array} brackets - Rescored bracket documents
+ */
+const publishBracketScores = (year, brackets) => {
+  if (brackets.length === 0) return;
+
+  publishTournamentEvent('scores.update', {
+    year,
+    brackets: brackets.map(bracket => ({
+      bracketId: bracket._id.toString(),
+      pool: bracket.pool ? bracket.pool.toString() : null,
+      score: bracket.score
+    }))
+  });
+};
+
+/**
+ * Listen for tournament events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Call to stop listening
+ */
+const subscribeToTournamentEvents = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Get the buffered events published after a given event ID
+ * @param {string} lastEventId - ID of the last event the client saw
+ * @returns {Array} Events to replay (none if the ID is from another process run)
+ */
+const getEventsSince = (lastEventId) => {
+  const [startedAt, lastSequence] = String(lastEventId || '').split('-').map(Number);
+  if (startedAt !== streamStartedAt || isNaN(lastSequence)) return [];
+
+  return recentEvents.filter(event => event.sequence > lastSequence);
+};
+
+/**
+ * Apply a client's filters to an event
+ * Matchup filters limit game events and bracket filters limit score events
+ * (to the listed brackets); analysis events are only limited by type.
+ * @param {Object} event - Tournament event
+ * @param {Object} filters - { types, matchupIds, bracketIds } as Sets, or null for no filter
+ * @returns {Object|null} The event to send (possibly narrowed), or null to skip it
+ */
+const filterTournamentEvent = (event, { types, matchupIds, bracketIds }) => {
+  if (types && !types.has(event.type)) return null;
+
+  if (event.type === 'game.update' && matchupIds && !matchupIds.has(event.data.matchupId)) {
+    return null;
+  }
+
+  if (event.type === 'scores.update' && bracketIds) {
+    const brackets = event.data.brackets.filter(bracket => bracketIds.has(bracket.bracketId));
+    if (brackets.length === 0) return null;
+    return { ...event, data: { ...event.data, brackets } };
+  }
+
+  return event;
+};
+
+module.exports = {
+  TOURNAMENT_EVENTS,
+  publishTournamentEvent,
+  publishGameUpdate,
+  publishBracketScores,
+  subscribeToTournamentEvents,
+  getEventsSince,
+  filterTournamentEvent
+};
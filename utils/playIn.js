@@ -0,0 +1,197 @@
+/**
+ * First Four (play-in) games
+ *
+ * Play-in matchups live in round 0 of the results structure. Each one names
+ * the first-round matchup its winner feeds and the slot it fills there:
+ *
+ *   { id: 64, round: 0, region: 'South', teamA, teamB, winner: null,
+ *     nextMatchupId: 0, nextSlot: 'teamB' }
+ *
+ * Until the play-in is decided that first-round slot holds a placeholder
+ * team, so brackets can be filled in (and picks made for the placeholder)
+ * before the First Four is played. When the winner is known it replaces the
+ * placeholder in the results, the first-round game and every bracket's picks.
+ */
+
+const Bracket = require('../models/Bracket');
+const { seasonFilter } = require('./season');
+const { recordRevision } = require('./bracketRevisions');
+
+const PLAY_IN_ROUND = 0;
+const SLOTS = ['teamA', 'teamB'];
+
+const sameTeam = (a, b) => !!a && !!b && a.name === b.name && a.seed === b.seed;
+
+/**
+ * Build the placeholder team that stands in for a play-in's winner
+ * @param {Object} matchup - Round 0 matchup
+ * @returns {Object} { name, seed, playInMatchupId }
+ */
+const buildPlaceholder = (matchup) => ({
+  name: `${matchup.teamA.name}/${matchup.teamB.name}`,
+  seed: matchup.teamA.seed,
+  playInMatchupId: matchup.id
+});
+
+/**
+ * Check whether a team is a play-in placeholder
+ * @param {Object} team
+ * @returns {Boolean}
+ */
+const isPlaceholder = (team) => !!team && team.playInMatchupId !== undefined && team.playInMatchupId !== null;
+
+/**
+ * Validate the play-in matchups of a results structure
+ * @param {Object} results - Tournament results keyed by round
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePlayIns = (results) => {
+  const playIns = (results && results[PLAY_IN_ROUND]) || [];
+  if (!Array.isArray(playIns)) return 'Round 0 must be a list of play-in matchups';
+
+  const firstRound = (results && results[1]) || [];
+  const filledSlots = new Set();
+
+  for (const matchup of playIns) {
+    if (!matchup.teamA || !matchup.teamB) {
+      return `Play-in matchup ${matchup.id} needs both teams`;
+    }
+    if (!SLOTS.includes(matchup.nextSlot)) {
+      return `Play-in matchup ${matchup.id} needs a nextSlot of teamA or teamB`;
+    }
+    if (!firstRound.some(m => m.id === matchup.nextMatchupId)) {
+      return `Play-in matchup ${matchup.id} does not lead to a first round matchup`;
+    }
+
+    const slot = `${matchup.nextMatchupId}.${matchup.nextSlot}`;
+    if (filledSlots.has(slot)) {
+      return `More than one play-in leads to ${matchup.nextSlot} of matchup ${matchup.nextMatchupId}`;
+    }
+    filledSlots.add(slot);
+  }
+
+  return null;
+};
+
+/**
+ * Put a placeholder in the first-round slot of every undecided play-in
+ * Slots that already hold a real team are left alone
+ * @param {Object} results - Tournament results keyed by round (modified in place)
+ * @param {Array} games - Tournament games list (modified in place)
+ */
+const fillPlayInPlaceholders = (results, games = []) => {
+  ((results && results[PLAY_IN_ROUND]) || []).forEach(matchup => {
+    if (matchup.winner) return;
+
+    const next = (results[1] || []).find(m => m.id === matchup.nextMatchupId);
+    if (!next || (next[matchup.nextSlot] && !isPlaceholder(next[matchup.nextSlot]))) return;
+
+    const placeholder = buildPlaceholder(matchup);
+    next[matchup.nextSlot] = placeholder;
+
+    const game = games.find(g => g.matchupId === next.id);
+    if (game) game[matchup.nextSlot] = placeholder;
+  });
+};
+
+/**
+ * Move a play-in winner into its first-round slot, in the results and the games list
+ * The team it replaces (the placeholder, or the previous winner if the result
+ * was corrected) is dropped from the tournament's teams map
+ * @param {Object} tournament - Tournament results document (modified in place, not saved)
+ * @param {Object} matchup - Decided round 0 matchup
+ * @param {Object} winner - Winning team
+ * @returns {Object|null} The team that was replaced, or null if nothing changed
+ */
+const advancePlayInWinner = (tournament, matchup, winner) => {
+  const next = (tournament.results[1] || []).find(m => m.id === matchup.nextMatchupId);
+  if (!next || !SLOTS.includes(matchup.nextSlot)) return null;
+
+  const replaced = next[matchup.nextSlot] || buildPlaceholder(matchup);
+  const team = { name: winner.name, seed: winner.seed };
+  if (sameTeam(replaced, team)) return null;
+
+  next[matchup.nextSlot] = team;
+
+  const game = tournament.games.find(g => g.matchupId === next.id);
+  if (game) game[matchup.nextSlot] = team;
+
+  if (tournament.teams && isPlaceholder(replaced)) {
+    delete tournament.teams[replaced.name];
+  }
+
+  return replaced;
+};
+
+/**
+ * Swap one team for another everywhere it appears in a set of picks
+ * @param {Object} picks - Bracket picks keyed by round
+ * @param {Object} from - Team to replace
+ * @param {Object} to - Replacement team
+ * @returns {Object|null} New picks, or null if the team wasn't in them
+ */
+const replaceTeamInPicks = (picks, from, to) => {
+  if (!picks || typeof picks !== 'object') return null;
+
+  let changed = false;
+  const swap = (team) => {
+    if (!sameTeam(team, from)) return team;
+    changed = true;
+    return { name: to.name, seed: to.seed };
+  };
+
+  const updated = {};
+  Object.entries(picks).forEach(([round, matchups]) => {
+    updated[round] = Array.isArray(matchups)
+      ? matchups.map(m => m && {
+        ...m,
+        teamA: swap(m.teamA),
+        teamB: swap(m.teamB),
+        winner: swap(m.winner)
+      })
+      : matchups;
+  });
+
+  return changed ? updated : null;
+};
+
+/**
+ * Replace a play-in placeholder (or corrected winner) with the winner in every bracket of a season
+ * Each changed bracket gets a system revision so the swap shows in its history
+ * @param {Number} year - Tournament year
+ * @param {Object} from - Team being replaced
+ * @param {Object} to - Play-in winner
+ * @returns {Promise<Number>} Number of brackets updated
+ */
+const applyPlayInWinnerToBrackets = async (year, from, to) => {
+  const brackets = await Bracket.find({
+    ...seasonFilter(year),
+    $or: [{ 'picks.1.teamA.name': from.name }, { 'picks.1.teamB.name': from.name }]
+  });
+
+  let updated = 0;
+  for (const bracket of brackets) {
+    const previousPicks = bracket.picks;
+    const picks = replaceTeamInPicks(previousPicks, from, to);
+    if (!picks) continue;
+
+    bracket.picks = picks;
+    bracket.markModified('picks');
+    await bracket.save();
+    await recordRevision(bracket, previousPicks, { type: 'system', user: null });
+    updated++;
+  }
+
+  return updated;
+};
+
+module.exports = {
+  PLAY_IN_ROUND,
+  buildPlaceholder,
+  isPlaceholder,
+  validatePlayIns,
+  fillPlayInPlaceholders,
+  advancePlayInWinner,
+  replaceTeamInPicks,
+  applyPlayInWinnerToBrackets
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Pool = require('../models/Pool');
+
+/**
+ * Build the Bracket query filter for a pool.
+ * Brackets created before pools existed have no pool and make up the
+ * default pool, which is what a null poolId selects.
+ * @param {string|null} poolId - Pool ID, or null for the default pool
+ * @returns {Object} Mongo filter
+ */
+const poolFilter = (poolId) => ({ pool: poolId || null });
+
+/**
+ * Resolve the pool named by the ?poolId= query parameter
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { poolId, pool, notFound }
+ */
+const resolveRequestPool = async (req) => {
+  const poolId = req.query.poolId || null;
+
+  if (!poolId) {
+    return { poolId: null, pool: null, notFound: false };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(poolId)) {
+    return { poolId, pool: null, notFound: true };
+  }
+
+  const pool = await Pool.findById(poolId);
+  return { poolId, pool, notFound: !pool };
+};
+
+/**
+ * Get the points-per-round map that applies to a pool
+ * @param {Object} tournament - Tournament results document
+ * @param {Object|null} pool - Pool document, or null for the default pool
+ * @returns {Object} Scoring config keyed by round
+ */
+const getScoringConfig = (tournament, pool) => {
+  if (pool && pool.scoringConfig) {
+    return pool.scoringConfig;
+  }
+  return tournament.scoringConfig;
+};
+
+/**
+ * Check whether a user can manage a pool
+ * @param {Object} pool - Pool document
+ * @param {Object} user - User document
+ * @returns {Boolean}
+ */
+const isPoolAdmin = (pool, user) => {
+  if (!pool || !user) return false;
+  if (user.role === 'admin') return true;
+  return pool.admins.some(adminId => adminId.toString() === user._id.toString());
+};
+
+/**
+ * Load every pool keyed by ID, for scoring brackets from several pools at once
+ * @returns {Promise<Object>} Map of pool ID to pool document
+ */
+const loadPoolsById = async () => {
+  const pools = await Pool.find();
+  const poolsById = {};
+  pools.forEach(pool => {
+    poolsById[pool._id.toString()] = pool;
+  });
+  return poolsById;
+};
+
+/**
+ * Get the pool a bracket belongs to from a map built by loadPoolsById
+ * @param {Object} bracket - Bracket document
+ * @param {Object} poolsById - Map of pool ID to pool document
+ * @returns {Object|null} Pool document, or null for the default pool
+ */
+const getBracketPool = (bracket, poolsById) => {
+  if (!bracket.pool) return null;
+  return poolsById[bracket.pool.toString()] || null;
+};
+
+/**
+ * Generate a short, human-friendly join code
+ * @returns {string}
+ */
+const generateJoinCode = () => crypto.randomBytes(4).toString('hex').toUpperCase();
+
+module.exports = {
+  poolFilter,
+  resolveRequestPool,
+  getScoringConfig,
+  isPoolAdmin,
+  loadPoolsById,
+  getBracketPool,
+  generateJoinCode
+};
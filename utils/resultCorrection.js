@@ -0,0 +1,349 @@
+/**
+ * Correcting a game result that was recorded wrong
+ *
+ * Changing a decided game's winner has to unwind everything built on the old
+ * result: the old winner's place in later matchups (and any games it was
+ * recorded as winning there), the tournament's elimination records and
+ * completed rounds, every bracket score and the analyses run since.
+ */
+
+const Bracket = require('../models/Bracket');
+const TournamentAnalysis = require('../models/TournamentAnalysis');
+const { loadPoolsById, getBracketPool } = require('./pools');
+const { getScoringRules, calculateBracketScore, getMatchupLoser } = require('./scoring');
+const { submittedFilter } = require('./bracketValidation');
+const { seasonFilter } = require('./season');
+const { PLAY_IN_ROUND, applyPlayInWinnerToBrackets } = require('./playIn');
+const { publishGameUpdate, publishBracketScores } = require('./eventStream');
+
+const copyTeam = (team) => (team && team.name ? { name: team.name, seed: team.seed } : null);
+
+const sameName = (a, b) => !!a && !!b && a.name === b.name;
+
+/**
+ * Find a matchup and its round in a results structure
+ * @param {Object} results - Tournament results keyed by round
+ * @param {Number} matchupId
+ * @returns {Object|null} { matchup, round }
+ */
+const findMatchup = (results, matchupId) => {
+  for (const round in results) {
+    const matchup = (results[round] || []).find(m => m.id === matchupId);
+    if (matchup) return { matchup, round: parseInt(round) };
+  }
+  return null;
+};
+
+/**
+ * The slot of the next matchup a matchup's winner fills
+ * Play-ins name it; other rounds go by position (even positions feed teamA)
+ */
+const getNextSlot = (matchup, round) => {
+  if (round === PLAY_IN_ROUND) return matchup.nextSlot;
+  return matchup.position % 2 === 0 ? 'teamA' : 'teamB';
+};
+
+/**
+ * Summarize which teams are eliminated, for before/after comparison
+ * @param {Object} teams - Tournament teams map
+ * @returns {Object} { teamName: eliminationRound } for eliminated teams
+ */
+const eliminatedTeams = (teams) => {
+  const eliminated = {};
+  Object.entries(teams || {}).forEach(([name, team]) => {
+    if (team && team.eliminated) eliminated[name] = team.eliminationRound;
+  });
+  return eliminated;
+};
+
+/**
+ * Rebuild the teams map's elimination records from the decided matchups
+ * @param {Object} tournament - Tournament results document (modified in place)
+ */
+const rebuildEliminations = (tournament) => {
+  const teams = {};
+  Object.entries(tournament.teams || {}).forEach(([name, team]) => {
+    teams[name] = { ...team, eliminated: false, eliminationRound: null, eliminationMatchupId: null };
+  });
+
+  const rounds = Object.keys(tournament.results).map(Number).sort((a, b) => a - b);
+  for (const round of rounds) {
+    for (const matchup of tournament.results[round] || []) {
+      if (!matchup.winner) continue;
+
+      const loser = getMatchupLoser(matchup, matchup.winner);
+      [matchup.winner, loser].forEach(team => {
+        if (team && !teams[team.name]) {
+          teams[team.name] = { seed: team.seed, eliminated: false, eliminationRound: null, eliminationMatchupId: null };
+        }
+      });
+
+      if (loser) {
+        teams[loser.name] = {
+          ...teams[loser.name],
+          eliminated: true,
+          eliminationRound: round,
+          eliminationMatchupId: matchup.id
+        };
+      }
+    }
+  }
+
+  tournament.teams = teams;
+};
+
+/**
+ * Rounds in which every matchup has a winner
+ * @param {Object} results - Tournament results keyed by round
+ * @returns {Array} Round numbers, ascending
+ */
+const getCompletedRounds = (results) =>
+  Object.keys(results)
+    .map(Number)
+    .filter(round => results[round].length > 0 && results[round].every(m => m.winner))
+    .sort((a, b) => a - b);
+
+/**
+ * Reset a game to unplayed
+ * @param {Object} game - Game from the tournament's games list (modified in place)
+ */
+const reopenGame = (game) => {
+  game.winner = null;
+  game.completed = false;
+  game.status = 'scheduled';
+  game.score = { teamA: 0, teamB: 0 };
+  game.period = null;
+  game.clock = null;
+  game.playedAt = null;
+};
+
+/**
+ * Change a decided game's winner and unwind everything downstream of it
+ *
+ * The new winner takes the old winner's slot in the next matchup. If the old
+ * winner was recorded winning that matchup too, that result can't stand, so
+ * it is cleared and the old winner is removed from the matchup after it, and
+ * so on until a matchup the old winner didn't win. Games whose matchup lost a
+ * team are removed; games whose result was cleared are reopened.
+ *
+ * @param {Object} tournament - Tournament results document (modified in place, not saved)
+ * @param {Number} matchupId - Matchup being corrected
+ * @param {Object} winner - The actual winner ({ name, seed })
+ * @param {Object} options
+ * @param {Object} options.score - Corrected score ({ teamA, teamB }), optional
+ * @param {Date} options.now - Time of the correction
+ * @returns {Object} Report of what changed, or { error }
+ */
+const correctGameResult = (tournament, matchupId, winner, { score, now = new Date() } = {}) => {
+  const results = tournament.results;
+  const found = findMatchup(results, matchupId);
+  if (!found) {
+    return { error: 'Matchup not found in results' };
+  }
+
+  const { matchup, round } = found;
+  const newWinner = [matchup.teamA, matchup.teamB].find(team => sameName(team, winner));
+  if (!newWinner) {
+    return { error: `${winner && winner.name ? winner.name : 'The winner'} does not play in this matchup` };
+  }
+
+  const previousWinner = copyTeam(matchup.winner);
+  if (sameName(previousWinner, newWinner)) {
+    return { error: `${newWinner.name} is already recorded as the winner` };
+  }
+
+  const eliminatedBefore = eliminatedTeams(tournament.teams);
+  const completedBefore = [...(tournament.completedRounds || [])];
+  const matchupChanges = [];
+  const gameChanges = [];
+
+  matchup.winner = copyTeam(newWinner);
+
+  const game = tournament.games.find(g => g.matchupId === matchupId);
+  if (game) {
+    game.winner = copyTeam(newWinner);
+    game.completed = true;
+    game.status = 'final';
+    game.clock = null;
+    game.playedAt = now;
+    if (score) game.score = score;
+  }
+
+  // Walk the old winner's path until it stops mattering
+  let current = matchup;
+  let currentRound = round;
+  let advancing = copyTeam(newWinner);
+
+  while (current.nextMatchupId !== null && current.nextMatchupId !== undefined) {
+    const next = findMatchup(results, current.nextMatchupId);
+    if (!next) break;
+
+    const slot = getNextSlot(current, currentRound);
+    const before = {
+      teamA: copyTeam(next.matchup.teamA),
+      teamB: copyTeam(next.matchup.teamB),
+      winner: copyTeam(next.matchup.winner)
+    };
+    const oldWinnerWonNext = sameName(next.matchup.winner, previousWinner);
+
+    next.matchup[slot] = advancing;
+    if (oldWinnerWonNext) next.matchup.winner = null;
+
+    matchupChanges.push({
+      matchupId: next.matchup.id,
+      round: next.round,
+      slot,
+      before,
+      after: {
+        teamA: copyTeam(next.matchup.teamA),
+        teamB: copyTeam(next.matchup.teamB),
+        winner: copyTeam(next.matchup.winner)
+      }
+    });
+
+    const nextGameIndex = tournament.games.findIndex(g => g.matchupId === next.matchup.id);
+    if (nextGameIndex !== -1) {
+      const nextGame = tournament.games[nextGameIndex];
+      if (!next.matchup.teamA || !next.matchup.teamB) {
+        tournament.games.splice(nextGameIndex, 1);
+        gameChanges.push({ matchupId: next.matchup.id, change: 'removed' });
+      } else {
+        nextGame[slot] = advancing;
+        if (oldWinnerWonNext) reopenGame(nextGame);
+        gameChanges.push({ matchupId: next.matchup.id, change: oldWinnerWonNext ? 'reopened' : 'teamsUpdated' });
+      }
+    }
+
+    // The rest of the path only changes if the old winner kept winning
+    if (!oldWinnerWonNext) break;
+
+    current = next.matchup;
+    currentRound = next.round;
+    advancing = null;
+  }
+
+  rebuildEliminations(tournament);
+  tournament.completedRounds = getCompletedRounds(results);
+
+  const eliminatedAfter = eliminatedTeams(tournament.teams);
+
+  return {
+    matchupId,
+    round,
+    previousWinner,
+    winner: copyTeam(newWinner),
+    matchups: matchupChanges,
+    games: gameChanges,
+    eliminations: {
+      reinstated: Object.keys(eliminatedBefore).filter(name => !(name in eliminatedAfter)),
+      eliminated: Object.keys(eliminatedAfter)
+        .filter(name => eliminatedBefore[name] !== eliminatedAfter[name])
+        .map(name => ({ name, round: eliminatedAfter[name] }))
+    },
+    completedRounds: { before: completedBefore, after: tournament.completedRounds }
+  };
+};
+
+/**
+ * Recompute every submitted bracket's score in a season from scratch
+ * @param {Object} tournament - Tournament results document
+ * @returns {Promise<Array>} [{ bracketId, participantName, before, after }] for scores that changed
+ */
+const rescoreSeasonBrackets = async (tournament) => {
+  const brackets = await Bracket.find({
+    ...seasonFilter(tournament.year),
+    ...submittedFilter()
+  });
+  const poolsById = await loadPoolsById();
+  const changes = [];
+  const rescored = [];
+
+  for (const bracket of brackets) {
+    const rules = getScoringRules(tournament, getBracketPool(bracket, poolsById));
+    const score = calculateBracketScore(bracket, tournament.results, rules);
+    if (score === bracket.score) continue;
+
+    changes.push({
+      bracketId: bracket._id,
+      participantName: bracket.participantName,
+      before: bracket.score,
+      after: score
+    });
+    bracket.score = score;
+    await bracket.save();
+    rescored.push(bracket);
+  }
+
+  publishBracketScores(tournament.year, rescored);
+  return changes;
+};
+
+/**
+ * Mark a season's analyses run since a point in time as invalid
+ * @param {Number} year - Tournament year
+ * @param {Date|null} since - Analyses from this time on are invalidated (all when null)
+ * @param {string} reason - Why they're invalid
+ * @param {Date} now - Invalidation time
+ * @returns {Promise<Number>} Number of analyses invalidated
+ */
+const invalidateAnalyses = async (year, since, reason, now = new Date()) => {
+  const filter = { year, invalidatedAt: null };
+  if (since) filter.timestamp = { $gte: since };
+
+  const result = await TournamentAnalysis.updateMany(filter, {
+    $set: { invalidatedAt: now, invalidationReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Correct a game's winner, save the tournament, and bring brackets and analyses back in line
+ * @param {Object} tournament - Tournament results document
+ * @param {Number} matchupId - Matchup being corrected
+ * @param {Object} winner - The actual winner ({ name, seed })
+ * @param {Object} options - { score, now } (see correctGameResult)
+ * @returns {Promise<Object>} Report of what changed, or { error }
+ */
+const applyResultCorrection = async (tournament, matchupId, winner, options = {}) => {
+  const now = options.now || new Date();
+  const game = tournament.games.find(g => g.matchupId === matchupId);
+  const recordedAt = game && game.playedAt ? new Date(game.playedAt) : null;
+
+  const report = correctGameResult(tournament, matchupId, winner, { ...options, now });
+  if (report.error) return report;
+
+  tournament.lastUpdated = now;
+  tournament.markModified('results');
+  tournament.markModified('games');
+  tournament.markModified('teams');
+  tournament.markModified('completedRounds');
+  await tournament.save();
+
+  // Brackets picked the old play-in winner into the first round
+  report.playInBracketsUpdated = report.round === PLAY_IN_ROUND && report.previousWinner
+    ? await applyPlayInWinnerToBrackets(tournament.year, report.previousWinner, report.winner)
+    : 0;
+
+  report.brackets = await rescoreSeasonBrackets(tournament);
+  report.invalidatedAnalyses = await invalidateAnalyses(
+    tournament.year,
+    recordedAt,
+    `Result of matchup ${matchupId} corrected from ${report.previousWinner ? report.previousWinner.name : 'none'} to ${report.winner.name}`,
+    now
+  );
+
+  [matchupId, ...report.games.filter(g => g.change !== 'removed').map(g => g.matchupId)]
+    .map(id => tournament.games.find(g => g.matchupId === id))
+    .filter(Boolean)
+    .forEach(g => publishGameUpdate(tournament.year, g));
+
+  return report;
+};
+
+module.exports = {
+  correctGameResult,
+  rebuildEliminations,
+  rescoreSeasonBrackets,
+  invalidateAnalyses,
+  applyResultCorrection
+};
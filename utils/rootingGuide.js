@@ -0,0 +1,73 @@
+/**
+ * Find an undecided matchup's region in the current results
+ * @param {Object} tournament - Tournament results document
+ * @param {Number} round - Round number
+ * @param {Number} matchupId - Matchup ID
+ * @returns {string|null}
+ */
+const findRegion = (tournament, round, matchupId) => {
+  const matchups = (tournament && tournament.results && tournament.results[round]) || [];
+  const matchup = matchups.find(m => m.id === matchupId);
+  return matchup ? matchup.region || null : null;
+};
+
+/**
+ * Build a bracket's rooting guide from a saved analysis
+ * Lists each undecided matchup of the round being played (the ones the analysis
+ * keeps rooting totals for) with each team that could win it, the bracket's
+ * win and podium chances if that team does, and how far those move from its
+ * overall chances. The team to root for is the one that leaves the best chance
+ * of winning the pool (then of reaching the podium).
+ * @param {Object} bracketResult - The bracket's entry in the analysis's bracketResults
+ * @param {Object} matchupResultWeights - The analysis's matchupResultWeights
+ * @param {Object} tournament - Current tournament results, for regions
+ * @returns {Array} Matchups, the ones that matter most to the bracket first
+ */
+const buildRootingGuide = (bracketResult, matchupResultWeights, tournament) => {
+  const overallWin = bracketResult.winPercentage || 0;
+  const overallPodium = (bracketResult.placePercentages && bracketResult.placePercentages.podium) || 0;
+  const rooting = bracketResult.rooting || {};
+
+  const guide = Object.entries(matchupResultWeights || {}).map(([matchupId, byTeam]) => {
+    const outcomes = Object.entries(byTeam).map(([name, { weight, seed }]) => {
+      const totals = (rooting[matchupId] && rooting[matchupId][name]) || { win: 0, podium: 0 };
+      const winPercentage = weight > 0 ? (totals.win / weight) * 100 : 0;
+      const podiumPercentage = weight > 0 ? (totals.podium / weight) * 100 : 0;
+
+      return {
+        team: { name, seed },
+        probability: weight * 100,
+        winPercentage,
+        podiumPercentage,
+        winChange: winPercentage - overallWin,
+        podiumChange: podiumPercentage - overallPodium
+      };
+    });
+
+    outcomes.sort((a, b) =>
+      b.winPercentage - a.winPercentage || b.podiumPercentage - a.podiumPercentage
+    );
+
+    const best = outcomes[0];
+    const worst = outcomes[outcomes.length - 1];
+    const round = Object.values(byTeam)[0].round;
+
+    return {
+      matchupId: parseInt(matchupId),
+      round,
+      region: findRegion(tournament, round, parseInt(matchupId)),
+      rootFor: best.team,
+      // Spread between the best and worst result for this bracket
+      winImpact: best.winPercentage - worst.winPercentage,
+      podiumImpact: Math.max(...outcomes.map(o => o.podiumPercentage)) -
+        Math.min(...outcomes.map(o => o.podiumPercentage)),
+      outcomes
+    };
+  });
+
+  return guide.sort((a, b) =>
+    b.winImpact - a.winImpact || b.podiumImpact - a.podiumImpact || a.round - b.round
+  );
+};
+
+module.exports = { buildRootingGuide };
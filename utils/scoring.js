@@ -0,0 +1,151 @@
+const { getScoringConfig } = require('./pools');
+
+// Points per round for the Fibonacci strategy
+const FIBONACCI_POINTS = { 1: 2, 2: 3, 3: 5, 4: 8, 5: 13, 6: 21 };
+
+/**
+ * Named scoring strategies. Each one turns a correct pick into points.
+ * `roundPoints` is the tournament's (or pool's) scoringConfig map, and
+ * `loser` is the team the picked winner beat (null when it isn't known yet).
+ */
+const STRATEGIES = {
+  standard: {
+    description: 'Points per round from the scoring config',
+    points: ({ round, roundPoints }) => roundPoints[round] || 0
+  },
+  upsetBonus: {
+    description: 'Points per round plus the seed difference when a higher seed wins',
+    points: ({ round, roundPoints, winner, loser }) => {
+      const base = roundPoints[round] || 0;
+      if (!loser || !winner.seed || !loser.seed) return base;
+      return base + Math.max(0, winner.seed - loser.seed);
+    }
+  },
+  seedTimesRound: {
+    description: 'Winning team\'s seed multiplied by the round number',
+    points: ({ round, winner }) => (winner.seed || 0) * round
+  },
+  fibonacci: {
+    description: 'Fibonacci points per round (2, 3, 5, 8, 13, 21)',
+    points: ({ round }) => FIBONACCI_POINTS[round] || 0
+  }
+};
+
+const DEFAULT_STRATEGY = 'standard';
+
+/**
+ * Check whether a strategy name is one the scoring engine knows
+ * @param {string} name - Strategy name
+ * @returns {Boolean}
+ */
+const isValidStrategy = (name) => Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+
+/**
+ * List the available strategies for admin UIs
+ * @returns {Array} [{ name, description }]
+ */
+const listStrategies = () => Object.keys(STRATEGIES).map(name => ({
+  name,
+  description: STRATEGIES[name].description
+}));
+
+/**
+ * Get the scoring rules that apply to a pool
+ * A pool's own strategy and points map win over the tournament's
+ * @param {Object} tournament - Tournament results document
+ * @param {Object|null} pool - Pool document, or null for the default pool
+ * @returns {Object} { strategy, roundPoints }
+ */
+const getScoringRules = (tournament, pool) => {
+  const strategy = (pool && pool.scoringStrategy) || tournament.scoringStrategy;
+
+  return {
+    strategy: isValidStrategy(strategy) ? strategy : DEFAULT_STRATEGY,
+    roundPoints: getScoringConfig(tournament, pool) || {}
+  };
+};
+
+/**
+ * Check whether a picked winner matches an actual (or projected) winner
+ * @param {Object} pickedWinner - Team the bracket picked
+ * @param {Object} actualWinner - Team that won
+ * @returns {Boolean}
+ */
+const isCorrectPick = (pickedWinner, actualWinner) =>
+  !!pickedWinner && !!actualWinner &&
+  pickedWinner.name === actualWinner.name &&
+  pickedWinner.seed === actualWinner.seed;
+
+/**
+ * Get the team that lost a matchup, given its winner
+ * @param {Object} matchup - Matchup with teamA and teamB
+ * @param {Object} winner - Winning team
+ * @returns {Object|null} Losing team, or null if the matchup isn't filled in
+ */
+const getMatchupLoser = (matchup, winner) => {
+  if (!matchup || !winner) return null;
+  if (matchup.teamA && matchup.teamA.name === winner.name) return matchup.teamB || null;
+  if (matchup.teamB && matchup.teamB.name === winner.name) return matchup.teamA || null;
+  return null;
+};
+
+/**
+ * Points for a single correct pick
+ * @param {Object} rules - Scoring rules from getScoringRules
+ * @param {Number} round - Round the matchup is in
+ * @param {Object} winner - Winning team
+ * @param {Object|null} loser - Losing team, if known
+ * @returns {Number}
+ */
+const scorePick = (rules, round, winner, loser = null) =>
+  STRATEGIES[rules.strategy].points({
+    round: Number(round),
+    roundPoints: rules.roundPoints,
+    winner,
+    loser
+  });
+
+/**
+ * Calculate a bracket's total score against a set of results
+ * @param {Object} bracket - Bracket with picks
+ * @param {Object} results - Results keyed by round (actual or projected)
+ * @param {Object} rules - Scoring rules from getScoringRules
+ * @returns {Number} Total score
+ */
+const calculateBracketScore = (bracket, results, rules) => {
+  let score = 0;
+  if (!bracket.picks || !results) return score;
+
+  for (let round = 1; round <= 6; round++) {
+    const resultMatchups = results[round];
+    const pickMatchups = bracket.picks[round];
+    if (!resultMatchups || !pickMatchups) continue;
+
+    for (const resultMatchup of resultMatchups) {
+      if (!resultMatchup.winner) continue;
+
+      const pick = pickMatchups.find(m => m.id === resultMatchup.id);
+      if (!pick || !isCorrectPick(pick.winner, resultMatchup.winner)) continue;
+
+      score += scorePick(
+        rules,
+        round,
+        resultMatchup.winner,
+        getMatchupLoser(resultMatchup, resultMatchup.winner)
+      );
+    }
+  }
+
+  return score;
+};
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  isValidStrategy,
+  listStrategies,
+  getScoringRules,
+  isCorrectPick,
+  getMatchupLoser,
+  scorePick,
+  calculateBracketScore
+};
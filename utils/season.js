@@ -0,0 +1,55 @@
+const SeasonSettings = require('../models/SeasonSettings');
+
+/**
+ * Get the active season (tournament year)
+ * Falls back to the calendar year until an admin sets one
+ * @returns {Promise<number>} Active tournament year
+ */
+const getActiveSeason = async () => {
+  const settings = await SeasonSettings.findOne({});
+  if (settings && settings.activeYear) {
+    return settings.activeYear;
+  }
+  return new Date().getFullYear();
+};
+
+/**
+ * Parse a season year, returning null if it isn't a plausible tournament year
+ * @param {*} value - Raw year value (query string or body)
+ * @returns {number|null}
+ */
+const parseSeason = (value) => {
+  const year = parseInt(value);
+  if (isNaN(year) || year < 1939 || year > 9999) {
+    return null;
+  }
+  return year;
+};
+
+/**
+ * Resolve the season for a request from ?year=, defaulting to the active season
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { year, invalid }
+ */
+const resolveRequestSeason = async (req) => {
+  if (req.query.year === undefined) {
+    return { year: await getActiveSeason(), invalid: false };
+  }
+
+  const year = parseSeason(req.query.year);
+  return { year, invalid: year === null };
+};
+
+/**
+ * Build the query filter for documents tagged with a season
+ * @param {number} year - Tournament year
+ * @returns {Object} Mongo filter
+ */
+const seasonFilter = (year) => ({ year });
+
+module.exports = {
+  getActiveSeason,
+  parseSeason,
+  resolveRequestSeason,
+  seasonFilter
+};
@@ -0,0 +1,114 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Matches the lifetime of the JWTs issued for a session
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// lastSeenAt is only written when it's at least this stale, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+/**
+ * Start a session for a user signing in from a request
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for the user agent and IP)
+ * @param {Object} options
+ * @param {Boolean} options.emailVerified - Whether the sign-in proved the user owns the email (default true)
+ * @param {Date} options.now - Sign-in time
+ * @returns {Promise<Object>} Saved session
+ */
+const createSession = (user, req, { emailVerified = true, now = new Date() } = {}) =>
+  new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip || null,
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+    emailVerified
+  }).save();
+
+/**
+ * Sign a JWT for a user's session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} Signed token
+ */
+const signSessionToken = (user, session) =>
+  jwt.sign(
+    {
+      user: {
+        id: user.id,
+        email: user.email,
+        role: user.role || 'user'
+      },
+      sid: session.id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(SESSION_TTL_MS / 1000) }
+  );
+
+/**
+ * Check that a session can still be used, recording that it was seen
+ * @param {string} sessionId - Session ID from a token
+ * @param {string} userId - User the token was issued to
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} The session, or null if it's unknown, revoked or expired
+ */
+const useSession = async (sessionId, userId, now = new Date()) => {
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= now) return null;
+  if (session.user.toString() !== String(userId)) return null;
+
+  if (now - session.lastSeenAt >= LAST_SEEN_RESOLUTION_MS) {
+    session.lastSeenAt = now;
+    await session.save();
+  }
+
+  return session;
+};
+
+/**
+ * Push a session's expiry back, for a refreshed token
+ * @param {Object} session - Session document
+ * @param {Date} now - Refresh time
+ * @returns {Promise<Object>} Saved session
+ */
+const extendSession = (session, now = new Date()) => {
+  session.lastSeenAt = now;
+  session.expiresAt = new Date(now.getTime() + SESSION_TTL_MS);
+  return session.save();
+};
+
+/**
+ * List a user's sessions that can still be used, most recently seen first
+ * @param {string} userId
+ * @param {Date} now
+ * @returns {Promise<Array>} Session documents
+ */
+const listActiveSessions = (userId, now = new Date()) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: now } })
+    .sort({ lastSeenAt: -1 });
+
+/**
+ * Revoke every active session a user has
+ * @param {string} userId
+ * @param {Date} now - Revocation time
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, now = new Date()) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  SESSION_TTL_MS,
+  createSession,
+  signSessionToken,
+  useSession,
+  extendSession,
+  listActiveSessions,
+  revokeAllSessions
+};
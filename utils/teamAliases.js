@@ -0,0 +1,44 @@
+const TeamAlias = require('../models/TeamAlias');
+
+/**
+ * Standardize a team name's format
+ * Examples: "St. John's (NY)" -> "St. John's", "NC-Wilmington" -> "NC Wilmington"
+ * @param {string} name - Team name
+ * @returns {string}
+ */
+const standardizeTeamName = (name) => name
+  // Remove parentheses and contents
+  .replace(/\s*\([^)]*\)/g, '')
+  // Remove "University", "State University", etc.
+  .replace(/\s*University\s*/g, '')
+  // Standardize St./Saint
+  .replace(/^Saint\s+/i, 'St. ')
+  // Replace hyphens with spaces
+  .replace(/-/g, ' ')
+  .trim();
+
+/**
+ * Key an alias is stored and looked up under
+ * @param {string} name - Team name or alias
+ * @returns {string}
+ */
+const aliasKey = (name) => standardizeTeamName(name).toLowerCase();
+
+/**
+ * Load every team alias as a lookup map
+ * @returns {Promise<Object>} Map of alias key to our (standardized) team name
+ */
+const loadTeamAliases = async () => {
+  const aliases = await TeamAlias.find({});
+
+  return aliases.reduce((map, teamAlias) => {
+    map[teamAlias.aliasKey] = standardizeTeamName(teamAlias.name);
+    return map;
+  }, {});
+};
+
+module.exports = {
+  standardizeTeamName,
+  aliasKey,
+  loadTeamAliases
+};
@@ -0,0 +1,77 @@
+/**
+ * Get the combined final score of the championship game, once it has been played
+ * @param {Object} tournament - Tournament results document
+ * @returns {Number|null} Total points scored, or null if the final isn't complete
+ */
+const getChampionshipTotal = (tournament) => {
+  if (!tournament || !tournament.games) return null;
+
+  const championship = tournament.games.find(game => game.round === 6);
+  if (!championship || !championship.completed || !championship.score) {
+    return null;
+  }
+
+  const { teamA, teamB } = championship.score;
+  if (typeof teamA !== 'number' || typeof teamB !== 'number') {
+    return null;
+  }
+
+  return teamA + teamB;
+};
+
+/**
+ * How far a tiebreaker guess was from the actual championship total
+ * @param {Number|null} guess - Bracket's tiebreaker guess
+ * @param {Number|null} actualTotal - Actual championship total
+ * @returns {Number|null} Absolute difference, or null if either is missing
+ */
+const tiebreakerDistance = (guess, actualTotal) => {
+  if (guess === null || guess === undefined || actualTotal === null) {
+    return null;
+  }
+  return Math.abs(guess - actualTotal);
+};
+
+/**
+ * Build a comparator ordering entries by score, then by tiebreaker
+ * The tiebreaker only applies once the championship total is known; entries
+ * without a guess rank behind those with one. Entries that are still tied
+ * compare equal so a stable sort keeps their existing order.
+ * @param {Number|null} actualTotal - Actual championship total
+ * @returns {Function} Comparator for objects with score and tiebreaker
+ */
+const compareWithTiebreaker = (actualTotal) => (a, b) => {
+  if (b.score !== a.score) return b.score - a.score;
+
+  const distanceA = tiebreakerDistance(a.tiebreaker, actualTotal);
+  const distanceB = tiebreakerDistance(b.tiebreaker, actualTotal);
+  if (distanceA === distanceB) return 0;
+  if (distanceA === null) return 1;
+  if (distanceB === null) return -1;
+  return distanceA - distanceB;
+};
+
+/**
+ * Parse a tiebreaker guess from a request body
+ * @param {*} value - Raw tiebreaker value
+ * @returns {Object} { value, invalid } where value is null when omitted
+ */
+const parseTiebreaker = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { value: null, invalid: false };
+  }
+
+  const guess = Number(value);
+  if (!Number.isInteger(guess) || guess < 0) {
+    return { value: null, invalid: true };
+  }
+
+  return { value: guess, invalid: false };
+};
+
+module.exports = {
+  getChampionshipTotal,
+  tiebreakerDistance,
+  compareWithTiebreaker,
+  parseTiebreaker
+};
@@ -0,0 +1,44 @@
+/**
+ * Create a small in-memory cache whose entries expire after a fixed time
+ * Once it's full, the oldest entries are dropped first.
+ * @param {Object} options
+ * @param {Number} options.ttlMs - How long an entry lives
+ * @param {Number} options.maxEntries - Most entries kept at once
+ * @returns {Object} Cache with get, set, delete and clear
+ */
+const createTtlCache = ({ ttlMs, maxEntries = 100 }) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(key, value) {
+      // Re-inserting moves the key to the newest end
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+};
+
+module.exports = { createTtlCache };
@@ -0,0 +1,79 @@
+/**
+ * Game win probabilities from team strength ratings
+ *
+ * Ratings are on an Elo-style scale: a team rated RATING_SCALE points higher
+ * is a 10-to-1 favorite. Teams without an admin-entered rating get a default
+ * from their seed.
+ */
+
+const RATING_SCALE = 400;
+
+// Seed-based defaults: a 1-seed is 1470, a 16-seed 1020 (~93% for the 1-seed)
+const SEED_RATING_BASE = 1500;
+const SEED_RATING_STEP = 30;
+
+// No game is ever treated as a sure thing
+const MIN_WIN_PROBABILITY = 0.001;
+const MAX_WIN_PROBABILITY = 0.999;
+
+/**
+ * Default rating for a seed
+ * @param {Number} seed - Tournament seed (1-16)
+ * @returns {Number} Rating
+ */
+const seedRating = (seed) => {
+  const value = parseInt(seed);
+  // Unseeded teams rate like an average (8/9) seed
+  return SEED_RATING_BASE - SEED_RATING_STEP * (isNaN(value) ? 8.5 : value);
+};
+
+/**
+ * Get a team's rating
+ * @param {Object} team - Team ({ name, seed })
+ * @param {Object} ratings - Admin-entered ratings by team name
+ * @returns {Number} Rating
+ */
+const getTeamRating = (team, ratings = {}) => {
+  const rating = ratings && team ? ratings[team.name] : undefined;
+  return typeof rating === 'number' ? rating : seedRating(team && team.seed);
+};
+
+/**
+ * Probability that teamA beats teamB (logistic in the rating difference)
+ * @param {Object} teamA - Team ({ name, seed })
+ * @param {Object} teamB - Team ({ name, seed })
+ * @param {Object} ratings - Admin-entered ratings by team name
+ * @returns {Number} Probability between MIN_WIN_PROBABILITY and MAX_WIN_PROBABILITY
+ */
+const getWinProbability = (teamA, teamB, ratings = {}) => {
+  const difference = getTeamRating(teamA, ratings) - getTeamRating(teamB, ratings);
+  const probability = 1 / (1 + Math.pow(10, -difference / RATING_SCALE));
+  return Math.min(MAX_WIN_PROBABILITY, Math.max(MIN_WIN_PROBABILITY, probability));
+};
+
+/**
+ * Check an admin ratings payload ({ teamName: rating })
+ * @param {*} ratings - Value to check
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateTeamRatings = (ratings) => {
+  if (!ratings || typeof ratings !== 'object' || Array.isArray(ratings)) {
+    return 'Ratings must be an object of team names to ratings';
+  }
+
+  for (const [name, rating] of Object.entries(ratings)) {
+    if (typeof rating !== 'number' || !isFinite(rating)) {
+      return `Rating for ${name} must be a number`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  RATING_SCALE,
+  seedRating,
+  getTeamRating,
+  getWinProbability,
+  validateTeamRatings
+};